@@ -2,6 +2,7 @@
 #pragma warning disable CS8625, CS8602, CS8600, CS8620
 using System.Net;
 using System.Net.Http.Json;
+using System.Text.Json;
 using FluentAssertions;
 using Gehtsoft.FourCDesigner.Controllers.Data;
 using Gehtsoft.FourCDesigner.Logic.AI;
@@ -237,6 +238,34 @@ public class PlanApiControllerApiTests : IDisposable
         result.Output.Should().NotBeNullOrEmpty();
     }
 
+    [Fact]
+    public async Task RequestAssistance_ReviewLessonFields_ShouldReturnFieldFeedback()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_lesson_fields",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result.Should().NotBeNull();
+        result!.Successful.Should().BeTrue();
+
+        var feedback = JsonSerializer.Deserialize<List<FieldFeedback>>(result.Output);
+        feedback.Should().NotBeNullOrEmpty();
+        feedback!.Should().Contain(item => item.Field == "concepts.theses");
+    }
+
     #endregion
 
     #region Validation Tests
@@ -304,6 +333,56 @@ public class PlanApiControllerApiTests : IDisposable
         response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
     }
 
+    [Fact]
+    public async Task RequestAssistance_WithUnsupportedLanguage_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var plan = CreateSampleLessonPlan();
+        plan.Language = "xx";
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_topic",
+            Plan = plan
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("language");
+    }
+
+    [Fact]
+    public async Task Chat_WithUnsupportedLanguage_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var plan = CreateSampleLessonPlan();
+        plan.Language = "xx";
+        var request = new PlanChatRequest
+        {
+            Plan = plan,
+            Messages = new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "Is the topic too broad for one lesson?" }
+            }
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/chat", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     #endregion
 
     #region Multiple Operations Test
@@ -372,4 +451,587 @@ public class PlanApiControllerApiTests : IDisposable
     }
 
     #endregion
+
+    #region Result Cache Tests
+
+    [Fact]
+    public async Task RequestAssistance_RepeatedWithSamePlan_ShouldReturnCachedResult()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_audience",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var firstResponse = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+        var secondResponse = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+
+        // Assert
+        firstResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        secondResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var firstResult = await firstResponse.Content.ReadFromJsonAsync<AIResult>();
+        var secondResult = await secondResponse.Content.ReadFromJsonAsync<AIResult>();
+        firstResult!.Cached.Should().BeFalse();
+        secondResult!.Successful.Should().BeTrue();
+        secondResult.Cached.Should().BeTrue();
+        secondResult.Output.Should().Be(firstResult.Output);
+    }
+
+    [Fact]
+    public async Task RequestAssistance_WithBypassCache_ShouldNotReturnCachedResult()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_outcomes",
+            Plan = CreateSampleLessonPlan()
+        };
+        var firstResponse = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+        firstResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        request.BypassCache = true;
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result!.Successful.Should().BeTrue();
+        result.Cached.Should().BeFalse();
+    }
+
+    #endregion
+
+    #region Streaming Tests
+
+    /// <summary>
+    /// Parses a server-sent event stream into (event, data) pairs.
+    /// </summary>
+    private static List<(string Event, string Data)> ParseServerSentEvents(string content)
+    {
+        var events = new List<(string Event, string Data)>();
+
+        foreach (string block in content.Split("\n\n", StringSplitOptions.RemoveEmptyEntries))
+        {
+            string eventName = string.Empty;
+            string data = string.Empty;
+
+            foreach (string line in block.Split('\n'))
+            {
+                if (line.StartsWith("event: "))
+                    eventName = line.Substring("event: ".Length);
+                else if (line.StartsWith("data: "))
+                    data = line.Substring("data: ".Length);
+            }
+
+            events.Add((eventName, data));
+        }
+
+        return events;
+    }
+
+    [Fact]
+    public async Task RequestAssistanceStream_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_topic",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    [Fact]
+    public async Task RequestAssistanceStream_WithInvalidOperationId_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "invalid_operation",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task RequestAssistanceStream_ReviewTopic_ShouldStreamChunksAndResult()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "review_topic",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentType!.MediaType.Should().Be("text/event-stream");
+
+        var events = ParseServerSentEvents(await response.Content.ReadAsStringAsync());
+        events.Should().NotBeEmpty();
+        events.Last().Event.Should().Be("result");
+
+        var chunks = events
+            .Where(e => e.Event == "chunk")
+            .Select(e => JsonDocument.Parse(e.Data).RootElement.GetProperty("text").GetString())
+            .ToList();
+        chunks.Should().NotBeEmpty();
+
+        var result = JsonSerializer.Deserialize<AIResult>(events.Last().Data);
+        result.Should().NotBeNull();
+        result!.Successful.Should().BeTrue();
+        result.Output.Should().Be(string.Concat(chunks));
+    }
+
+    #endregion
+
+    #region Operations Tests
+
+    [Fact]
+    public async Task GetOperations_ShouldListAllOperations()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        // Act
+        var response = await mClient.GetAsync("/api/plan/operations");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var operations = await response.Content.ReadFromJsonAsync<List<PlanOperationResponse>>();
+        operations.Should().NotBeNull();
+        operations!.Should().HaveCount(Enum.GetValues<RequestId>().Length);
+        operations.Should().Contain(operation =>
+            operation.OperationId == "review_topic" &&
+            operation.Type == "review" &&
+            operation.Field == "topic");
+    }
+
+    [Fact]
+    public async Task GetOperations_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Act
+        var response = await mClient.GetAsync("/api/plan/operations");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    #endregion
+
+    #region Draft Tests
+
+    [Fact]
+    public async Task Draft_WithOverviewAndDuration_ShouldDraftAllPhases()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = new LessonPlan
+            {
+                Topic = "Introduction to Programming",
+                Audience = "High school students, ages 15-17",
+                LearningOutcomes = "Students will be able to write basic programs"
+            },
+            Duration = 90
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var draft = await response.Content.ReadFromJsonAsync<LessonPlanDraft>();
+        draft.Should().NotBeNull();
+        draft!.Successful.Should().BeTrue();
+        draft.Fields.Should().NotBeEmpty();
+        draft.Fields.Should().OnlyContain(f => !string.IsNullOrEmpty(f.Value));
+        draft.Plan.Topic.Should().Be("Introduction to Programming");
+        draft.Plan.Connections.Goal.Should().NotBeNullOrEmpty();
+        draft.Plan.Conclusions.MaterialsToPrepare.Should().NotBeNullOrEmpty();
+        (draft.Plan.Connections.Timing + draft.Plan.Concepts.Timing +
+            draft.Plan.ConcretePractice.Timing + draft.Plan.Conclusions.Timing).Should().Be(90);
+    }
+
+    [Theory]
+    [InlineData(5)]
+    [InlineData(1000)]
+    public async Task Draft_WithInvalidDuration_ShouldReturnBadRequest(int duration)
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = duration
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task Draft_WithoutTopic_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = new LessonPlan { Audience = "High school students" },
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result!.ErrorCode.Should().Be("INVALID_REQUEST");
+    }
+
+    [Fact]
+    public async Task Draft_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new PlanDraftRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    [Fact]
+    public async Task DraftStream_WithOverviewAndDuration_ShouldStreamFieldsAndDraft()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = new LessonPlan
+            {
+                Topic = "Introduction to Databases",
+                Audience = "University students",
+                LearningOutcomes = "Students will be able to write basic queries"
+            },
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentType!.MediaType.Should().Be("text/event-stream");
+
+        var events = ParseServerSentEvents(await response.Content.ReadAsStringAsync());
+        events.Last().Event.Should().Be("result");
+
+        var fields = events
+            .Where(e => e.Event == "field")
+            .Select(e => JsonSerializer.Deserialize<LessonPlanDraftField>(e.Data)!.Field)
+            .ToList();
+
+        var draft = JsonSerializer.Deserialize<LessonPlanDraft>(events.Last().Data);
+        draft.Should().NotBeNull();
+        draft!.Successful.Should().BeTrue();
+        fields.Should().Equal(draft.Fields.Select(f => f.Field));
+        (draft.Plan.Connections.Timing + draft.Plan.Concepts.Timing +
+            draft.Plan.ConcretePractice.Timing + draft.Plan.Conclusions.Timing).Should().Be(60);
+    }
+
+    [Fact]
+    public async Task DraftStream_WithoutTopic_ShouldEndWithErrorEvent()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = new LessonPlan { Audience = "High school students" },
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var events = ParseServerSentEvents(await response.Content.ReadAsStringAsync());
+        events.Should().ContainSingle();
+        events[0].Event.Should().Be("error");
+
+        var draft = JsonSerializer.Deserialize<LessonPlanDraft>(events[0].Data);
+        draft!.Successful.Should().BeFalse();
+        draft.ErrorCode.Should().Be("INVALID_REQUEST");
+    }
+
+    [Fact]
+    public async Task DraftStream_WithInvalidDuration_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanDraftRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = 5
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task DraftStream_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new PlanDraftRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/draft/stream", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    #endregion
+
+    #region Timing Balance Tests
+
+    [Fact]
+    public async Task BalanceTimings_WithDuration_ShouldReturnTimingsAddingUpToDuration()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanTimingRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = 90
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/timings", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result.Should().NotBeNull();
+        result!.Successful.Should().BeTrue();
+
+        var timings = JsonSerializer.Deserialize<List<PhaseTiming>>(result.Output);
+        timings.Should().NotBeNull();
+        timings!.Select(t => t.Phase).Should().Equal("connections", "concepts", "concretePractice", "conclusions");
+        timings.Sum(t => t.Minutes).Should().Be(90);
+        timings.Should().OnlyContain(t => !string.IsNullOrEmpty(t.Rationale));
+    }
+
+    [Fact]
+    public async Task Assistance_WithBalanceTimings_ShouldReturnTimingsOfCurrentDuration()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanAiRequest
+        {
+            OperationId = "balance_timings",
+            Plan = CreateSampleLessonPlan()
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/assistance", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        var timings = JsonSerializer.Deserialize<List<PhaseTiming>>(result!.Output);
+        timings.Should().HaveCount(4);
+    }
+
+    [Theory]
+    [InlineData(5)]
+    [InlineData(1000)]
+    public async Task BalanceTimings_WithInvalidDuration_ShouldReturnBadRequest(int duration)
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanTimingRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = duration
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/timings", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new PlanTimingRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Duration = 60
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/timings", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    #endregion
+
+    #region Chat Tests
+
+    [Fact]
+    public async Task Chat_WithConversation_ShouldReturnAnswer()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanChatRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Messages = new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "Is the topic too broad for one lesson?" }
+            }
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/chat", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result.Should().NotBeNull();
+        result!.Successful.Should().BeTrue();
+        result.Output.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public async Task Chat_WhenLastMessageIsNotFromUser_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        AddAuthHeader();
+
+        var request = new PlanChatRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Messages = new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleAssistant, Content = "How can I help?" }
+            }
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/chat", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+
+        var result = await response.Content.ReadFromJsonAsync<AIResult>();
+        result.Should().NotBeNull();
+        result!.ErrorCode.Should().Be("INVALID_REQUEST");
+    }
+
+    [Fact]
+    public async Task Chat_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new PlanChatRequest
+        {
+            Plan = CreateSampleLessonPlan(),
+            Messages = new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "Is the topic too broad?" }
+            }
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/chat", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    #endregion
 }
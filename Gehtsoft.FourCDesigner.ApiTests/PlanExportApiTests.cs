@@ -0,0 +1,101 @@
+// Suppress nullability warnings for intentional null tests
+#pragma warning disable CS8625, CS8602, CS8600, CS8620
+using System.IO.Compression;
+using System.Net;
+using System.Net.Http.Json;
+using FluentAssertions;
+using Gehtsoft.FourCDesigner.Controllers.Data;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Microsoft.Data.Sqlite;
+
+namespace Gehtsoft.FourCDesigner.ApiTests;
+
+/// <summary>
+/// API tests for lesson plan export endpoints.
+/// </summary>
+[Collection("ApiTests")]
+public class PlanExportApiTests : IDisposable
+{
+    private readonly TestWebApplicationFactory mFactory;
+    private readonly HttpClient mClient;
+    private readonly SqliteConnection mConnection;
+    private readonly string mDatabaseName;
+
+    public PlanExportApiTests()
+    {
+        // Create unique database name for this test instance
+        mDatabaseName = $"TestDb_{Guid.NewGuid():N}";
+
+        // Create and keep alive an in-memory SQLite connection
+        mConnection = new SqliteConnection($"Data Source={mDatabaseName};Mode=Memory;Cache=Shared");
+        mConnection.Open();
+
+        // Create the web application factory with the in-memory database
+        mFactory = new TestWebApplicationFactory(mDatabaseName);
+        mClient = mFactory.CreateClient();
+    }
+
+    public void Dispose()
+    {
+        mClient?.Dispose();
+        mFactory?.Dispose();
+        mConnection?.Dispose();
+    }
+
+    /// <summary>
+    /// Logs in and adds the session header to the client.
+    /// </summary>
+    private async Task LoginAsync()
+    {
+        var loginRequest = new LoginRequest
+        {
+            Email = "user@fourcdesign.com",
+            Password = "test123"
+        };
+
+        var response = await mClient.PostAsJsonAsync("/api/user/login", loginRequest);
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        result.Should().NotBeNull();
+        mClient.DefaultRequestHeaders.Add("X-fourc-session", result!.SessionId);
+    }
+
+    [Fact]
+    public async Task ExportDocx_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new ExportPlanRequest { Name = "Plan", Plan = new LessonPlan() };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/export/docx", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    [Fact]
+    public async Task ExportDocx_WithAuth_ShouldReturnWordDocument()
+    {
+        // Arrange
+        await LoginAsync();
+        var request = new ExportPlanRequest
+        {
+            Name = "Fractions: part 1",
+            Plan = new LessonPlan { Topic = "Fractions", Audience = "Grade 5" }
+        };
+
+        // Act
+        var response = await mClient.PostAsJsonAsync("/api/plan/export/docx", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        response.Content.Headers.ContentType!.MediaType
+            .Should().Be("application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+        response.Content.Headers.ContentDisposition!.FileName.Should().Contain("Fractions part 1.docx");
+
+        var content = await response.Content.ReadAsByteArrayAsync();
+        using var archive = new ZipArchive(new MemoryStream(content), ZipArchiveMode.Read);
+        archive.GetEntry("word/document.xml").Should().NotBeNull();
+    }
+}
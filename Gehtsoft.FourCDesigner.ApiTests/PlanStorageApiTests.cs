@@ -0,0 +1,285 @@
+// Suppress nullability warnings for intentional null tests
+#pragma warning disable CS8625, CS8602, CS8600, CS8620
+using System.Net;
+using System.Net.Http.Json;
+using FluentAssertions;
+using Gehtsoft.FourCDesigner.Controllers.Data;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Microsoft.Data.Sqlite;
+
+namespace Gehtsoft.FourCDesigner.ApiTests;
+
+/// <summary>
+/// API tests for lesson plan storage endpoints.
+/// </summary>
+[Collection("ApiTests")]
+public class PlanStorageApiTests : IDisposable
+{
+    private readonly TestWebApplicationFactory mFactory;
+    private readonly HttpClient mClient;
+    private readonly SqliteConnection mConnection;
+    private readonly string mDatabaseName;
+
+    public PlanStorageApiTests()
+    {
+        // Create unique database name for this test instance
+        mDatabaseName = $"TestDb_{Guid.NewGuid():N}";
+
+        // Create and keep alive an in-memory SQLite connection
+        mConnection = new SqliteConnection($"Data Source={mDatabaseName};Mode=Memory;Cache=Shared");
+        mConnection.Open();
+
+        // Create the web application factory with the in-memory database
+        mFactory = new TestWebApplicationFactory(mDatabaseName);
+        mClient = mFactory.CreateClient();
+    }
+
+    public void Dispose()
+    {
+        mClient?.Dispose();
+        mFactory?.Dispose();
+        mConnection?.Dispose();
+    }
+
+    /// <summary>
+    /// Logs in and adds the session header to the client.
+    /// </summary>
+    private async Task LoginAsync()
+    {
+        var loginRequest = new LoginRequest
+        {
+            Email = "user@fourcdesign.com",
+            Password = "test123"
+        };
+
+        var response = await mClient.PostAsJsonAsync("/api/user/login", loginRequest);
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var result = await response.Content.ReadFromJsonAsync<LoginResponse>();
+        result.Should().NotBeNull();
+        mClient.DefaultRequestHeaders.Add("X-fourc-session", result!.SessionId);
+    }
+
+    [Fact]
+    public async Task ListPlans_WithoutAuth_ShouldReturnUnauthorized()
+    {
+        // Act
+        var response = await mClient.GetAsync("/api/plan");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    [Fact]
+    public async Task ListPlans_WithoutPlans_ShouldReturnEmptyList()
+    {
+        // Arrange
+        await LoginAsync();
+
+        // Act
+        var response = await mClient.GetAsync("/api/plan");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var plans = await response.Content.ReadFromJsonAsync<List<PlanSummaryResponse>>();
+        plans.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task SaveAndGetPlan_ShouldRoundTripContent()
+    {
+        // Arrange
+        await LoginAsync();
+        var request = new SavePlanRequest
+        {
+            Name = "Stored plan",
+            Plan = new LessonPlan { Topic = "Fractions", Audience = "Grade 5" }
+        };
+
+        // Act
+        var saveResponse = await mClient.PutAsJsonAsync("/api/plan/plan-1", request);
+        var getResponse = await mClient.GetAsync("/api/plan/plan-1");
+
+        // Assert
+        saveResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        var summary = await saveResponse.Content.ReadFromJsonAsync<PlanSummaryResponse>();
+        summary!.Version.Should().Be(1);
+
+        getResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        var plan = await getResponse.Content.ReadFromJsonAsync<PlanResponse>();
+        plan!.Name.Should().Be("Stored plan");
+        plan.Plan.Topic.Should().Be("Fractions");
+        plan.Plan.Audience.Should().Be("Grade 5");
+    }
+
+    [Fact]
+    public async Task SaveAndGetPlan_ShouldRoundTripAnnotations()
+    {
+        // Arrange
+        await LoginAsync();
+        var plan = new LessonPlan { Topic = "Fractions" };
+        plan.Annotations.Add(new FieldAnnotation
+        {
+            Id = "a1",
+            Field = "concepts.theses",
+            Severity = "issue",
+            Comment = "Too many theses",
+            Status = "resolved",
+            CreatedAt = "2026-01-01T10:00:00.000Z"
+        });
+
+        // Act
+        await mClient.PutAsJsonAsync("/api/plan/plan-5", new SavePlanRequest { Name = "Plan", Plan = plan });
+        var getResponse = await mClient.GetAsync("/api/plan/plan-5");
+
+        // Assert
+        var stored = await getResponse.Content.ReadFromJsonAsync<PlanResponse>();
+        var annotation = stored!.Plan.Annotations.Should().ContainSingle().Subject;
+        annotation.Id.Should().Be("a1");
+        annotation.Field.Should().Be("concepts.theses");
+        annotation.Comment.Should().Be("Too many theses");
+        annotation.Status.Should().Be("resolved");
+    }
+
+    [Fact]
+    public async Task SavePlan_Twice_ShouldIncrementVersionAndAppearInList()
+    {
+        // Arrange
+        await LoginAsync();
+        var request = new SavePlanRequest { Name = "Plan", Plan = new LessonPlan() };
+        await mClient.PutAsJsonAsync("/api/plan/plan-2", request);
+
+        // Act
+        var response = await mClient.PutAsJsonAsync("/api/plan/plan-2", request);
+        var listResponse = await mClient.GetAsync("/api/plan");
+
+        // Assert
+        var summary = await response.Content.ReadFromJsonAsync<PlanSummaryResponse>();
+        summary!.Version.Should().Be(2);
+
+        var plans = await listResponse.Content.ReadFromJsonAsync<List<PlanSummaryResponse>>();
+        plans.Should().ContainSingle(p => p.PlanId == "plan-2" && p.Version == 2);
+    }
+
+    [Fact]
+    public async Task SavePlan_WithOutdatedBaseVersion_ShouldReturnConflict()
+    {
+        // Arrange
+        await LoginAsync();
+        await mClient.PutAsJsonAsync("/api/plan/plan-4", new SavePlanRequest { Name = "Plan", Plan = new LessonPlan(), BaseVersion = 0 });
+        await mClient.PutAsJsonAsync("/api/plan/plan-4", new SavePlanRequest { Name = "Plan", Plan = new LessonPlan(), BaseVersion = 1 });
+
+        // Act
+        var response = await mClient.PutAsJsonAsync("/api/plan/plan-4",
+            new SavePlanRequest { Name = "Stale", Plan = new LessonPlan(), BaseVersion = 1 });
+        var getResponse = await mClient.GetAsync("/api/plan/plan-4");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.Conflict);
+
+        var plan = await getResponse.Content.ReadFromJsonAsync<PlanResponse>();
+        plan!.Version.Should().Be(2);
+        plan.Name.Should().Be("Plan");
+    }
+
+    [Fact]
+    public async Task SavePlan_ConcurrentSavesFromSameBaseVersion_ShouldConflictOnce()
+    {
+        // Arrange
+        await LoginAsync();
+        await mClient.PutAsJsonAsync("/api/plan/plan-6", new SavePlanRequest { Name = "Plan", Plan = new LessonPlan(), BaseVersion = 0 });
+
+        // Act
+        var responses = await Task.WhenAll(
+            mClient.PutAsJsonAsync("/api/plan/plan-6",
+                new SavePlanRequest { Name = "First device", Plan = new LessonPlan(), BaseVersion = 1 }),
+            mClient.PutAsJsonAsync("/api/plan/plan-6",
+                new SavePlanRequest { Name = "Second device", Plan = new LessonPlan(), BaseVersion = 1 }));
+        var getResponse = await mClient.GetAsync("/api/plan/plan-6");
+
+        // Assert
+        responses.Select(r => r.StatusCode).Should().BeEquivalentTo(new[] { HttpStatusCode.OK, HttpStatusCode.Conflict });
+
+        var plan = await getResponse.Content.ReadFromJsonAsync<PlanResponse>();
+        plan!.Version.Should().Be(2);
+        plan.Name.Should().Be(responses[0].StatusCode == HttpStatusCode.OK ? "First device" : "Second device");
+    }
+
+    [Fact]
+    public async Task SavePlan_ConcurrentSavesOfNewPlan_ShouldConflictOnce()
+    {
+        // Arrange
+        await LoginAsync();
+
+        // Act
+        var responses = await Task.WhenAll(
+            mClient.PutAsJsonAsync("/api/plan/plan-7",
+                new SavePlanRequest { Name = "First device", Plan = new LessonPlan(), BaseVersion = 0 }),
+            mClient.PutAsJsonAsync("/api/plan/plan-7",
+                new SavePlanRequest { Name = "Second device", Plan = new LessonPlan(), BaseVersion = 0 }));
+        var listResponse = await mClient.GetAsync("/api/plan");
+
+        // Assert
+        responses.Select(r => r.StatusCode).Should().BeEquivalentTo(new[] { HttpStatusCode.OK, HttpStatusCode.Conflict });
+
+        var plans = await listResponse.Content.ReadFromJsonAsync<List<PlanSummaryResponse>>();
+        plans.Should().ContainSingle(p => p.PlanId == "plan-7")
+            .Which.Version.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task SavePlan_WithInvalidPlanId_ShouldReturnBadRequest()
+    {
+        // Arrange
+        await LoginAsync();
+        var request = new SavePlanRequest { Name = "Plan", Plan = new LessonPlan() };
+
+        // Act
+        var response = await mClient.PutAsJsonAsync("/api/plan/bad%20id", request);
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task GetPlan_NonExistent_ShouldReturnNotFound()
+    {
+        // Arrange
+        await LoginAsync();
+
+        // Act
+        var response = await mClient.GetAsync("/api/plan/missing");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact]
+    public async Task DeletePlan_Existing_ShouldRemovePlan()
+    {
+        // Arrange
+        await LoginAsync();
+        await mClient.PutAsJsonAsync("/api/plan/plan-3", new SavePlanRequest { Name = "Plan", Plan = new LessonPlan() });
+
+        // Act
+        var deleteResponse = await mClient.DeleteAsync("/api/plan/plan-3");
+        var getResponse = await mClient.GetAsync("/api/plan/plan-3");
+
+        // Assert
+        deleteResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        getResponse.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+
+    [Fact]
+    public async Task DeletePlan_NonExistent_ShouldReturnNotFound()
+    {
+        // Arrange
+        await LoginAsync();
+
+        // Act
+        var response = await mClient.DeleteAsync("/api/plan/missing");
+
+        // Assert
+        response.StatusCode.Should().Be(HttpStatusCode.NotFound);
+    }
+}
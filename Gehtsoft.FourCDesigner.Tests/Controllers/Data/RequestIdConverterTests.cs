@@ -117,6 +117,28 @@ public class RequestIdConverterTests
         actual.Should().Be(RequestId.ReviewWholeLesson);
     }
 
+    [Fact]
+    public void TryConvert_WithReviewLessonFields_ReturnsTrue()
+    {
+        // Act
+        bool result = RequestIdConverter.TryConvert("review_lesson_fields", out RequestId actual);
+
+        // Assert
+        result.Should().BeTrue();
+        actual.Should().Be(RequestId.ReviewLessonFields);
+    }
+
+    [Fact]
+    public void TryConvert_WithBalanceTimings_ReturnsTrue()
+    {
+        // Act
+        bool result = RequestIdConverter.TryConvert("balance_timings", out RequestId actual);
+
+        // Assert
+        result.Should().BeTrue();
+        actual.Should().Be(RequestId.BalanceTimings);
+    }
+
     // TryConvert - Failure Cases
 
     [Theory]
@@ -277,10 +299,10 @@ public class RequestIdConverterTests
         resultMixed.Should().BeFalse("mixed case should be invalid");
     }
 
-    // Coverage Test - All 43 Operations
+    // Coverage Test - All 45 Operations
 
     [Fact]
-    public void Converter_SupportsAll43Operations()
+    public void Converter_SupportsAll45Operations()
     {
         // Arrange
         var allOperationIds = new[]
@@ -306,11 +328,12 @@ public class RequestIdConverterTests
             "review_concl_goal", "suggest_concl_goal",
             "review_concl_activities", "suggest_concl_activities",
             "review_concl_materials", "suggest_concl_materials",
-            "review_whole_lesson"
+            "review_whole_lesson", "review_lesson_fields",
+            "balance_timings"
         };
 
         // Act & Assert
-        allOperationIds.Length.Should().Be(43, "should have exactly 43 operation IDs");
+        allOperationIds.Length.Should().Be(45, "should have exactly 45 operation IDs");
 
         foreach (string operationId in allOperationIds)
         {
@@ -362,7 +385,8 @@ public class RequestIdConverterTests
                 "review_concl_goal", "suggest_concl_goal",
                 "review_concl_activities", "suggest_concl_activities",
                 "review_concl_materials", "suggest_concl_materials",
-                "review_whole_lesson"
+                "review_whole_lesson", "review_lesson_fields",
+                "balance_timings"
             };
 
             foreach (string opId in testOperationIds)
@@ -377,4 +401,79 @@ public class RequestIdConverterTests
             found.Should().BeTrue($"RequestId.{requestId} should have a corresponding operation ID");
         }
     }
+
+    // GetOperationId Method Tests
+
+    [Theory]
+    [InlineData(RequestId.ReviewContext, "review_context")]
+    [InlineData(RequestId.SuggestConceptsNeedToKnow, "suggest_concepts_needToKnow")]
+    [InlineData(RequestId.ReviewLessonFields, "review_lesson_fields")]
+    [InlineData(RequestId.BalanceTimings, "balance_timings")]
+    public void GetOperationId_WithRequestId_ReturnsOperationId(RequestId requestId, string expected)
+    {
+        // Act
+        string operationId = RequestIdConverter.GetOperationId(requestId);
+
+        // Assert
+        operationId.Should().Be(expected);
+    }
+
+    [Fact]
+    public void GetOperationId_WithUnknownRequestId_ThrowsArgumentException()
+    {
+        // Act
+        Action act = () => RequestIdConverter.GetOperationId((RequestId)999);
+
+        // Assert
+        act.Should().Throw<ArgumentException>()
+            .WithParameterName("requestId");
+    }
+
+    // GetOperations Method Tests
+
+    [Fact]
+    public void GetOperations_ListsAllRequestIdsInEnumOrder()
+    {
+        // Act
+        var operations = RequestIdConverter.GetOperations();
+
+        // Assert
+        operations.Select(operation => operation.OperationId).Should().Equal(
+            Enum.GetValues<RequestId>().Select(RequestIdConverter.GetOperationId));
+    }
+
+    [Fact]
+    public void GetOperations_DescribesEachOperation()
+    {
+        // Act
+        var operations = RequestIdConverter.GetOperations();
+
+        // Assert
+        foreach (PlanOperationResponse operation in operations)
+        {
+            operation.Type.Should().BeOneOf(PlanOperationResponse.TypeReview, PlanOperationResponse.TypeSuggest);
+            operation.Label.Should().NotBeNullOrWhiteSpace();
+            operation.Description.Should().NotBeNullOrWhiteSpace();
+            if (operation.Field != null)
+                FieldFeedbackParser.FieldPaths.Should().ContainKey(operation.Field, $"'{operation.OperationId}' should target a lesson plan field");
+        }
+    }
+
+    [Fact]
+    public void GetOperations_ReturnsFieldAndLabelOfOperation()
+    {
+        // Act
+        var operations = RequestIdConverter.GetOperations();
+
+        // Assert
+        var suggestGoal = operations.Single(operation => operation.OperationId == "suggest_conn_goal");
+        suggestGoal.Type.Should().Be(PlanOperationResponse.TypeSuggest);
+        suggestGoal.Field.Should().Be("connections.goal");
+        suggestGoal.Label.Should().Be("Suggest");
+
+        var wholeLesson = operations.Single(operation => operation.OperationId == "review_whole_lesson");
+        wholeLesson.Type.Should().Be(PlanOperationResponse.TypeReview);
+        wholeLesson.Field.Should().BeNull();
+        wholeLesson.Label.Should().Be("Get Feedback on Entire Lesson");
+    }
 }
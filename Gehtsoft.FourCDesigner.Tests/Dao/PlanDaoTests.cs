@@ -0,0 +1,287 @@
+using Gehtsoft.EF.Db.SqlDb;
+using Gehtsoft.EF.Db.SqlDb.EntityQueries;
+using Gehtsoft.FourCDesigner.Dao;
+using Gehtsoft.FourCDesigner.Entities;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+using FluentAssertions;
+
+namespace Gehtsoft.FourCDesigner.Tests.Dao;
+
+public class PlanDaoTests : IDisposable
+{
+    private readonly string mConnectionString;
+    private readonly SqlDbConnection mSchemaConnection;
+    private readonly IDbConnectionFactory mFactory;
+    private readonly PlanDao mPlanDao;
+
+    public PlanDaoTests()
+    {
+        // Create named in-memory SQLite connection that persists data between operations
+        mConnectionString = "Data Source=file:PlanDaoTestsDb?mode=memory&cache=shared";
+
+        // Keep one connection open for the lifetime of the test to maintain the in-memory database
+        mSchemaConnection = UniversalSqlDbFactory.Create("sqlite", mConnectionString);
+
+        // Create schema
+        var controller = new CreateEntityController(new[] { typeof(UserPlan).Assembly }, null);
+        controller.UpdateTables(mSchemaConnection, CreateEntityController.UpdateMode.Update);
+
+        // Create mock factory that creates a new connection each time
+        var mockFactory = new Mock<IDbConnectionFactory>();
+        mockFactory.Setup(f => f.GetConnection()).Returns(() => UniversalSqlDbFactory.Create("sqlite", mConnectionString));
+        mFactory = mockFactory.Object;
+
+        // Create PlanDao with mock logger
+        var mockLogger = new Mock<ILogger<PlanDao>>();
+        mPlanDao = new PlanDao(mFactory, mockLogger.Object);
+    }
+
+    public void Dispose()
+    {
+        mSchemaConnection?.Dispose();
+    }
+
+    private static UserPlan CreatePlan(int userId, string planId, DateTime? modifiedAt = null)
+    {
+        return new UserPlan
+        {
+            PlanId = planId,
+            UserId = userId,
+            Name = $"Plan {planId}",
+            Data = "{\"topic\":\"Test\"}",
+            Version = 1,
+            CreatedAt = new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc),
+            ModifiedAt = modifiedAt ?? new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc)
+        };
+    }
+
+    [Fact]
+    public void Constructor_WithNullFactory_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var mockLogger = new Mock<ILogger<PlanDao>>();
+
+        // Act
+        Action act = () => new PlanDao(null!, mockLogger.Object);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("factory");
+    }
+
+    [Fact]
+    public void Constructor_WithNullLogger_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => new PlanDao(mFactory, null!);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("logger");
+    }
+
+    [Fact]
+    public void SavePlan_WithNewPlan_InsertsPlanAndSetsId()
+    {
+        // Arrange
+        var plan = CreatePlan(1, "new-plan");
+
+        // Act
+        bool result = mPlanDao.SavePlan(plan, 0);
+
+        // Assert
+        result.Should().BeTrue();
+        plan.Id.Should().BeGreaterThan(0);
+
+        var retrievedPlan = mPlanDao.GetPlan(1, "new-plan");
+        retrievedPlan.Should().NotBeNull();
+        retrievedPlan!.Name.Should().Be("Plan new-plan");
+        retrievedPlan.Data.Should().Be("{\"topic\":\"Test\"}");
+        retrievedPlan.Version.Should().Be(1);
+    }
+
+    [Fact]
+    public void SavePlan_WithExistingPlan_UpdatesPlan()
+    {
+        // Arrange
+        var plan = CreatePlan(1, "update-plan");
+        mPlanDao.SavePlan(plan, 0);
+
+        plan.Name = "Renamed";
+        plan.Data = "{\"topic\":\"Changed\"}";
+        plan.Version = 2;
+
+        // Act
+        bool result = mPlanDao.SavePlan(plan, 1);
+
+        // Assert
+        result.Should().BeTrue();
+        var retrievedPlan = mPlanDao.GetPlan(1, "update-plan");
+        retrievedPlan.Should().NotBeNull();
+        retrievedPlan!.Id.Should().Be(plan.Id);
+        retrievedPlan.Name.Should().Be("Renamed");
+        retrievedPlan.Data.Should().Be("{\"topic\":\"Changed\"}");
+        retrievedPlan.Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void SavePlan_WithOutdatedExpectedVersion_ReturnsFalseAndKeepsPlan()
+    {
+        // Arrange
+        var plan = CreatePlan(1, "outdated-plan");
+        mPlanDao.SavePlan(plan, 0);
+
+        plan.Name = "Renamed";
+        plan.Version = 3;
+
+        // Act
+        bool result = mPlanDao.SavePlan(plan, 2);
+
+        // Assert
+        result.Should().BeFalse();
+        var retrievedPlan = mPlanDao.GetPlan(1, "outdated-plan");
+        retrievedPlan!.Name.Should().Be("Plan outdated-plan");
+        retrievedPlan.Version.Should().Be(1);
+    }
+
+    [Fact]
+    public void SavePlan_WithExistingPlanIdAsNewPlan_ReturnsFalseAndKeepsOnePlan()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(8, "duplicate-plan"), 0);
+        var duplicate = CreatePlan(8, "duplicate-plan");
+        duplicate.Name = "Duplicate";
+
+        // Act
+        bool result = mPlanDao.SavePlan(duplicate, 0);
+
+        // Assert
+        result.Should().BeFalse();
+        var plans = mPlanDao.GetPlansByUser(8);
+        plans.Should().ContainSingle()
+            .Which.Name.Should().Be("Plan duplicate-plan");
+    }
+
+    [Fact]
+    public async Task SavePlan_ConcurrentSavesFromSameVersion_StoresOnlyOne()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(9, "race-plan"), 0);
+
+        // Both saves read version 1 before either of them writes
+        var first = mPlanDao.GetPlan(9, "race-plan")!;
+        var second = mPlanDao.GetPlan(9, "race-plan")!;
+        first.Name = "First";
+        first.Version = 2;
+        second.Name = "Second";
+        second.Version = 2;
+
+        // Act
+        bool[] results = await Task.WhenAll(
+            Task.Run(() => mPlanDao.SavePlan(first, 1)),
+            Task.Run(() => mPlanDao.SavePlan(second, 1)));
+
+        // Assert
+        results.Should().ContainSingle(saved => saved);
+        var retrievedPlan = mPlanDao.GetPlan(9, "race-plan");
+        retrievedPlan!.Version.Should().Be(2);
+        retrievedPlan.Name.Should().Be(results[0] ? "First" : "Second");
+    }
+
+    [Fact]
+    public async Task SavePlan_ConcurrentInsertsOfSamePlan_StoresOnlyOne()
+    {
+        // Arrange
+        var first = CreatePlan(10, "new-race-plan");
+        var second = CreatePlan(10, "new-race-plan");
+
+        // Act
+        bool[] results = await Task.WhenAll(
+            Task.Run(() => mPlanDao.SavePlan(first, 0)),
+            Task.Run(() => mPlanDao.SavePlan(second, 0)));
+
+        // Assert
+        results.Should().ContainSingle(saved => saved);
+        mPlanDao.GetPlansByUser(10).Should().ContainSingle();
+    }
+
+    [Fact]
+    public void SavePlan_WithNull_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => mPlanDao.SavePlan(null!, 0);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public void GetPlan_OfAnotherUser_ReturnsNull()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(1, "owned-plan"), 0);
+
+        // Act
+        var result = mPlanDao.GetPlan(2, "owned-plan");
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public void GetPlan_WithInvalidUserId_ThrowsArgumentException()
+    {
+        // Act
+        Action act = () => mPlanDao.GetPlan(0, "plan");
+
+        // Assert
+        act.Should().Throw<ArgumentException>()
+            .WithParameterName("userId");
+    }
+
+    [Fact]
+    public void GetPlansByUser_ReturnsOnlyPlansOfUser_MostRecentFirst()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(3, "older", new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc)), 0);
+        mPlanDao.SavePlan(CreatePlan(3, "newer", new DateTime(2025, 2, 1, 0, 0, 0, DateTimeKind.Utc)), 0);
+        mPlanDao.SavePlan(CreatePlan(4, "foreign"), 0);
+
+        // Act
+        var result = mPlanDao.GetPlansByUser(3);
+
+        // Assert
+        result.Select(p => p.PlanId).Should().Equal("newer", "older");
+    }
+
+    [Fact]
+    public void DeletePlan_WithExistingPlan_DeletesAndReturnsTrue()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(5, "delete-plan"), 0);
+
+        // Act
+        bool result = mPlanDao.DeletePlan(5, "delete-plan");
+
+        // Assert
+        result.Should().BeTrue();
+        mPlanDao.GetPlan(5, "delete-plan").Should().BeNull();
+    }
+
+    [Fact]
+    public void DeletePlan_OfAnotherUser_ReturnsFalseAndKeepsPlan()
+    {
+        // Arrange
+        mPlanDao.SavePlan(CreatePlan(6, "keep-plan"), 0);
+
+        // Act
+        bool result = mPlanDao.DeletePlan(7, "keep-plan");
+
+        // Assert
+        result.Should().BeFalse();
+        mPlanDao.GetPlan(6, "keep-plan").Should().NotBeNull();
+    }
+}
@@ -382,4 +382,71 @@ public class AITestingDriverTests
         result.Successful.Should().BeTrue();
         result.Output.Should().Be("Valid pattern match");
     }
+
+    [Fact]
+    public async Task GetSuggestionsAsync_WithCancelledToken_ShouldThrowOperationCanceledException()
+    {
+        // Arrange
+        string validJsonPath = Path.Combine(mTestDataPath, "valid-mock-responses.json");
+        var mockConfig = new Mock<IAITestingConfiguration>();
+        mockConfig.Setup(c => c.MockFilePath).Returns(validJsonPath);
+        var mockLogger = new Mock<ILogger<AITestingDriver>>();
+        var driver = new AITestingDriver(mockConfig.Object, mockLogger.Object);
+        using var cts = new CancellationTokenSource();
+        cts.Cancel();
+
+        // Act
+        Func<Task> act = async () => await driver.GetSuggestionsAsync("Give suggestions", "xyz", cts.Token);
+
+        // Assert
+        await act.Should().ThrowAsync<OperationCanceledException>();
+    }
+
+    [Fact]
+    public async Task StreamSuggestionsAsync_WithNullCallback_ShouldThrowArgumentNullException()
+    {
+        // Arrange
+        string validJsonPath = Path.Combine(mTestDataPath, "valid-mock-responses.json");
+        var mockConfig = new Mock<IAITestingConfiguration>();
+        mockConfig.Setup(c => c.MockFilePath).Returns(validJsonPath);
+        var mockLogger = new Mock<ILogger<AITestingDriver>>();
+        var driver = new AITestingDriver(mockConfig.Object, mockLogger.Object);
+
+        // Act
+        Func<Task> act = async () => await driver.StreamSuggestionsAsync(
+            "instructions", "input", null!, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("onChunk");
+    }
+
+    [Fact]
+    public async Task StreamSuggestionsAsync_WithMatchingPatterns_ShouldPassResponseInChunks()
+    {
+        // Arrange
+        string validJsonPath = Path.Combine(mTestDataPath, "valid-mock-responses.json");
+        var mockConfig = new Mock<IAITestingConfiguration>();
+        mockConfig.Setup(c => c.MockFilePath).Returns(validJsonPath);
+        var mockLogger = new Mock<ILogger<AITestingDriver>>();
+        var driver = new AITestingDriver(mockConfig.Object, mockLogger.Object);
+        var chunks = new List<string>();
+
+        // Act
+        AIResult result = await driver.StreamSuggestionsAsync(
+            "Give suggestions",
+            "xyz",
+            chunk =>
+            {
+                chunks.Add(chunk);
+                return Task.CompletedTask;
+            },
+            CancellationToken.None);
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("Default general response");
+        chunks.Should().HaveCount(3);
+        string.Concat(chunks).Should().Be(result.Output);
+    }
 }
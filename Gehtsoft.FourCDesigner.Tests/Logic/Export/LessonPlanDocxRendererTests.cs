@@ -0,0 +1,207 @@
+using System.IO.Compression;
+using System.Xml.Linq;
+using Gehtsoft.FourCDesigner.Logic.Export;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Xunit;
+using FluentAssertions;
+
+namespace Gehtsoft.FourCDesigner.Tests.Logic.Export;
+
+public class LessonPlanDocxRendererTests
+{
+    private static readonly XNamespace gW = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+    private static LessonPlan CreateSampleLessonPlan()
+    {
+        return new LessonPlan
+        {
+            Context = "After-school coding club",
+            Topic = "Introduction to Programming",
+            Audience = "High school students",
+            LearningOutcomes = "Students will be able to write basic programs",
+            Connections = new LessonPlanConnections
+            {
+                Timing = 5,
+                Goal = "Connect students to programming concepts",
+                Activities = "Icebreaker",
+                MaterialsToPrepare = "- Sticky notes\n- Markers"
+            },
+            Concepts = new LessonPlanConcepts
+            {
+                Timing = 15,
+                NeedToKnow = "1. Variables\n2. Loops",
+                MaterialsToPrepare = "Printed code examples"
+            },
+            ConcretePractice = new LessonPlanConcretePractice
+            {
+                Timing = 25,
+                Activities = "Pair programming"
+            },
+            Conclusions = new LessonPlanConclusions
+            {
+                Timing = 10,
+                Goal = "Summarize the key concepts"
+            }
+        };
+    }
+
+    private static Dictionary<string, XDocument> ReadPackage(byte[] content)
+    {
+        using var stream = new MemoryStream(content);
+        using var archive = new ZipArchive(stream, ZipArchiveMode.Read);
+
+        var parts = new Dictionary<string, XDocument>();
+        foreach (var entry in archive.Entries)
+        {
+            using var entryStream = entry.Open();
+            parts[entry.FullName] = XDocument.Load(entryStream);
+        }
+        return parts;
+    }
+
+    private static List<string> ReadParagraphs(XDocument document)
+    {
+        return document.Descendants(gW + "p")
+            .Select(p => string.Concat(p.Descendants(gW + "t").Select(t => t.Value)))
+            .ToList();
+    }
+
+    [Fact]
+    public void Render_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        Action act = () => renderer.Render(null!, "Plan");
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public void Render_CreatesWordPackageWithRequiredParts()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(CreateSampleLessonPlan(), "Programming 101");
+
+        // Assert
+        var parts = ReadPackage(content);
+        parts.Keys.Should().Contain(new[]
+        {
+            "[Content_Types].xml",
+            "_rels/.rels",
+            "word/document.xml",
+            "word/styles.xml",
+            "word/_rels/document.xml.rels"
+        });
+        parts["word/document.xml"].Root!.Name.Should().Be(gW + "document");
+    }
+
+    [Fact]
+    public void Render_WritesTitlePagePhasesAndTotalDuration()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(CreateSampleLessonPlan(), "Programming 101");
+
+        // Assert
+        var paragraphs = ReadParagraphs(ReadPackage(content)["word/document.xml"]);
+        paragraphs.First().Should().Be("Programming 101");
+        paragraphs.Should().Contain("Topic: Introduction to Programming");
+        paragraphs.Should().Contain("Total Duration: 55 minutes");
+        paragraphs.Should().ContainInOrder("Connection", "Concepts", "Concrete Practice", "Conclusion", "Materials Checklist", "Summary");
+        paragraphs.Should().ContainInOrder("1. Variables", "2. Loops");
+    }
+
+    [Fact]
+    public void Render_WritesLessonContextInOverview()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(CreateSampleLessonPlan(), "Plan");
+
+        // Assert
+        var paragraphs = ReadParagraphs(ReadPackage(content)["word/document.xml"]);
+        paragraphs.Should().ContainInOrder("Lesson Overview", "Lesson Context", "After-school coding club", "Topic", "Introduction to Programming");
+    }
+
+    [Fact]
+    public void Render_WritesPhaseTablesWithTiming()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(CreateSampleLessonPlan(), "Plan");
+
+        // Assert
+        var document = ReadPackage(content)["word/document.xml"];
+        var firstRows = document.Descendants(gW + "tbl")
+            .Select(table => table.Elements(gW + "tr").First())
+            .Select(row => string.Join("|", row.Elements(gW + "tc").Select(cell => string.Concat(cell.Descendants(gW + "t").Select(t => t.Value)))))
+            .ToList();
+
+        firstRows.Should().HaveCount(5);
+        firstRows.Take(4).Should().Equal(
+            "Time Allocated|5 minutes",
+            "Time Allocated|15 minutes",
+            "Time Allocated|25 minutes",
+            "Time Allocated|10 minutes");
+    }
+
+    [Fact]
+    public void Render_WritesMaterialsChecklistWithoutListMarkers()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(CreateSampleLessonPlan(), "Plan");
+
+        // Assert
+        var paragraphs = ReadParagraphs(ReadPackage(content)["word/document.xml"]);
+        paragraphs.Should().ContainInOrder("☐ Sticky notes", "☐ Markers", "☐ Printed code examples");
+    }
+
+    [Fact]
+    public void Render_EmptyPlan_MarksEmptyFieldsAndMaterials()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+
+        // Act
+        var content = renderer.Render(new LessonPlan(), "");
+
+        // Assert
+        var paragraphs = ReadParagraphs(ReadPackage(content)["word/document.xml"]);
+        paragraphs.First().Should().Be("4C Lesson Plan");
+        paragraphs.Should().Contain("Not yet defined");
+        paragraphs.Should().Contain("No materials to prepare.");
+        paragraphs.Should().Contain("Total Duration: 0 minutes");
+    }
+
+    [Fact]
+    public void Render_TextWithMarkupAndControlCharacters_ProducesValidXml()
+    {
+        // Arrange
+        var renderer = new LessonPlanDocxRenderer();
+        var plan = new LessonPlan { Topic = "<b>Tags</b> & \"quotes\"\u0001" };
+
+        // Act
+        var content = renderer.Render(plan, "A & B");
+
+        // Assert
+        var paragraphs = ReadParagraphs(ReadPackage(content)["word/document.xml"]);
+        paragraphs.First().Should().Be("A & B");
+        paragraphs.Should().Contain("<b>Tags</b> & \"quotes\"");
+    }
+}
@@ -0,0 +1,152 @@
+// Suppress nullability warnings for intentional null tests
+#pragma warning disable CS8625, CS8602, CS8600, CS8601, CS8603
+using FluentAssertions;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Moq;
+using Xunit;
+
+namespace Gehtsoft.FourCDesigner.Tests.Logic.Plan;
+
+public class AiResultCacheTests
+{
+    private readonly Mock<IAiResultCacheConfiguration> mMockConfiguration;
+    private readonly AiResultCache mCache;
+
+    public AiResultCacheTests()
+    {
+        mMockConfiguration = new Mock<IAiResultCacheConfiguration>();
+        mMockConfiguration.Setup(c => c.ExpirationInSeconds).Returns(300.0);
+        mMockConfiguration.Setup(c => c.MaxEntries).Returns(100);
+        mCache = new AiResultCache(mMockConfiguration.Object);
+    }
+
+    [Fact]
+    public void Constructor_WithNullConfiguration_ShouldThrowArgumentNullException()
+    {
+        // Act
+        Action act = () => new AiResultCache(null);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("configuration");
+    }
+
+    [Fact]
+    public void TryGet_WhenNothingIsCached_ShouldReturnFalse()
+    {
+        // Act
+        bool found = mCache.TryGet("ReviewTopic", "prompt", "input", out string output);
+
+        // Assert
+        found.Should().BeFalse();
+        output.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void TryGet_AfterSet_ShouldReturnCachedOutput()
+    {
+        // Arrange
+        mCache.Set("ReviewTopic", "prompt", "input", "output");
+
+        // Act
+        bool found = mCache.TryGet("ReviewTopic", "prompt", "input", out string output);
+
+        // Assert
+        found.Should().BeTrue();
+        output.Should().Be("output");
+    }
+
+    [Fact]
+    public void Set_WithSameKey_ShouldReplaceCachedOutput()
+    {
+        // Arrange
+        mCache.Set("ReviewTopic", "prompt", "input", "old output");
+
+        // Act
+        mCache.Set("ReviewTopic", "prompt", "input", "new output");
+
+        // Assert
+        mCache.TryGet("ReviewTopic", "prompt", "input", out string output).Should().BeTrue();
+        output.Should().Be("new output");
+    }
+
+    [Theory]
+    [InlineData("SuggestTopic", "prompt", "input")]
+    [InlineData("ReviewTopic", "other prompt", "input")]
+    [InlineData("ReviewTopic", "prompt", "other input")]
+    public void TryGet_WithDifferentRequest_ShouldReturnFalse(string operation, string prompt, string userInput)
+    {
+        // Arrange
+        mCache.Set("ReviewTopic", "prompt", "input", "output");
+
+        // Act
+        bool found = mCache.TryGet(operation, prompt, userInput, out _);
+
+        // Assert
+        found.Should().BeFalse();
+    }
+
+    [Fact]
+    public void Set_WithNullOutput_ShouldThrowArgumentNullException()
+    {
+        // Act
+        Action act = () => mCache.Set("ReviewTopic", "prompt", "input", null);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("output");
+    }
+
+    [Fact]
+    public void CreateKey_WithSameRequest_ShouldReturnSameKey()
+    {
+        // Act
+        string key1 = AiResultCache.CreateKey("ReviewTopic", "prompt", "input");
+        string key2 = AiResultCache.CreateKey("ReviewTopic", "prompt", "input");
+
+        // Assert
+        key1.Should().Be(key2);
+        key1.Should().StartWith("ai:ReviewTopic:");
+        key1.Should().NotContain("input");
+    }
+
+    [Fact]
+    public void CreateKey_WhenTextMovesBetweenPromptAndInput_ShouldReturnDifferentKeys()
+    {
+        // Act
+        string key1 = AiResultCache.CreateKey("ReviewTopic", "prompt", "input");
+        string key2 = AiResultCache.CreateKey("ReviewTopic", "promptinput", string.Empty);
+
+        // Assert
+        key1.Should().NotBe(key2);
+    }
+
+    [Theory]
+    [InlineData(null, "prompt", "input", "operation")]
+    [InlineData("ReviewTopic", null, "input", "prompt")]
+    [InlineData("ReviewTopic", "prompt", null, "userInput")]
+    public void CreateKey_WithNullParameter_ShouldThrowArgumentNullException(
+        string operation, string prompt, string userInput, string parameterName)
+    {
+        // Act
+        Action act = () => AiResultCache.CreateKey(operation, prompt, userInput);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName(parameterName);
+    }
+
+    [Fact]
+    public void Dispose_CalledTwice_ShouldNotThrow()
+    {
+        // Arrange
+        var cache = new AiResultCache(mMockConfiguration.Object);
+
+        // Act
+        cache.Dispose();
+        Action act = () => cache.Dispose();
+
+        // Assert
+        act.Should().NotThrow();
+    }
+}
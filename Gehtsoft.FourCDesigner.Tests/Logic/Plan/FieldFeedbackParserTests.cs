@@ -0,0 +1,146 @@
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Xunit;
+using FluentAssertions;
+
+namespace Gehtsoft.FourCDesigner.Tests.Logic.Plan;
+
+public class FieldFeedbackParserTests
+{
+    // TryParse Method Tests
+
+    [Fact]
+    public void TryParse_WithNullOutput_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => FieldFeedbackParser.TryParse(null!, out _);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("output");
+    }
+
+    [Fact]
+    public void TryParse_WithJsonArray_ReturnsFeedback()
+    {
+        // Arrange
+        string output = "[{\"field\": \"concepts.theses\", \"severity\": \"issue\", \"comment\": \"Too vague.\"}," +
+                        " {\"field\": \"conclusions.goal\", \"severity\": \"strength\", \"comment\": \"Clear goal.\"}]";
+
+        // Act
+        bool result = FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        result.Should().BeTrue();
+        feedback.Should().HaveCount(2);
+        feedback[0].Field.Should().Be("concepts.theses");
+        feedback[0].Severity.Should().Be(FieldFeedbackParser.SeverityIssue);
+        feedback[0].Comment.Should().Be("Too vague.");
+        feedback[1].Field.Should().Be("conclusions.goal");
+        feedback[1].Severity.Should().Be(FieldFeedbackParser.SeverityStrength);
+    }
+
+    [Fact]
+    public void TryParse_WithTextAroundArray_IgnoresText()
+    {
+        // Arrange
+        string output = "Here is the feedback:\n```json\n[{\"field\": \"topic\", \"severity\": \"suggestion\", \"comment\": \"Narrow it down.\"}]\n```";
+
+        // Act
+        bool result = FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        result.Should().BeTrue();
+        feedback.Should().ContainSingle()
+            .Which.Field.Should().Be("topic");
+    }
+
+    [Fact]
+    public void TryParse_WithDifferentCase_ReturnsCanonicalFieldPath()
+    {
+        // Arrange
+        string output = "[{\"Field\": \" ConcretePractice.FocusArea \", \"Severity\": \"ISSUE\", \"Comment\": \"Unclear.\"}]";
+
+        // Act
+        bool result = FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        result.Should().BeTrue();
+        feedback.Should().ContainSingle();
+        feedback[0].Field.Should().Be("concretePractice.focusArea");
+        feedback[0].Severity.Should().Be(FieldFeedbackParser.SeverityIssue);
+    }
+
+    [Fact]
+    public void TryParse_WithUnknownFieldOrEmptyComment_SkipsItem()
+    {
+        // Arrange
+        string output = "[{\"field\": \"concepts.unknown\", \"severity\": \"issue\", \"comment\": \"Skipped.\"}," +
+                        " {\"field\": \"topic\", \"severity\": \"issue\", \"comment\": \"  \"}," +
+                        " {\"field\": \"audience\", \"severity\": \"issue\", \"comment\": \"Kept.\"}]";
+
+        // Act
+        bool result = FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        result.Should().BeTrue();
+        feedback.Should().ContainSingle()
+            .Which.Field.Should().Be("audience");
+    }
+
+    [Fact]
+    public void TryParse_WithUnknownSeverity_UsesSuggestion()
+    {
+        // Arrange
+        string output = "[{\"field\": \"topic\", \"severity\": \"critical\", \"comment\": \"Rename it.\"}]";
+
+        // Act
+        FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        feedback[0].Severity.Should().Be(FieldFeedbackParser.SeveritySuggestion);
+    }
+
+    [Theory]
+    [InlineData("The lesson plan looks good.")]
+    [InlineData("[not json]")]
+    [InlineData("{\"field\": \"topic\"}")]
+    public void TryParse_WithoutJsonArray_ReturnsFalse(string output)
+    {
+        // Act
+        bool result = FieldFeedbackParser.TryParse(output, out List<FieldFeedback> feedback);
+
+        // Assert
+        result.Should().BeFalse();
+        feedback.Should().BeEmpty();
+    }
+
+    // FieldPaths Property Tests
+
+    [Fact]
+    public void FieldPaths_ContainsAllLessonPlanFields()
+    {
+        // Assert
+        FieldFeedbackParser.FieldPaths.Should().HaveCount(25);
+        FieldFeedbackParser.FieldPaths.Should().ContainKeys(
+            "context", "learningOutcomes", "connections.timing",
+            "concepts.materialsToPrepare", "concretePractice.details", "conclusions.goal");
+    }
+
+    // Serialize Method Tests
+
+    [Fact]
+    public void Serialize_WithFeedback_ReturnsJsonArray()
+    {
+        // Arrange
+        var feedback = new List<FieldFeedback>
+        {
+            new FieldFeedback { Field = "topic", Severity = "issue", Comment = "Too broad." }
+        };
+
+        // Act
+        string json = FieldFeedbackParser.Serialize(feedback);
+
+        // Assert
+        json.Should().Be("[{\"field\":\"topic\",\"severity\":\"issue\",\"comment\":\"Too broad.\"}]");
+    }
+}
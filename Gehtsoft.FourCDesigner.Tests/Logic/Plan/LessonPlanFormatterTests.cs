@@ -480,4 +480,99 @@ public class LessonPlanFormatterTests
         bool hasBlankLine = lines.Any(line => string.IsNullOrWhiteSpace(line));
         hasBlankLine.Should().BeTrue("Fields should be separated by blank lines");
     }
+
+    // FormatChat Method Tests
+
+    [Fact]
+    public void FormatChat_WithNullMessages_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var formatter = new LessonPlanFormatter();
+
+        // Act
+        Action act = () => formatter.FormatChat(CreateSampleLessonPlan(), null!);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("messages");
+    }
+
+    [Fact]
+    public void FormatChat_IncludesWholePlanFollowedByConversation()
+    {
+        // Arrange
+        var formatter = new LessonPlanFormatter();
+        var plan = CreateSampleLessonPlan();
+        var messages = new List<ChatMessage>
+        {
+            new ChatMessage { Role = ChatMessage.RoleUser, Content = "Is the practice too long?" },
+            new ChatMessage { Role = ChatMessage.RoleAssistant, Content = "It fits the timing." },
+            new ChatMessage { Role = ChatMessage.RoleUser, Content = "Suggest a shorter activity." }
+        };
+
+        // Act
+        string result = formatter.FormatChat(plan, messages);
+
+        // Assert
+        result.Should().StartWith(formatter.FormatLessonPlan(plan, RequestId.ReviewWholeLesson));
+        int conversation = result.IndexOf("# Conversation");
+        conversation.Should().BeGreaterThan(result.IndexOf(plan.ConcretePractice.Activities));
+        int first = result.IndexOf("## User", conversation);
+        int second = result.IndexOf("## Assistant", first);
+        int third = result.IndexOf("## User", second);
+        first.Should().BeGreaterThan(conversation);
+        second.Should().BeGreaterThan(first);
+        third.Should().BeGreaterThan(second);
+        result.Should().EndWith("Suggest a shorter activity." + Environment.NewLine);
+    }
+
+    // FormatTimingBalance Method Tests
+
+    [Fact]
+    public void FormatTimingBalance_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var formatter = new LessonPlanFormatter();
+
+        // Act
+        Action act = () => formatter.FormatTimingBalance(null!, 60);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public void FormatTimingBalance_IncludesTargetDurationAndPhases()
+    {
+        // Arrange
+        var formatter = new LessonPlanFormatter();
+        var plan = CreateSampleLessonPlan();
+
+        // Act
+        string result = formatter.FormatTimingBalance(plan, 90);
+
+        // Assert
+        result.Should().Contain("# Target Duration\n90 minutes".Replace("\n", Environment.NewLine));
+        result.Should().Contain("# Concrete Practice Phase");
+        result.Should().Contain("(25 minutes)");
+        result.Should().Contain(plan.Connections.Goal);
+        result.Should().Contain(plan.ConcretePractice.Activities);
+        result.Should().Contain(plan.Conclusions.Activities);
+        result.Should().NotContain(plan.Concepts.MaterialsToPrepare);
+    }
+
+    [Fact]
+    public void FormatLessonPlan_BalanceTimings_UsesCurrentDurationAsTarget()
+    {
+        // Arrange
+        var formatter = new LessonPlanFormatter();
+        var plan = CreateSampleLessonPlan();
+
+        // Act
+        string result = formatter.FormatLessonPlan(plan, RequestId.BalanceTimings);
+
+        // Assert
+        result.Should().Be(formatter.FormatTimingBalance(plan, 50));
+    }
 }
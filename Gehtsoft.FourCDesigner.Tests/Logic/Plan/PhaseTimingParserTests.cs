@@ -0,0 +1,96 @@
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Xunit;
+using FluentAssertions;
+
+namespace Gehtsoft.FourCDesigner.Tests.Logic.Plan;
+
+public class PhaseTimingParserTests
+{
+    // TryParse Method Tests
+
+    [Fact]
+    public void TryParse_WithNullOutput_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => PhaseTimingParser.TryParse(null!, out _);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("output");
+    }
+
+    [Fact]
+    public void TryParse_WithJsonArray_ReturnsTimingsInPhaseOrder()
+    {
+        // Arrange
+        string output = "[{\"phase\": \"conclusions\", \"minutes\": 10, \"rationale\": \"Action plans.\"}," +
+                        " {\"phase\": \"concretePractice\", \"minutes\": 25, \"rationale\": \" Most of the time. \"}," +
+                        " {\"phase\": \"connections\", \"minutes\": 10, \"rationale\": \"Warm-up.\"}," +
+                        " {\"phase\": \"concepts\", \"minutes\": 15, \"rationale\": \"Short input.\"}]";
+
+        // Act
+        bool result = PhaseTimingParser.TryParse(output, out List<PhaseTiming> timings);
+
+        // Assert
+        result.Should().BeTrue();
+        timings.Select(t => t.Phase).Should().Equal("connections", "concepts", "concretePractice", "conclusions");
+        timings.Select(t => t.Minutes).Should().Equal(10, 15, 25, 10);
+        timings[2].Rationale.Should().Be("Most of the time.");
+    }
+
+    [Fact]
+    public void TryParse_WithTextAroundArrayAndDifferentCase_ReturnsCanonicalPhases()
+    {
+        // Arrange
+        string output = "Here is the split:\n```json\n[{\"Phase\": \"Connections\", \"Minutes\": \"5\"}," +
+                        " {\"phase\": \"CONCEPTS\", \"minutes\": 10}, {\"phase\": \" concretepractice \", \"minutes\": 30}," +
+                        " {\"phase\": \"conclusions\", \"minutes\": 5}]\n```";
+
+        // Act
+        bool result = PhaseTimingParser.TryParse(output, out List<PhaseTiming> timings);
+
+        // Assert
+        result.Should().BeTrue();
+        timings.Select(t => t.Phase).Should().Equal(PhaseTimingParser.Phases);
+        timings[0].Minutes.Should().Be(5);
+        timings[0].Rationale.Should().BeEmpty();
+    }
+
+    [Theory]
+    [InlineData("Spend most of the time on practice.")]
+    [InlineData("[not json]")]
+    [InlineData("[{\"phase\": \"connections\", \"minutes\": 10}]")]
+    [InlineData("[{\"phase\": \"connections\", \"minutes\": 10}, {\"phase\": \"connections\", \"minutes\": 15}," +
+                " {\"phase\": \"concretePractice\", \"minutes\": 25}, {\"phase\": \"conclusions\", \"minutes\": 10}]")]
+    [InlineData("[{\"phase\": \"connections\", \"minutes\": 0}, {\"phase\": \"concepts\", \"minutes\": 15}," +
+                " {\"phase\": \"concretePractice\", \"minutes\": 25}, {\"phase\": \"conclusions\", \"minutes\": 10}]")]
+    [InlineData("[{\"phase\": \"connections\", \"minutes\": 7.5}, {\"phase\": \"concepts\", \"minutes\": 15}," +
+                " {\"phase\": \"concretePractice\", \"minutes\": 25}, {\"phase\": \"conclusions\", \"minutes\": 10}]")]
+    public void TryParse_WithoutTimingOfEachPhase_ReturnsFalse(string output)
+    {
+        // Act
+        bool result = PhaseTimingParser.TryParse(output, out List<PhaseTiming> timings);
+
+        // Assert
+        result.Should().BeFalse();
+        timings.Should().BeEmpty();
+    }
+
+    // Serialize Method Tests
+
+    [Fact]
+    public void Serialize_WithTimings_ReturnsJsonArray()
+    {
+        // Arrange
+        var timings = new List<PhaseTiming>
+        {
+            new PhaseTiming { Phase = "connections", Minutes = 10, Rationale = "Warm-up." }
+        };
+
+        // Act
+        string json = PhaseTimingParser.Serialize(timings);
+
+        // Assert
+        json.Should().Be("[{\"phase\":\"connections\",\"minutes\":10,\"rationale\":\"Warm-up.\"}]");
+    }
+}
@@ -13,6 +13,7 @@ public class PlanAiControllerTests
     private readonly Mock<IAIDriver> mMockAiDriver;
     private readonly Mock<IPromptFactory> mMockPromptFactory;
     private readonly Mock<ILessonPlanFormatter> mMockFormatter;
+    private readonly Mock<IAiResultCache> mMockResultCache;
     private readonly Mock<ILogger<PlanAiController>> mMockLogger;
 
     public PlanAiControllerTests()
@@ -20,6 +21,7 @@ public class PlanAiControllerTests
         mMockAiDriver = new Mock<IAIDriver>();
         mMockPromptFactory = new Mock<IPromptFactory>();
         mMockFormatter = new Mock<ILessonPlanFormatter>();
+        mMockResultCache = new Mock<IAiResultCache>();
         mMockLogger = new Mock<ILogger<PlanAiController>>();
     }
 
@@ -39,6 +41,7 @@ public class PlanAiControllerTests
             mMockAiDriver.Object,
             mMockPromptFactory.Object,
             mMockFormatter.Object,
+            mMockResultCache.Object,
             mMockLogger.Object);
     }
 
@@ -48,7 +51,7 @@ public class PlanAiControllerTests
         string aiOutput = "AI response")
     {
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns(prompt);
 
         mMockFormatter
@@ -56,11 +59,11 @@ public class PlanAiControllerTests
             .Returns(formattedInput);
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Success("Validation passed"));
 
         mMockAiDriver
-            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>()))
+            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Success(aiOutput));
     }
 
@@ -74,6 +77,7 @@ public class PlanAiControllerTests
             null!,
             mMockPromptFactory.Object,
             mMockFormatter.Object,
+            mMockResultCache.Object,
             mMockLogger.Object);
 
         // Assert
@@ -89,6 +93,7 @@ public class PlanAiControllerTests
             mMockAiDriver.Object,
             null!,
             mMockFormatter.Object,
+            mMockResultCache.Object,
             mMockLogger.Object);
 
         // Assert
@@ -104,6 +109,7 @@ public class PlanAiControllerTests
             mMockAiDriver.Object,
             mMockPromptFactory.Object,
             null!,
+            mMockResultCache.Object,
             mMockLogger.Object);
 
         // Assert
@@ -111,6 +117,22 @@ public class PlanAiControllerTests
             .WithParameterName("formatter");
     }
 
+    [Fact]
+    public void Constructor_WithNullResultCache_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => new PlanAiController(
+            mMockAiDriver.Object,
+            mMockPromptFactory.Object,
+            mMockFormatter.Object,
+            null!,
+            mMockLogger.Object);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("resultCache");
+    }
+
     [Fact]
     public void Constructor_WithNullLogger_ThrowsArgumentNullException()
     {
@@ -119,6 +141,7 @@ public class PlanAiControllerTests
             mMockAiDriver.Object,
             mMockPromptFactory.Object,
             mMockFormatter.Object,
+            mMockResultCache.Object,
             null!);
 
         // Assert
@@ -184,10 +207,51 @@ public class PlanAiControllerTests
 
         // Assert
         mMockPromptFactory.Verify(
-            p => p.GetPrompt(RequestId.ReviewAudience),
+            p => p.GetPrompt(RequestId.ReviewAudience, It.IsAny<string?>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Request_CallsPromptFactory_WithLanguageOfPlan()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+        plan.Language = "de";
+
+        // Act
+        await controller.Request(RequestId.SuggestTopic, plan);
+
+        // Assert
+        mMockPromptFactory.Verify(
+            p => p.GetPrompt(RequestId.SuggestTopic, "de"),
             Times.Once);
     }
 
+    [Fact]
+    public async Task Request_WithUnsupportedLanguage_ReturnsInvalidRequest()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        mMockPromptFactory
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), "xx"))
+            .Throws(new ArgumentException("Unsupported language: xx"));
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+        plan.Language = "xx";
+
+        // Act
+        AIResult result = await controller.Request(RequestId.SuggestTopic, plan);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("INVALID_REQUEST");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
     [Fact]
     public async Task Request_CallsFormatter_WithCorrectParameters()
     {
@@ -219,7 +283,7 @@ public class PlanAiControllerTests
 
         // Assert
         mMockAiDriver.Verify(
-            d => d.ValidateUserInputAsync(formattedInput),
+            d => d.ValidateUserInputAsync(formattedInput, It.IsAny<CancellationToken>()),
             Times.Once);
     }
 
@@ -238,7 +302,7 @@ public class PlanAiControllerTests
 
         // Assert
         mMockAiDriver.Verify(
-            d => d.GetSuggestionsAsync(prompt, formattedInput),
+            d => d.GetSuggestionsAsync(prompt, formattedInput, It.IsAny<CancellationToken>()),
             Times.Once);
     }
 
@@ -249,7 +313,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -257,7 +321,7 @@ public class PlanAiControllerTests
             .Returns("Formatted plan");
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Failed("UNSAFE_INPUT", "Input contains unsafe content"));
 
         var controller = CreateController();
@@ -278,7 +342,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -286,7 +350,7 @@ public class PlanAiControllerTests
             .Returns("Formatted plan");
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Failed("UNSAFE_INPUT", "Input contains unsafe content"));
 
         var controller = CreateController();
@@ -297,7 +361,7 @@ public class PlanAiControllerTests
 
         // Assert
         mMockAiDriver.Verify(
-            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>()),
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
             Times.Never);
     }
 
@@ -308,7 +372,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -316,11 +380,11 @@ public class PlanAiControllerTests
             .Returns("Formatted plan");
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Success("Validation passed"));
 
         mMockAiDriver
-            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>()))
+            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Failed("AI_ERROR", "AI service unavailable"));
 
         var controller = CreateController();
@@ -343,7 +407,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Throws(new ArgumentException("Invalid request ID"));
 
         var controller = CreateController();
@@ -364,7 +428,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -389,7 +453,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Throws(new InvalidOperationException("Unexpected error"));
 
         var controller = CreateController();
@@ -457,7 +521,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -465,7 +529,7 @@ public class PlanAiControllerTests
             .Returns("Formatted plan");
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Failed("UNSAFE_INPUT", "Input contains unsafe content"));
 
         var controller = CreateController();
@@ -490,7 +554,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Returns("Test prompt");
 
         mMockFormatter
@@ -498,11 +562,11 @@ public class PlanAiControllerTests
             .Returns("Formatted plan");
 
         mMockAiDriver
-            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>()))
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Success("Validation passed"));
 
         mMockAiDriver
-            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>()))
+            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(AIResult.Failed("AI_ERROR", "AI service unavailable"));
 
         var controller = CreateController();
@@ -527,7 +591,7 @@ public class PlanAiControllerTests
     {
         // Arrange
         mMockPromptFactory
-            .Setup(p => p.GetPrompt(It.IsAny<RequestId>()))
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
             .Throws(new InvalidOperationException("Unexpected error"));
 
         var controller = CreateController();
@@ -575,7 +639,7 @@ public class PlanAiControllerTests
             result.Successful.Should().BeTrue($"RequestId {requestId} should succeed");
 
             mMockPromptFactory.Verify(
-                p => p.GetPrompt(requestId),
+                p => p.GetPrompt(requestId, It.IsAny<string?>()),
                 Times.Once,
                 $"Should call GetPrompt for {requestId}");
 
@@ -606,4 +670,985 @@ public class PlanAiControllerTests
         // Assert
         result.Output.Should().Be(expectedOutput);
     }
+
+    // Request Method - Field Review
+
+    [Fact]
+    public async Task Request_ReviewLessonFields_ReturnsNormalizedFieldFeedback()
+    {
+        // Arrange
+        string aiOutput = "```json\n[{\"field\": \"Concepts.Theses\", \"severity\": \"Issue\", \"comment\": \"Too vague.\"}]\n```";
+        SetupSuccessfulMocks(aiOutput: aiOutput);
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewLessonFields, CreateSampleLessonPlan());
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("[{\"field\":\"concepts.theses\",\"severity\":\"issue\",\"comment\":\"Too vague.\"}]");
+    }
+
+    [Fact]
+    public async Task Request_ReviewLessonFields_WhenOutputIsNotJson_ReturnsInvalidResponseError()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "The lesson looks good overall.");
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewLessonFields, CreateSampleLessonPlan());
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("INVALID_RESPONSE");
+    }
+
+    [Fact]
+    public async Task Request_OtherRequests_DoNotParseOutputAsFieldFeedback()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "Plain feedback");
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewWholeLesson, CreateSampleLessonPlan());
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("Plain feedback");
+    }
+
+    // Request Method - Cancellation
+
+    [Fact]
+    public async Task Request_PassesCancellationToken_ToAiDriver()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+        using var cts = new CancellationTokenSource();
+
+        // Act
+        await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan(), cancellationToken: cts.Token);
+
+        // Assert
+        mMockAiDriver.Verify(
+            d => d.ValidateUserInputAsync(It.IsAny<string>(), cts.Token),
+            Times.Once);
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), cts.Token),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Request_WhenCancelled_ReturnsCancelledResultWithoutCallingGetSuggestions()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+        using var cts = new CancellationTokenSource();
+        cts.Cancel();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan(), cancellationToken: cts.Token);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("CANCELLED");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    // RequestStreaming Method
+
+    [Fact]
+    public async Task RequestStreaming_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.RequestStreaming(
+            RequestId.ReviewTopic, null!, _ => Task.CompletedTask, false, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public async Task RequestStreaming_WithNullCallback_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.RequestStreaming(
+            RequestId.ReviewTopic, CreateSampleLessonPlan(), null!, false, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("onChunk");
+    }
+
+    [Fact]
+    public async Task RequestStreaming_WithValidInput_PassesChunksAndReturnsResult()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", formattedInput: "Formatted plan");
+        mMockAiDriver
+            .Setup(d => d.StreamSuggestionsAsync(
+                "Test prompt",
+                "Formatted plan",
+                It.IsAny<Func<string, Task>>(),
+                It.IsAny<CancellationToken>()))
+            .Returns(async (string instructions, string userInput, Func<string, Task> onChunk, CancellationToken token) =>
+            {
+                await onChunk("AI ");
+                await onChunk("response");
+                return AIResult.Success("AI response");
+            });
+        var controller = CreateController();
+        var chunks = new List<string>();
+
+        // Act
+        AIResult result = await controller.RequestStreaming(
+            RequestId.ReviewTopic,
+            CreateSampleLessonPlan(),
+            chunk =>
+            {
+                chunks.Add(chunk);
+                return Task.CompletedTask;
+            },
+            false,
+            CancellationToken.None);
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("AI response");
+        chunks.Should().Equal("AI ", "response");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task RequestStreaming_WhenValidationFails_DoesNotStream()
+    {
+        // Arrange
+        mMockPromptFactory
+            .Setup(p => p.GetPrompt(It.IsAny<RequestId>(), It.IsAny<string?>()))
+            .Returns("Test prompt");
+
+        mMockFormatter
+            .Setup(f => f.FormatLessonPlan(It.IsAny<LessonPlan>(), It.IsAny<RequestId>()))
+            .Returns("Formatted plan");
+
+        mMockAiDriver
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("UNSAFE_INPUT", "Input contains unsafe content"));
+
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.RequestStreaming(
+            RequestId.ReviewTopic,
+            CreateSampleLessonPlan(),
+            _ => Task.CompletedTask,
+            false,
+            CancellationToken.None);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("VALIDATION_FAILED");
+        mMockAiDriver.Verify(
+            d => d.StreamSuggestionsAsync(
+                It.IsAny<string>(),
+                It.IsAny<string>(),
+                It.IsAny<Func<string, Task>>(),
+                It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    // Result Cache
+
+    [Fact]
+    public async Task Request_WhenResultIsCached_ReturnsCachedResultWithoutCallingAi()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", formattedInput: "Formatted plan");
+        string cachedOutput = "Cached response";
+        mMockResultCache
+            .Setup(c => c.TryGet("ReviewTopic", "Test prompt", "Formatted plan", out cachedOutput))
+            .Returns(true);
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan());
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("Cached response");
+        result.Cached.Should().BeTrue();
+        mMockAiDriver.Verify(
+            d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Request_WhenSuccessful_CachesResult()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", formattedInput: "Formatted plan", aiOutput: "AI response");
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan());
+
+        // Assert
+        result.Cached.Should().BeFalse();
+        mMockResultCache.Verify(
+            c => c.Set("ReviewTopic", "Test prompt", "Formatted plan", "AI response"),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Request_WhenAiFails_DoesNotCacheResult()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        mMockAiDriver
+            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("AI_ERROR", "The AI service is not available"));
+        var controller = CreateController();
+
+        // Act
+        await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan());
+
+        // Assert
+        mMockResultCache.Verify(
+            c => c.Set(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Request_WithBypassCache_CallsAiAndReplacesCachedResult()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", formattedInput: "Formatted plan", aiOutput: "Fresh response");
+        string cachedOutput = "Cached response";
+        mMockResultCache
+            .Setup(c => c.TryGet(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), out cachedOutput))
+            .Returns(true);
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.ReviewTopic, CreateSampleLessonPlan(), bypassCache: true);
+
+        // Assert
+        result.Output.Should().Be("Fresh response");
+        result.Cached.Should().BeFalse();
+        mMockResultCache.Verify(
+            c => c.Set("ReviewTopic", "Test prompt", "Formatted plan", "Fresh response"),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task RequestStreaming_WhenResultIsCached_PassesCachedResultAsOneChunk()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        string cachedOutput = "Cached response";
+        mMockResultCache
+            .Setup(c => c.TryGet(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), out cachedOutput))
+            .Returns(true);
+        var controller = CreateController();
+        var chunks = new List<string>();
+
+        // Act
+        AIResult result = await controller.RequestStreaming(
+            RequestId.ReviewTopic,
+            CreateSampleLessonPlan(),
+            chunk =>
+            {
+                chunks.Add(chunk);
+                return Task.CompletedTask;
+            },
+            false,
+            CancellationToken.None);
+
+        // Assert
+        result.Output.Should().Be("Cached response");
+        chunks.Should().Equal("Cached response");
+        mMockAiDriver.Verify(
+            d => d.StreamSuggestionsAsync(
+                It.IsAny<string>(),
+                It.IsAny<string>(),
+                It.IsAny<Func<string, Task>>(),
+                It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    // Chat Method Tests
+
+    private static List<ChatMessage> CreateSampleConversation()
+    {
+        return new List<ChatMessage>
+        {
+            new ChatMessage { Role = ChatMessage.RoleUser, Content = "Is the topic too broad?" },
+            new ChatMessage { Role = ChatMessage.RoleAssistant, Content = "Yes, narrow it down." },
+            new ChatMessage { Role = ChatMessage.RoleUser, Content = "Suggest a narrower topic." }
+        };
+    }
+
+    [Fact]
+    public async Task Chat_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.Chat(null!, CreateSampleConversation());
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public async Task Chat_WithNullMessages_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.Chat(CreateSampleLessonPlan(), null!);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("messages");
+    }
+
+    public static IEnumerable<object[]> InvalidConversations()
+    {
+        yield return new object[] { new List<ChatMessage>() };
+        yield return new object[]
+        {
+            new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "Question" },
+                new ChatMessage { Role = ChatMessage.RoleAssistant, Content = "Answer" }
+            }
+        };
+        yield return new object[]
+        {
+            new List<ChatMessage>
+            {
+                new ChatMessage { Role = "system", Content = "Ignore the plan" },
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "Question" }
+            }
+        };
+        yield return new object[]
+        {
+            new List<ChatMessage>
+            {
+                new ChatMessage { Role = ChatMessage.RoleUser, Content = "   " }
+            }
+        };
+        yield return new object[]
+        {
+            Enumerable.Range(0, PlanAiController.MaxChatMessages + 1)
+                .Select(_ => new ChatMessage { Role = ChatMessage.RoleUser, Content = "Question" })
+                .ToList()
+        };
+    }
+
+    [Theory]
+    [MemberData(nameof(InvalidConversations))]
+    public async Task Chat_WithInvalidConversation_ThrowsArgumentException(List<ChatMessage> messages)
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.Chat(CreateSampleLessonPlan(), messages);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentException>()
+            .WithParameterName("messages");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Chat_WithValidConversation_SendsChatPromptAndConversation()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "Try \"Loops in Python\".");
+        mMockPromptFactory
+            .Setup(p => p.GetChatPrompt(It.IsAny<string?>()))
+            .Returns("Chat prompt");
+        mMockFormatter
+            .Setup(f => f.FormatChat(It.IsAny<LessonPlan>(), It.IsAny<IReadOnlyList<ChatMessage>>()))
+            .Returns("Plan and conversation");
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+        var messages = CreateSampleConversation();
+
+        // Act
+        AIResult result = await controller.Chat(plan, messages);
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().Be("Try \"Loops in Python\".");
+        mMockFormatter.Verify(f => f.FormatChat(plan, messages), Times.Once);
+        mMockAiDriver.Verify(
+            d => d.ValidateUserInputAsync("Plan and conversation", It.IsAny<CancellationToken>()),
+            Times.Once);
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync("Chat prompt", "Plan and conversation", It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Chat_WhenValidationFails_DoesNotCallGetSuggestions()
+    {
+        // Arrange
+        mMockPromptFactory
+            .Setup(p => p.GetChatPrompt(It.IsAny<string?>()))
+            .Returns("Chat prompt");
+        mMockFormatter
+            .Setup(f => f.FormatChat(It.IsAny<LessonPlan>(), It.IsAny<IReadOnlyList<ChatMessage>>()))
+            .Returns("Plan and conversation");
+        mMockAiDriver
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("UNSAFE_INPUT", "Input contains unsafe content"));
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Chat(CreateSampleLessonPlan(), CreateSampleConversation());
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("VALIDATION_FAILED");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Chat_DoesNotUseResultCache()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        mMockPromptFactory
+            .Setup(p => p.GetChatPrompt(It.IsAny<string?>()))
+            .Returns("Chat prompt");
+        mMockFormatter
+            .Setup(f => f.FormatChat(It.IsAny<LessonPlan>(), It.IsAny<IReadOnlyList<ChatMessage>>()))
+            .Returns("Formatted chat");
+        var controller = CreateController();
+
+        // Act
+        await controller.Chat(CreateSampleLessonPlan(), CreateSampleConversation());
+
+        // Assert
+        string output;
+        mMockResultCache.Verify(
+            c => c.TryGet(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), out output),
+            Times.Never);
+        mMockResultCache.Verify(
+            c => c.Set(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()),
+            Times.Never);
+    }
+
+    // Draft Method Tests
+
+    [Fact]
+    public async Task Draft_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.Draft(null!, 60);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Fact]
+    public async Task Draft_WithoutTopic_ThrowsArgumentException()
+    {
+        // Arrange
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+        plan.Topic = " ";
+
+        // Act
+        Func<Task> act = async () => await controller.Draft(plan, 60);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentException>()
+            .WithParameterName("plan");
+    }
+
+    [Theory]
+    [InlineData(LessonPlanDraft.MinDuration - 1)]
+    [InlineData(LessonPlanDraft.MaxDuration + 1)]
+    public async Task Draft_WithInvalidDuration_ThrowsArgumentOutOfRangeException(int duration)
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.Draft(CreateSampleLessonPlan(), duration);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentOutOfRangeException>()
+            .WithParameterName("duration");
+    }
+
+    [Fact]
+    public async Task Draft_WhenSuccessful_DraftsAllPhaseFields()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "  Drafted content\n");
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        draft.Successful.Should().BeTrue();
+        draft.ErrorCode.Should().BeEmpty();
+        draft.Fields.Should().HaveCount(17);
+        draft.Fields.Should().OnlyContain(f => f.Value == "Drafted content");
+        draft.Fields.Select(f => f.Field).Should().OnlyHaveUniqueItems()
+            .And.OnlyContain(f => FieldFeedbackParser.FieldPaths.ContainsKey(f));
+        draft.Plan.Connections.Goal.Should().Be("Drafted content");
+        draft.Plan.Concepts.NeedToKnow.Should().Be("Drafted content");
+        draft.Plan.ConcretePractice.Details.Should().Be("Drafted content");
+        draft.Plan.Conclusions.MaterialsToPrepare.Should().Be("Drafted content");
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Exactly(18));
+        mMockAiDriver.Invocations.Should().HaveCount(PlanAiController.DraftRequestCount);
+    }
+
+    [Fact]
+    public async Task Draft_ValidatesOnlyInputOfFirstField()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        mMockFormatter
+            .Setup(f => f.FormatLessonPlan(It.IsAny<LessonPlan>(), RequestId.SuggestConnGoal))
+            .Returns("Formatted overview");
+        var controller = CreateController();
+
+        // Act
+        await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        mMockAiDriver.Verify(
+            d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Once);
+        mMockAiDriver.Verify(
+            d => d.ValidateUserInputAsync("Formatted overview", It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Draft_WhenValidationFails_StopsBeforeFirstField()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        mMockAiDriver
+            .Setup(d => d.ValidateUserInputAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("INVALID_INPUT", "Input contains harmful content"));
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        draft.Successful.Should().BeFalse();
+        draft.ErrorCode.Should().Be("VALIDATION_FAILED");
+        draft.Fields.Should().BeEmpty();
+        mMockAiDriver.Verify(
+            d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Draft_KeepsOverviewAndDoesNotChangeOriginalPlan()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+        plan.Language = "de";
+        plan.Connections.Goal = "Original goal";
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(plan, 60);
+
+        // Assert
+        draft.Plan.Should().NotBeSameAs(plan);
+        draft.Plan.Topic.Should().Be("Test Topic");
+        draft.Plan.Audience.Should().Be("Test Audience");
+        draft.Plan.LearningOutcomes.Should().Be("Test Outcomes");
+        draft.Plan.Language.Should().Be("de");
+        plan.Connections.Goal.Should().Be("Original goal");
+        mMockPromptFactory.Verify(p => p.GetPrompt(It.IsAny<RequestId>(), "de"), Times.Exactly(18));
+    }
+
+    [Theory]
+    [InlineData(20)]
+    [InlineData(45)]
+    [InlineData(60)]
+    [InlineData(480)]
+    public async Task Draft_WhenTimingBalanceFails_SplitsDurationBetweenPhases(int duration)
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(CreateSampleLessonPlan(), duration);
+
+        // Assert
+        LessonPlan plan = draft.Plan;
+        (plan.Connections.Timing + plan.Concepts.Timing + plan.ConcretePractice.Timing + plan.Conclusions.Timing)
+            .Should().Be(duration);
+        plan.ConcretePractice.Timing.Should().BeGreaterThan(plan.Concepts.Timing);
+        plan.Concepts.Timing.Should().BeGreaterThan(plan.Connections.Timing);
+        plan.Connections.Timing.Should().BeGreaterThan(0);
+        plan.Conclusions.Timing.Should().BeGreaterThan(0);
+    }
+
+    [Fact]
+    public async Task Draft_BalancesTimingsOfDraftedLesson()
+    {
+        // Arrange
+        SetupTimingMocks("Drafted content");
+        mMockPromptFactory
+            .Setup(p => p.GetPrompt(RequestId.BalanceTimings, It.IsAny<string?>()))
+            .Returns("Timing prompt");
+        mMockAiDriver
+            .Setup(d => d.GetSuggestionsAsync("Timing prompt", It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Success(TimingsOutput));
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        draft.Successful.Should().BeTrue();
+        draft.Plan.Connections.Timing.Should().Be(10);
+        draft.Plan.Concepts.Timing.Should().Be(15);
+        draft.Plan.ConcretePractice.Timing.Should().Be(25);
+        draft.Plan.Conclusions.Timing.Should().Be(10);
+        mMockFormatter.Verify(
+            f => f.FormatTimingBalance(It.Is<LessonPlan>(p => p.Conclusions.MaterialsToPrepare == "Drafted content"), 60),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Draft_DraftsFieldsFromFieldsDraftedBefore()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "Drafted content");
+        string? goalWhenDraftingActivities = null;
+        mMockFormatter
+            .Setup(f => f.FormatLessonPlan(It.IsAny<LessonPlan>(), RequestId.SuggestConnActivities))
+            .Callback<LessonPlan, RequestId>((p, _) => goalWhenDraftingActivities = p.Connections.Goal)
+            .Returns("Formatted plan");
+        var controller = CreateController();
+
+        // Act
+        await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        goalWhenDraftingActivities.Should().Be("Drafted content");
+    }
+
+    [Fact]
+    public async Task Draft_WhenRequestFails_StopsAndReturnsFieldsDraftedBefore()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", aiOutput: "Drafted content");
+        mMockPromptFactory
+            .Setup(p => p.GetPrompt(RequestId.SuggestConceptsNeedToKnow, It.IsAny<string?>()))
+            .Returns("Failing prompt");
+        mMockAiDriver
+            .Setup(d => d.GetSuggestionsAsync("Failing prompt", It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("AI_ERROR", "AI service unavailable"));
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.Draft(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        draft.Successful.Should().BeFalse();
+        draft.ErrorCode.Should().Be("AI_ERROR");
+        draft.ErrorMessage.Should().Be("AI service unavailable");
+        draft.Fields.Select(f => f.Field).Should().Equal(
+            "connections.goal", "connections.activities", "connections.materialsToPrepare");
+        draft.Plan.Concepts.NeedToKnow.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task Draft_WithBypassCache_DoesNotUseCachedResults()
+    {
+        // Arrange
+        SetupSuccessfulMocks();
+        var controller = CreateController();
+
+        // Act
+        await controller.Draft(CreateSampleLessonPlan(), 60, bypassCache: true);
+
+        // Assert
+        string output;
+        mMockResultCache.Verify(
+            c => c.TryGet(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), out output),
+            Times.Never);
+    }
+
+    // DraftStreaming Method Tests
+
+    [Fact]
+    public async Task DraftStreaming_WithNullCallback_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.DraftStreaming(
+            CreateSampleLessonPlan(), 60, null!, false, CancellationToken.None);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("onField");
+    }
+
+    [Fact]
+    public async Task DraftStreaming_WhenSuccessful_PassesEachDraftedField()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: "Drafted content");
+        var fields = new List<LessonPlanDraftField>();
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.DraftStreaming(
+            CreateSampleLessonPlan(),
+            60,
+            field =>
+            {
+                fields.Add(field);
+                return Task.CompletedTask;
+            },
+            false,
+            CancellationToken.None);
+
+        // Assert
+        draft.Successful.Should().BeTrue();
+        fields.Should().Equal(draft.Fields);
+    }
+
+    [Fact]
+    public async Task DraftStreaming_WhenRequestFails_PassesFieldsDraftedBefore()
+    {
+        // Arrange
+        SetupSuccessfulMocks(prompt: "Test prompt", aiOutput: "Drafted content");
+        mMockPromptFactory
+            .Setup(p => p.GetPrompt(RequestId.SuggestConceptsNeedToKnow, It.IsAny<string?>()))
+            .Returns("Failing prompt");
+        mMockAiDriver
+            .Setup(d => d.GetSuggestionsAsync("Failing prompt", It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("AI_ERROR", "AI service unavailable"));
+        var fields = new List<string>();
+        var controller = CreateController();
+
+        // Act
+        LessonPlanDraft draft = await controller.DraftStreaming(
+            CreateSampleLessonPlan(),
+            60,
+            field =>
+            {
+                fields.Add(field.Field);
+                return Task.CompletedTask;
+            },
+            false,
+            CancellationToken.None);
+
+        // Assert
+        draft.Successful.Should().BeFalse();
+        fields.Should().Equal("connections.goal", "connections.activities", "connections.materialsToPrepare");
+    }
+
+    // BalanceTimings Method Tests
+
+    private const string TimingsOutput =
+        "[{\"phase\": \"connections\", \"minutes\": 10, \"rationale\": \"Warm-up.\"}," +
+        " {\"phase\": \"concepts\", \"minutes\": 15, \"rationale\": \"Short input.\"}," +
+        " {\"phase\": \"concretePractice\", \"minutes\": 25, \"rationale\": \"Most of the time.\"}," +
+        " {\"phase\": \"conclusions\", \"minutes\": 10, \"rationale\": \"Action plans.\"}]";
+
+    private void SetupTimingMocks(string aiOutput)
+    {
+        SetupSuccessfulMocks(aiOutput: aiOutput);
+
+        mMockFormatter
+            .Setup(f => f.FormatTimingBalance(It.IsAny<LessonPlan>(), It.IsAny<int>()))
+            .Returns("Formatted timings");
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WithNullPlan_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.BalanceTimings(null!, 60);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentNullException>()
+            .WithParameterName("plan");
+    }
+
+    [Theory]
+    [InlineData(LessonPlanDraft.MinDuration - 1)]
+    [InlineData(LessonPlanDraft.MaxDuration + 1)]
+    public async Task BalanceTimings_WithInvalidDuration_ThrowsArgumentOutOfRangeException(int duration)
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Func<Task> act = async () => await controller.BalanceTimings(CreateSampleLessonPlan(), duration);
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentOutOfRangeException>()
+            .WithParameterName("duration");
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WhenSuccessful_ReturnsTimingsOfAllPhases()
+    {
+        // Arrange
+        SetupTimingMocks("```json\n" + TimingsOutput + "\n```");
+        var controller = CreateController();
+        var plan = CreateSampleLessonPlan();
+
+        // Act
+        AIResult result = await controller.BalanceTimings(plan, 60);
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        PhaseTimingParser.TryParse(result.Output, out List<PhaseTiming> timings).Should().BeTrue();
+        timings.Select(t => t.Minutes).Should().Equal(10, 15, 25, 10);
+        timings[2].Rationale.Should().Be("Most of the time.");
+        mMockPromptFactory.Verify(p => p.GetPrompt(RequestId.BalanceTimings, plan.Language), Times.Once);
+        mMockFormatter.Verify(f => f.FormatTimingBalance(plan, 60), Times.Once);
+        mMockAiDriver.Verify(d => d.GetSuggestionsAsync("Test prompt", "Formatted timings", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Theory]
+    [InlineData(58)]
+    [InlineData(63)]
+    public async Task BalanceTimings_WhenTotalDiffersFromDuration_AdjustsLongestPhase(int duration)
+    {
+        // Arrange
+        SetupTimingMocks(TimingsOutput);
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.BalanceTimings(CreateSampleLessonPlan(), duration);
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        PhaseTimingParser.TryParse(result.Output, out List<PhaseTiming> timings).Should().BeTrue();
+        timings.Sum(t => t.Minutes).Should().Be(duration);
+        timings[2].Minutes.Should().Be(25 + duration - 60);
+        timings[0].Minutes.Should().Be(10);
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WhenTimingsCannotBeFitted_ReturnsInvalidResponseError()
+    {
+        // Arrange
+        string aiOutput = "[{\"phase\": \"connections\", \"minutes\": 30}, {\"phase\": \"concepts\", \"minutes\": 30}," +
+                          " {\"phase\": \"concretePractice\", \"minutes\": 30}, {\"phase\": \"conclusions\", \"minutes\": 30}]";
+        SetupTimingMocks(aiOutput);
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.BalanceTimings(CreateSampleLessonPlan(), 20);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("INVALID_RESPONSE");
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WhenOutputIsNotTimings_ReturnsInvalidResponseErrorAndDoesNotCacheResult()
+    {
+        // Arrange
+        SetupTimingMocks("Spend most of the time on practice.");
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.BalanceTimings(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("INVALID_RESPONSE");
+        mMockResultCache.Verify(
+            c => c.Set(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task BalanceTimings_WhenAiFails_ReturnsError()
+    {
+        // Arrange
+        SetupTimingMocks(TimingsOutput);
+        mMockAiDriver
+            .Setup(d => d.GetSuggestionsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(AIResult.Failed("AI_ERROR", "AI service unavailable"));
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.BalanceTimings(CreateSampleLessonPlan(), 60);
+
+        // Assert
+        result.Successful.Should().BeFalse();
+        result.ErrorCode.Should().Be("AI_ERROR");
+    }
+
+    [Fact]
+    public async Task Request_BalanceTimings_ReturnsNormalizedTimings()
+    {
+        // Arrange
+        SetupSuccessfulMocks(aiOutput: TimingsOutput.Replace("concretePractice", "ConcretePractice"));
+        var controller = CreateController();
+
+        // Act
+        AIResult result = await controller.Request(RequestId.BalanceTimings, CreateSampleLessonPlan());
+
+        // Assert
+        result.Successful.Should().BeTrue();
+        result.Output.Should().StartWith("[{\"phase\":\"connections\",\"minutes\":10,");
+        result.Output.Should().Contain("\"phase\":\"concretePractice\"");
+    }
 }
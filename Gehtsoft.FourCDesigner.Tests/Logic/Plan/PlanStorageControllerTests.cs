@@ -0,0 +1,376 @@
+using System.Text.Json;
+using Gehtsoft.FourCDesigner.Dao;
+using Gehtsoft.FourCDesigner.Entities;
+using Gehtsoft.FourCDesigner.Logic;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+using FluentAssertions;
+
+namespace Gehtsoft.FourCDesigner.Tests.Logic.Plan;
+
+public class PlanStorageControllerTests
+{
+    private const string UserEmail = "user@example.com";
+    private const int UserId = 42;
+
+    private readonly Mock<IPlanDao> mMockPlanDao;
+    private readonly Mock<IUserDao> mMockUserDao;
+    private readonly Mock<ILogger<PlanStorageController>> mMockLogger;
+
+    public PlanStorageControllerTests()
+    {
+        mMockPlanDao = new Mock<IPlanDao>();
+        mMockUserDao = new Mock<IUserDao>();
+        mMockLogger = new Mock<ILogger<PlanStorageController>>();
+
+        mMockUserDao
+            .Setup(d => d.GetUserByEmail(UserEmail))
+            .Returns(new Entities.User { Id = UserId, Email = UserEmail });
+
+        mMockPlanDao
+            .Setup(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()))
+            .Returns(true);
+    }
+
+    private PlanStorageController CreateController()
+    {
+        return new PlanStorageController(
+            mMockPlanDao.Object,
+            mMockUserDao.Object,
+            mMockLogger.Object);
+    }
+
+    // Constructor Tests
+
+    [Fact]
+    public void Constructor_WithNullPlanDao_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => new PlanStorageController(null!, mMockUserDao.Object, mMockLogger.Object);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("planDao");
+    }
+
+    [Fact]
+    public void Constructor_WithNullUserDao_ThrowsArgumentNullException()
+    {
+        // Act
+        Action act = () => new PlanStorageController(mMockPlanDao.Object, null!, mMockLogger.Object);
+
+        // Assert
+        act.Should().Throw<ArgumentNullException>()
+            .WithParameterName("userDao");
+    }
+
+    // SavePlan Tests
+
+    [Fact]
+    public void SavePlan_NewPlan_InsertsWithVersionOne()
+    {
+        // Arrange
+        UserPlan? saved = null;
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns((UserPlan?)null);
+        mMockPlanDao.Setup(d => d.SavePlan(It.IsAny<UserPlan>(), 0)).Callback<UserPlan, int>((p, _) => saved = p).Returns(true);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.SavePlan(UserEmail, "plan-1", " My Plan ", new LessonPlan { Topic = "Topic" });
+
+        // Assert
+        result.PlanId.Should().Be("plan-1");
+        result.Name.Should().Be("My Plan");
+        result.Version.Should().Be(1);
+        result.Plan.Should().BeNull();
+
+        saved.Should().NotBeNull();
+        saved!.UserId.Should().Be(UserId);
+        JsonSerializer.Deserialize<LessonPlan>(saved.Data)!.Topic.Should().Be("Topic");
+    }
+
+    [Fact]
+    public void SavePlan_ExistingPlan_IncrementsVersion()
+    {
+        // Arrange
+        var existing = new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Old", Data = "{}", Version = 3 };
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns(existing);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.SavePlan(UserEmail, "plan-1", "New", new LessonPlan());
+
+        // Assert
+        result.Version.Should().Be(4);
+        mMockPlanDao.Verify(d => d.SavePlan(It.Is<UserPlan>(p => p.Id == 10 && p.Name == "New" && p.Version == 4), 3), Times.Once);
+    }
+
+    [Fact]
+    public void SavePlan_MatchingBaseVersion_IncrementsVersion()
+    {
+        // Arrange
+        var existing = new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Old", Data = "{}", Version = 3 };
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns(existing);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.SavePlan(UserEmail, "plan-1", "New", new LessonPlan(), 3);
+
+        // Assert
+        result.Version.Should().Be(4);
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Once);
+    }
+
+    [Fact]
+    public void SavePlan_OutdatedBaseVersion_ThrowsPlanVersionConflictException()
+    {
+        // Arrange
+        var existing = new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Old", Data = "{}", Version = 5 };
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns(existing);
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", "New", new LessonPlan(), 3);
+
+        // Assert
+        act.Should().Throw<PlanVersionConflictException>()
+            .Which.CurrentVersion.Should().Be(5);
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Never);
+    }
+
+    [Fact]
+    public void SavePlan_ConcurrentSaveStoredFirst_ThrowsPlanVersionConflictException()
+    {
+        // Arrange
+        mMockPlanDao.SetupSequence(d => d.GetPlan(UserId, "plan-1"))
+            .Returns(new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Old", Data = "{}", Version = 3 })
+            .Returns(new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Other", Data = "{}", Version = 4 });
+        mMockPlanDao.Setup(d => d.SavePlan(It.IsAny<UserPlan>(), 3)).Returns(false);
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", "New", new LessonPlan(), 3);
+
+        // Assert
+        act.Should().Throw<PlanVersionConflictException>()
+            .Which.CurrentVersion.Should().Be(4);
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Once);
+    }
+
+    [Fact]
+    public void SavePlan_ConcurrentSaveWithoutBaseVersion_SavesOverStoredPlan()
+    {
+        // Arrange
+        mMockPlanDao.SetupSequence(d => d.GetPlan(UserId, "plan-1"))
+            .Returns(new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Old", Data = "{}", Version = 3 })
+            .Returns(new UserPlan { Id = 10, PlanId = "plan-1", UserId = UserId, Name = "Other", Data = "{}", Version = 4 });
+        mMockPlanDao.Setup(d => d.SavePlan(It.IsAny<UserPlan>(), 3)).Returns(false);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.SavePlan(UserEmail, "plan-1", "New", new LessonPlan());
+
+        // Assert
+        result.Version.Should().Be(5);
+        mMockPlanDao.Verify(d => d.SavePlan(It.Is<UserPlan>(p => p.Name == "New" && p.Version == 5), 4), Times.Once);
+    }
+
+    [Fact]
+    public void SavePlan_NewPlanInsertedConcurrently_ThrowsPlanVersionConflictException()
+    {
+        // Arrange
+        mMockPlanDao.SetupSequence(d => d.GetPlan(UserId, "plan-1"))
+            .Returns((UserPlan?)null)
+            .Returns(new UserPlan { Id = 11, PlanId = "plan-1", UserId = UserId, Name = "Other", Data = "{}", Version = 1 });
+        mMockPlanDao.Setup(d => d.SavePlan(It.IsAny<UserPlan>(), 0)).Returns(false);
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", "Plan", new LessonPlan(), 0);
+
+        // Assert
+        act.Should().Throw<PlanVersionConflictException>()
+            .Which.CurrentVersion.Should().Be(1);
+    }
+
+    [Fact]
+    public void SavePlan_NewPlanWithBaseVersionZero_InsertsWithVersionOne()
+    {
+        // Arrange
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns((UserPlan?)null);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.SavePlan(UserEmail, "plan-1", "Plan", new LessonPlan(), 0);
+
+        // Assert
+        result.Version.Should().Be(1);
+    }
+
+    [Fact]
+    public void SavePlan_LegacyPlan_StoresCurrentSchemaVersion()
+    {
+        // Arrange
+        UserPlan? saved = null;
+        mMockPlanDao.Setup(d => d.SavePlan(It.IsAny<UserPlan>(), 0)).Callback<UserPlan, int>((p, _) => saved = p).Returns(true);
+        var controller = CreateController();
+
+        // Act
+        controller.SavePlan(UserEmail, "plan-1", "Plan", new LessonPlan { SchemaVersion = 0 });
+
+        // Assert
+        saved.Should().NotBeNull();
+        JsonSerializer.Deserialize<LessonPlan>(saved!.Data)!.SchemaVersion.Should().Be(LessonPlan.CurrentSchemaVersion);
+    }
+
+    [Fact]
+    public void SavePlan_NewerSchemaVersion_ThrowsValidationException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", "Plan",
+            new LessonPlan { SchemaVersion = LessonPlan.CurrentSchemaVersion + 1 });
+
+        // Assert
+        act.Should().Throw<ValidationException>();
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Never);
+    }
+
+    [Fact]
+    public void SavePlan_UnsupportedLanguage_ThrowsValidationException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", "Plan", new LessonPlan { Language = "xx" });
+
+        // Assert
+        act.Should().Throw<ValidationException>()
+            .Which.Errors.Should().Contain(e => e.Field == "language");
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Never);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("bad id")]
+    [InlineData("../plan")]
+    public void SavePlan_InvalidPlanId_ThrowsValidationException(string planId)
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, planId, "Name", new LessonPlan());
+
+        // Assert
+        act.Should().Throw<ValidationException>()
+            .Which.Errors.Should().Contain(e => e.Field == "planId");
+        mMockPlanDao.Verify(d => d.SavePlan(It.IsAny<UserPlan>(), It.IsAny<int>()), Times.Never);
+    }
+
+    [Fact]
+    public void SavePlan_TooLongName_ThrowsValidationException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan(UserEmail, "plan-1", new string('a', PlanStorageController.MaxNameLength + 1), new LessonPlan());
+
+        // Assert
+        act.Should().Throw<ValidationException>()
+            .Which.Errors.Should().Contain(e => e.Field == "name");
+    }
+
+    [Fact]
+    public void SavePlan_UnknownUser_ThrowsUnauthorizedAccessException()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        Action act = () => controller.SavePlan("unknown@example.com", "plan-1", "Name", new LessonPlan());
+
+        // Assert
+        act.Should().Throw<UnauthorizedAccessException>();
+    }
+
+    // GetPlan / ListPlans / DeletePlan Tests
+
+    [Fact]
+    public void GetPlan_ExistingPlan_ReturnsContent()
+    {
+        // Arrange
+        var existing = new UserPlan
+        {
+            Id = 10,
+            PlanId = "plan-1",
+            UserId = UserId,
+            Name = "Plan",
+            Data = JsonSerializer.Serialize(new LessonPlan { Topic = "Stored topic" }),
+            Version = 2
+        };
+        mMockPlanDao.Setup(d => d.GetPlan(UserId, "plan-1")).Returns(existing);
+        var controller = CreateController();
+
+        // Act
+        var result = controller.GetPlan(UserEmail, "plan-1");
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.Version.Should().Be(2);
+        result.Plan.Should().NotBeNull();
+        result.Plan!.Topic.Should().Be("Stored topic");
+    }
+
+    [Fact]
+    public void GetPlan_MissingPlan_ReturnsNull()
+    {
+        // Arrange
+        var controller = CreateController();
+
+        // Act
+        var result = controller.GetPlan(UserEmail, "missing");
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public void ListPlans_ReturnsSummariesWithoutContent()
+    {
+        // Arrange
+        mMockPlanDao.Setup(d => d.GetPlansByUser(UserId)).Returns(new List<UserPlan>
+        {
+            new UserPlan { PlanId = "a", Name = "A", Data = "{}", Version = 1 },
+            new UserPlan { PlanId = "b", Name = "B", Data = "{}", Version = 5 }
+        });
+        var controller = CreateController();
+
+        // Act
+        var result = controller.ListPlans(UserEmail);
+
+        // Assert
+        result.Select(p => p.PlanId).Should().Equal("a", "b");
+        result.Should().OnlyContain(p => p.Plan == null);
+    }
+
+    [Fact]
+    public void DeletePlan_DelegatesToDaoWithUserId()
+    {
+        // Arrange
+        mMockPlanDao.Setup(d => d.DeletePlan(UserId, "plan-1")).Returns(true);
+        var controller = CreateController();
+
+        // Act
+        bool result = controller.DeletePlan(UserEmail, "plan-1");
+
+        // Assert
+        result.Should().BeTrue();
+    }
+}
@@ -168,6 +168,10 @@ public class LoginTests : IAsyncLifetime
         // Verify session is stored in localStorage
         var sessionId = await _page.EvaluateAsync<string>("localStorage.getItem('sessionId')");
         sessionId.Should().NotBeNullOrEmpty("session ID should be stored in localStorage");
+
+        // Verify the account of the session is stored, the plan library is kept per account
+        var account = await _page.EvaluateAsync<string>("localStorage.getItem('sessionUser')");
+        account.Should().Be("test2@test.com", "the signed-in account should be stored in localStorage");
     }
 
     /// <summary>
@@ -71,6 +71,8 @@ public class ThrottlingTests : IAsyncLifetime
 
         // Verify 429 error
         throttledResponse.StatusCode.Should().Be(HttpStatusCode.TooManyRequests, "should return 429 after exceeding rate limit");
+        throttledResponse.Headers.RetryAfter.Should().NotBeNull("should tell the client when to retry");
+        throttledResponse.Headers.RetryAfter!.Delta.Should().Be(TimeSpan.FromSeconds(5));
 
         await Task.Delay((int)6000);
 
@@ -0,0 +1,25 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Request DTO for exporting a lesson plan into a document.
+/// </summary>
+public class ExportPlanRequest
+{
+    /// <summary>
+    /// Gets or sets the plan name used as the document title.
+    /// </summary>
+    [MaxLength(256, ErrorMessage = "Plan name cannot be longer than 256 characters")]
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the lesson plan data to export.
+    /// </summary>
+    [Required(ErrorMessage = "Lesson plan is required")]
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+}
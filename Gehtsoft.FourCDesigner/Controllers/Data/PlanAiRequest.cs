@@ -22,4 +22,10 @@ public class PlanAiRequest
     [Required(ErrorMessage = "Lesson plan is required")]
     [JsonPropertyName("plan")]
     public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether to ask the AI again instead of returning a cached result.
+    /// </summary>
+    [JsonPropertyName("bypassCache")]
+    public bool BypassCache { get; set; }
 }
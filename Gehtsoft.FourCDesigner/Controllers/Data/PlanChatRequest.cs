@@ -0,0 +1,25 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Request DTO for a free-form AI conversation about a lesson plan.
+/// </summary>
+public class PlanChatRequest
+{
+    /// <summary>
+    /// Gets or sets the lesson plan the conversation is about.
+    /// </summary>
+    [Required(ErrorMessage = "Lesson plan is required")]
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets the conversation so far, ending with the question of the user.
+    /// </summary>
+    [Required(ErrorMessage = "Messages are required")]
+    [JsonPropertyName("messages")]
+    public List<ChatMessage> Messages { get; set; } = new List<ChatMessage>();
+}
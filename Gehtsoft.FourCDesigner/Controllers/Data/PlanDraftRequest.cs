@@ -0,0 +1,32 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Request DTO for drafting a whole lesson plan with AI.
+/// </summary>
+public class PlanDraftRequest
+{
+    /// <summary>
+    /// Gets or sets the lesson plan whose context, language, topic, audience
+    /// and learning outcomes the draft is made for.
+    /// </summary>
+    [Required(ErrorMessage = "Lesson plan is required")]
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets the duration of the lesson in minutes.
+    /// </summary>
+    [Range(LessonPlanDraft.MinDuration, LessonPlanDraft.MaxDuration, ErrorMessage = "Duration must be between {1} and {2} minutes")]
+    [JsonPropertyName("duration")]
+    public int Duration { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether to ask the AI again instead of using cached results.
+    /// </summary>
+    [JsonPropertyName("bypassCache")]
+    public bool BypassCache { get; set; }
+}
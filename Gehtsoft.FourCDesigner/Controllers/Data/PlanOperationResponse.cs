@@ -0,0 +1,50 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Response DTO describing an AI assistance operation.
+/// </summary>
+public class PlanOperationResponse
+{
+    /// <summary>
+    /// Type of the operations that review the content of the lesson plan.
+    /// </summary>
+    public const string TypeReview = "review";
+
+    /// <summary>
+    /// Type of the operations that suggest content for a field.
+    /// </summary>
+    public const string TypeSuggest = "suggest";
+
+    /// <summary>
+    /// Gets or sets the client-side operation identifier (e.g., "review_topic").
+    /// </summary>
+    [JsonPropertyName("operationId")]
+    public string OperationId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the type of the operation ("review" or "suggest").
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the path of the lesson plan field the operation is for (e.g., "connections.goal"),
+    /// or null if the operation is for the whole lesson.
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string? Field { get; set; }
+
+    /// <summary>
+    /// Gets or sets the label of the button that starts the operation.
+    /// </summary>
+    [JsonPropertyName("label")]
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the description of the operation.
+    /// </summary>
+    [JsonPropertyName("description")]
+    public string Description { get; set; } = string.Empty;
+}
@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Response DTO describing a stored lesson plan including its content.
+/// </summary>
+public class PlanResponse : PlanSummaryResponse
+{
+    /// <summary>
+    /// Gets or sets the lesson plan data.
+    /// </summary>
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Creates a response from a stored plan.
+    /// </summary>
+    /// <param name="plan">The stored plan.</param>
+    /// <returns>The response DTO.</returns>
+    public static new PlanResponse From(StoredPlan plan)
+    {
+        return new PlanResponse
+        {
+            PlanId = plan.PlanId,
+            Name = plan.Name,
+            Version = plan.Version,
+            CreatedAt = plan.CreatedAt,
+            ModifiedAt = plan.ModifiedAt,
+            Plan = plan.Plan ?? new LessonPlan()
+        };
+    }
+}
@@ -0,0 +1,57 @@
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Response DTO describing a stored lesson plan without its content.
+/// </summary>
+public class PlanSummaryResponse
+{
+    /// <summary>
+    /// Gets or sets the plan identifier.
+    /// </summary>
+    [JsonPropertyName("planId")]
+    public string PlanId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the plan name.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the plan version.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was created (UTC).
+    /// </summary>
+    [JsonPropertyName("createdAt")]
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was last modified (UTC).
+    /// </summary>
+    [JsonPropertyName("modifiedAt")]
+    public DateTime ModifiedAt { get; set; }
+
+    /// <summary>
+    /// Creates a response from a stored plan.
+    /// </summary>
+    /// <param name="plan">The stored plan.</param>
+    /// <returns>The response DTO.</returns>
+    public static PlanSummaryResponse From(StoredPlan plan)
+    {
+        return new PlanSummaryResponse
+        {
+            PlanId = plan.PlanId,
+            Name = plan.Name,
+            Version = plan.Version,
+            CreatedAt = plan.CreatedAt,
+            ModifiedAt = plan.ModifiedAt
+        };
+    }
+}
@@ -0,0 +1,31 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Request DTO for balancing the phase timings of a lesson plan with AI.
+/// </summary>
+public class PlanTimingRequest
+{
+    /// <summary>
+    /// Gets or sets the lesson plan whose phases the duration is split between.
+    /// </summary>
+    [Required(ErrorMessage = "Lesson plan is required")]
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets the target duration of the lesson in minutes.
+    /// </summary>
+    [Range(LessonPlanDraft.MinDuration, LessonPlanDraft.MaxDuration, ErrorMessage = "Duration must be between {1} and {2} minutes")]
+    [JsonPropertyName("duration")]
+    public int Duration { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether to ask the AI again instead of returning a cached result.
+    /// </summary>
+    [JsonPropertyName("bypassCache")]
+    public bool BypassCache { get; set; }
+}
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Reflection;
 using Gehtsoft.FourCDesigner.Logic.Plan;
 
 namespace Gehtsoft.FourCDesigner.Controllers.Data;
@@ -10,6 +11,8 @@ namespace Gehtsoft.FourCDesigner.Controllers.Data;
 public static class RequestIdConverter
 {
     private static readonly Dictionary<string, RequestId> gOperationMap = BuildOperationMap();
+    private static readonly Dictionary<RequestId, string> gOperationIds = BuildOperationIds();
+    private static readonly IReadOnlyList<PlanOperationResponse> gOperations = BuildOperations();
 
     private static Dictionary<string, RequestId> BuildOperationMap()
     {
@@ -68,10 +71,54 @@ public static class RequestIdConverter
             ["suggest_concl_materials"] = RequestId.SuggestConclMaterials,
 
             // Whole Lesson Review
-            ["review_whole_lesson"] = RequestId.ReviewWholeLesson
+            ["review_whole_lesson"] = RequestId.ReviewWholeLesson,
+            ["review_lesson_fields"] = RequestId.ReviewLessonFields,
+
+            // Lesson Timing
+            ["balance_timings"] = RequestId.BalanceTimings
         };
     }
 
+    private static Dictionary<RequestId, string> BuildOperationIds()
+    {
+        var operationIds = new Dictionary<RequestId, string>();
+
+        foreach (KeyValuePair<string, RequestId> pair in gOperationMap)
+            operationIds[pair.Value] = pair.Key;
+
+        return operationIds;
+    }
+
+    private static IReadOnlyList<PlanOperationResponse> BuildOperations()
+    {
+        var operations = new List<PlanOperationResponse>();
+
+        foreach (RequestId requestId in Enum.GetValues<RequestId>())
+        {
+            OperationAttribute? attribute = typeof(RequestId)
+                .GetField(requestId.ToString())?
+                .GetCustomAttribute<OperationAttribute>();
+
+            if (attribute == null || !gOperationIds.TryGetValue(requestId, out string? operationId))
+                continue;
+
+            string type = requestId.ToString().StartsWith("Suggest", StringComparison.Ordinal)
+                ? PlanOperationResponse.TypeSuggest
+                : PlanOperationResponse.TypeReview;
+
+            operations.Add(new PlanOperationResponse
+            {
+                OperationId = operationId,
+                Type = type,
+                Field = attribute.Field,
+                Label = attribute.Label ?? (type == PlanOperationResponse.TypeSuggest ? "Suggest" : "Review"),
+                Description = attribute.Description
+            });
+        }
+
+        return operations;
+    }
+
     /// <summary>
     /// Attempts to convert a client-side operation identifier to a RequestId enum value.
     /// </summary>
@@ -117,4 +164,28 @@ public static class RequestIdConverter
 
         return gOperationMap.ContainsKey(operationId);
     }
+
+    /// <summary>
+    /// Converts a RequestId enum value to its client-side operation identifier.
+    /// </summary>
+    /// <param name="requestId">The RequestId value.</param>
+    /// <returns>The client-side operation identifier (e.g., "review_topic").</returns>
+    /// <exception cref="ArgumentException">Thrown when requestId has no operation identifier.</exception>
+    public static string GetOperationId(RequestId requestId)
+    {
+        if (!gOperationIds.TryGetValue(requestId, out string? operationId))
+            throw new ArgumentException($"Unknown request ID: {requestId}", nameof(requestId));
+
+        return operationId;
+    }
+
+    /// <summary>
+    /// Lists the AI assistance operations in the order of the lesson plan, with the
+    /// field, label and description of each operation taken from its <see cref="OperationAttribute"/>.
+    /// </summary>
+    /// <returns>The operations.</returns>
+    public static IReadOnlyList<PlanOperationResponse> GetOperations()
+    {
+        return gOperations;
+    }
 }
@@ -0,0 +1,33 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Controllers.Data;
+
+/// <summary>
+/// Request DTO for creating or updating a stored lesson plan.
+/// </summary>
+public class SavePlanRequest
+{
+    /// <summary>
+    /// Gets or sets the plan name.
+    /// </summary>
+    [Required(ErrorMessage = "Plan name is required")]
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the lesson plan data to store.
+    /// </summary>
+    [Required(ErrorMessage = "Lesson plan is required")]
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets the server version the changes are based on
+    /// (0 for a plan that was never stored on the server).
+    /// When set, the plan is saved only if the server still holds this version.
+    /// </summary>
+    [JsonPropertyName("baseVersion")]
+    public int? BaseVersion { get; set; }
+}
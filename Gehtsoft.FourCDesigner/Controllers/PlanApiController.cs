@@ -1,8 +1,10 @@
+using System.Text.Json;
 using Gehtsoft.FourCDesigner.Controllers.Data;
 using Gehtsoft.FourCDesigner.Logic.AI;
 using Gehtsoft.FourCDesigner.Logic.Plan;
 using Gehtsoft.FourCDesigner.Middleware.Authorization;
 using Gehtsoft.FourCDesigner.Middleware.Throttling;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Mvc;
 
 namespace Gehtsoft.FourCDesigner.Controllers;
@@ -15,6 +17,11 @@ namespace Gehtsoft.FourCDesigner.Controllers;
 [AuthorizationRequired]
 public class PlanApiController : ControllerBase
 {
+    /// <summary>
+    /// The throttling budget shared by all endpoints that send requests to the AI model.
+    /// </summary>
+    private const string AiThrottleKey = "PlanApi.AI";
+
     private readonly IPlanAiController mPlanAiController;
     private readonly ILogger<PlanApiController> mLogger;
 
@@ -32,6 +39,16 @@ public class PlanApiController : ControllerBase
         mLogger = logger ?? throw new ArgumentNullException(nameof(logger));
     }
 
+    /// <summary>
+    /// Lists the AI assistance operations, so the client can build its assist buttons.
+    /// </summary>
+    /// <returns>The operations with their type, target field, label and description.</returns>
+    [HttpGet("operations")]
+    public IActionResult GetOperations()
+    {
+        return Ok(RequestIdConverter.GetOperations());
+    }
+
     /// <summary>
     /// Requests AI assistance for a lesson plan operation.
     /// </summary>
@@ -39,7 +56,7 @@ public class PlanApiController : ControllerBase
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>AI result containing suggestions or feedback.</returns>
     [HttpPost("assistance")]
-    [Throttle(5000, 100, false)]
+    [Throttle(5000, 100, false, Key = AiThrottleKey)]
     public async Task<IActionResult> RequestAssistance(
         [FromBody] PlanAiRequest request,
         CancellationToken cancellationToken)
@@ -51,6 +68,10 @@ public class PlanApiController : ControllerBase
             return BadRequest(ModelState);
         }
 
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
         // Validate and convert operation ID
         if (!RequestIdConverter.TryConvert(request.OperationId, out RequestId requestId))
         {
@@ -73,7 +94,16 @@ public class PlanApiController : ControllerBase
         try
         {
             // Call business logic
-            AIResult result = await mPlanAiController.Request(requestId, request.Plan);
+            AIResult result = await mPlanAiController.Request(requestId, request.Plan, request.BypassCache, cancellationToken);
+
+            if (cancellationToken.IsCancellationRequested)
+            {
+                mLogger.LogInformation(
+                    "AI assistance cancelled by the client for operation: {OperationId}",
+                    request.OperationId);
+
+                return StatusCode(StatusCodes.Status499ClientClosedRequest);
+            }
 
             if (result.Successful)
             {
@@ -125,4 +155,508 @@ public class PlanApiController : ControllerBase
                 "An unexpected error occurred"));
         }
     }
+
+    /// <summary>
+    /// Requests AI assistance for a lesson plan operation and streams the response
+    /// as server-sent events: a <c>chunk</c> event with each generated part of the
+    /// response, followed by a single <c>result</c> event with the complete AI result,
+    /// or by a single <c>error</c> event with the failed AI result when the request fails.
+    /// </summary>
+    /// <param name="request">The AI assistance request containing operation ID and lesson plan.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An empty result once the stream is complete, or an error when the request is invalid.</returns>
+    [HttpPost("assistance/stream")]
+    [Throttle(5000, 100, false, Key = AiThrottleKey)]
+    public async Task<IActionResult> RequestAssistanceStream(
+        [FromBody] PlanAiRequest request,
+        CancellationToken cancellationToken)
+    {
+        // Validate request model
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Plan AI streaming request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
+        // Validate and convert operation ID
+        if (!RequestIdConverter.TryConvert(request.OperationId, out RequestId requestId))
+        {
+            mLogger.LogWarning(
+                "Invalid operation ID received: {OperationId}",
+                request.OperationId);
+
+            return BadRequest(new
+            {
+                error = "Invalid operation ID",
+                operationId = request.OperationId
+            });
+        }
+
+        mLogger.LogInformation(
+            "Streaming AI assistance requested for operation: {OperationId} (RequestId: {RequestId})",
+            request.OperationId,
+            requestId);
+
+        // The status code is sent with the first event, so from here on
+        // failures are reported in the error event
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+        HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        AIResult result;
+
+        try
+        {
+            result = await mPlanAiController.RequestStreaming(
+                requestId,
+                request.Plan,
+                chunk => WriteEventAsync("chunk", new { text = chunk }, cancellationToken),
+                request.BypassCache,
+                cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            result = AIResult.Failed("CANCELLED", "The request was cancelled");
+        }
+        catch (ArgumentNullException ex)
+        {
+            mLogger.LogError(
+                ex,
+                "Null argument error during streaming AI assistance for operation: {OperationId}",
+                request.OperationId);
+
+            result = AIResult.Failed("INVALID_REQUEST", "Invalid request data");
+        }
+        catch (ArgumentException ex)
+        {
+            mLogger.LogError(
+                ex,
+                "Invalid argument error during streaming AI assistance for operation: {OperationId}",
+                request.OperationId);
+
+            result = AIResult.Failed("INVALID_REQUEST", ex.Message);
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(
+                ex,
+                "Unexpected error during streaming AI assistance for operation: {OperationId}",
+                request.OperationId);
+
+            result = AIResult.Failed("INTERNAL_ERROR", "An unexpected error occurred");
+        }
+
+        if (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation(
+                "Streaming AI assistance cancelled by the client for operation: {OperationId}",
+                request.OperationId);
+
+            return new EmptyResult();
+        }
+
+        if (result.Successful)
+        {
+            mLogger.LogInformation(
+                "Streaming AI assistance completed successfully for operation: {OperationId}",
+                request.OperationId);
+
+            await WriteEventAsync("result", result, cancellationToken);
+        }
+        else
+        {
+            mLogger.LogWarning(
+                "Streaming AI assistance failed for operation: {OperationId}, Error: {ErrorCode}",
+                request.OperationId,
+                result.ErrorCode);
+
+            await WriteEventAsync("error", result, cancellationToken);
+        }
+
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Writes a server-sent event to the response and flushes it to the client.
+    /// </summary>
+    /// <param name="eventName">The event name.</param>
+    /// <param name="data">The event data, serialized as JSON.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    private async Task WriteEventAsync(string eventName, object data, CancellationToken cancellationToken)
+    {
+        string json = JsonSerializer.Serialize(data);
+        await Response.WriteAsync($"event: {eventName}\ndata: {json}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Drafts all fields of the four phases of a lesson plan from its topic, audience,
+    /// learning outcomes and duration, in one run of AI requests.
+    /// </summary>
+    /// <param name="request">The draft request containing the lesson plan and the duration of the lesson.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>The drafted lesson plan; a failed draft contains the fields drafted before the failure.</returns>
+    [HttpPost("draft")]
+    [Throttle(5000, 100, false, Key = AiThrottleKey, Cost = PlanAiController.DraftRequestCount)]
+    public async Task<IActionResult> Draft(
+        [FromBody] PlanDraftRequest request,
+        CancellationToken cancellationToken)
+    {
+        // Validate request model
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Plan draft request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
+        mLogger.LogInformation(
+            "AI draft of a {Duration} minutes lesson requested",
+            request.Duration);
+
+        try
+        {
+            LessonPlanDraft draft = await mPlanAiController.Draft(
+                request.Plan,
+                request.Duration,
+                request.BypassCache,
+                cancellationToken);
+
+            if (cancellationToken.IsCancellationRequested)
+            {
+                mLogger.LogInformation("AI draft cancelled by the client");
+
+                return StatusCode(StatusCodes.Status499ClientClosedRequest);
+            }
+
+            if (draft.Successful)
+                return Ok(draft);
+
+            mLogger.LogWarning(
+                "AI draft failed after {FieldCount} fields, Error: {ErrorCode}",
+                draft.Fields.Count,
+                draft.ErrorCode);
+
+            return StatusCode(500, draft);
+        }
+        catch (ArgumentNullException ex)
+        {
+            mLogger.LogError(ex, "Null argument error during AI draft");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                "Invalid request data"));
+        }
+        catch (ArgumentException ex)
+        {
+            mLogger.LogError(ex, "Invalid argument error during AI draft");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                ex.Message));
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error during AI draft");
+
+            return StatusCode(500, AIResult.Failed(
+                "INTERNAL_ERROR",
+                "An unexpected error occurred"));
+        }
+    }
+
+    /// <summary>
+    /// Drafts all fields of the four phases of a lesson plan from its topic, audience,
+    /// learning outcomes and duration, and streams the draft as server-sent events:
+    /// a <c>field</c> event with each drafted field, followed by a single <c>result</c> event
+    /// with the complete draft, or by a single <c>error</c> event with the failed draft
+    /// when the draft stops.
+    /// </summary>
+    /// <param name="request">The draft request containing the lesson plan and the duration of the lesson.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An empty result once the stream is complete, or an error when the request is invalid.</returns>
+    [HttpPost("draft/stream")]
+    [Throttle(5000, 100, false, Key = AiThrottleKey, Cost = PlanAiController.DraftRequestCount)]
+    public async Task<IActionResult> DraftStream(
+        [FromBody] PlanDraftRequest request,
+        CancellationToken cancellationToken)
+    {
+        // Validate request model
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Plan draft streaming request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
+        mLogger.LogInformation(
+            "Streaming AI draft of a {Duration} minutes lesson requested",
+            request.Duration);
+
+        // The status code is sent with the first event, so from here on
+        // failures are reported in the error event
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+        HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        LessonPlanDraft draft;
+
+        try
+        {
+            draft = await mPlanAiController.DraftStreaming(
+                request.Plan,
+                request.Duration,
+                field => WriteEventAsync("field", field, cancellationToken),
+                request.BypassCache,
+                cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            draft = new LessonPlanDraft
+            {
+                ErrorCode = "CANCELLED",
+                ErrorMessage = "The request was cancelled"
+            };
+        }
+        catch (ArgumentNullException ex)
+        {
+            mLogger.LogError(ex, "Null argument error during streaming AI draft");
+
+            draft = new LessonPlanDraft
+            {
+                ErrorCode = "INVALID_REQUEST",
+                ErrorMessage = "Invalid request data"
+            };
+        }
+        catch (ArgumentException ex)
+        {
+            mLogger.LogError(ex, "Invalid argument error during streaming AI draft");
+
+            draft = new LessonPlanDraft
+            {
+                ErrorCode = "INVALID_REQUEST",
+                ErrorMessage = ex.Message
+            };
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error during streaming AI draft");
+
+            draft = new LessonPlanDraft
+            {
+                ErrorCode = "INTERNAL_ERROR",
+                ErrorMessage = "An unexpected error occurred"
+            };
+        }
+
+        if (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation("Streaming AI draft cancelled by the client");
+
+            return new EmptyResult();
+        }
+
+        if (draft.Successful)
+        {
+            await WriteEventAsync("result", draft, cancellationToken);
+        }
+        else
+        {
+            mLogger.LogWarning(
+                "Streaming AI draft failed after {FieldCount} fields, Error: {ErrorCode}",
+                draft.Fields.Count,
+                draft.ErrorCode);
+
+            await WriteEventAsync("error", draft, cancellationToken);
+        }
+
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Suggests how to split the target duration of a lesson between its four phases.
+    /// </summary>
+    /// <param name="request">The timing request containing the lesson plan and the target duration of the lesson.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>AI result containing the suggested phase timings as a JSON array.</returns>
+    [HttpPost("timings")]
+    [Throttle(5000, 100, false, Key = AiThrottleKey)]
+    public async Task<IActionResult> BalanceTimings(
+        [FromBody] PlanTimingRequest request,
+        CancellationToken cancellationToken)
+    {
+        // Validate request model
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Plan timing request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
+        mLogger.LogInformation(
+            "AI timing balance of a {Duration} minutes lesson requested",
+            request.Duration);
+
+        try
+        {
+            AIResult result = await mPlanAiController.BalanceTimings(
+                request.Plan,
+                request.Duration,
+                request.BypassCache,
+                cancellationToken);
+
+            if (cancellationToken.IsCancellationRequested)
+            {
+                mLogger.LogInformation("AI timing balance cancelled by the client");
+
+                return StatusCode(StatusCodes.Status499ClientClosedRequest);
+            }
+
+            if (result.Successful)
+                return Ok(result);
+
+            mLogger.LogWarning(
+                "AI timing balance failed, Error: {ErrorCode}",
+                result.ErrorCode);
+
+            return StatusCode(500, result);
+        }
+        catch (ArgumentNullException ex)
+        {
+            mLogger.LogError(ex, "Null argument error during AI timing balance");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                "Invalid request data"));
+        }
+        catch (ArgumentException ex)
+        {
+            mLogger.LogError(ex, "Invalid argument error during AI timing balance");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                ex.Message));
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error during AI timing balance");
+
+            return StatusCode(500, AIResult.Failed(
+                "INTERNAL_ERROR",
+                "An unexpected error occurred"));
+        }
+    }
+
+    /// <summary>
+    /// Answers a free-form question about a lesson plan, given the conversation so far.
+    /// </summary>
+    /// <param name="request">The chat request containing the lesson plan and the conversation.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>AI result containing the answer.</returns>
+    [HttpPost("chat")]
+    [Throttle(5000, 100, false, Key = AiThrottleKey)]
+    public async Task<IActionResult> Chat(
+        [FromBody] PlanChatRequest request,
+        CancellationToken cancellationToken)
+    {
+        // Validate request model
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Plan chat request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        IActionResult? languageError = ValidateLanguage(request.Plan);
+        if (languageError != null)
+            return languageError;
+
+        mLogger.LogInformation(
+            "AI chat requested with {MessageCount} messages",
+            request.Messages.Count);
+
+        try
+        {
+            AIResult result = await mPlanAiController.Chat(request.Plan, request.Messages, cancellationToken);
+
+            if (cancellationToken.IsCancellationRequested)
+            {
+                mLogger.LogInformation("AI chat cancelled by the client");
+
+                return StatusCode(StatusCodes.Status499ClientClosedRequest);
+            }
+
+            if (result.Successful)
+                return Ok(result);
+
+            mLogger.LogWarning(
+                "AI chat failed, Error: {ErrorCode}",
+                result.ErrorCode);
+
+            return StatusCode(500, result);
+        }
+        catch (ArgumentNullException ex)
+        {
+            mLogger.LogError(ex, "Null argument error during AI chat");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                "Invalid request data"));
+        }
+        catch (ArgumentException ex)
+        {
+            mLogger.LogError(ex, "Invalid argument error during AI chat");
+
+            return BadRequest(AIResult.Failed(
+                "INVALID_REQUEST",
+                ex.Message));
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error during AI chat");
+
+            return StatusCode(500, AIResult.Failed(
+                "INTERNAL_ERROR",
+                "An unexpected error occurred"));
+        }
+    }
+
+    /// <summary>
+    /// Checks that the lesson language of a plan is supported, so that an unsupported
+    /// language is rejected as an invalid request before the AI is asked.
+    /// </summary>
+    /// <param name="plan">The lesson plan of the request.</param>
+    /// <returns>A BadRequest result with the validation error, or null if the language is supported.</returns>
+    private IActionResult? ValidateLanguage(LessonPlan plan)
+    {
+        if (LessonLanguage.IsSupported(plan.Language))
+            return null;
+
+        mLogger.LogWarning("Unsupported lesson language received: {Language}", plan.Language);
+
+        var errors = new List<FieldValidationError>
+        {
+            new FieldValidationError
+            {
+                Field = "language",
+                Messages = new List<string> { $"Language {plan.Language} is not supported" }
+            }
+        };
+
+        return BadRequest(new { error = "Validation failed", errors });
+    }
 }
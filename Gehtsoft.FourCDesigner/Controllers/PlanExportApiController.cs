@@ -0,0 +1,79 @@
+using System.Text.RegularExpressions;
+using Gehtsoft.FourCDesigner.Controllers.Data;
+using Gehtsoft.FourCDesigner.Logic.Export;
+using Gehtsoft.FourCDesigner.Middleware.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Gehtsoft.FourCDesigner.Controllers;
+
+/// <summary>
+/// API Controller for exporting lesson plans into documents.
+/// </summary>
+[ApiController]
+[Route("api/plan/export")]
+[AuthorizationRequired]
+public class PlanExportApiController : ControllerBase
+{
+    private const string DocxContentType = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+    private static readonly Regex gInvalidFileNameChars = new Regex(@"[\\/:*?""<>|\x00-\x1f]+", RegexOptions.Compiled);
+
+    private readonly ILessonPlanDocxRenderer mDocxRenderer;
+    private readonly ILogger<PlanExportApiController> mLogger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlanExportApiController"/> class.
+    /// </summary>
+    /// <param name="docxRenderer">The Word document renderer.</param>
+    /// <param name="logger">The logger.</param>
+    /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
+    public PlanExportApiController(
+        ILessonPlanDocxRenderer docxRenderer,
+        ILogger<PlanExportApiController> logger)
+    {
+        mDocxRenderer = docxRenderer ?? throw new ArgumentNullException(nameof(docxRenderer));
+        mLogger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Renders a lesson plan into a Word (.docx) document.
+    /// </summary>
+    /// <param name="request">The plan name and content.</param>
+    /// <returns>The .docx file.</returns>
+    [HttpPost("docx")]
+    public IActionResult ExportDocx([FromBody] ExportPlanRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Export plan request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            string name = request.Name?.Trim() ?? string.Empty;
+            byte[] content = mDocxRenderer.Render(request.Plan, name);
+
+            mLogger.LogInformation("Exported plan {Name} to Word document ({Size} bytes)", name, content.Length);
+
+            return File(content, DocxContentType, ToFileName(name, "docx"));
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error while exporting plan to Word document");
+            return StatusCode(500, new { error = "An unexpected error occurred" });
+        }
+    }
+
+    /// <summary>
+    /// Converts a plan name to a safe file name.
+    /// </summary>
+    private static string ToFileName(string name, string extension)
+    {
+        string baseName = gInvalidFileNameChars.Replace(name, string.Empty).Trim();
+        if (baseName.Length == 0)
+            baseName = "lesson-plan";
+
+        return $"{baseName}.{extension}";
+    }
+}
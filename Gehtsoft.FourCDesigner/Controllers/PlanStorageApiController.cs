@@ -0,0 +1,164 @@
+using Gehtsoft.FourCDesigner.Controllers.Data;
+using Gehtsoft.FourCDesigner.Logic;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+using Gehtsoft.FourCDesigner.Middleware.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Gehtsoft.FourCDesigner.Controllers;
+
+/// <summary>
+/// API Controller for storing lesson plans of the session user.
+/// </summary>
+[ApiController]
+[Route("api/plan")]
+[AuthorizationRequired]
+public class PlanStorageApiController : ControllerBase
+{
+    private readonly IPlanStorageController mPlanStorageController;
+    private readonly ILogger<PlanStorageApiController> mLogger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlanStorageApiController"/> class.
+    /// </summary>
+    /// <param name="planStorageController">The plan storage controller.</param>
+    /// <param name="logger">The logger.</param>
+    /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
+    public PlanStorageApiController(
+        IPlanStorageController planStorageController,
+        ILogger<PlanStorageApiController> logger)
+    {
+        mPlanStorageController = planStorageController ?? throw new ArgumentNullException(nameof(planStorageController));
+        mLogger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Gets the email of the session user set by the authorization filter.
+    /// </summary>
+    private string UserEmail => HttpContext.Items["UserEmail"] as string ?? string.Empty;
+
+    /// <summary>
+    /// Lists the lesson plans of the session user.
+    /// </summary>
+    /// <returns>The list of plan summaries, most recently modified first.</returns>
+    [HttpGet]
+    public IActionResult ListPlans()
+    {
+        try
+        {
+            var plans = mPlanStorageController.ListPlans(UserEmail);
+            return Ok(plans.Select(PlanSummaryResponse.From).ToList());
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return Unauthorized(new { error = "Unauthorized", message = "User not found" });
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error while listing plans for user: {Email}", UserEmail);
+            return StatusCode(500, new { error = "An unexpected error occurred" });
+        }
+    }
+
+    /// <summary>
+    /// Gets a lesson plan of the session user.
+    /// </summary>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>The plan including its content, or NotFound.</returns>
+    [HttpGet("{planId}")]
+    public IActionResult GetPlan(string planId)
+    {
+        try
+        {
+            var plan = mPlanStorageController.GetPlan(UserEmail, planId);
+            if (plan == null)
+                return NotFound(new { error = "Plan not found", planId });
+
+            return Ok(PlanResponse.From(plan));
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return Unauthorized(new { error = "Unauthorized", message = "User not found" });
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error while getting plan {PlanId} for user: {Email}", planId, UserEmail);
+            return StatusCode(500, new { error = "An unexpected error occurred" });
+        }
+    }
+
+    /// <summary>
+    /// Creates or updates a lesson plan of the session user.
+    /// </summary>
+    /// <param name="planId">The plan identifier.</param>
+    /// <param name="request">The plan name, content and the version it is based on.</param>
+    /// <returns>
+    /// The summary of the saved plan with its new version, or Conflict
+    /// if the plan was changed on the server since the base version.
+    /// </returns>
+    [HttpPut("{planId}")]
+    public IActionResult SavePlan(string planId, [FromBody] SavePlanRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            mLogger.LogWarning("Save plan request validation failed");
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var plan = mPlanStorageController.SavePlan(UserEmail, planId, request.Name, request.Plan, request.BaseVersion);
+            return Ok(PlanSummaryResponse.From(plan));
+        }
+        catch (ValidationException ex)
+        {
+            mLogger.LogWarning("Save plan validation failed for plan: {PlanId}", planId);
+
+            var errors = ex.Errors.Select(e => new FieldValidationError
+            {
+                Field = e.Field,
+                Messages = e.Messages.ToList()
+            }).ToList();
+
+            return BadRequest(new { error = "Validation failed", errors });
+        }
+        catch (PlanVersionConflictException ex)
+        {
+            return Conflict(new { error = "Version conflict", planId, version = ex.CurrentVersion });
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return Unauthorized(new { error = "Unauthorized", message = "User not found" });
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error while saving plan {PlanId} for user: {Email}", planId, UserEmail);
+            return StatusCode(500, new { error = "An unexpected error occurred" });
+        }
+    }
+
+    /// <summary>
+    /// Deletes a lesson plan of the session user.
+    /// </summary>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>Success status, or NotFound.</returns>
+    [HttpDelete("{planId}")]
+    public IActionResult DeletePlan(string planId)
+    {
+        try
+        {
+            if (!mPlanStorageController.DeletePlan(UserEmail, planId))
+                return NotFound(new { error = "Plan not found", planId });
+
+            return Ok(new { message = "Plan deleted successfully" });
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return Unauthorized(new { error = "Unauthorized", message = "User not found" });
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error while deleting plan {PlanId} for user: {Email}", planId, UserEmail);
+            return StatusCode(500, new { error = "An unexpected error occurred" });
+        }
+    }
+}
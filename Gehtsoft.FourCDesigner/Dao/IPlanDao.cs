@@ -0,0 +1,48 @@
+using Gehtsoft.FourCDesigner.Entities;
+
+namespace Gehtsoft.FourCDesigner.Dao;
+
+/// <summary>
+/// Data access interface for lesson plan operations.
+/// </summary>
+public interface IPlanDao
+{
+    /// <summary>
+    /// Gets all plans owned by a user, most recently modified first.
+    /// </summary>
+    /// <param name="userId">The ID of the owner.</param>
+    /// <returns>The list of plans.</returns>
+    /// <exception cref="ArgumentException">Thrown when userId is less than or equal to 0.</exception>
+    IReadOnlyList<UserPlan> GetPlansByUser(int userId);
+
+    /// <summary>
+    /// Gets a plan owned by a user.
+    /// </summary>
+    /// <param name="userId">The ID of the owner.</param>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>The plan entity, or null if not found.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when planId is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when userId is less than or equal to 0.</exception>
+    UserPlan? GetPlan(int userId, string planId);
+
+    /// <summary>
+    /// Saves a plan if the stored plan is still at the expected version
+    /// (inserts a new plan when the expected version is 0, updates the stored plan otherwise).
+    /// The version check and the write are done by one database statement.
+    /// </summary>
+    /// <param name="plan">The plan entity to save, with its new version.</param>
+    /// <param name="expectedVersion">The version of the stored plan, or 0 if the plan is not stored yet.</param>
+    /// <returns>True if the plan was saved, false if the stored plan is not at the expected version.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when plan is null.</exception>
+    bool SavePlan(UserPlan plan, int expectedVersion);
+
+    /// <summary>
+    /// Deletes a plan owned by a user.
+    /// </summary>
+    /// <param name="userId">The ID of the owner.</param>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>True if a plan was found and deleted, false otherwise.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when planId is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when userId is less than or equal to 0.</exception>
+    bool DeletePlan(int userId, string planId);
+}
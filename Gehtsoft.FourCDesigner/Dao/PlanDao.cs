@@ -0,0 +1,200 @@
+using Gehtsoft.EF.Db.SqlDb.EntityQueries;
+using Gehtsoft.FourCDesigner.Entities;
+
+namespace Gehtsoft.FourCDesigner.Dao;
+
+/// <summary>
+/// Implementation of lesson plan data access operations.
+/// </summary>
+public class PlanDao : IPlanDao
+{
+    private readonly IDbConnectionFactory mFactory;
+    private readonly ILogger<PlanDao> mLogger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlanDao"/> class.
+    /// </summary>
+    /// <param name="factory">The database connection factory.</param>
+    /// <param name="logger">The logger.</param>
+    /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
+    public PlanDao(
+        IDbConnectionFactory factory,
+        ILogger<PlanDao> logger)
+    {
+        mFactory = factory ?? throw new ArgumentNullException(nameof(factory));
+        mLogger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc/>
+    public IReadOnlyList<UserPlan> GetPlansByUser(int userId)
+    {
+        if (userId <= 0)
+            throw new ArgumentException("User id must be positive", nameof(userId));
+
+        try
+        {
+            using var connection = mFactory.GetConnection();
+
+            using (var query = connection.GetSelectEntitiesQuery<UserPlan>())
+            {
+                query.Where.Property(nameof(UserPlan.UserId)).Eq(userId);
+                query.Execute();
+
+                var plans = new List<UserPlan>();
+                UserPlan? plan;
+                while ((plan = query.ReadOne<UserPlan>()) != null)
+                    plans.Add(plan);
+
+                return plans.OrderByDescending(p => p.ModifiedAt).ToList();
+            }
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Failed to get plans of user {UserId}", userId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public UserPlan? GetPlan(int userId, string planId)
+    {
+        if (planId == null)
+            throw new ArgumentNullException(nameof(planId));
+        if (userId <= 0)
+            throw new ArgumentException("User id must be positive", nameof(userId));
+
+        try
+        {
+            using var connection = mFactory.GetConnection();
+
+            using (var query = connection.GetSelectEntitiesQuery<UserPlan>())
+            {
+                query.Where.Property(nameof(UserPlan.UserId)).Eq(userId);
+                query.Where.Property(nameof(UserPlan.PlanId)).Eq(planId);
+                query.Execute();
+                return query.ReadOne<UserPlan>();
+            }
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Failed to get plan {PlanId} of user {UserId}", planId, userId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public bool SavePlan(UserPlan plan, int expectedVersion)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        try
+        {
+            bool saved = expectedVersion == 0 ? InsertPlan(plan) : UpdatePlan(plan, expectedVersion);
+
+            if (saved)
+                mLogger.LogInformation("Successfully saved plan {PlanId} of user {UserId} as version {Version}",
+                    plan.PlanId, plan.UserId, plan.Version);
+            else
+                mLogger.LogWarning("Plan {PlanId} of user {UserId} is no longer at version {Version}",
+                    plan.PlanId, plan.UserId, expectedVersion);
+
+            return saved;
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Failed to save plan {PlanId}", plan.PlanId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public bool DeletePlan(int userId, string planId)
+    {
+        if (planId == null)
+            throw new ArgumentNullException(nameof(planId));
+        if (userId <= 0)
+            throw new ArgumentException("User id must be positive", nameof(userId));
+
+        try
+        {
+            mLogger.LogInformation("Deleting plan {PlanId} of user {UserId}", planId, userId);
+
+            var plan = GetPlan(userId, planId);
+            if (plan == null)
+            {
+                mLogger.LogWarning("Plan not found for deletion: {PlanId}", planId);
+                return false;
+            }
+
+            using var connection = mFactory.GetConnection();
+
+            using (var query = connection.GetDeleteEntityQuery<UserPlan>())
+            {
+                query.Execute(plan);
+            }
+
+            mLogger.LogInformation("Successfully deleted plan {PlanId} of user {UserId}", planId, userId);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Failed to delete plan {PlanId} of user {UserId}", planId, userId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Inserts a new plan.
+    /// </summary>
+    /// <param name="plan">The plan entity to insert.</param>
+    /// <returns>True if the plan was inserted, false if a plan with the same identifier is already stored.</returns>
+    private bool InsertPlan(UserPlan plan)
+    {
+        mLogger.LogDebug("Inserting plan {PlanId}", plan.PlanId);
+
+        try
+        {
+            using var connection = mFactory.GetConnection();
+
+            using (var query = connection.GetInsertEntityQuery<UserPlan>())
+            {
+                query.Execute(plan);
+            }
+
+            return true;
+        }
+        catch (Exception) when (GetPlan(plan.UserId, plan.PlanId) != null)
+        {
+            // The unique index rejected the row: the plan was inserted by a concurrent save
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Updates a stored plan if it is still at the expected version.
+    /// </summary>
+    /// <param name="plan">The plan entity to update.</param>
+    /// <param name="expectedVersion">The version the stored plan must have.</param>
+    /// <returns>True if the plan was updated, false if the stored plan is not at the expected version.</returns>
+    private bool UpdatePlan(UserPlan plan, int expectedVersion)
+    {
+        mLogger.LogDebug("Updating plan {PlanId} from version {Version}", plan.PlanId, expectedVersion);
+
+        using var connection = mFactory.GetConnection();
+
+        using (var query = connection.GetMultiUpdateEntityQuery<UserPlan>())
+        {
+            query.AddUpdateColumn(nameof(UserPlan.Name), plan.Name);
+            query.AddUpdateColumn(nameof(UserPlan.Data), plan.Data);
+            query.AddUpdateColumn(nameof(UserPlan.Version), plan.Version);
+            query.AddUpdateColumn(nameof(UserPlan.ModifiedAt), plan.ModifiedAt);
+            query.Where.Property(nameof(UserPlan.UserId)).Eq(plan.UserId);
+            query.Where.Property(nameof(UserPlan.PlanId)).Eq(plan.PlanId);
+            query.Where.Property(nameof(UserPlan.Version)).Eq(expectedVersion);
+            query.Execute();
+
+            return query.RowsAffected > 0;
+        }
+    }
+}
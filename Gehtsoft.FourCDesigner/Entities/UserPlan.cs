@@ -0,0 +1,69 @@
+using Gehtsoft.EF.Entities;
+
+namespace Gehtsoft.FourCDesigner.Entities;
+
+/// <summary>
+/// Lesson plan entity representing a lesson plan owned by a user.
+/// A user can own only one plan with a given plan identifier (see <see cref="UserPlanMetadata"/>).
+/// </summary>
+[Entity(Table = "user_plans", Metadata = typeof(UserPlanMetadata))]
+public class UserPlan
+{
+    /// <summary>
+    /// Gets or sets the record ID (auto-increment primary key).
+    /// </summary>
+    [AutoId]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plan identifier assigned by the client (indexed for fast lookup).
+    /// </summary>
+    [EntityProperty(Field = "plan_id", Size = 64, Sorted = true)]
+    public string PlanId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the ID of the user who owns the plan (indexed for fast lookup).
+    /// </summary>
+    [EntityProperty(Field = "user_id", Sorted = true)]
+    public int UserId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plan name.
+    /// </summary>
+    [EntityProperty(Field = "name", Size = 256)]
+    public string Name { get; set; }
+
+    /// <summary>
+    /// Gets or sets the lesson plan content serialized as JSON.
+    /// </summary>
+    [EntityProperty(Field = "data")]
+    public string Data { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plan version, incremented on every save.
+    /// </summary>
+    [EntityProperty(Field = "version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was created (UTC).
+    /// </summary>
+    [EntityProperty(Field = "created_at")]
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was last modified (UTC).
+    /// </summary>
+    [EntityProperty(Field = "modified_at")]
+    public DateTime ModifiedAt { get; set; }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UserPlan"/> class.
+    /// </summary>
+    public UserPlan()
+    {
+        PlanId = string.Empty;
+        Name = string.Empty;
+        Data = string.Empty;
+    }
+}
@@ -0,0 +1,24 @@
+using Gehtsoft.EF.Db.SqlDb.Metadata;
+
+namespace Gehtsoft.FourCDesigner.Entities;
+
+/// <summary>
+/// Database metadata of the <see cref="UserPlan"/> entity.
+/// </summary>
+public class UserPlanMetadata : ICompositeIndexMetadata
+{
+    /// <summary>
+    /// Gets the composite indexes of the plan table:
+    /// a unique index on the owner and the plan identifier.
+    /// </summary>
+    public IEnumerable<CompositeIndex> Indexes
+    {
+        get
+        {
+            var ownerIndex = new CompositeIndex<UserPlan>("user_plans_owner_plan") { Unique = true };
+            ownerIndex.Add(p => p.UserId);
+            ownerIndex.Add(p => p.PlanId);
+            yield return ownerIndex;
+        }
+    }
+}
@@ -25,6 +25,13 @@ public class AIResult
     [JsonPropertyName("output")]
     public string Output { get; set; }
 
+    /// <summary>
+    /// Gets or sets a value indicating whether the output was taken from the cache
+    /// instead of being generated for this request.
+    /// </summary>
+    [JsonPropertyName("cached")]
+    public bool Cached { get; set; }
+
     /// <summary>
     /// Initializes a new instance of the <see cref="AIResult"/> class.
     /// </summary>
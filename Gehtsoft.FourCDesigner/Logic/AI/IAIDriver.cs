@@ -9,21 +9,46 @@ public interface IAIDriver
     /// Validates that user input is correct and safe.
     /// </summary>
     /// <param name="userInput">The user input to validate.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>An AIResult indicating whether the input is valid and safe.</returns>
     /// <remarks>
     /// This method checks for malicious instructions, prompt injections,
     /// and other potentially unsafe content.
     /// </remarks>
-    Task<AIResult> ValidateUserInputAsync(string userInput);
+    Task<AIResult> ValidateUserInputAsync(string userInput, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Gets AI suggestions based on instructions and user input.
     /// </summary>
     /// <param name="instructions">The instructions for the AI.</param>
     /// <param name="userInput">The user input to process.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>An AIResult containing the AI suggestions.</returns>
     /// <remarks>
     /// User input is always treated as content, never as instructions.
     /// </remarks>
-    Task<AIResult> GetSuggestionsAsync(string instructions, string userInput);
+    Task<AIResult> GetSuggestionsAsync(
+        string instructions,
+        string userInput,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets AI suggestions based on instructions and user input,
+    /// passing each part of the response to the caller as soon as it is generated.
+    /// </summary>
+    /// <param name="instructions">The instructions for the AI.</param>
+    /// <param name="userInput">The user input to process.</param>
+    /// <param name="onChunk">The callback invoked for each generated part of the response.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the complete AI suggestions.</returns>
+    /// <remarks>
+    /// User input is always treated as content, never as instructions.
+    /// When the result is not successful, the parts already passed to
+    /// <paramref name="onChunk"/> must be discarded.
+    /// </remarks>
+    Task<AIResult> StreamSuggestionsAsync(
+        string instructions,
+        string userInput,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken);
 }
@@ -55,7 +55,9 @@ public class AIOllamaDriver : IAIDriver
     }
 
     /// <inheritdoc/>
-    public async Task<AIResult> ValidateUserInputAsync(string userInput)
+    public async Task<AIResult> ValidateUserInputAsync(
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (userInput == null)
             throw new ArgumentNullException(nameof(userInput));
@@ -70,11 +72,14 @@ public class AIOllamaDriver : IAIDriver
 
         mLogger.LogDebug("Validating user input with Ollama");
 
-        return await SendRequestAsync(prompt);
+        return await SendRequestAsync(prompt, cancellationToken);
     }
 
     /// <inheritdoc/>
-    public async Task<AIResult> GetSuggestionsAsync(string instructions, string userInput)
+    public async Task<AIResult> GetSuggestionsAsync(
+        string instructions,
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (instructions == null)
             throw new ArgumentNullException(nameof(instructions));
@@ -89,15 +94,182 @@ public class AIOllamaDriver : IAIDriver
         mLogger.LogDebug("Getting suggestions from Ollama with instructions: {Instructions}",
             instructions);
 
-        return await SendRequestAsync(prompt);
+        return await SendRequestAsync(prompt, cancellationToken);
+    }
+
+    /// <inheritdoc/>
+    public async Task<AIResult> StreamSuggestionsAsync(
+        string instructions,
+        string userInput,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken)
+    {
+        if (instructions == null)
+            throw new ArgumentNullException(nameof(instructions));
+
+        if (userInput == null)
+            throw new ArgumentNullException(nameof(userInput));
+
+        if (onChunk == null)
+            throw new ArgumentNullException(nameof(onChunk));
+
+        string prompt =
+            $"{instructions}\n\n" +
+            $"User content to process:\n```\n{userInput}\n```";
+
+        mLogger.LogDebug("Streaming suggestions from Ollama with instructions: {Instructions}",
+            instructions);
+
+        return await SendStreamingRequestAsync(prompt, onChunk, cancellationToken);
+    }
+
+    /// <summary>
+    /// Creates the body of a generate request.
+    /// </summary>
+    /// <param name="prompt">The prompt to send.</param>
+    /// <param name="stream">Whether the response should be streamed.</param>
+    /// <returns>The HTTP content of the request.</returns>
+    private HttpContent CreateRequestContent(string prompt, bool stream)
+    {
+        var requestBody = new
+        {
+            model = mConfiguration.Model,
+            prompt = prompt,
+            stream = stream,
+            options = new
+            {
+                num_predict = mConfiguration.MaxTokens
+            }
+        };
+
+        string jsonRequest = JsonSerializer.Serialize(requestBody);
+
+        mLogger.LogDebug("Ollama request body length: {Length} bytes", jsonRequest.Length);
+
+        return new StringContent(
+            jsonRequest,
+            Encoding.UTF8,
+            "application/json");
+    }
+
+    /// <summary>
+    /// Sends a streaming request to the Ollama API.
+    /// Ollama streams the response as one JSON object per line.
+    /// </summary>
+    /// <param name="prompt">The prompt to send.</param>
+    /// <param name="onChunk">The callback invoked for each generated part of the response.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the complete response or error information.</returns>
+    private async Task<AIResult> SendStreamingRequestAsync(
+        string prompt,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            string endpoint = "/api/generate";
+
+            using (CancellationTokenSource cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken))
+            {
+                cts.CancelAfter(TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds));
+
+                using HttpRequestMessage request = new HttpRequestMessage(HttpMethod.Post, endpoint)
+                {
+                    Content = CreateRequestContent(prompt, true)
+                };
+
+                mLogger.LogDebug("Sending streaming POST request to Ollama...");
+                using HttpResponseMessage response = await mHttpClient.SendAsync(
+                    request,
+                    HttpCompletionOption.ResponseHeadersRead,
+                    cts.Token);
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    string errorContent = await response.Content.ReadAsStringAsync(cts.Token);
+                    mLogger.LogError(
+                        "Ollama streaming request failed: StatusCode={StatusCode}, ReasonPhrase={ReasonPhrase}, Error={Error}",
+                        response.StatusCode,
+                        response.ReasonPhrase,
+                        errorContent);
+
+                    return AIResult.Failed(
+                        "OLLAMA_API_ERROR",
+                        $"Ollama API returned status {response.StatusCode}: {errorContent}");
+                }
+
+                StringBuilder output = new StringBuilder();
+                using Stream stream = await response.Content.ReadAsStreamAsync(cts.Token);
+                using StreamReader reader = new StreamReader(stream, Encoding.UTF8);
+
+                string? line;
+                while ((line = await reader.ReadLineAsync(cts.Token)) != null)
+                {
+                    if (string.IsNullOrWhiteSpace(line))
+                        continue;
+
+                    using JsonDocument jsonDoc = JsonDocument.Parse(line);
+
+                    if (jsonDoc.RootElement.TryGetProperty("error", out JsonElement errorElement))
+                    {
+                        mLogger.LogError("Ollama streaming response error: {Error}", errorElement.ToString());
+                        return AIResult.Failed(
+                            "OLLAMA_API_ERROR",
+                            $"Ollama API returned an error: {errorElement}");
+                    }
+
+                    if (jsonDoc.RootElement.TryGetProperty("response", out JsonElement responseElement))
+                    {
+                        string chunk = responseElement.GetString() ?? string.Empty;
+                        if (chunk.Length > 0)
+                        {
+                            output.Append(chunk);
+                            await onChunk(chunk);
+                        }
+                    }
+
+                    if (jsonDoc.RootElement.TryGetProperty("done", out JsonElement doneElement)
+                        && doneElement.ValueKind == JsonValueKind.True)
+                        break;
+                }
+
+                mLogger.LogDebug("Ollama streaming response completed: {Length} characters", output.Length);
+                return AIResult.Success(output.ToString());
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation("Ollama streaming request was cancelled by the caller");
+            return AIResult.Failed("OLLAMA_CANCELLED", "Request to Ollama API was cancelled");
+        }
+        catch (OperationCanceledException ex)
+        {
+            mLogger.LogError(ex, "Ollama streaming request timed out");
+            return AIResult.Failed("OLLAMA_TIMEOUT", "Request to Ollama API timed out");
+        }
+        catch (HttpRequestException ex)
+        {
+            mLogger.LogError(ex, "Ollama streaming request failed");
+            return AIResult.Failed(
+                "OLLAMA_CONNECTION_ERROR",
+                $"Failed to connect to Ollama API: {ex.Message}");
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error streaming from Ollama API");
+            return AIResult.Failed(
+                "OLLAMA_UNEXPECTED_ERROR",
+                $"Unexpected error: {ex.Message}");
+        }
     }
 
     /// <summary>
     /// Sends a request to the Ollama API.
     /// </summary>
     /// <param name="prompt">The prompt to send.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>An AIResult containing the response or error information.</returns>
-    private async Task<AIResult> SendRequestAsync(string prompt)
+    private async Task<AIResult> SendRequestAsync(string prompt, CancellationToken cancellationToken)
     {
         try
         {
@@ -112,28 +284,12 @@ public class AIOllamaDriver : IAIDriver
                 mConfiguration.Model,
                 mConfiguration.MaxTokens);
 
-            var requestBody = new
-            {
-                model = mConfiguration.Model,
-                prompt = prompt,
-                stream = false,
-                options = new
-                {
-                    num_predict = mConfiguration.MaxTokens
-                }
-            };
+            HttpContent content = CreateRequestContent(prompt, false);
 
-            string jsonRequest = JsonSerializer.Serialize(requestBody);
-            HttpContent content = new StringContent(
-                jsonRequest,
-                Encoding.UTF8,
-                "application/json");
-
-            mLogger.LogDebug("Ollama request body length: {Length} bytes", jsonRequest.Length);
-
-            using (CancellationTokenSource cts = new CancellationTokenSource(
-                TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds)))
+            using (CancellationTokenSource cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken))
             {
+                cts.CancelAfter(TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds));
+
                 mLogger.LogDebug("Sending POST request to Ollama...");
                 HttpResponseMessage response = await mHttpClient.PostAsync(
                     endpoint,
@@ -180,6 +336,11 @@ public class AIOllamaDriver : IAIDriver
                 }
             }
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation("Ollama API request was cancelled by the caller");
+            return AIResult.Failed("OLLAMA_CANCELLED", "Request to Ollama API was cancelled");
+        }
         catch (TaskCanceledException ex)
         {
             mLogger.LogError(ex, "Ollama API request timed out");
@@ -72,7 +72,9 @@ public class AIOpenAIDriver : IAIDriver
     }
 
     /// <inheritdoc/>
-    public async Task<AIResult> ValidateUserInputAsync(string userInput)
+    public async Task<AIResult> ValidateUserInputAsync(
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (userInput == null)
             throw new ArgumentNullException(nameof(userInput));
@@ -87,11 +89,14 @@ public class AIOpenAIDriver : IAIDriver
 
         mLogger.LogDebug("Validating user input with OpenAI");
 
-        return await SendRequestAsync(systemPrompt, userMessage);
+        return await SendRequestAsync(systemPrompt, userMessage, cancellationToken);
     }
 
     /// <inheritdoc/>
-    public async Task<AIResult> GetSuggestionsAsync(string instructions, string userInput)
+    public async Task<AIResult> GetSuggestionsAsync(
+        string instructions,
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (instructions == null)
             throw new ArgumentNullException(nameof(instructions));
@@ -104,7 +109,185 @@ public class AIOpenAIDriver : IAIDriver
         mLogger.LogDebug("Getting suggestions from OpenAI with instructions: {Instructions}",
             instructions);
 
-        return await SendRequestAsync(instructions, userMessage);
+        return await SendRequestAsync(instructions, userMessage, cancellationToken);
+    }
+
+    /// <inheritdoc/>
+    public async Task<AIResult> StreamSuggestionsAsync(
+        string instructions,
+        string userInput,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken)
+    {
+        if (instructions == null)
+            throw new ArgumentNullException(nameof(instructions));
+
+        if (userInput == null)
+            throw new ArgumentNullException(nameof(userInput));
+
+        if (onChunk == null)
+            throw new ArgumentNullException(nameof(onChunk));
+
+        string userMessage = $"User content to process:\n```\n{userInput}\n```";
+
+        mLogger.LogDebug("Streaming suggestions from OpenAI with instructions: {Instructions}",
+            instructions);
+
+        return await SendStreamingRequestAsync(instructions, userMessage, onChunk, cancellationToken);
+    }
+
+    /// <summary>
+    /// Creates the body of a Chat Completions request.
+    /// </summary>
+    /// <param name="systemPrompt">The system prompt.</param>
+    /// <param name="userMessage">The user message.</param>
+    /// <param name="stream">Whether the response should be streamed.</param>
+    /// <returns>The HTTP content of the request.</returns>
+    private HttpContent CreateRequestContent(string systemPrompt, string userMessage, bool stream)
+    {
+        JsonObject requestBody = new JsonObject();
+        requestBody["model"] = mConfiguration.Model;
+        requestBody["messages"] = new JsonArray
+        {
+            new JsonObject
+            {
+                ["role"] = "system",
+                ["content"] = systemPrompt
+            },
+            new JsonObject
+            {
+                ["role"] = "user",
+                ["content"] = userMessage
+            }
+        };
+
+        foreach (KeyValuePair<string, object> parameter in mConfiguration.Parameters)
+        {
+            requestBody[parameter.Key] = ConvertToJsonNode(parameter.Value);
+        }
+
+        if (stream)
+            requestBody["stream"] = true;
+
+        string jsonRequest = requestBody.ToJsonString();
+
+        mLogger.LogDebug("OpenAI request body: {RequestBody}", jsonRequest);
+        mLogger.LogDebug("OpenAI request body length: {Length} bytes", jsonRequest.Length);
+
+        return new StringContent(
+            jsonRequest,
+            Encoding.UTF8,
+            "application/json");
+    }
+
+    /// <summary>
+    /// Sends a streaming request to the OpenAI Chat Completions API.
+    /// OpenAI streams the response as server-sent events terminated by <c>data: [DONE]</c>.
+    /// </summary>
+    /// <param name="systemPrompt">The system prompt.</param>
+    /// <param name="userMessage">The user message.</param>
+    /// <param name="onChunk">The callback invoked for each generated part of the response.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the complete response or error information.</returns>
+    private async Task<AIResult> SendStreamingRequestAsync(
+        string systemPrompt,
+        string userMessage,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            string endpoint = "chat/completions";
+
+            using (CancellationTokenSource cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken))
+            {
+                cts.CancelAfter(TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds));
+
+                using HttpRequestMessage request = new HttpRequestMessage(HttpMethod.Post, endpoint)
+                {
+                    Content = CreateRequestContent(systemPrompt, userMessage, true)
+                };
+
+                mLogger.LogDebug("Sending streaming POST request to OpenAI...");
+                using HttpResponseMessage response = await mHttpClient.SendAsync(
+                    request,
+                    HttpCompletionOption.ResponseHeadersRead,
+                    cts.Token);
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    string errorContent = await response.Content.ReadAsStringAsync(cts.Token);
+                    mLogger.LogError(
+                        "OpenAI streaming request failed: StatusCode={StatusCode}, ReasonPhrase={ReasonPhrase}, Error={Error}",
+                        response.StatusCode,
+                        response.ReasonPhrase,
+                        errorContent);
+
+                    return AIResult.Failed(
+                        "OPENAI_API_ERROR",
+                        $"OpenAI API returned status {response.StatusCode}: {errorContent}");
+                }
+
+                StringBuilder output = new StringBuilder();
+                using Stream stream = await response.Content.ReadAsStreamAsync(cts.Token);
+                using StreamReader reader = new StreamReader(stream, Encoding.UTF8);
+
+                string? line;
+                while ((line = await reader.ReadLineAsync(cts.Token)) != null)
+                {
+                    // Only data lines carry content; comments and blank separators are skipped
+                    if (!line.StartsWith("data:", StringComparison.Ordinal))
+                        continue;
+
+                    string data = line.Substring(5).Trim();
+                    if (data == "[DONE]")
+                        break;
+
+                    using JsonDocument jsonDoc = JsonDocument.Parse(data);
+
+                    if (jsonDoc.RootElement.TryGetProperty("choices", out JsonElement choicesElement)
+                        && choicesElement.GetArrayLength() > 0
+                        && choicesElement[0].TryGetProperty("delta", out JsonElement deltaElement)
+                        && deltaElement.TryGetProperty("content", out JsonElement contentElement)
+                        && contentElement.ValueKind == JsonValueKind.String)
+                    {
+                        string chunk = contentElement.GetString() ?? string.Empty;
+                        if (chunk.Length > 0)
+                        {
+                            output.Append(chunk);
+                            await onChunk(chunk);
+                        }
+                    }
+                }
+
+                mLogger.LogDebug("OpenAI streaming response completed: {Length} characters", output.Length);
+                return AIResult.Success(output.ToString());
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation("OpenAI streaming request was cancelled by the caller");
+            return AIResult.Failed("OPENAI_CANCELLED", "Request to OpenAI API was cancelled");
+        }
+        catch (OperationCanceledException ex)
+        {
+            mLogger.LogError(ex, "OpenAI streaming request timed out");
+            return AIResult.Failed("OPENAI_TIMEOUT", "Request to OpenAI API timed out");
+        }
+        catch (HttpRequestException ex)
+        {
+            mLogger.LogError(ex, "OpenAI streaming request failed");
+            return AIResult.Failed(
+                "OPENAI_CONNECTION_ERROR",
+                $"Failed to connect to OpenAI API: {ex.Message}");
+        }
+        catch (Exception ex)
+        {
+            mLogger.LogError(ex, "Unexpected error streaming from OpenAI API");
+            return AIResult.Failed(
+                "OPENAI_UNEXPECTED_ERROR",
+                $"Unexpected error: {ex.Message}");
+        }
     }
 
     /// <summary>
@@ -112,8 +295,12 @@ public class AIOpenAIDriver : IAIDriver
     /// </summary>
     /// <param name="systemPrompt">The system prompt.</param>
     /// <param name="userMessage">The user message.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>An AIResult containing the response or error information.</returns>
-    private async Task<AIResult> SendRequestAsync(string systemPrompt, string userMessage)
+    private async Task<AIResult> SendRequestAsync(
+        string systemPrompt,
+        string userMessage,
+        CancellationToken cancellationToken)
     {
         try
         {
@@ -128,39 +315,12 @@ public class AIOpenAIDriver : IAIDriver
                 mConfiguration.Model,
                 SerializeParametersForLogging(mConfiguration.Parameters));
 
-            JsonObject requestBody = new JsonObject();
-            requestBody["model"] = mConfiguration.Model;
-            requestBody["messages"] = new JsonArray
-            {
-                new JsonObject
-                {
-                    ["role"] = "system",
-                    ["content"] = systemPrompt
-                },
-                new JsonObject
-                {
-                    ["role"] = "user",
-                    ["content"] = userMessage
-                }
-            };
+            HttpContent content = CreateRequestContent(systemPrompt, userMessage, false);
 
-            foreach (KeyValuePair<string, object> parameter in mConfiguration.Parameters)
+            using (CancellationTokenSource cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken))
             {
-                requestBody[parameter.Key] = ConvertToJsonNode(parameter.Value);
-            }
-
-            string jsonRequest = requestBody.ToJsonString();
-            HttpContent content = new StringContent(
-                jsonRequest,
-                Encoding.UTF8,
-                "application/json");
-
-            mLogger.LogDebug("OpenAI request body: {RequestBody}", jsonRequest);
-            mLogger.LogDebug("OpenAI request body length: {Length} bytes", jsonRequest.Length);
+                cts.CancelAfter(TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds));
 
-            using (CancellationTokenSource cts = new CancellationTokenSource(
-                TimeSpan.FromSeconds(mConfiguration.TimeoutSeconds)))
-            {
                 mLogger.LogDebug("Sending POST request to OpenAI...");
                 HttpResponseMessage response = await mHttpClient.PostAsync(
                     endpoint,
@@ -211,6 +371,11 @@ public class AIOpenAIDriver : IAIDriver
                     "OpenAI API response is missing expected fields");
             }
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation("OpenAI API request was cancelled by the caller");
+            return AIResult.Failed("OPENAI_CANCELLED", "Request to OpenAI API was cancelled");
+        }
         catch (TaskCanceledException ex)
         {
             mLogger.LogError(ex, "OpenAI API request timed out");
@@ -87,11 +87,15 @@ public class AITestingDriver : IAIDriver
     }
 
     /// <inheritdoc/>
-    public Task<AIResult> ValidateUserInputAsync(string userInput)
+    public Task<AIResult> ValidateUserInputAsync(
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (userInput == null)
             throw new ArgumentNullException(nameof(userInput));
 
+        cancellationToken.ThrowIfCancellationRequested();
+
         mLogger.LogDebug("Validating user input with testing driver");
 
         AIResult result = FindMatchingResponse("validate", string.Empty, userInput);
@@ -99,7 +103,10 @@ public class AITestingDriver : IAIDriver
     }
 
     /// <inheritdoc/>
-    public Task<AIResult> GetSuggestionsAsync(string instructions, string userInput)
+    public Task<AIResult> GetSuggestionsAsync(
+        string instructions,
+        string userInput,
+        CancellationToken cancellationToken = default)
     {
         if (instructions == null)
             throw new ArgumentNullException(nameof(instructions));
@@ -107,6 +114,8 @@ public class AITestingDriver : IAIDriver
         if (userInput == null)
             throw new ArgumentNullException(nameof(userInput));
 
+        cancellationToken.ThrowIfCancellationRequested();
+
         mLogger.LogDebug(
             "Getting suggestions with testing driver: instructions={Instructions}",
             instructions);
@@ -115,6 +124,44 @@ public class AITestingDriver : IAIDriver
         return Task.FromResult(result);
     }
 
+    /// <inheritdoc/>
+    /// <remarks>
+    /// The mock response is passed to the callback word by word
+    /// to simulate a streamed response.
+    /// </remarks>
+    public async Task<AIResult> StreamSuggestionsAsync(
+        string instructions,
+        string userInput,
+        Func<string, Task> onChunk,
+        CancellationToken cancellationToken)
+    {
+        if (instructions == null)
+            throw new ArgumentNullException(nameof(instructions));
+
+        if (userInput == null)
+            throw new ArgumentNullException(nameof(userInput));
+
+        if (onChunk == null)
+            throw new ArgumentNullException(nameof(onChunk));
+
+        mLogger.LogDebug(
+            "Streaming suggestions with testing driver: instructions={Instructions}",
+            instructions);
+
+        AIResult result = FindMatchingResponse("process", instructions, userInput);
+
+        if (!result.Successful)
+            return result;
+
+        foreach (Match match in Regex.Matches(result.Output, @"\S+\s*|\s+"))
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            await onChunk(match.Value);
+        }
+
+        return result;
+    }
+
     /// <summary>
     /// Finds a matching mock response based on operation, request pattern, and user data pattern.
     /// </summary>
@@ -0,0 +1,22 @@
+using Microsoft.Extensions.DependencyInjection;
+
+namespace Gehtsoft.FourCDesigner.Logic.Export;
+
+/// <summary>
+/// Extension methods for registering export services.
+/// </summary>
+public static class ExportServiceExtensions
+{
+    /// <summary>
+    /// Registers the lesson plan document renderers.
+    /// </summary>
+    /// <param name="services">The service collection.</param>
+    /// <returns>The service collection for chaining.</returns>
+    public static IServiceCollection AddExportServices(this IServiceCollection services)
+    {
+        // Register renderers as transient since they're stateless
+        services.AddTransient<ILessonPlanDocxRenderer, LessonPlanDocxRenderer>();
+
+        return services;
+    }
+}
@@ -0,0 +1,20 @@
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Logic.Export;
+
+/// <summary>
+/// Renders lesson plans into Word (.docx) documents.
+/// </summary>
+public interface ILessonPlanDocxRenderer
+{
+    /// <summary>
+    /// Renders the lesson plan into a .docx document.
+    /// The document contains a title page, a table for each 4C phase,
+    /// a materials checklist and the total duration of the lesson.
+    /// </summary>
+    /// <param name="plan">The lesson plan to render.</param>
+    /// <param name="title">The document title (usually the plan name).</param>
+    /// <returns>The content of the .docx file.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when plan or title is null.</exception>
+    byte[] Render(LessonPlan plan, string title);
+}
@@ -0,0 +1,487 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using Gehtsoft.FourCDesigner.Logic.Plan;
+
+namespace Gehtsoft.FourCDesigner.Logic.Export;
+
+/// <summary>
+/// Renders lesson plans into Word (.docx) documents.
+/// The document package is written directly as WordprocessingML,
+/// so no external conversion service or library is needed.
+/// Registered as transient since it's stateless.
+/// </summary>
+public class LessonPlanDocxRenderer : ILessonPlanDocxRenderer
+{
+    private static readonly XNamespace gW = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+    private static readonly XNamespace gContentTypesNamespace = "http://schemas.openxmlformats.org/package/2006/content-types";
+    private static readonly XNamespace gRelationshipsNamespace = "http://schemas.openxmlformats.org/package/2006/relationships";
+    private static readonly XNamespace gCorePropertiesNamespace = "http://schemas.openxmlformats.org/package/2006/metadata/core-properties";
+    private static readonly XNamespace gDcNamespace = "http://purl.org/dc/elements/1.1/";
+    private static readonly XNamespace gDcTermsNamespace = "http://purl.org/dc/terms/";
+    private static readonly XNamespace gXsiNamespace = "http://www.w3.org/2001/XMLSchema-instance";
+
+    private const string EmptyFieldText = "Not yet defined";
+    private const string CheckboxPrefix = "☐ ";
+    private const int LabelColumnWidth = 2600;
+    private const int ValueColumnWidth = 6760;
+
+    private static readonly Regex gListMarker = new Regex(@"^\s*([-*+•▪◦]|\d+[.)])\s+", RegexOptions.Compiled);
+
+    /// <summary>
+    /// A 4C phase as it appears in the document.
+    /// </summary>
+    private class Phase
+    {
+        public string Title { get; }
+        public string Description { get; }
+        public int Timing { get; }
+        public List<(string Label, string Value)> Fields { get; }
+        public string Materials { get; }
+
+        public Phase(string title, string description, int timing, string materials)
+        {
+            Title = title;
+            Description = description;
+            Timing = timing;
+            Materials = materials;
+            Fields = new List<(string, string)>();
+        }
+
+        public Phase Add(string label, string value)
+        {
+            Fields.Add((label, value));
+            return this;
+        }
+    }
+
+    /// <inheritdoc/>
+    public byte[] Render(LessonPlan plan, string title)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+        if (title == null)
+            throw new ArgumentNullException(nameof(title));
+
+        if (string.IsNullOrWhiteSpace(title))
+            title = "4C Lesson Plan";
+
+        using var stream = new MemoryStream();
+        using (var archive = new ZipArchive(stream, ZipArchiveMode.Create, true))
+        {
+            WriteEntry(archive, "[Content_Types].xml", BuildContentTypes());
+            WriteEntry(archive, "_rels/.rels", BuildPackageRelationships());
+            WriteEntry(archive, "docProps/core.xml", BuildCoreProperties(title));
+            WriteEntry(archive, "word/_rels/document.xml.rels", BuildDocumentRelationships());
+            WriteEntry(archive, "word/styles.xml", BuildStyles());
+            WriteEntry(archive, "word/document.xml", BuildDocument(plan, title));
+        }
+
+        return stream.ToArray();
+    }
+
+    // Document content
+
+    private static List<Phase> BuildPhases(LessonPlan plan)
+    {
+        var connections = plan.Connections ?? new LessonPlanConnections();
+        var concepts = plan.Concepts ?? new LessonPlanConcepts();
+        var practice = plan.ConcretePractice ?? new LessonPlanConcretePractice();
+        var conclusions = plan.Conclusions ?? new LessonPlanConclusions();
+
+        return new List<Phase>
+        {
+            new Phase("Connection", "Learners make connections with what they already know and with each other.",
+                    connections.Timing, connections.MaterialsToPrepare)
+                .Add("Connection Goal", connections.Goal)
+                .Add("Activities", connections.Activities)
+                .Add("Materials to Prepare", connections.MaterialsToPrepare),
+
+            new Phase("Concepts", "Learners take in information in a multi-sensory way.",
+                    concepts.Timing, concepts.MaterialsToPrepare)
+                .Add("Need to Know", concepts.NeedToKnow)
+                .Add("Good to Know", concepts.GoodToKnow)
+                .Add("Theses to Deliver", concepts.Theses)
+                .Add("Delivery Structure", concepts.Structure)
+                .Add("Activities", concepts.Activities)
+                .Add("Materials to Prepare", concepts.MaterialsToPrepare),
+
+            new Phase("Concrete Practice", "Learners practice a skill or repeat a procedure being learned.",
+                    practice.Timing, practice.MaterialsToPrepare)
+                .Add("Desired Output", practice.DesiredOutput)
+                .Add("Focus Area", practice.FocusArea)
+                .Add("Activities", practice.Activities)
+                .Add("Details", practice.Details)
+                .Add("Materials to Prepare", practice.MaterialsToPrepare),
+
+            new Phase("Conclusion", "Learners summarize what they have learned and celebrate the learning.",
+                    conclusions.Timing, conclusions.MaterialsToPrepare)
+                .Add("Conclusion Goal", conclusions.Goal)
+                .Add("Activities", conclusions.Activities)
+                .Add("Materials to Prepare", conclusions.MaterialsToPrepare)
+        };
+    }
+
+    private static XDocument BuildDocument(LessonPlan plan, string title)
+    {
+        var phases = BuildPhases(plan);
+        int totalDuration = phases.Sum(p => Math.Max(p.Timing, 0));
+        var body = new XElement(gW + "body");
+
+        // Title page
+        body.Add(StyledParagraph("Title", title));
+        body.Add(StyledParagraph("Subtitle", "4C Lesson Plan"));
+        body.Add(LabeledParagraph("Topic", plan.Topic));
+        body.Add(LabeledParagraph("Target Audience", plan.Audience));
+        body.Add(LabeledParagraph("Total Duration", FormatMinutes(totalDuration)));
+        body.Add(LabeledParagraph("Created", DateTime.UtcNow.ToString("MMMM d, yyyy", CultureInfo.InvariantCulture)));
+        body.Add(PageBreak());
+
+        // Lesson overview
+        body.Add(StyledParagraph("Heading1", "Lesson Overview"));
+        AddField(body, "Lesson Context", plan.Context);
+        AddField(body, "Topic", plan.Topic);
+        AddField(body, "Target Audience", plan.Audience);
+        AddField(body, "Learning Outcomes", plan.LearningOutcomes);
+
+        // Phase tables
+        foreach (var phase in phases)
+        {
+            body.Add(StyledParagraph("Heading1", phase.Title));
+            body.Add(Paragraph(Run(phase.Description, italic: true)));
+
+            var rows = new List<XElement> { TableRow("Time Allocated", new[] { Paragraph(Run(FormatMinutes(phase.Timing))) }) };
+            rows.AddRange(phase.Fields.Select(f => TableRow(f.Label, TextParagraphs(f.Value))));
+            body.Add(Table(rows));
+        }
+
+        // Materials checklist
+        body.Add(StyledParagraph("Heading1", "Materials Checklist"));
+        bool hasMaterials = false;
+        foreach (var phase in phases)
+        {
+            var items = SplitLines(phase.Materials)
+                .Select(line => gListMarker.Replace(line, string.Empty).Trim())
+                .Where(line => line.Length > 0)
+                .ToList();
+
+            if (items.Count == 0)
+                continue;
+
+            hasMaterials = true;
+            body.Add(StyledParagraph("Heading2", phase.Title));
+            foreach (var item in items)
+                body.Add(Paragraph(Run(CheckboxPrefix + item)));
+        }
+
+        if (!hasMaterials)
+            body.Add(Paragraph(Run("No materials to prepare.", italic: true)));
+
+        // Summary
+        body.Add(StyledParagraph("Heading1", "Summary"));
+        var summaryRows = phases
+            .Select(p => TableRow(p.Title, new[] { Paragraph(Run(FormatMinutes(p.Timing))) }))
+            .ToList();
+        summaryRows.Add(TableRow("Total Duration", new[] { Paragraph(Run(FormatMinutes(totalDuration), bold: true)) }));
+        body.Add(Table(summaryRows));
+
+        // Footer (also keeps the body from ending with a table)
+        body.Add(Paragraph());
+        body.Add(Paragraph(Run("Created with 4C Instructional Designer", italic: true)));
+
+        body.Add(new XElement(gW + "sectPr",
+            new XElement(gW + "pgSz", new XAttribute(gW + "w", 12240), new XAttribute(gW + "h", 15840)),
+            new XElement(gW + "pgMar",
+                new XAttribute(gW + "top", 1440),
+                new XAttribute(gW + "right", 1440),
+                new XAttribute(gW + "bottom", 1440),
+                new XAttribute(gW + "left", 1440),
+                new XAttribute(gW + "header", 720),
+                new XAttribute(gW + "footer", 720),
+                new XAttribute(gW + "gutter", 0))));
+
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(gW + "document",
+                new XAttribute(XNamespace.Xmlns + "w", gW.NamespaceName),
+                body));
+    }
+
+    private static void AddField(XElement body, string label, string? value)
+    {
+        body.Add(StyledParagraph("Heading2", label));
+        body.Add(TextParagraphs(value));
+    }
+
+    private static string FormatMinutes(int minutes)
+    {
+        return $"{minutes} minutes";
+    }
+
+    private static List<string> SplitLines(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+            return new List<string>();
+
+        return text
+            .Replace("\r\n", "\n")
+            .Replace('\r', '\n')
+            .Split('\n')
+            .Select(line => line.TrimEnd())
+            .Where(line => line.Length > 0)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Converts field text to paragraphs, one per line.
+    /// List markers are kept as text so bulleted and numbered lists stay readable.
+    /// </summary>
+    private static XElement[] TextParagraphs(string? text)
+    {
+        var lines = SplitLines(text);
+        if (lines.Count == 0)
+            return new[] { Paragraph(Run(EmptyFieldText, italic: true)) };
+
+        return lines.Select(line => Paragraph(Run(line))).ToArray();
+    }
+
+    // WordprocessingML elements
+
+    private static XElement Paragraph(params XElement[] runs)
+    {
+        return new XElement(gW + "p", runs);
+    }
+
+    private static XElement StyledParagraph(string styleId, string text)
+    {
+        return new XElement(gW + "p",
+            new XElement(gW + "pPr", new XElement(gW + "pStyle", new XAttribute(gW + "val", styleId))),
+            Run(text));
+    }
+
+    private static XElement LabeledParagraph(string label, string? value)
+    {
+        return Paragraph(
+            Run(label + ": ", bold: true),
+            string.IsNullOrWhiteSpace(value) ? Run(EmptyFieldText, italic: true) : Run(value.Trim()));
+    }
+
+    private static XElement PageBreak()
+    {
+        return Paragraph(new XElement(gW + "r", new XElement(gW + "br", new XAttribute(gW + "type", "page"))));
+    }
+
+    private static XElement Run(string text, bool bold = false, bool italic = false)
+    {
+        var run = new XElement(gW + "r");
+
+        if (bold || italic)
+        {
+            var properties = new XElement(gW + "rPr");
+            if (bold)
+                properties.Add(new XElement(gW + "b"));
+            if (italic)
+                properties.Add(new XElement(gW + "i"));
+            run.Add(properties);
+        }
+
+        run.Add(new XElement(gW + "t",
+            new XAttribute(XNamespace.Xml + "space", "preserve"),
+            RemoveInvalidXmlChars(text)));
+
+        return run;
+    }
+
+    private static XElement Table(IEnumerable<XElement> rows)
+    {
+        return new XElement(gW + "tbl",
+            new XElement(gW + "tblPr",
+                new XElement(gW + "tblStyle", new XAttribute(gW + "val", "TableGrid")),
+                new XElement(gW + "tblW", new XAttribute(gW + "w", LabelColumnWidth + ValueColumnWidth), new XAttribute(gW + "type", "dxa"))),
+            new XElement(gW + "tblGrid",
+                new XElement(gW + "gridCol", new XAttribute(gW + "w", LabelColumnWidth)),
+                new XElement(gW + "gridCol", new XAttribute(gW + "w", ValueColumnWidth))),
+            rows);
+    }
+
+    private static XElement TableRow(string label, XElement[] valueParagraphs)
+    {
+        return new XElement(gW + "tr",
+            TableCell(LabelColumnWidth, new[] { Paragraph(Run(label, bold: true)) }),
+            TableCell(ValueColumnWidth, valueParagraphs));
+    }
+
+    private static XElement TableCell(int width, XElement[] paragraphs)
+    {
+        return new XElement(gW + "tc",
+            new XElement(gW + "tcPr",
+                new XElement(gW + "tcW", new XAttribute(gW + "w", width), new XAttribute(gW + "type", "dxa"))),
+            paragraphs);
+    }
+
+    private static string RemoveInvalidXmlChars(string text)
+    {
+        if (text.All(XmlConvert.IsXmlChar))
+            return text;
+
+        return new string(text.Where(XmlConvert.IsXmlChar).ToArray());
+    }
+
+    // Package parts
+
+    private static void WriteEntry(ZipArchive archive, string name, XDocument document)
+    {
+        var entry = archive.CreateEntry(name, CompressionLevel.Optimal);
+        using var entryStream = entry.Open();
+        using var writer = XmlWriter.Create(entryStream, new XmlWriterSettings { Encoding = new UTF8Encoding(false) });
+        document.Save(writer);
+    }
+
+    private static XDocument BuildContentTypes()
+    {
+        XNamespace ns = gContentTypesNamespace;
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(ns + "Types",
+                new XElement(ns + "Default",
+                    new XAttribute("Extension", "rels"),
+                    new XAttribute("ContentType", "application/vnd.openxmlformats-package.relationships+xml")),
+                new XElement(ns + "Default",
+                    new XAttribute("Extension", "xml"),
+                    new XAttribute("ContentType", "application/xml")),
+                new XElement(ns + "Override",
+                    new XAttribute("PartName", "/word/document.xml"),
+                    new XAttribute("ContentType", "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml")),
+                new XElement(ns + "Override",
+                    new XAttribute("PartName", "/word/styles.xml"),
+                    new XAttribute("ContentType", "application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml")),
+                new XElement(ns + "Override",
+                    new XAttribute("PartName", "/docProps/core.xml"),
+                    new XAttribute("ContentType", "application/vnd.openxmlformats-package.core-properties+xml"))));
+    }
+
+    private static XDocument BuildPackageRelationships()
+    {
+        XNamespace ns = gRelationshipsNamespace;
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(ns + "Relationships",
+                new XElement(ns + "Relationship",
+                    new XAttribute("Id", "rId1"),
+                    new XAttribute("Type", "http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"),
+                    new XAttribute("Target", "word/document.xml")),
+                new XElement(ns + "Relationship",
+                    new XAttribute("Id", "rId2"),
+                    new XAttribute("Type", "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties"),
+                    new XAttribute("Target", "docProps/core.xml"))));
+    }
+
+    private static XDocument BuildDocumentRelationships()
+    {
+        XNamespace ns = gRelationshipsNamespace;
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(ns + "Relationships",
+                new XElement(ns + "Relationship",
+                    new XAttribute("Id", "rId1"),
+                    new XAttribute("Type", "http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles"),
+                    new XAttribute("Target", "styles.xml"))));
+    }
+
+    private static XDocument BuildCoreProperties(string title)
+    {
+        string created = DateTime.UtcNow.ToString("yyyy-MM-ddTHH:mm:ssZ", CultureInfo.InvariantCulture);
+
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(gCorePropertiesNamespace + "coreProperties",
+                new XAttribute(XNamespace.Xmlns + "cp", gCorePropertiesNamespace.NamespaceName),
+                new XAttribute(XNamespace.Xmlns + "dc", gDcNamespace.NamespaceName),
+                new XAttribute(XNamespace.Xmlns + "dcterms", gDcTermsNamespace.NamespaceName),
+                new XAttribute(XNamespace.Xmlns + "xsi", gXsiNamespace.NamespaceName),
+                new XElement(gDcNamespace + "title", RemoveInvalidXmlChars(title)),
+                new XElement(gDcNamespace + "creator", "4C Instructional Designer"),
+                new XElement(gDcTermsNamespace + "created",
+                    new XAttribute(gXsiNamespace + "type", "dcterms:W3CDTF"),
+                    created)));
+    }
+
+    private static XDocument BuildStyles()
+    {
+        return new XDocument(
+            new XDeclaration("1.0", "UTF-8", "yes"),
+            new XElement(gW + "styles",
+                new XAttribute(XNamespace.Xmlns + "w", gW.NamespaceName),
+                new XElement(gW + "docDefaults",
+                    new XElement(gW + "rPrDefault",
+                        new XElement(gW + "rPr",
+                            new XElement(gW + "rFonts",
+                                new XAttribute(gW + "ascii", "Calibri"),
+                                new XAttribute(gW + "hAnsi", "Calibri"),
+                                new XAttribute(gW + "cs", "Calibri")),
+                            new XElement(gW + "sz", new XAttribute(gW + "val", 22)))),
+                    new XElement(gW + "pPrDefault",
+                        new XElement(gW + "pPr",
+                            new XElement(gW + "spacing", new XAttribute(gW + "after", 120))))),
+                new XElement(gW + "style",
+                    new XAttribute(gW + "type", "paragraph"),
+                    new XAttribute(gW + "default", 1),
+                    new XAttribute(gW + "styleId", "Normal"),
+                    new XElement(gW + "name", new XAttribute(gW + "val", "Normal"))),
+                ParagraphStyle("Title", "Title", 56, 240, null),
+                ParagraphStyle("Subtitle", "Subtitle", 32, 480, null),
+                ParagraphStyle("Heading1", "heading 1", 32, 120, 0),
+                ParagraphStyle("Heading2", "heading 2", 26, 60, 1),
+                new XElement(gW + "style",
+                    new XAttribute(gW + "type", "table"),
+                    new XAttribute(gW + "styleId", "TableGrid"),
+                    new XElement(gW + "name", new XAttribute(gW + "val", "Table Grid")),
+                    new XElement(gW + "tblPr",
+                        new XElement(gW + "tblBorders",
+                            TableBorder("top"),
+                            TableBorder("left"),
+                            TableBorder("bottom"),
+                            TableBorder("right"),
+                            TableBorder("insideH"),
+                            TableBorder("insideV")),
+                        new XElement(gW + "tblCellMar",
+                            new XElement(gW + "left", new XAttribute(gW + "w", 108), new XAttribute(gW + "type", "dxa")),
+                            new XElement(gW + "right", new XAttribute(gW + "w", 108), new XAttribute(gW + "type", "dxa")))))));
+    }
+
+    private static XElement ParagraphStyle(string styleId, string name, int size, int spacingAfter, int? outlineLevel)
+    {
+        var paragraphProperties = new XElement(gW + "pPr",
+            new XElement(gW + "keepNext"),
+            new XElement(gW + "spacing",
+                new XAttribute(gW + "before", outlineLevel.HasValue ? 240 : 0),
+                new XAttribute(gW + "after", spacingAfter)));
+
+        if (outlineLevel.HasValue)
+            paragraphProperties.Add(new XElement(gW + "outlineLvl", new XAttribute(gW + "val", outlineLevel.Value)));
+
+        return new XElement(gW + "style",
+            new XAttribute(gW + "type", "paragraph"),
+            new XAttribute(gW + "styleId", styleId),
+            new XElement(gW + "name", new XAttribute(gW + "val", name)),
+            new XElement(gW + "basedOn", new XAttribute(gW + "val", "Normal")),
+            new XElement(gW + "next", new XAttribute(gW + "val", "Normal")),
+            new XElement(gW + "qFormat"),
+            paragraphProperties,
+            new XElement(gW + "rPr",
+                new XElement(gW + "b"),
+                new XElement(gW + "sz", new XAttribute(gW + "val", size))));
+    }
+
+    private static XElement TableBorder(string side)
+    {
+        return new XElement(gW + side,
+            new XAttribute(gW + "val", "single"),
+            new XAttribute(gW + "sz", 4),
+            new XAttribute(gW + "space", 0),
+            new XAttribute(gW + "color", "auto"));
+    }
+}
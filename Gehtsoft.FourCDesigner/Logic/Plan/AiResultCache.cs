@@ -0,0 +1,89 @@
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// In-memory cache of successful AI assistance results.
+/// </summary>
+public class AiResultCache : IAiResultCache, IDisposable
+{
+    private readonly IAiResultCacheConfiguration mConfiguration;
+    private readonly MemoryCache mCache;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="AiResultCache"/> class.
+    /// </summary>
+    /// <param name="configuration">The cache configuration.</param>
+    /// <exception cref="ArgumentNullException">Thrown when configuration is null.</exception>
+    public AiResultCache(IAiResultCacheConfiguration configuration)
+    {
+        if (configuration == null)
+            throw new ArgumentNullException(nameof(configuration));
+
+        mConfiguration = configuration;
+        mCache = new MemoryCache(new MemoryCacheOptions
+        {
+            SizeLimit = configuration.MaxEntries
+        });
+    }
+
+    /// <summary>
+    /// Disposes the memory cache.
+    /// </summary>
+    public void Dispose()
+    {
+        mCache?.Dispose();
+    }
+
+    /// <inheritdoc/>
+    public bool TryGet(string operation, string prompt, string userInput, out string output)
+    {
+        if (mCache.TryGetValue<string>(CreateKey(operation, prompt, userInput), out string? value) && value != null)
+        {
+            output = value;
+            return true;
+        }
+
+        output = string.Empty;
+        return false;
+    }
+
+    /// <inheritdoc/>
+    public void Set(string operation, string prompt, string userInput, string output)
+    {
+        if (output == null)
+            throw new ArgumentNullException(nameof(output));
+
+        var cacheOptions = new MemoryCacheEntryOptions
+        {
+            AbsoluteExpirationRelativeToNow = TimeSpan.FromSeconds(mConfiguration.ExpirationInSeconds),
+            Size = 1
+        };
+
+        mCache.Set(CreateKey(operation, prompt, userInput), output, cacheOptions);
+    }
+
+    /// <summary>
+    /// Creates the cache key of a request: the operation and the SHA-256 hash of the prompt and the user input.
+    /// </summary>
+    /// <param name="operation">The name of the operation.</param>
+    /// <param name="prompt">The prompt sent to the AI.</param>
+    /// <param name="userInput">The user input sent to the AI.</param>
+    /// <returns>The cache key.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
+    public static string CreateKey(string operation, string prompt, string userInput)
+    {
+        if (operation == null)
+            throw new ArgumentNullException(nameof(operation));
+        if (prompt == null)
+            throw new ArgumentNullException(nameof(prompt));
+        if (userInput == null)
+            throw new ArgumentNullException(nameof(userInput));
+
+        // The prompts are built by the server and never contain the separator
+        byte[] hash = SHA256.HashData(Encoding.UTF8.GetBytes(prompt + "\0" + userInput));
+        return $"ai:{operation}:{Convert.ToHexString(hash)}";
+    }
+}
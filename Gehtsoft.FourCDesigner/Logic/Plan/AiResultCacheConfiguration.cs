@@ -0,0 +1,56 @@
+using Microsoft.Extensions.Configuration;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Configuration implementation for the cache of AI assistance results.
+/// </summary>
+public class AiResultCacheConfiguration : IAiResultCacheConfiguration
+{
+    private readonly IConfiguration mConfiguration;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="AiResultCacheConfiguration"/> class.
+    /// </summary>
+    /// <param name="configuration">The configuration provider.</param>
+    /// <exception cref="ArgumentNullException">Thrown when configuration is null.</exception>
+    public AiResultCacheConfiguration(IConfiguration configuration)
+    {
+        if (configuration == null)
+            throw new ArgumentNullException(nameof(configuration));
+
+        mConfiguration = configuration;
+    }
+
+    /// <inheritdoc/>
+    public double ExpirationInSeconds
+    {
+        get
+        {
+            string? value = mConfiguration["ai:cache:expirationInSeconds"];
+            if (string.IsNullOrEmpty(value))
+                return 3600.0; // Default: 1 hour
+
+            if (!double.TryParse(value, out double result))
+                throw new InvalidOperationException($"Invalid AI cache expiration value: {value}");
+
+            return result;
+        }
+    }
+
+    /// <inheritdoc/>
+    public int MaxEntries
+    {
+        get
+        {
+            string? value = mConfiguration["ai:cache:maxEntries"];
+            if (string.IsNullOrEmpty(value))
+                return 1000;
+
+            if (!int.TryParse(value, out int result) || result < 1)
+                throw new InvalidOperationException($"Invalid AI cache size value: {value}");
+
+            return result;
+        }
+    }
+}
@@ -0,0 +1,31 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// A message of a conversation with the AI about a lesson plan.
+/// </summary>
+public class ChatMessage
+{
+    /// <summary>
+    /// Role of the messages written by the lesson designer.
+    /// </summary>
+    public const string RoleUser = "user";
+
+    /// <summary>
+    /// Role of the messages written by the AI.
+    /// </summary>
+    public const string RoleAssistant = "assistant";
+
+    /// <summary>
+    /// Gets or sets the author of the message ("user" or "assistant").
+    /// </summary>
+    [JsonPropertyName("role")]
+    public string Role { get; set; } = RoleUser;
+
+    /// <summary>
+    /// Gets or sets the text of the message.
+    /// </summary>
+    [JsonPropertyName("content")]
+    public string Content { get; set; } = string.Empty;
+}
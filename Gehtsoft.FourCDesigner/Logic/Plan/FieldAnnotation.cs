@@ -0,0 +1,28 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Feedback of the whole-lesson review kept beside a field of a stored plan,
+/// with the state the lesson designer gave it.
+/// </summary>
+public class FieldAnnotation : FieldFeedback
+{
+    /// <summary>
+    /// Gets or sets the annotation identifier assigned by the client.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the state ("open", "resolved" or "dismissed").
+    /// </summary>
+    [JsonPropertyName("status")]
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the time of the review the annotation comes from (ISO 8601).
+    /// </summary>
+    [JsonPropertyName("createdAt")]
+    public string CreatedAt { get; set; } = string.Empty;
+}
@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Feedback of the whole-lesson review on one field of the lesson plan.
+/// </summary>
+public class FieldFeedback
+{
+    /// <summary>
+    /// Gets or sets the path of the field (e.g., "concepts.theses").
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the severity ("issue", "suggestion" or "strength").
+    /// </summary>
+    [JsonPropertyName("severity")]
+    public string Severity { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the feedback text.
+    /// </summary>
+    [JsonPropertyName("comment")]
+    public string Comment { get; set; } = string.Empty;
+}
@@ -0,0 +1,173 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Reads the field feedback returned by the AI for the whole-lesson field review.
+/// </summary>
+/// <remarks>
+/// The AI is asked to return a JSON array of <see cref="FieldFeedback"/> items.
+/// Text around the array (e.g., code fences) is ignored, feedback on unknown fields
+/// and empty comments are left out, and unknown severities become "suggestion".
+/// </remarks>
+public static class FieldFeedbackParser
+{
+    /// <summary>
+    /// Severity of feedback that points out a problem.
+    /// </summary>
+    public const string SeverityIssue = "issue";
+
+    /// <summary>
+    /// Severity of feedback that proposes an improvement.
+    /// </summary>
+    public const string SeveritySuggestion = "suggestion";
+
+    /// <summary>
+    /// Severity of feedback that highlights a strength.
+    /// </summary>
+    public const string SeverityStrength = "strength";
+
+    private static readonly Dictionary<string, string> gFieldPaths = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["context"] = "Context",
+        ["topic"] = "Topic",
+        ["audience"] = "Audience",
+        ["learningOutcomes"] = "Learning Outcomes",
+        ["connections.timing"] = "Connections Phase, Timing",
+        ["connections.goal"] = "Connections Phase, Goal",
+        ["connections.activities"] = "Connections Phase, Activities",
+        ["connections.materialsToPrepare"] = "Connections Phase, Materials to Prepare",
+        ["concepts.timing"] = "Concepts Phase, Timing",
+        ["concepts.needToKnow"] = "Concepts Phase, Need to Know",
+        ["concepts.goodToKnow"] = "Concepts Phase, Good to Know",
+        ["concepts.theses"] = "Concepts Phase, Theses",
+        ["concepts.structure"] = "Concepts Phase, Structure",
+        ["concepts.activities"] = "Concepts Phase, Activities",
+        ["concepts.materialsToPrepare"] = "Concepts Phase, Materials to Prepare",
+        ["concretePractice.timing"] = "Concrete Practice Phase, Timing",
+        ["concretePractice.desiredOutput"] = "Concrete Practice Phase, Desired Output",
+        ["concretePractice.focusArea"] = "Concrete Practice Phase, Focus Area",
+        ["concretePractice.activities"] = "Concrete Practice Phase, Activities",
+        ["concretePractice.details"] = "Concrete Practice Phase, Details",
+        ["concretePractice.materialsToPrepare"] = "Concrete Practice Phase, Materials to Prepare",
+        ["conclusions.timing"] = "Conclusions Phase, Timing",
+        ["conclusions.goal"] = "Conclusions Phase, Goal",
+        ["conclusions.activities"] = "Conclusions Phase, Activities",
+        ["conclusions.materialsToPrepare"] = "Conclusions Phase, Materials to Prepare"
+    };
+
+    private static readonly JsonSerializerOptions gReadOptions = new()
+    {
+        PropertyNameCaseInsensitive = true
+    };
+
+    /// <summary>
+    /// Gets the field paths feedback can be given on, with the names of the fields
+    /// as they appear in the lesson plan sent to the AI.
+    /// </summary>
+    public static IReadOnlyDictionary<string, string> FieldPaths => gFieldPaths;
+
+    /// <summary>
+    /// Attempts to read field feedback from the AI output.
+    /// </summary>
+    /// <param name="output">The AI output.</param>
+    /// <param name="feedback">The feedback items with canonical field paths, or an empty list if reading failed.</param>
+    /// <returns>True if the output contains a JSON array of feedback items; otherwise, false.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when output is null.</exception>
+    public static bool TryParse(string output, out List<FieldFeedback> feedback)
+    {
+        if (output == null)
+            throw new ArgumentNullException(nameof(output));
+
+        feedback = new List<FieldFeedback>();
+
+        int start = output.IndexOf('[');
+        int end = output.LastIndexOf(']');
+        if (start < 0 || end < start)
+            return false;
+
+        List<FieldFeedback?>? items;
+        try
+        {
+            items = JsonSerializer.Deserialize<List<FieldFeedback?>>(
+                output.Substring(start, end - start + 1),
+                gReadOptions);
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+
+        if (items == null)
+            return false;
+
+        foreach (FieldFeedback? item in items)
+        {
+            if (item == null || string.IsNullOrWhiteSpace(item.Comment))
+                continue;
+
+            string? field = FindFieldPath(item.Field);
+            if (field == null)
+                continue;
+
+            feedback.Add(new FieldFeedback
+            {
+                Field = field,
+                Severity = NormalizeSeverity(item.Severity),
+                Comment = item.Comment.Trim()
+            });
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Serializes field feedback to the JSON array sent to the client.
+    /// </summary>
+    /// <param name="feedback">The feedback items.</param>
+    /// <returns>The JSON text.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when feedback is null.</exception>
+    public static string Serialize(IEnumerable<FieldFeedback> feedback)
+    {
+        if (feedback == null)
+            throw new ArgumentNullException(nameof(feedback));
+
+        return JsonSerializer.Serialize(feedback);
+    }
+
+    /// <summary>
+    /// Finds the canonical spelling of a field path.
+    /// </summary>
+    /// <param name="field">The field path returned by the AI.</param>
+    /// <returns>The canonical field path, or null if the field is unknown.</returns>
+    private static string? FindFieldPath(string? field)
+    {
+        if (string.IsNullOrWhiteSpace(field))
+            return null;
+
+        foreach (string path in gFieldPaths.Keys)
+        {
+            if (string.Equals(path, field.Trim(), StringComparison.OrdinalIgnoreCase))
+                return path;
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Converts a severity returned by the AI to one of the known severities.
+    /// </summary>
+    /// <param name="severity">The severity returned by the AI.</param>
+    /// <returns>The known severity.</returns>
+    private static string NormalizeSeverity(string? severity)
+    {
+        string value = severity?.Trim().ToLowerInvariant() ?? string.Empty;
+
+        if (value == SeverityIssue || value == SeverityStrength)
+            return value;
+
+        return SeveritySuggestion;
+    }
+}
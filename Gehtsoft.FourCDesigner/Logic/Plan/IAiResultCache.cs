@@ -0,0 +1,31 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Cache of successful AI assistance results.
+/// </summary>
+/// <remarks>
+/// Results are keyed by the operation and a hash of the prompt and the user input sent to the AI.
+/// The user input contains only the plan fields the operation uses, so editing other fields
+/// does not invalidate a cached result, while editing any of these fields or the lesson language does.
+/// </remarks>
+public interface IAiResultCache
+{
+    /// <summary>
+    /// Gets a cached result.
+    /// </summary>
+    /// <param name="operation">The name of the operation.</param>
+    /// <param name="prompt">The prompt sent to the AI.</param>
+    /// <param name="userInput">The user input sent to the AI.</param>
+    /// <param name="output">When this method returns <c>true</c>, the cached AI output.</param>
+    /// <returns><c>true</c> if a result is cached; otherwise, <c>false</c>.</returns>
+    bool TryGet(string operation, string prompt, string userInput, out string output);
+
+    /// <summary>
+    /// Caches a result, replacing an earlier result of the same request.
+    /// </summary>
+    /// <param name="operation">The name of the operation.</param>
+    /// <param name="prompt">The prompt sent to the AI.</param>
+    /// <param name="userInput">The user input sent to the AI.</param>
+    /// <param name="output">The AI output.</param>
+    void Set(string operation, string prompt, string userInput, string output);
+}
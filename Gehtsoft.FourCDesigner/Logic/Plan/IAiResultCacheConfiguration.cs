@@ -0,0 +1,17 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Configuration interface for the cache of AI assistance results.
+/// </summary>
+public interface IAiResultCacheConfiguration
+{
+    /// <summary>
+    /// Gets the time a result is kept in the cache, in seconds.
+    /// </summary>
+    double ExpirationInSeconds { get; }
+
+    /// <summary>
+    /// Gets the maximum number of results kept in the cache.
+    /// </summary>
+    int MaxEntries { get; }
+}
@@ -15,4 +15,22 @@ public interface ILessonPlanFormatter
     /// <exception cref="System.ArgumentNullException">Thrown when plan is null.</exception>
     /// <exception cref="System.ArgumentException">Thrown when requestId is not recognized.</exception>
     string FormatLessonPlan(LessonPlan plan, RequestId requestId);
+
+    /// <summary>
+    /// Formats the whole lesson plan followed by a conversation about it.
+    /// </summary>
+    /// <param name="plan">The lesson plan to format.</param>
+    /// <param name="messages">The conversation, oldest message first.</param>
+    /// <returns>A structured string representation of the lesson plan and the conversation.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan or messages is null.</exception>
+    string FormatChat(LessonPlan plan, IReadOnlyList<ChatMessage> messages);
+
+    /// <summary>
+    /// Formats the lesson plan for the timing balance with the specified target duration.
+    /// </summary>
+    /// <param name="plan">The lesson plan to format.</param>
+    /// <param name="duration">The target duration of the lesson in minutes.</param>
+    /// <returns>A structured string representation of the target duration and the phases of the lesson.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan is null.</exception>
+    string FormatTimingBalance(LessonPlan plan, int duration);
 }
@@ -13,8 +13,110 @@ public interface IPlanAiController
     /// </summary>
     /// <param name="requestId">The type of assistance request.</param>
     /// <param name="plan">The lesson plan to process.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of returning a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token; cancelling it stops the AI request.</param>
     /// <returns>An AIResult containing the AI response or error information.</returns>
     /// <exception cref="System.ArgumentNullException">Thrown when plan is null.</exception>
     /// <exception cref="System.ArgumentException">Thrown when requestId is not recognized.</exception>
-    Task<AIResult> Request(RequestId requestId, LessonPlan plan);
+    Task<AIResult> Request(
+        RequestId requestId,
+        LessonPlan plan,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Processes an AI assistance request for a lesson plan, passing each part
+    /// of the AI response to the caller as soon as it is generated.
+    /// </summary>
+    /// <param name="requestId">The type of assistance request.</param>
+    /// <param name="plan">The lesson plan to process.</param>
+    /// <param name="onChunk">The callback invoked for each generated part of the response;
+    /// a cached response is passed in one part.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of returning a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the complete AI response or error information.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan or onChunk is null.</exception>
+    Task<AIResult> RequestStreaming(
+        RequestId requestId,
+        LessonPlan plan,
+        Func<string, Task> onChunk,
+        bool bypassCache,
+        CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Answers the last question of a free-form conversation about a lesson plan.
+    /// </summary>
+    /// <param name="plan">The lesson plan the conversation is about.</param>
+    /// <param name="messages">The conversation so far; the last message must be written by the user.</param>
+    /// <param name="cancellationToken">The cancellation token; cancelling it stops the AI request.</param>
+    /// <returns>An AIResult containing the answer of the AI or error information.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan or messages is null.</exception>
+    /// <exception cref="System.ArgumentException">Thrown when the conversation is empty, too long,
+    /// contains an invalid message or does not end with a message of the user.</exception>
+    Task<AIResult> Chat(
+        LessonPlan plan,
+        IReadOnlyList<ChatMessage> messages,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Drafts all fields of the four phases of a lesson plan from its topic, audience and
+    /// learning outcomes. The fields are drafted one after another, each from the fields
+    /// drafted before it, and then the duration of the lesson is split between the phases
+    /// by the timing balance of the drafted content (a default split if the timing balance fails).
+    /// </summary>
+    /// <param name="plan">The lesson plan whose overview (context, language, topic, audience
+    /// and learning outcomes) the draft is made for; the plan is not changed.</param>
+    /// <param name="duration">The duration of the lesson in minutes.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of using cached results.</param>
+    /// <param name="cancellationToken">The cancellation token; cancelling it stops the draft.</param>
+    /// <returns>The draft; a draft stopped by a failed request contains the fields drafted before the failure.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan is null.</exception>
+    /// <exception cref="System.ArgumentException">Thrown when the plan has no topic.</exception>
+    /// <exception cref="System.ArgumentOutOfRangeException">Thrown when the duration is shorter than
+    /// <see cref="LessonPlanDraft.MinDuration"/> or longer than <see cref="LessonPlanDraft.MaxDuration"/>.</exception>
+    Task<LessonPlanDraft> Draft(
+        LessonPlan plan,
+        int duration,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Drafts all fields of the four phases of a lesson plan like <see cref="Draft"/>,
+    /// passing each drafted field to the caller as soon as it is drafted.
+    /// </summary>
+    /// <param name="plan">The lesson plan whose overview the draft is made for; the plan is not changed.</param>
+    /// <param name="duration">The duration of the lesson in minutes.</param>
+    /// <param name="onField">The callback invoked for each drafted field, in the order the fields are drafted.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of using cached results.</param>
+    /// <param name="cancellationToken">The cancellation token; cancelling it stops the draft.</param>
+    /// <returns>The draft; a draft stopped by a failed request contains the fields drafted before the failure.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan or onField is null.</exception>
+    /// <exception cref="System.ArgumentException">Thrown when the plan has no topic.</exception>
+    /// <exception cref="System.ArgumentOutOfRangeException">Thrown when the duration is shorter than
+    /// <see cref="LessonPlanDraft.MinDuration"/> or longer than <see cref="LessonPlanDraft.MaxDuration"/>.</exception>
+    Task<LessonPlanDraft> DraftStreaming(
+        LessonPlan plan,
+        int duration,
+        Func<LessonPlanDraftField, Task> onField,
+        bool bypassCache,
+        CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Suggests how to split the duration of a lesson between its four phases, based on
+    /// the goals and the activities of the phases, with the rationale for each phase.
+    /// </summary>
+    /// <param name="plan">The lesson plan to balance; the plan is not changed.</param>
+    /// <param name="duration">The target duration of the lesson in minutes.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of returning a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the <see cref="PhaseTiming"/> items of the four phases as a JSON array,
+    /// with the minutes adding up to the duration, or error information.</returns>
+    /// <exception cref="System.ArgumentNullException">Thrown when plan is null.</exception>
+    /// <exception cref="System.ArgumentOutOfRangeException">Thrown when the duration is shorter than
+    /// <see cref="LessonPlanDraft.MinDuration"/> or longer than <see cref="LessonPlanDraft.MaxDuration"/>.</exception>
+    Task<AIResult> BalanceTimings(
+        LessonPlan plan,
+        int duration,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default);
 }
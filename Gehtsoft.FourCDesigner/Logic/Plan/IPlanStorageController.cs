@@ -0,0 +1,58 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Controller for storing lesson plans on behalf of users.
+/// </summary>
+public interface IPlanStorageController
+{
+    /// <summary>
+    /// Lists the plans owned by a user, most recently modified first.
+    /// The plan content is not included.
+    /// </summary>
+    /// <param name="email">The email of the owner.</param>
+    /// <returns>The list of plan summaries.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when email is null.</exception>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user does not exist.</exception>
+    IReadOnlyList<StoredPlan> ListPlans(string email);
+
+    /// <summary>
+    /// Gets a plan owned by a user, including its content.
+    /// </summary>
+    /// <param name="email">The email of the owner.</param>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>The plan, or null if not found.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when email or planId is null.</exception>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user does not exist.</exception>
+    StoredPlan? GetPlan(string email, string planId);
+
+    /// <summary>
+    /// Creates or updates a plan owned by a user.
+    /// </summary>
+    /// <param name="email">The email of the owner.</param>
+    /// <param name="planId">The plan identifier.</param>
+    /// <param name="name">The plan name.</param>
+    /// <param name="plan">The lesson plan content.</param>
+    /// <param name="baseVersion">
+    /// The server version the changes are based on (0 for a new plan),
+    /// or null to overwrite the stored plan unconditionally.
+    /// </param>
+    /// <returns>The saved plan summary with the new version.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when email, planId, name or plan is null.</exception>
+    /// <exception cref="ValidationException">Thrown when the plan identifier or name is invalid.</exception>
+    /// <exception cref="PlanVersionConflictException">
+    /// Thrown when the stored plan is not at the base version, including when a concurrent save
+    /// of the plan was stored first, or when concurrent saves keep changing the plan.
+    /// </exception>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user does not exist.</exception>
+    StoredPlan SavePlan(string email, string planId, string name, LessonPlan plan, int? baseVersion = null);
+
+    /// <summary>
+    /// Deletes a plan owned by a user.
+    /// </summary>
+    /// <param name="email">The email of the owner.</param>
+    /// <param name="planId">The plan identifier.</param>
+    /// <returns>True if the plan was found and deleted, false otherwise.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when email or planId is null.</exception>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user does not exist.</exception>
+    bool DeletePlan(string email, string planId);
+}
@@ -12,4 +12,21 @@ public interface IPromptFactory
     /// <returns>The prompt text for the AI operation.</returns>
     /// <exception cref="System.ArgumentException">Thrown when requestId is not recognized.</exception>
     string GetPrompt(RequestId requestId);
+
+    /// <summary>
+    /// Gets the AI prompt for the specified request, asking for the response in the specified language.
+    /// </summary>
+    /// <param name="requestId">The request identifier.</param>
+    /// <param name="language">The code of the lesson language (see <see cref="LessonLanguage"/>); empty for the default language.</param>
+    /// <returns>The prompt text for the AI operation.</returns>
+    /// <exception cref="System.ArgumentException">Thrown when requestId is not recognized or the language is not supported.</exception>
+    string GetPrompt(RequestId requestId, string? language);
+
+    /// <summary>
+    /// Gets the AI prompt for a free-form conversation about the lesson plan, asking for the answers in the specified language.
+    /// </summary>
+    /// <param name="language">The code of the lesson language (see <see cref="LessonLanguage"/>); empty for the default language.</param>
+    /// <returns>The prompt text for the chat.</returns>
+    /// <exception cref="System.ArgumentException">Thrown when the language is not supported.</exception>
+    string GetChatPrompt(string? language);
 }
@@ -0,0 +1,73 @@
+using System;
+using System.Collections.Generic;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// The languages a lesson plan can be delivered in, i.e. the languages the AI answers in.
+/// </summary>
+/// <remarks>
+/// Languages are identified by their ISO 639-1 code. The list must match the options
+/// of the "Lesson Language" selector in wwwroot/plan.html.
+/// </remarks>
+public static class LessonLanguage
+{
+    /// <summary>
+    /// The language of the plans that don't specify one.
+    /// </summary>
+    public const string Default = "en";
+
+    private static readonly Dictionary<string, string> gLanguages = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["en"] = "English",
+        ["de"] = "German",
+        ["es"] = "Spanish",
+        ["fr"] = "French",
+        ["it"] = "Italian",
+        ["pt"] = "Portuguese",
+        ["nl"] = "Dutch",
+        ["pl"] = "Polish"
+    };
+
+    /// <summary>
+    /// Gets the supported languages: the language codes and the English names of the languages.
+    /// </summary>
+    public static IReadOnlyDictionary<string, string> Languages => gLanguages;
+
+    /// <summary>
+    /// Checks whether a language is supported. An empty code stands for the default language.
+    /// </summary>
+    /// <param name="code">The language code.</param>
+    /// <returns><c>true</c> if the language is supported; otherwise, <c>false</c>.</returns>
+    public static bool IsSupported(string? code)
+    {
+        return string.IsNullOrEmpty(code) || gLanguages.ContainsKey(code);
+    }
+
+    /// <summary>
+    /// Checks whether a language is the default language. An empty code stands for the default language.
+    /// </summary>
+    /// <param name="code">The language code.</param>
+    /// <returns><c>true</c> if the code is empty or the code of the default language; otherwise, <c>false</c>.</returns>
+    public static bool IsDefault(string? code)
+    {
+        return string.IsNullOrEmpty(code) || string.Equals(code, Default, StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Gets the English name of a language.
+    /// </summary>
+    /// <param name="code">The language code; an empty code stands for the default language.</param>
+    /// <returns>The name of the language.</returns>
+    /// <exception cref="ArgumentException">Thrown when the language is not supported.</exception>
+    public static string GetName(string? code)
+    {
+        if (string.IsNullOrEmpty(code))
+            code = Default;
+
+        if (!gLanguages.TryGetValue(code, out string? name))
+            throw new ArgumentException($"Unsupported language: {code}", nameof(code));
+
+        return name;
+    }
+}
@@ -8,6 +8,26 @@ namespace Gehtsoft.FourCDesigner.Logic.Plan;
 /// </summary>
 public class LessonPlan
 {
+    /// <summary>
+    /// The current version of the lesson plan schema.
+    /// Must match <c>FourCApp.PlanSchema.VERSION</c> in wwwroot/js/plan-schema.js.
+    /// </summary>
+    public const int CurrentSchemaVersion = 2;
+
+    /// <summary>
+    /// Gets or sets the version of the schema the plan data was written with.
+    /// Plans stored before versioning was introduced have version 0.
+    /// </summary>
+    [JsonPropertyName("schemaVersion")]
+    public int SchemaVersion { get; set; }
+
+    /// <summary>
+    /// Gets or sets the language the lesson is delivered in, as a code of <see cref="LessonLanguage"/>.
+    /// The AI writes its reviews and suggestions in this language.
+    /// </summary>
+    [JsonPropertyName("language")]
+    public string Language { get; set; }
+
     /// <summary>
     /// Gets or sets the context of the lesson.
     /// Important information about the plan required to properly understand the intent of the lesson designer.
@@ -61,11 +81,21 @@ public class LessonPlan
     [JsonPropertyName("conclusions")]
     public LessonPlanConclusions Conclusions { get; set; }
 
+    /// <summary>
+    /// Gets or sets the annotations of the latest whole-lesson review.
+    /// They are stored with the plan so they follow it to other devices;
+    /// the AI operations do not use them.
+    /// </summary>
+    [JsonPropertyName("annotations")]
+    public List<FieldAnnotation> Annotations { get; set; }
+
     /// <summary>
     /// Initializes a new instance of the <see cref="LessonPlan"/> class.
     /// </summary>
     public LessonPlan()
     {
+        SchemaVersion = CurrentSchemaVersion;
+        Language = LessonLanguage.Default;
         Context = string.Empty;
         Topic = string.Empty;
         Audience = string.Empty;
@@ -74,5 +104,6 @@ public class LessonPlan
         Concepts = new LessonPlanConcepts();
         ConcretePractice = new LessonPlanConcretePractice();
         Conclusions = new LessonPlanConclusions();
+        Annotations = new List<FieldAnnotation>();
     }
 }
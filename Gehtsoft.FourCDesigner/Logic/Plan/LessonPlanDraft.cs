@@ -0,0 +1,51 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// A lesson plan drafted by the AI from its topic, audience, learning outcomes and duration.
+/// </summary>
+public class LessonPlanDraft
+{
+    /// <summary>
+    /// The shortest lesson that can be drafted, in minutes.
+    /// </summary>
+    public const int MinDuration = 20;
+
+    /// <summary>
+    /// The longest lesson that can be drafted, in minutes.
+    /// </summary>
+    public const int MaxDuration = 480;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether all fields were drafted.
+    /// </summary>
+    [JsonPropertyName("successful")]
+    public bool Successful { get; set; }
+
+    /// <summary>
+    /// Gets or sets the error code of the request that stopped the draft, or an empty string.
+    /// </summary>
+    [JsonPropertyName("errorCode")]
+    public string ErrorCode { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the error message of the request that stopped the draft, or an empty string.
+    /// </summary>
+    [JsonPropertyName("errorMessage")]
+    public string ErrorMessage { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the drafted lesson plan: the overview of the original plan,
+    /// the phase timings and the drafted fields.
+    /// </summary>
+    [JsonPropertyName("plan")]
+    public LessonPlan Plan { get; set; } = new LessonPlan();
+
+    /// <summary>
+    /// Gets or sets the drafted fields in the order they were drafted.
+    /// If the draft stopped on an error, only the fields drafted before the error are listed.
+    /// </summary>
+    [JsonPropertyName("fields")]
+    public List<LessonPlanDraftField> Fields { get; set; } = new List<LessonPlanDraftField>();
+}
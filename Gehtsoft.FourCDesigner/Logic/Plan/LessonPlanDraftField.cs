@@ -0,0 +1,21 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// A field of a lesson plan drafted by the AI.
+/// </summary>
+public class LessonPlanDraftField
+{
+    /// <summary>
+    /// Gets or sets the path of the field (e.g., "connections.goal").
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the drafted content of the field.
+    /// </summary>
+    [JsonPropertyName("value")]
+    public string Value { get; set; } = string.Empty;
+}
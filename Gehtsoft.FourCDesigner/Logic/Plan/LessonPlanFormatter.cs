@@ -383,9 +383,44 @@ public class LessonPlanFormatter : ILessonPlanFormatter
                 ("Activities", p.Conclusions.Activities),
                 ("Materials to Prepare", p.Conclusions.MaterialsToPrepare)));
 
+        // The field review reads the same lesson plan as the whole lesson review
+        configs[RequestId.ReviewLessonFields] = configs[RequestId.ReviewWholeLesson];
+
+        // Lesson Timing: without an explicit target the current duration of the lesson is balanced
+        configs[RequestId.BalanceTimings] = CreateTimingBalanceConfiguration(p =>
+            p.Connections.Timing + p.Concepts.Timing + p.ConcretePractice.Timing + p.Conclusions.Timing);
+
         return configs;
     }
 
+    private static FormatConfiguration CreateTimingBalanceConfiguration(Func<LessonPlan, int> duration)
+    {
+        return new FormatConfiguration()
+            .Add("Context", p => p.Context)
+            .Add("Topic", p => p.Topic)
+            .Add("Audience", p => p.Audience)
+            .Add("Learning Outcomes", p => p.LearningOutcomes)
+            .Add("Target Duration", p => $"{duration(p)} minutes")
+            .Add("Connections Phase", p => FormatPhase(
+                p.Connections.Timing,
+                ("Goal", p.Connections.Goal),
+                ("Activities", p.Connections.Activities)))
+            .Add("Concepts Phase", p => FormatPhase(
+                p.Concepts.Timing,
+                ("Need to Know", p.Concepts.NeedToKnow),
+                ("Structure", p.Concepts.Structure),
+                ("Activities", p.Concepts.Activities)))
+            .Add("Concrete Practice Phase", p => FormatPhase(
+                p.ConcretePractice.Timing,
+                ("Desired Output", p.ConcretePractice.DesiredOutput),
+                ("Activities", p.ConcretePractice.Activities),
+                ("Details", p.ConcretePractice.Details)))
+            .Add("Conclusions Phase", p => FormatPhase(
+                p.Conclusions.Timing,
+                ("Goal", p.Conclusions.Goal),
+                ("Activities", p.Conclusions.Activities)));
+    }
+
     private static string FormatPhase(int timing, params (string Label, string Value)[] fields)
     {
         StringBuilder sb = new StringBuilder();
@@ -417,7 +452,58 @@ public class LessonPlanFormatter : ILessonPlanFormatter
         if (!gFormatConfigurations.ContainsKey(requestId))
             throw new ArgumentException($"Unknown request ID: {requestId}", nameof(requestId));
 
-        FormatConfiguration config = gFormatConfigurations[requestId];
+        return Format(plan, gFormatConfigurations[requestId]);
+    }
+
+    /// <summary>
+    /// Formats the whole lesson plan followed by a conversation about it.
+    /// </summary>
+    /// <param name="plan">The lesson plan to format.</param>
+    /// <param name="messages">The conversation, oldest message first.</param>
+    /// <returns>A structured string representation of the lesson plan and the conversation.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when plan or messages is null.</exception>
+    public string FormatChat(LessonPlan plan, IReadOnlyList<ChatMessage> messages)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        if (messages == null)
+            throw new ArgumentNullException(nameof(messages));
+
+        StringBuilder sb = new StringBuilder();
+        sb.Append(Format(plan, gFormatConfigurations[RequestId.ReviewWholeLesson]));
+        sb.AppendLine();
+        sb.AppendLine("# Conversation");
+
+        for (int i = 0; i < messages.Count; i++)
+        {
+            string author = messages[i].Role == ChatMessage.RoleAssistant ? "Assistant" : "User";
+
+            sb.AppendLine();
+            sb.AppendLine($"## {author}");
+            sb.AppendLine(messages[i].Content);
+        }
+
+        return sb.ToString();
+    }
+
+    /// <summary>
+    /// Formats the lesson plan for the timing balance with the specified target duration.
+    /// </summary>
+    /// <param name="plan">The lesson plan to format.</param>
+    /// <param name="duration">The target duration of the lesson in minutes.</param>
+    /// <returns>A structured string representation of the target duration and the phases of the lesson.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when plan is null.</exception>
+    public string FormatTimingBalance(LessonPlan plan, int duration)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        return Format(plan, CreateTimingBalanceConfiguration(_ => duration));
+    }
+
+    private static string Format(LessonPlan plan, FormatConfiguration config)
+    {
         StringBuilder sb = new StringBuilder();
 
         for (int i = 0; i < config.Fields.Count; i++)
@@ -0,0 +1,37 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Describes an AI assistance operation for the clients that list the operations.
+/// </summary>
+[AttributeUsage(AttributeTargets.Field, AllowMultiple = false)]
+public sealed class OperationAttribute : Attribute
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OperationAttribute"/> class.
+    /// </summary>
+    /// <param name="field">The path of the lesson plan field the operation is for (e.g., "connections.goal"),
+    /// or null if the operation is for the whole lesson.</param>
+    /// <param name="description">The description of the operation shown to the user.</param>
+    /// <exception cref="ArgumentNullException">Thrown when description is null.</exception>
+    public OperationAttribute(string? field, string description)
+    {
+        Field = field;
+        Description = description ?? throw new ArgumentNullException(nameof(description));
+    }
+
+    /// <summary>
+    /// Gets the path of the lesson plan field the operation is for, or null for the whole lesson.
+    /// </summary>
+    public string? Field { get; }
+
+    /// <summary>
+    /// Gets the description of the operation.
+    /// </summary>
+    public string Description { get; }
+
+    /// <summary>
+    /// Gets or sets the label of the button that starts the operation.
+    /// If not set, the label is the type of the operation ("Review" or "Suggest").
+    /// </summary>
+    public string? Label { get; set; }
+}
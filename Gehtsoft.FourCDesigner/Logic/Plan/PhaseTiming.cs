@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// The time the timing balance suggests for one phase of the lesson.
+/// </summary>
+public class PhaseTiming
+{
+    /// <summary>
+    /// Gets or sets the phase ("connections", "concepts", "concretePractice" or "conclusions").
+    /// </summary>
+    [JsonPropertyName("phase")]
+    public string Phase { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the suggested time of the phase in minutes.
+    /// </summary>
+    [JsonPropertyName("minutes")]
+    public int Minutes { get; set; }
+
+    /// <summary>
+    /// Gets or sets the reason for the suggested time.
+    /// </summary>
+    [JsonPropertyName("rationale")]
+    public string Rationale { get; set; } = string.Empty;
+}
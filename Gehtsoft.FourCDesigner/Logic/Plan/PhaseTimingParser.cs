@@ -0,0 +1,98 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Reads the phase timings returned by the AI for the timing balance.
+/// </summary>
+/// <remarks>
+/// The AI is asked to return a JSON array of <see cref="PhaseTiming"/> items, one for
+/// each phase. Text around the array (e.g., code fences) is ignored. The output is only
+/// accepted if it gives a positive time for each of the four phases exactly once.
+/// </remarks>
+public static class PhaseTimingParser
+{
+    private static readonly string[] gPhases = ["connections", "concepts", "concretePractice", "conclusions"];
+
+    private static readonly JsonSerializerOptions gReadOptions = new()
+    {
+        PropertyNameCaseInsensitive = true,
+        NumberHandling = JsonNumberHandling.AllowReadingFromString
+    };
+
+    /// <summary>
+    /// Gets the phases of a lesson in their order.
+    /// </summary>
+    public static IReadOnlyList<string> Phases => gPhases;
+
+    /// <summary>
+    /// Attempts to read the phase timings from the AI output.
+    /// </summary>
+    /// <param name="output">The AI output.</param>
+    /// <param name="timings">The timings of the four phases in the order of the lesson, or an empty list if reading failed.</param>
+    /// <returns>True if the output contains a valid timing of each phase; otherwise, false.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when output is null.</exception>
+    public static bool TryParse(string output, out List<PhaseTiming> timings)
+    {
+        if (output == null)
+            throw new ArgumentNullException(nameof(output));
+
+        timings = new List<PhaseTiming>();
+
+        int start = output.IndexOf('[');
+        int end = output.LastIndexOf(']');
+        if (start < 0 || end < start)
+            return false;
+
+        List<PhaseTiming?>? items;
+        try
+        {
+            items = JsonSerializer.Deserialize<List<PhaseTiming?>>(
+                output.Substring(start, end - start + 1),
+                gReadOptions);
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+
+        if (items == null || items.Count != gPhases.Length)
+            return false;
+
+        foreach (string phase in gPhases)
+        {
+            PhaseTiming? item = items.Find(i => i != null && string.Equals(i.Phase?.Trim(), phase, StringComparison.OrdinalIgnoreCase));
+            if (item == null || item.Minutes < 1)
+            {
+                timings.Clear();
+                return false;
+            }
+
+            timings.Add(new PhaseTiming
+            {
+                Phase = phase,
+                Minutes = item.Minutes,
+                Rationale = item.Rationale?.Trim() ?? string.Empty
+            });
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Serializes phase timings to the JSON array sent to the client.
+    /// </summary>
+    /// <param name="timings">The phase timings.</param>
+    /// <returns>The JSON text.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when timings is null.</exception>
+    public static string Serialize(IEnumerable<PhaseTiming> timings)
+    {
+        if (timings == null)
+            throw new ArgumentNullException(nameof(timings));
+
+        return JsonSerializer.Serialize(timings);
+    }
+}
@@ -10,9 +10,44 @@ namespace Gehtsoft.FourCDesigner.Logic.Plan;
 /// </summary>
 public class PlanAiController : IPlanAiController
 {
+    /// <summary>
+    /// The maximum number of messages of a chat conversation.
+    /// </summary>
+    public const int MaxChatMessages = 50;
+
+    /// <summary>
+    /// The number of AI requests made by a draft: the validation of the overview,
+    /// one for each drafted field and one for the timing balance of the drafted lesson.
+    /// </summary>
+    public const int DraftRequestCount = 19;
+
+    // The operations drafting the fields of the phases, in the order of the lesson plan,
+    // so each field is drafted from the fields drafted before it
+    private static readonly (RequestId RequestId, string Field, Action<LessonPlan, string> Apply)[] gDraftOperations =
+    [
+        (RequestId.SuggestConnGoal, "connections.goal", (p, v) => p.Connections.Goal = v),
+        (RequestId.SuggestConnActivities, "connections.activities", (p, v) => p.Connections.Activities = v),
+        (RequestId.SuggestConnMaterials, "connections.materialsToPrepare", (p, v) => p.Connections.MaterialsToPrepare = v),
+        (RequestId.SuggestConceptsNeedToKnow, "concepts.needToKnow", (p, v) => p.Concepts.NeedToKnow = v),
+        (RequestId.SuggestConceptsGoodToKnow, "concepts.goodToKnow", (p, v) => p.Concepts.GoodToKnow = v),
+        (RequestId.SuggestConceptsTheses, "concepts.theses", (p, v) => p.Concepts.Theses = v),
+        (RequestId.SuggestConceptsStructure, "concepts.structure", (p, v) => p.Concepts.Structure = v),
+        (RequestId.SuggestConceptsActivities, "concepts.activities", (p, v) => p.Concepts.Activities = v),
+        (RequestId.SuggestConceptsMaterials, "concepts.materialsToPrepare", (p, v) => p.Concepts.MaterialsToPrepare = v),
+        (RequestId.SuggestPracticeOutput, "concretePractice.desiredOutput", (p, v) => p.ConcretePractice.DesiredOutput = v),
+        (RequestId.SuggestPracticeFocus, "concretePractice.focusArea", (p, v) => p.ConcretePractice.FocusArea = v),
+        (RequestId.SuggestPracticeActivities, "concretePractice.activities", (p, v) => p.ConcretePractice.Activities = v),
+        (RequestId.SuggestPracticeDetails, "concretePractice.details", (p, v) => p.ConcretePractice.Details = v),
+        (RequestId.SuggestPracticeMaterials, "concretePractice.materialsToPrepare", (p, v) => p.ConcretePractice.MaterialsToPrepare = v),
+        (RequestId.SuggestConclGoal, "conclusions.goal", (p, v) => p.Conclusions.Goal = v),
+        (RequestId.SuggestConclActivities, "conclusions.activities", (p, v) => p.Conclusions.Activities = v),
+        (RequestId.SuggestConclMaterials, "conclusions.materialsToPrepare", (p, v) => p.Conclusions.MaterialsToPrepare = v)
+    ];
+
     private readonly IAIDriver mAiDriver;
     private readonly IPromptFactory mPromptFactory;
     private readonly ILessonPlanFormatter mFormatter;
+    private readonly IAiResultCache mResultCache;
     private readonly ILogger<PlanAiController> mLogger;
 
     /// <summary>
@@ -21,12 +56,14 @@ public class PlanAiController : IPlanAiController
     /// <param name="aiDriver">The AI driver for making AI requests.</param>
     /// <param name="promptFactory">The factory for retrieving prompts.</param>
     /// <param name="formatter">The formatter for converting lesson plans to structured input.</param>
+    /// <param name="resultCache">The cache of the AI results.</param>
     /// <param name="logger">The logger instance.</param>
     /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
     public PlanAiController(
         IAIDriver aiDriver,
         IPromptFactory promptFactory,
         ILessonPlanFormatter formatter,
+        IAiResultCache resultCache,
         ILogger<PlanAiController> logger)
     {
         if (aiDriver == null)
@@ -38,12 +75,16 @@ public class PlanAiController : IPlanAiController
         if (formatter == null)
             throw new ArgumentNullException(nameof(formatter));
 
+        if (resultCache == null)
+            throw new ArgumentNullException(nameof(resultCache));
+
         if (logger == null)
             throw new ArgumentNullException(nameof(logger));
 
         mAiDriver = aiDriver;
         mPromptFactory = promptFactory;
         mFormatter = formatter;
+        mResultCache = resultCache;
         mLogger = logger;
     }
 
@@ -52,70 +93,495 @@ public class PlanAiController : IPlanAiController
     /// </summary>
     /// <param name="requestId">The type of assistance request.</param>
     /// <param name="plan">The lesson plan to process.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of returning a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>An AIResult containing the AI response or error information.</returns>
     /// <exception cref="ArgumentNullException">Thrown when plan is null.</exception>
     /// <exception cref="ArgumentException">Thrown when requestId is not recognized.</exception>
-    public async Task<AIResult> Request(RequestId requestId, LessonPlan plan)
+    public async Task<AIResult> Request(
+        RequestId requestId,
+        LessonPlan plan,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        return await ProcessRequestAsync(
+            requestId,
+            plan,
+            () => (mPromptFactory.GetPrompt(requestId, plan.Language), mFormatter.FormatLessonPlan(plan, requestId)),
+            (prompt, userInput) => mAiDriver.GetSuggestionsAsync(prompt, userInput, cancellationToken),
+            validateInput: true,
+            bypassCache,
+            cancellationToken);
+    }
+
+    /// <inheritdoc/>
+    public async Task<AIResult> RequestStreaming(
+        RequestId requestId,
+        LessonPlan plan,
+        Func<string, Task> onChunk,
+        bool bypassCache,
+        CancellationToken cancellationToken)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        if (onChunk == null)
+            throw new ArgumentNullException(nameof(onChunk));
+
+        AIResult result = await ProcessRequestAsync(
+            requestId,
+            plan,
+            () => (mPromptFactory.GetPrompt(requestId, plan.Language), mFormatter.FormatLessonPlan(plan, requestId)),
+            (prompt, userInput) => mAiDriver.StreamSuggestionsAsync(prompt, userInput, onChunk, cancellationToken),
+            validateInput: true,
+            bypassCache,
+            cancellationToken);
+
+        // A cached result was not streamed, so it is passed as a whole
+        if (result.Successful && result.Cached)
+            await onChunk(result.Output);
+
+        return result;
+    }
+
+    /// <inheritdoc/>
+    public async Task<AIResult> Chat(
+        LessonPlan plan,
+        IReadOnlyList<ChatMessage> messages,
+        CancellationToken cancellationToken = default)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        if (messages == null)
+            throw new ArgumentNullException(nameof(messages));
+
+        if (messages.Count == 0 || messages[messages.Count - 1]?.Role != ChatMessage.RoleUser)
+            throw new ArgumentException("The conversation must end with a message of the user", nameof(messages));
+
+        if (messages.Count > MaxChatMessages)
+            throw new ArgumentException($"The conversation must not have more than {MaxChatMessages} messages", nameof(messages));
+
+        for (int i = 0; i < messages.Count; i++)
+        {
+            ChatMessage? message = messages[i];
+            if (message == null || string.IsNullOrWhiteSpace(message.Content) ||
+                (message.Role != ChatMessage.RoleUser && message.Role != ChatMessage.RoleAssistant))
+                throw new ArgumentException($"Message {i + 1} of the conversation is not valid", nameof(messages));
+        }
+
+        return await ProcessRequestAsync(
+            null,
+            plan,
+            () => (mPromptFactory.GetChatPrompt(plan.Language), mFormatter.FormatChat(plan, messages)),
+            (prompt, userInput) => mAiDriver.GetSuggestionsAsync(prompt, userInput, cancellationToken),
+            validateInput: true,
+            bypassCache: true,
+            cancellationToken);
+    }
+
+    /// <inheritdoc/>
+    public async Task<LessonPlanDraft> Draft(
+        LessonPlan plan,
+        int duration,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default)
+    {
+        return await DraftAsync(plan, duration, null, bypassCache, cancellationToken);
+    }
+
+    /// <inheritdoc/>
+    public async Task<LessonPlanDraft> DraftStreaming(
+        LessonPlan plan,
+        int duration,
+        Func<LessonPlanDraftField, Task> onField,
+        bool bypassCache,
+        CancellationToken cancellationToken)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        if (onField == null)
+            throw new ArgumentNullException(nameof(onField));
+
+        return await DraftAsync(plan, duration, onField, bypassCache, cancellationToken);
+    }
+
+    /// <summary>
+    /// Drafts the fields of the four phases one after another and balances the timings of the drafted lesson.
+    /// Only the input of the first field is validated: it holds just the overview given by the user,
+    /// and the inputs of the later fields add only the content drafted by the AI.
+    /// </summary>
+    /// <param name="plan">The lesson plan whose overview the draft is made for.</param>
+    /// <param name="duration">The duration of the lesson in minutes.</param>
+    /// <param name="onField">The callback invoked for each drafted field, or null.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of using cached results.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>The draft.</returns>
+    private async Task<LessonPlanDraft> DraftAsync(
+        LessonPlan plan,
+        int duration,
+        Func<LessonPlanDraftField, Task>? onField,
+        bool bypassCache,
+        CancellationToken cancellationToken)
     {
         if (plan == null)
             throw new ArgumentNullException(nameof(plan));
 
+        if (string.IsNullOrWhiteSpace(plan.Topic))
+            throw new ArgumentException("The topic is required to draft a lesson", nameof(plan));
+
+        if (duration < LessonPlanDraft.MinDuration || duration > LessonPlanDraft.MaxDuration)
+            throw new ArgumentOutOfRangeException(
+                nameof(duration),
+                duration,
+                $"The duration must be between {LessonPlanDraft.MinDuration} and {LessonPlanDraft.MaxDuration} minutes");
+
+        mLogger.LogInformation(
+            "Drafting a lesson of {Duration} minutes for topic: {Topic}",
+            duration,
+            plan.Topic);
+
+        var draft = new LessonPlanDraft
+        {
+            Plan = CreateDraftPlan(plan, duration)
+        };
+
+        foreach ((RequestId requestId, string field, Action<LessonPlan, string> apply) in gDraftOperations)
+        {
+            AIResult result = await ProcessRequestAsync(
+                requestId,
+                draft.Plan,
+                () => (mPromptFactory.GetPrompt(requestId, draft.Plan.Language), mFormatter.FormatLessonPlan(draft.Plan, requestId)),
+                (prompt, userInput) => mAiDriver.GetSuggestionsAsync(prompt, userInput, cancellationToken),
+                validateInput: draft.Fields.Count == 0,
+                bypassCache,
+                cancellationToken);
+
+            if (!result.Successful)
+            {
+                mLogger.LogWarning(
+                    "Drafting the lesson stopped at field {Field}: {ErrorCode}",
+                    field,
+                    result.ErrorCode);
+
+                draft.ErrorCode = result.ErrorCode;
+                draft.ErrorMessage = result.Output;
+                return draft;
+            }
+
+            string value = result.Output.Trim();
+            apply(draft.Plan, value);
+
+            var draftField = new LessonPlanDraftField
+            {
+                Field = field,
+                Value = value
+            };
+            draft.Fields.Add(draftField);
+
+            if (onField != null)
+                await onField(draftField);
+        }
+
+        await BalanceDraftTimings(draft.Plan, duration, bypassCache, cancellationToken);
+
+        mLogger.LogInformation(
+            "Drafted {FieldCount} fields of the lesson for topic: {Topic}",
+            draft.Fields.Count,
+            plan.Topic);
+
+        draft.Successful = true;
+        return draft;
+    }
+
+    /// <summary>
+    /// Replaces the default split of the duration of a drafted lesson with the phase timings
+    /// the timing balance suggests for the drafted content. If the timing balance fails,
+    /// the default split is kept, so the drafted fields are not lost.
+    /// </summary>
+    /// <param name="plan">The drafted lesson plan.</param>
+    /// <param name="duration">The duration of the lesson in minutes.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of using a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    private async Task BalanceDraftTimings(
+        LessonPlan plan,
+        int duration,
+        bool bypassCache,
+        CancellationToken cancellationToken)
+    {
+        // The drafted content was validated with the overview it was drafted from
+        AIResult result = await BalanceTimingsAsync(plan, duration, validateInput: false, bypassCache, cancellationToken);
+
+        if (!result.Successful || !PhaseTimingParser.TryParse(result.Output, out List<PhaseTiming> timings))
+        {
+            mLogger.LogWarning(
+                "Balancing the timings of the drafted lesson failed, keeping the default split: {ErrorCode}",
+                result.ErrorCode);
+            return;
+        }
+
+        foreach (PhaseTiming timing in timings)
+        {
+            switch (timing.Phase)
+            {
+                case "connections":
+                    plan.Connections.Timing = timing.Minutes;
+                    break;
+                case "concepts":
+                    plan.Concepts.Timing = timing.Minutes;
+                    break;
+                case "concretePractice":
+                    plan.ConcretePractice.Timing = timing.Minutes;
+                    break;
+                case "conclusions":
+                    plan.Conclusions.Timing = timing.Minutes;
+                    break;
+            }
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task<AIResult> BalanceTimings(
+        LessonPlan plan,
+        int duration,
+        bool bypassCache = false,
+        CancellationToken cancellationToken = default)
+    {
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        if (duration < LessonPlanDraft.MinDuration || duration > LessonPlanDraft.MaxDuration)
+            throw new ArgumentOutOfRangeException(
+                nameof(duration),
+                duration,
+                $"The duration must be between {LessonPlanDraft.MinDuration} and {LessonPlanDraft.MaxDuration} minutes");
+
+        return await BalanceTimingsAsync(plan, duration, validateInput: true, bypassCache, cancellationToken);
+    }
+
+    /// <summary>
+    /// Asks the AI for the phase timings of a lesson and fits them to the duration.
+    /// </summary>
+    /// <param name="plan">The lesson plan to balance.</param>
+    /// <param name="duration">The target duration of the lesson in minutes.</param>
+    /// <param name="validateInput">Whether to validate the AI input before sending the request.</param>
+    /// <param name="bypassCache">Whether to ask the AI again instead of returning a cached result.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the phase timings as a JSON array, or error information.</returns>
+    private async Task<AIResult> BalanceTimingsAsync(
+        LessonPlan plan,
+        int duration,
+        bool validateInput,
+        bool bypassCache,
+        CancellationToken cancellationToken)
+    {
+        AIResult result = await ProcessRequestAsync(
+            RequestId.BalanceTimings,
+            plan,
+            () => (mPromptFactory.GetPrompt(RequestId.BalanceTimings, plan.Language), mFormatter.FormatTimingBalance(plan, duration)),
+            (prompt, userInput) => mAiDriver.GetSuggestionsAsync(prompt, userInput, cancellationToken),
+            validateInput,
+            bypassCache,
+            cancellationToken);
+
+        if (!result.Successful)
+            return result;
+
+        return FitTimings(result, duration);
+    }
+
+    /// <summary>
+    /// Makes the phase timings suggested by the AI add up to the target duration.
+    /// The AI is not always exact in its arithmetic, so the difference is given to
+    /// or taken from the longest phase.
+    /// </summary>
+    /// <param name="result">The successful AI result containing the normalized phase timings.</param>
+    /// <param name="duration">The target duration of the lesson in minutes.</param>
+    /// <returns>An AIResult containing the phase timings as a JSON array, or a failed result if they cannot be fitted.</returns>
+    private AIResult FitTimings(AIResult result, int duration)
+    {
+        if (!PhaseTimingParser.TryParse(result.Output, out List<PhaseTiming> timings))
+            return InvalidTimingsResult();
+
+        int difference = duration - timings.Sum(timing => timing.Minutes);
+
+        if (difference != 0)
+        {
+            PhaseTiming longest = timings.MaxBy(timing => timing.Minutes)!;
+
+            if (longest.Minutes + difference < 1)
+                return InvalidTimingsResult();
+
+            mLogger.LogInformation(
+                "Phase timings suggested by the AI are {Difference} minutes off the duration, adjusting phase {Phase}",
+                difference,
+                longest.Phase);
+
+            longest.Minutes += difference;
+        }
+
+        return new AIResult(true, string.Empty, PhaseTimingParser.Serialize(timings)) { Cached = result.Cached };
+    }
+
+    /// <summary>
+    /// Creates the result returned when the AI output cannot be read as phase timings.
+    /// </summary>
+    /// <returns>The failed AI result.</returns>
+    private AIResult InvalidTimingsResult()
+    {
+        mLogger.LogWarning("AI response of the timing balance is not a JSON array of phase timings");
+
+        return AIResult.Failed(
+            "INVALID_RESPONSE",
+            "The AI response could not be read as phase timings. Please try again.");
+    }
+
+    /// <summary>
+    /// Creates the plan a draft starts from: the overview of the original plan
+    /// and a default split of the duration between the phases, used until the
+    /// timing balance of the drafted lesson replaces it.
+    /// </summary>
+    /// <param name="plan">The original lesson plan.</param>
+    /// <param name="duration">The duration of the lesson in minutes.</param>
+    /// <returns>The lesson plan with empty phases.</returns>
+    private static LessonPlan CreateDraftPlan(LessonPlan plan, int duration)
+    {
+        var draftPlan = new LessonPlan
+        {
+            Language = plan.Language,
+            Context = plan.Context ?? string.Empty,
+            Topic = plan.Topic,
+            Audience = plan.Audience ?? string.Empty,
+            LearningOutcomes = plan.LearningOutcomes ?? string.Empty
+        };
+
+        // Learners spend the most time practicing, and the connections
+        // and the conclusions are short (see the 4C approach)
+        draftPlan.Connections.Timing = (int)Math.Round(duration * 0.15);
+        draftPlan.Concepts.Timing = (int)Math.Round(duration * 0.3);
+        draftPlan.Conclusions.Timing = (int)Math.Round(duration * 0.15);
+        draftPlan.ConcretePractice.Timing = duration - draftPlan.Connections.Timing -
+            draftPlan.Concepts.Timing - draftPlan.Conclusions.Timing;
+
+        return draftPlan;
+    }
+
+    /// <summary>
+    /// Builds and validates the AI input for a request and passes it to the AI driver.
+    /// Successful results of assistance requests are cached, and returned from the cache
+    /// while the input of the request stays the same.
+    /// </summary>
+    /// <param name="requestId">The type of assistance request, or null for a chat, whose answers are not cached.</param>
+    /// <param name="plan">The lesson plan to process.</param>
+    /// <param name="buildInput">Builds the prompt and the user input.</param>
+    /// <param name="getSuggestions">The AI driver call receiving the prompt and the user input.</param>
+    /// <param name="validateInput">Whether to validate the user input before sending the request;
+    /// only input already validated as part of an earlier request may skip the validation.</param>
+    /// <param name="bypassCache">Whether to ask the AI even if a result is cached; the new result replaces the cached one.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>An AIResult containing the AI response or error information.</returns>
+    private async Task<AIResult> ProcessRequestAsync(
+        RequestId? requestId,
+        LessonPlan plan,
+        Func<(string Prompt, string UserInput)> buildInput,
+        Func<string, string, Task<AIResult>> getSuggestions,
+        bool validateInput,
+        bool bypassCache,
+        CancellationToken cancellationToken)
+    {
+        string operation = requestId?.ToString() ?? "Chat";
+
         mLogger.LogInformation(
             "Processing AI request {RequestId} for topic: {Topic}",
-            requestId,
+            operation,
             plan.Topic);
 
         try
         {
-            string prompt = mPromptFactory.GetPrompt(requestId);
-            string userInput = mFormatter.FormatLessonPlan(plan, requestId);
+            (string prompt, string userInput) = buildInput();
 
-            mLogger.LogDebug(
-                "Validating user input for request {RequestId}",
-                requestId);
+            if (requestId != null && !bypassCache && mResultCache.TryGet(operation, prompt, userInput, out string cachedOutput))
+            {
+                mLogger.LogInformation(
+                    "Returning cached result of AI request {RequestId}",
+                    operation);
 
-            AIResult validationResult = await mAiDriver.ValidateUserInputAsync(userInput);
+                return new AIResult(true, string.Empty, cachedOutput) { Cached = true };
+            }
 
-            if (!validationResult.Successful)
+            if (validateInput)
             {
-                mLogger.LogWarning(
-                    "User input validation failed for request {RequestId}: {ErrorCode}",
-                    requestId,
-                    validationResult.ErrorCode);
+                mLogger.LogDebug(
+                    "Validating user input for request {RequestId}",
+                    operation);
+
+                AIResult validationResult = await mAiDriver.ValidateUserInputAsync(userInput, cancellationToken);
+
+                // A cancelled validation is not a rejected input
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (!validationResult.Successful)
+                {
+                    mLogger.LogWarning(
+                        "User input validation failed for request {RequestId}: {ErrorCode}",
+                        operation,
+                        validationResult.ErrorCode);
 
-                return AIResult.Failed(
-                    "VALIDATION_FAILED",
-                    $"Input validation failed: {validationResult.ErrorCode}");
+                    return AIResult.Failed(
+                        "VALIDATION_FAILED",
+                        $"Input validation failed: {validationResult.ErrorCode}");
+                }
             }
 
             mLogger.LogDebug(
                 "Sending AI request {RequestId}",
-                requestId);
+                operation);
 
-            AIResult result = await mAiDriver.GetSuggestionsAsync(prompt, userInput);
+            AIResult result = await getSuggestions(prompt, userInput);
+
+            if (cancellationToken.IsCancellationRequested)
+                throw new OperationCanceledException(cancellationToken);
+
+            if (requestId != null)
+                result = NormalizeResult(requestId.Value, result);
 
             if (result.Successful)
             {
                 mLogger.LogInformation(
                     "Successfully processed AI request {RequestId}",
-                    requestId);
+                    operation);
+
+                if (requestId != null)
+                    mResultCache.Set(operation, prompt, userInput, result.Output);
             }
             else
             {
                 mLogger.LogWarning(
                     "AI request {RequestId} failed: {ErrorCode}",
-                    requestId,
+                    operation,
                     result.ErrorCode);
             }
 
             return result;
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            mLogger.LogInformation(
+                "AI request {RequestId} was cancelled",
+                operation);
+
+            return AIResult.Failed("CANCELLED", "The request was cancelled");
+        }
         catch (ArgumentException ex)
         {
             mLogger.LogError(
                 ex,
                 "Invalid request ID or configuration error for {RequestId}",
-                requestId);
+                operation);
 
             return AIResult.Failed("INVALID_REQUEST", ex.Message);
         }
@@ -124,9 +590,50 @@ public class PlanAiController : IPlanAiController
             mLogger.LogError(
                 ex,
                 "Unexpected error processing AI request {RequestId}",
-                requestId);
+                operation);
 
             return AIResult.Failed("INTERNAL_ERROR", "An unexpected error occurred");
         }
     }
+
+    /// <summary>
+    /// Converts the AI output of the requests that expect a structured response.
+    /// </summary>
+    /// <param name="requestId">The type of assistance request.</param>
+    /// <param name="result">The AI result.</param>
+    /// <returns>The converted AI result.</returns>
+    private AIResult NormalizeResult(RequestId requestId, AIResult result)
+    {
+        if (result.Successful && requestId == RequestId.ReviewLessonFields)
+            return NormalizeFieldFeedback(result);
+
+        if (result.Successful && requestId == RequestId.BalanceTimings)
+        {
+            if (!PhaseTimingParser.TryParse(result.Output, out List<PhaseTiming> timings))
+                return InvalidTimingsResult();
+
+            return AIResult.Success(PhaseTimingParser.Serialize(timings));
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Replaces the AI output of a field review with the field feedback read from it.
+    /// </summary>
+    /// <param name="result">The successful AI result.</param>
+    /// <returns>An AIResult containing the field feedback as a JSON array, or a failed result if the output cannot be read.</returns>
+    private AIResult NormalizeFieldFeedback(AIResult result)
+    {
+        if (!FieldFeedbackParser.TryParse(result.Output, out List<FieldFeedback> feedback))
+        {
+            mLogger.LogWarning("AI response of the field review is not a JSON array of field feedback");
+
+            return AIResult.Failed(
+                "INVALID_RESPONSE",
+                "The AI response could not be read as field feedback. Please try again.");
+        }
+
+        return AIResult.Success(FieldFeedbackParser.Serialize(feedback));
+    }
 }
@@ -8,7 +8,7 @@ namespace Gehtsoft.FourCDesigner.Logic.Plan;
 public static class PlanServiceExtensions
 {
     /// <summary>
-    /// Registers all plan-related services including prompt factory, formatter, and AI controller.
+    /// Registers all plan-related services including prompt factory, formatter, AI result cache, AI controller, and plan storage.
     /// </summary>
     /// <param name="services">The service collection.</param>
     /// <returns>The service collection for chaining.</returns>
@@ -20,9 +20,16 @@ public static class PlanServiceExtensions
         // Register formatter as transient since it's stateless
         services.AddTransient<ILessonPlanFormatter, LessonPlanFormatter>();
 
+        // Register AI result cache as singleton to share MemoryCache across all requests
+        services.AddSingleton<IAiResultCacheConfiguration, AiResultCacheConfiguration>();
+        services.AddSingleton<IAiResultCache, AiResultCache>();
+
         // Register AI controller as scoped (per-request lifecycle)
         services.AddScoped<IPlanAiController, PlanAiController>();
 
+        // Register plan storage controller as singleton (stateless, uses singleton DAOs)
+        services.AddSingleton<IPlanStorageController, PlanStorageController>();
+
         return services;
     }
 }
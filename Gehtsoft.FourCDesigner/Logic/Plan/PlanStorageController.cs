@@ -0,0 +1,204 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using Gehtsoft.FourCDesigner.Dao;
+using Gehtsoft.FourCDesigner.Entities;
+
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// ECB Controller for storing lesson plans on behalf of users.
+/// </summary>
+public class PlanStorageController : IPlanStorageController
+{
+    /// <summary>
+    /// The maximum length of a plan name.
+    /// </summary>
+    public const int MaxNameLength = 256;
+
+    /// <summary>
+    /// The number of times an unconditional save is tried when concurrent saves change the plan.
+    /// </summary>
+    private const int MaxSaveAttempts = 3;
+
+    private static readonly Regex gPlanIdPattern = new Regex("^[A-Za-z0-9_-]{1,64}$", RegexOptions.Compiled);
+
+    private readonly IPlanDao mPlanDao;
+    private readonly IUserDao mUserDao;
+    private readonly ILogger<PlanStorageController> mLogger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlanStorageController"/> class.
+    /// </summary>
+    /// <param name="planDao">The plan data access object.</param>
+    /// <param name="userDao">The user data access object.</param>
+    /// <param name="logger">The logger.</param>
+    /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
+    public PlanStorageController(
+        IPlanDao planDao,
+        IUserDao userDao,
+        ILogger<PlanStorageController> logger)
+    {
+        mPlanDao = planDao ?? throw new ArgumentNullException(nameof(planDao));
+        mUserDao = userDao ?? throw new ArgumentNullException(nameof(userDao));
+        mLogger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Gets the ID of the user with the specified email.
+    /// </summary>
+    /// <param name="email">The user's email.</param>
+    /// <returns>The user ID.</returns>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user does not exist.</exception>
+    private int GetUserId(string email)
+    {
+        var user = mUserDao.GetUserByEmail(email);
+        if (user == null)
+        {
+            mLogger.LogWarning("Plan storage requested for unknown user: {Email}", email);
+            throw new UnauthorizedAccessException("User not found");
+        }
+
+        return user.Id;
+    }
+
+    /// <summary>
+    /// Converts a plan entity to the business model.
+    /// </summary>
+    /// <param name="entity">The plan entity.</param>
+    /// <param name="includeContent">Whether to deserialize the plan content.</param>
+    /// <returns>The stored plan.</returns>
+    private static StoredPlan ToStoredPlan(UserPlan entity, bool includeContent)
+    {
+        return new StoredPlan
+        {
+            PlanId = entity.PlanId,
+            Name = entity.Name,
+            Version = entity.Version,
+            CreatedAt = entity.CreatedAt,
+            ModifiedAt = entity.ModifiedAt,
+            Plan = includeContent
+                ? JsonSerializer.Deserialize<LessonPlan>(entity.Data) ?? new LessonPlan()
+                : null
+        };
+    }
+
+    /// <inheritdoc/>
+    public IReadOnlyList<StoredPlan> ListPlans(string email)
+    {
+        if (email == null)
+            throw new ArgumentNullException(nameof(email));
+
+        int userId = GetUserId(email);
+
+        return mPlanDao.GetPlansByUser(userId)
+            .Select(p => ToStoredPlan(p, false))
+            .ToList();
+    }
+
+    /// <inheritdoc/>
+    public StoredPlan? GetPlan(string email, string planId)
+    {
+        if (email == null)
+            throw new ArgumentNullException(nameof(email));
+        if (planId == null)
+            throw new ArgumentNullException(nameof(planId));
+
+        int userId = GetUserId(email);
+
+        var entity = mPlanDao.GetPlan(userId, planId);
+        return entity == null ? null : ToStoredPlan(entity, true);
+    }
+
+    /// <inheritdoc/>
+    public StoredPlan SavePlan(string email, string planId, string name, LessonPlan plan, int? baseVersion = null)
+    {
+        if (email == null)
+            throw new ArgumentNullException(nameof(email));
+        if (planId == null)
+            throw new ArgumentNullException(nameof(planId));
+        if (name == null)
+            throw new ArgumentNullException(nameof(name));
+        if (plan == null)
+            throw new ArgumentNullException(nameof(plan));
+
+        var errors = new List<ValidationError>();
+
+        if (!gPlanIdPattern.IsMatch(planId))
+            errors.Add(new ValidationError("planId", "Plan ID must be 1 to 64 letters, digits, dashes or underscores"));
+
+        name = name.Trim();
+        if (name.Length == 0)
+            errors.Add(new ValidationError("name", "Plan name cannot be empty"));
+        else if (name.Length > MaxNameLength)
+            errors.Add(new ValidationError("name", $"Plan name cannot be longer than {MaxNameLength} characters"));
+
+        if (plan.SchemaVersion > LessonPlan.CurrentSchemaVersion)
+            errors.Add(new ValidationError("plan", $"Plan schema version {plan.SchemaVersion} is not supported"));
+
+        if (!LessonLanguage.IsSupported(plan.Language))
+            errors.Add(new ValidationError("language", $"Language {plan.Language} is not supported"));
+
+        if (errors.Count > 0)
+            throw new ValidationException(errors.ToArray());
+
+        int userId = GetUserId(email);
+
+        plan.SchemaVersion = LessonPlan.CurrentSchemaVersion;
+        string data = JsonSerializer.Serialize(plan);
+
+        int currentVersion = 0;
+        for (int attempt = 0; attempt < MaxSaveAttempts; attempt++)
+        {
+            DateTime now = DateTime.UtcNow;
+            var entity = mPlanDao.GetPlan(userId, planId);
+
+            currentVersion = entity?.Version ?? 0;
+            if (baseVersion.HasValue && baseVersion.Value != currentVersion)
+            {
+                mLogger.LogInformation("Rejected save of plan {PlanId} for user {Email}: version {BaseVersion} is outdated, server has {CurrentVersion}",
+                    planId, email, baseVersion.Value, currentVersion);
+                throw new PlanVersionConflictException(planId, baseVersion.Value, currentVersion);
+            }
+
+            if (entity == null)
+            {
+                mLogger.LogInformation("Creating plan {PlanId} for user {Email}", planId, email);
+
+                entity = new UserPlan
+                {
+                    PlanId = planId,
+                    UserId = userId,
+                    CreatedAt = now
+                };
+            }
+
+            entity.Name = name;
+            entity.Data = data;
+            entity.Version = currentVersion + 1;
+            entity.ModifiedAt = now;
+
+            // The write fails when a concurrent save changed the plan after it was read;
+            // the next attempt reads the plan again and checks the base version against it
+            if (mPlanDao.SavePlan(entity, currentVersion))
+                return ToStoredPlan(entity, false);
+
+            mLogger.LogInformation("Plan {PlanId} of user {Email} was changed by a concurrent save", planId, email);
+        }
+
+        int storedVersion = mPlanDao.GetPlan(userId, planId)?.Version ?? 0;
+        throw new PlanVersionConflictException(planId, baseVersion ?? currentVersion, storedVersion);
+    }
+
+    /// <inheritdoc/>
+    public bool DeletePlan(string email, string planId)
+    {
+        if (email == null)
+            throw new ArgumentNullException(nameof(email));
+        if (planId == null)
+            throw new ArgumentNullException(nameof(planId));
+
+        int userId = GetUserId(email);
+
+        return mPlanDao.DeletePlan(userId, planId);
+    }
+}
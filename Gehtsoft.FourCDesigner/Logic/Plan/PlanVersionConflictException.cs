@@ -0,0 +1,25 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Exception thrown when a plan is saved over a version it was not based on,
+/// i.e. the plan was changed on the server since the client last synchronized it.
+/// </summary>
+public class PlanVersionConflictException : Exception
+{
+    /// <summary>
+    /// Gets the version of the plan currently stored on the server.
+    /// </summary>
+    public int CurrentVersion { get; }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PlanVersionConflictException"/> class.
+    /// </summary>
+    /// <param name="planId">The plan identifier.</param>
+    /// <param name="baseVersion">The version the client based its changes on.</param>
+    /// <param name="currentVersion">The version currently stored on the server.</param>
+    public PlanVersionConflictException(string planId, int baseVersion, int currentVersion)
+        : base($"Plan {planId} is at version {currentVersion}, but the changes are based on version {baseVersion}")
+    {
+        CurrentVersion = currentVersion;
+    }
+}
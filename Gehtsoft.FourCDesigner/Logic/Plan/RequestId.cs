@@ -2,7 +2,7 @@ namespace Gehtsoft.FourCDesigner.Logic.Plan;
 
 /// <summary>
 /// Identifies AI assistance operations for the 4C Instructional Design Tool.
-/// Total of 43 operations organized by lesson phase and operation type (review/suggest).
+/// Total of 45 operations organized by lesson phase and operation type (review/suggest).
 /// </summary>
 public enum RequestId
 {
@@ -11,41 +11,49 @@ public enum RequestId
     /// <summary>
     /// Review if context provides sufficient background information.
     /// </summary>
+    [Operation("context", "Review if context provides sufficient background information.")]
     ReviewContext,
 
     /// <summary>
     /// Suggest context information that would help clarify intent and scope.
     /// </summary>
+    [Operation("context", "Suggest context information that would help clarify intent and scope.")]
     SuggestContext,
 
     /// <summary>
     /// Review if topic is clear and appropriate for TBR methodology.
     /// </summary>
+    [Operation("topic", "Review if topic is clear and appropriate for TBR methodology.")]
     ReviewTopic,
 
     /// <summary>
     /// Suggest improvements to make topic clearer.
     /// </summary>
+    [Operation("topic", "Suggest improvements to make topic clearer.")]
     SuggestTopic,
 
     /// <summary>
     /// Review if audience description is complete.
     /// </summary>
+    [Operation("audience", "Review if audience description is complete.")]
     ReviewAudience,
 
     /// <summary>
     /// Suggest additional audience characteristics to consider.
     /// </summary>
+    [Operation("audience", "Suggest additional audience characteristics to consider.")]
     SuggestAudience,
 
     /// <summary>
     /// Review if learning outcomes are measurable and achievable.
     /// </summary>
+    [Operation("learningOutcomes", "Review if learning outcomes are measurable and achievable.")]
     ReviewOutcomes,
 
     /// <summary>
     /// Suggest specific, measurable learning outcomes.
     /// </summary>
+    [Operation("learningOutcomes", "Suggest specific, measurable learning outcomes.")]
     SuggestOutcomes,
 
     // Connection Phase (6 operations)
@@ -53,31 +61,37 @@ public enum RequestId
     /// <summary>
     /// Review if connection goal aligns with TBR principles.
     /// </summary>
+    [Operation("connections.goal", "Review if connection goal aligns with TBR principles.")]
     ReviewConnGoal,
 
     /// <summary>
     /// Suggest connection goals based on topic and audience.
     /// </summary>
+    [Operation("connections.goal", "Suggest connection goals based on topic and audience.")]
     SuggestConnGoal,
 
     /// <summary>
     /// Review if activities achieve connection goal within allocated time.
     /// </summary>
+    [Operation("connections.activities", "Review if activities achieve connection goal within allocated time.")]
     ReviewConnActivities,
 
     /// <summary>
     /// Suggest specific connection activities.
     /// </summary>
+    [Operation("connections.activities", "Suggest specific connection activities.")]
     SuggestConnActivities,
 
     /// <summary>
     /// Review if materials list is complete for planned activities.
     /// </summary>
+    [Operation("connections.materialsToPrepare", "Review if materials list is complete for planned activities.")]
     ReviewConnMaterials,
 
     /// <summary>
     /// Suggest materials needed for connection activities.
     /// </summary>
+    [Operation("connections.materialsToPrepare", "Suggest materials needed for connection activities.")]
     SuggestConnMaterials,
 
     // Concepts Phase (12 operations)
@@ -85,61 +99,73 @@ public enum RequestId
     /// <summary>
     /// Review if essential concepts cover what's needed for outcomes.
     /// </summary>
+    [Operation("concepts.needToKnow", "Review if essential concepts cover what's needed for outcomes.")]
     ReviewConceptsNeedToKnow,
 
     /// <summary>
     /// Suggest essential concepts learners must understand.
     /// </summary>
+    [Operation("concepts.needToKnow", "Suggest essential concepts learners must understand.")]
     SuggestConceptsNeedToKnow,
 
     /// <summary>
     /// Review if "good to know" is appropriate and doesn't overwhelm.
     /// </summary>
+    [Operation("concepts.goodToKnow", "Review if \"good to know\" is appropriate and doesn't overwhelm.")]
     ReviewConceptsGoodToKnow,
 
     /// <summary>
     /// Suggest additional helpful concepts.
     /// </summary>
+    [Operation("concepts.goodToKnow", "Suggest additional helpful concepts.")]
     SuggestConceptsGoodToKnow,
 
     /// <summary>
     /// Review if theses effectively convey the concepts.
     /// </summary>
+    [Operation("concepts.theses", "Review if theses effectively convey the concepts.")]
     ReviewConceptsTheses,
 
     /// <summary>
     /// Suggest key theses to deliver.
     /// </summary>
+    [Operation("concepts.theses", "Suggest key theses to deliver.")]
     SuggestConceptsTheses,
 
     /// <summary>
     /// Review if delivery structure is logical and fits allocated time.
     /// </summary>
+    [Operation("concepts.structure", "Review if delivery structure is logical and fits allocated time.")]
     ReviewConceptsStructure,
 
     /// <summary>
     /// Suggest delivery structure.
     /// </summary>
+    [Operation("concepts.structure", "Suggest delivery structure.")]
     SuggestConceptsStructure,
 
     /// <summary>
     /// Review if activities engage VARK learners and apply six trumps.
     /// </summary>
+    [Operation("concepts.activities", "Review if activities engage VARK learners and apply six trumps.")]
     ReviewConceptsActivities,
 
     /// <summary>
     /// Suggest multi-sensory activities using six trumps.
     /// </summary>
+    [Operation("concepts.activities", "Suggest multi-sensory activities using six trumps.")]
     SuggestConceptsActivities,
 
     /// <summary>
     /// Review if materials support the activities.
     /// </summary>
+    [Operation("concepts.materialsToPrepare", "Review if materials support the activities.")]
     ReviewConceptsMaterials,
 
     /// <summary>
     /// Suggest materials for concept activities.
     /// </summary>
+    [Operation("concepts.materialsToPrepare", "Suggest materials for concept activities.")]
     SuggestConceptsMaterials,
 
     // Concrete Practice Phase (10 operations)
@@ -147,51 +173,61 @@ public enum RequestId
     /// <summary>
     /// Review if desired output aligns with learning outcomes.
     /// </summary>
+    [Operation("concretePractice.desiredOutput", "Review if desired output aligns with learning outcomes.")]
     ReviewPracticeOutput,
 
     /// <summary>
     /// Suggest what learners should produce.
     /// </summary>
+    [Operation("concretePractice.desiredOutput", "Suggest what learners should produce.")]
     SuggestPracticeOutput,
 
     /// <summary>
     /// Review if focus areas target key challenges.
     /// </summary>
+    [Operation("concretePractice.focusArea", "Review if focus areas target key challenges.")]
     ReviewPracticeFocus,
 
     /// <summary>
     /// Suggest where learners will struggle most.
     /// </summary>
+    [Operation("concretePractice.focusArea", "Suggest where learners will struggle most.")]
     SuggestPracticeFocus,
 
     /// <summary>
     /// Review if activities lead to desired output.
     /// </summary>
+    [Operation("concretePractice.activities", "Review if activities lead to desired output.")]
     ReviewPracticeActivities,
 
     /// <summary>
     /// Suggest practice activities.
     /// </summary>
+    [Operation("concretePractice.activities", "Suggest practice activities.")]
     SuggestPracticeActivities,
 
     /// <summary>
     /// Review if execution plan is clear and complete.
     /// </summary>
+    [Operation("concretePractice.details", "Review if execution plan is clear and complete.")]
     ReviewPracticeDetails,
 
     /// <summary>
     /// Suggest step-by-step execution plan.
     /// </summary>
+    [Operation("concretePractice.details", "Suggest step-by-step execution plan.")]
     SuggestPracticeDetails,
 
     /// <summary>
     /// Review if materials are sufficient for practice.
     /// </summary>
+    [Operation("concretePractice.materialsToPrepare", "Review if materials are sufficient for practice.")]
     ReviewPracticeMaterials,
 
     /// <summary>
     /// Suggest materials needed for practice.
     /// </summary>
+    [Operation("concretePractice.materialsToPrepare", "Suggest materials needed for practice.")]
     SuggestPracticeMaterials,
 
     // Conclusion Phase (6 operations)
@@ -199,37 +235,58 @@ public enum RequestId
     /// <summary>
     /// Review if conclusion goal supports reflection and action planning.
     /// </summary>
+    [Operation("conclusions.goal", "Review if conclusion goal supports reflection and action planning.")]
     ReviewConclGoal,
 
     /// <summary>
     /// Suggest conclusion goals.
     /// </summary>
+    [Operation("conclusions.goal", "Suggest conclusion goals.")]
     SuggestConclGoal,
 
     /// <summary>
     /// Review if activities achieve conclusion goals.
     /// </summary>
+    [Operation("conclusions.activities", "Review if activities achieve conclusion goals.")]
     ReviewConclActivities,
 
     /// <summary>
     /// Suggest conclusion activities (summarize, evaluate, action plan, celebrate).
     /// </summary>
+    [Operation("conclusions.activities", "Suggest conclusion activities (summarize, evaluate, action plan, celebrate).")]
     SuggestConclActivities,
 
     /// <summary>
     /// Review if materials support conclusion activities.
     /// </summary>
+    [Operation("conclusions.materialsToPrepare", "Review if materials support conclusion activities.")]
     ReviewConclMaterials,
 
     /// <summary>
     /// Suggest materials needed for conclusion.
     /// </summary>
+    [Operation("conclusions.materialsToPrepare", "Suggest materials needed for conclusion.")]
     SuggestConclMaterials,
 
-    // Whole Lesson Review (1 operation)
+    // Whole Lesson Review (2 operations)
 
     /// <summary>
     /// Holistic review of entire lesson for coherence, timing balance, and TBR principles adherence.
     /// </summary>
-    ReviewWholeLesson
+    [Operation(null, "Holistic review of entire lesson for coherence, timing balance, and TBR principles adherence.", Label = "Get Feedback on Entire Lesson")]
+    ReviewWholeLesson,
+
+    /// <summary>
+    /// Review of entire lesson with the feedback given on individual fields (JSON, see <see cref="FieldFeedbackParser"/>).
+    /// </summary>
+    [Operation(null, "Holistic review of entire lesson with each point of feedback shown beside the field it is about.", Label = "Get Feedback on Each Field")]
+    ReviewLessonFields,
+
+    // Lesson Timing (1 operation)
+
+    /// <summary>
+    /// Suggest how to split the lesson duration between the four phases (JSON, see <see cref="PhaseTimingParser"/>).
+    /// </summary>
+    [Operation(null, "Suggest how to split the duration of the lesson between the four phases, with the reason for the time of each phase.", Label = "Balance Timings")]
+    BalanceTimings
 }
@@ -0,0 +1,47 @@
+namespace Gehtsoft.FourCDesigner.Logic.Plan;
+
+/// <summary>
+/// Represents a lesson plan stored on the server on behalf of a user.
+/// </summary>
+public class StoredPlan
+{
+    /// <summary>
+    /// Gets or sets the plan identifier assigned by the client.
+    /// </summary>
+    public string PlanId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plan name.
+    /// </summary>
+    public string Name { get; set; }
+
+    /// <summary>
+    /// Gets or sets the plan version, incremented on every save.
+    /// </summary>
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was created (UTC).
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the time when the plan was last modified (UTC).
+    /// </summary>
+    public DateTime ModifiedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the lesson plan content.
+    /// Null when only the plan summary was requested.
+    /// </summary>
+    public LessonPlan? Plan { get; set; }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="StoredPlan"/> class.
+    /// </summary>
+    public StoredPlan()
+    {
+        PlanId = string.Empty;
+        Name = string.Empty;
+    }
+}
@@ -26,6 +26,18 @@ public class ThrottleAttribute : Attribute, IFilterFactory
         mPerClient = perClient;
     }
 
+    /// <summary>
+    /// Gets or sets the name of the request budget.
+    /// Actions with the same key share one budget; by default each action has its own.
+    /// </summary>
+    public string? Key { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of requests one call of the action counts as (1 by default),
+    /// for actions that do the work of several requests.
+    /// </summary>
+    public int Cost { get; set; } = 1;
+
     /// <inheritdoc/>
     public bool IsReusable => true;
 
@@ -39,6 +51,6 @@ public class ThrottleAttribute : Attribute, IFilterFactory
         var logger = serviceProvider.GetService<ILogger<ThrottleFilter>>();
         var cache = serviceProvider.GetService<IThrottleCache>();
 
-        return new ThrottleFilter(mTimeout, mLimit, mPerClient, configuration, logger, cache);
+        return new ThrottleFilter(mTimeout, mLimit, mPerClient, Key, Cost, configuration, logger, cache);
     }
 }
@@ -1,3 +1,4 @@
+using System.Globalization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.Filters;
 
@@ -12,6 +13,8 @@ internal class ThrottleFilter : IAsyncActionFilter
     private readonly int mTimeout;
     private readonly int mLimit;
     private readonly bool mPerClient;
+    private readonly string? mKey;
+    private readonly int mCost;
     private readonly IThrottleConfiguration? mConfiguration;
     private readonly ILogger<ThrottleFilter>? mLogger;
     private readonly IThrottleCache? mCache;
@@ -22,6 +25,8 @@ internal class ThrottleFilter : IAsyncActionFilter
     /// <param name="timeout">The timeout in milliseconds for the throttling window.</param>
     /// <param name="limit">The maximum number of requests allowed within the timeout period.</param>
     /// <param name="perClient">If true, throttling is per client; if false, throttling is global.</param>
+    /// <param name="key">The name of a budget shared with other actions, or null for a budget of this action only.</param>
+    /// <param name="cost">The number of requests one call of the action counts as.</param>
     /// <param name="configuration">The throttle configuration (optional, used to check if throttling is enabled).</param>
     /// <param name="logger">The logger (optional).</param>
     /// <param name="cache">The throttle cache (optional, if null throttling is disabled).</param>
@@ -29,6 +34,8 @@ internal class ThrottleFilter : IAsyncActionFilter
         int timeout,
         int limit,
         bool perClient,
+        string? key,
+        int cost,
         IThrottleConfiguration? configuration,
         ILogger<ThrottleFilter>? logger,
         IThrottleCache? cache)
@@ -36,6 +43,8 @@ internal class ThrottleFilter : IAsyncActionFilter
         mTimeout = timeout;
         mLimit = limit;
         mPerClient = perClient;
+        mKey = key;
+        mCost = cost;
         mConfiguration = configuration;
         mLogger = logger;
         mCache = cache;
@@ -61,7 +70,7 @@ internal class ThrottleFilter : IAsyncActionFilter
         }
 
         // Build throttle key
-        string path = $"{context.RouteData.Values["controller"]}.{context.RouteData.Values["action"]}";
+        string path = mKey ?? $"{context.RouteData.Values["controller"]}.{context.RouteData.Values["action"]}";
         string key;
 
         if (mPerClient)
@@ -82,7 +91,7 @@ internal class ThrottleFilter : IAsyncActionFilter
         if (data != null)
         {
             // Update count and timestamp
-            data.Count++;
+            data.Count += mCost;
             data.LastRequest = DateTime.UtcNow;
         }
         else
@@ -91,7 +100,7 @@ internal class ThrottleFilter : IAsyncActionFilter
             data = new ThrottleData
             {
                 LastRequest = DateTime.UtcNow,
-                Count = 1
+                Count = mCost
             };
         }
 
@@ -103,7 +112,7 @@ internal class ThrottleFilter : IAsyncActionFilter
         if (data.Count > mLimit)
         {
             // Only log on the first throttled request to avoid log spam
-            if (data.Count == mLimit + 1)
+            if (data.Count - mCost <= mLimit)
             {
                 mLogger?.LogWarning(
                     "Throttled request to {Path} from {Address} (limit: {Limit})",
@@ -112,6 +121,10 @@ internal class ThrottleFilter : IAsyncActionFilter
                     mLimit);
             }
 
+            // The throttling window slides, so the client may retry once a full window has passed
+            context.HttpContext.Response.Headers.RetryAfter =
+                ((int)Math.Ceiling(mTimeout / 1000.0)).ToString(CultureInfo.InvariantCulture);
+
             context.Result = new StatusCodeResult(429);
             return;
         }
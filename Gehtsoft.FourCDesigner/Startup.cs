@@ -14,6 +14,7 @@ using Gehtsoft.FourCDesigner.Utils;
 using Gehtsoft.FourCDesigner.Logic.Config;
 using Gehtsoft.FourCDesigner.Logic.AI;
 using Gehtsoft.FourCDesigner.Logic.Plan;
+using Gehtsoft.FourCDesigner.Logic.Export;
 
 namespace Gehtsoft.FourCDesigner
 {
@@ -78,6 +79,9 @@ namespace Gehtsoft.FourCDesigner
             // Register plan services (prompt factory, formatter, AI controller)
             services.AddPlanServices();
 
+            // Register export services (document renderers)
+            services.AddExportServices();
+
         }
 
         // This method gets called by the runtime. Use this method to configure the HTTP request pipeline.
@@ -0,0 +1,195 @@
+/**
+ * AI Queue - shared queue of the AI assistance calls
+ *
+ * Calls are queued by key (usually the field the call is for), so only one
+ * call per key is in flight at a time. Calls rejected because the server is
+ * throttling (429) or temporarily unavailable (503) are retried with an
+ * exponential backoff; the Retry-After header of the response, when present,
+ * gives the waiting time instead.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    // Waiting time before the first retry and the longest waiting time
+    const BASE_DELAY = 2000;
+    const MAX_DELAY = 60000;
+    const MAX_RETRIES = 4;
+
+    // Status codes of the responses that are worth retrying
+    const RETRY_STATUSES = [429, 503];
+
+    // Last call of each key and the number of calls of each key not finished yet
+    const tails = {};
+    const counts = {};
+    const listeners = [];
+
+    /**
+     * Notifies the listeners that calls of a key were started or finished.
+     * @param {string} key - The key.
+     */
+    function notify(key) {
+        listeners.forEach(function(listener) {
+            listener(key, !!counts[key]);
+        });
+    }
+
+    /**
+     * Creates the error of an aborted call.
+     * @returns {DOMException} The error.
+     */
+    function abortError() {
+        return new DOMException('Aborted', 'AbortError');
+    }
+
+    /**
+     * Waits before a retry, reporting the remaining seconds once a second.
+     * @param {number} ms - The waiting time in milliseconds.
+     * @param {AbortSignal} [signal] - Signal that stops the waiting.
+     * @param {function(number)} [onWait] - Called with the remaining seconds, and with 0 when the waiting is over.
+     * @returns {Promise} Resolves when the waiting is over; rejects when aborted.
+     */
+    function countdown(ms, signal, onWait) {
+        return new Promise(function(resolve, reject) {
+            const end = Date.now() + ms;
+            let timer = null;
+
+            function onAbort() {
+                clearTimeout(timer);
+                reject(abortError());
+            }
+
+            function tick() {
+                const left = end - Date.now();
+                if (left <= 0) {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    if (onWait) onWait(0);
+                    resolve();
+                    return;
+                }
+                if (onWait) onWait(Math.ceil(left / 1000));
+                timer = setTimeout(tick, Math.min(left, 1000));
+            }
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            tick();
+        });
+    }
+
+    FourCApp.AiQueue = {
+        MAX_RETRIES: MAX_RETRIES,
+
+        /**
+         * Reads the value of a Retry-After header.
+         * @param {string|null} value - The header value: a number of seconds or an HTTP date.
+         * @param {number} [now] - The current time in milliseconds; by default Date.now().
+         * @returns {number|null} The waiting time in milliseconds, or null if the value is missing or invalid.
+         */
+        parseRetryAfter: function(value, now) {
+            if (!value) return null;
+
+            if (/^\s*\d+\s*$/.test(value))
+                return parseInt(value, 10) * 1000;
+
+            const date = Date.parse(value);
+            if (isNaN(date)) return null;
+
+            return Math.max(0, date - (now === undefined ? Date.now() : now));
+        },
+
+        /**
+         * Gets the waiting time before a retry.
+         * @param {Error} error - The error of the failed call; its retryAfter property,
+         *   when set, is the waiting time asked for by the server in milliseconds.
+         * @param {number} retry - The number of retries done so far.
+         * @returns {number} The waiting time in milliseconds.
+         */
+        getRetryDelay: function(error, retry) {
+            if (error && typeof error.retryAfter === 'number')
+                return Math.min(error.retryAfter, MAX_DELAY);
+
+            return Math.min(BASE_DELAY * Math.pow(2, retry), MAX_DELAY);
+        },
+
+        /**
+         * Checks whether a failed call is worth retrying.
+         * @param {Error} error - The error of the failed call, with the HTTP status code in its status property.
+         * @returns {boolean} True if the call should be retried.
+         */
+        isRetryable: function(error) {
+            return !!error && RETRY_STATUSES.indexOf(error.status) !== -1;
+        },
+
+        /**
+         * Checks whether a call of a key is queued or in flight.
+         * @param {string} key - The key.
+         * @returns {boolean} True if a call is not finished yet.
+         */
+        isPending: function(key) {
+            return !!counts[key];
+        },
+
+        /**
+         * Adds a listener called with the key and its pending state
+         * whenever the first call of a key starts or the last one finishes.
+         * @param {function(string, boolean)} listener - The listener.
+         */
+        onChange: function(listener) {
+            listeners.push(listener);
+        },
+
+        /**
+         * Runs a call after the earlier calls of the same key, retrying it
+         * while the server is throttling.
+         * @param {string} key - The key, e.g. the ID of the field the call is for.
+         * @param {function(AbortSignal): Promise} call - Makes the call.
+         * @param {Object} [options] - Options.
+         * @param {AbortSignal} [options.signal] - Signal that aborts the call and the waiting.
+         * @param {function(number)} [options.onWait] - Called once a second with the seconds
+         *   left before a retry, and with 0 when the retry starts.
+         * @returns {Promise} The result of the call.
+         */
+        run: function(key, call, options) {
+            const signal = options && options.signal;
+            const onWait = options && options.onWait;
+
+            function attempt(retry) {
+                if (signal && signal.aborted)
+                    return Promise.reject(abortError());
+
+                return call(signal).catch(function(error) {
+                    if ((signal && signal.aborted) || !FourCApp.AiQueue.isRetryable(error) || retry >= MAX_RETRIES)
+                        throw error;
+
+                    return countdown(FourCApp.AiQueue.getRetryDelay(error, retry), signal, onWait).then(function() {
+                        return attempt(retry + 1);
+                    });
+                });
+            }
+
+            function finish() {
+                counts[key]--;
+                if (counts[key] === 0) {
+                    delete counts[key];
+                    delete tails[key];
+                    notify(key);
+                }
+            }
+
+            const previous = tails[key] || Promise.resolve();
+            const result = previous.then(function() {
+                return attempt(0);
+            });
+            tails[key] = result.catch(function() {});
+
+            counts[key] = (counts[key] || 0) + 1;
+            if (counts[key] === 1) notify(key);
+
+            result.then(finish, finish);
+            return result;
+        }
+    };
+
+})();
@@ -0,0 +1,93 @@
+/**
+ * List Items - splitting list-shaped text into items and joining them back
+ *
+ * AI suggestions for activities and materials usually come back as a
+ * bulleted or numbered list, often with an introduction line before it.
+ * Each top-level list item becomes a separate item; indented lines and
+ * nested lists stay with the item they follow.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    // List item: indentation, marker (bullet or number) and text
+    const LIST_ITEM_PATTERN = /^(\s*)([-*+\u2022\u25aa\u25e6]|\d+[.)])\s+(.*)$/;
+    const NUMBER_MARKER_PATTERN = /^\d+([.)])$/;
+
+    // A text is list-shaped when it has at least this many items
+    const MIN_ITEMS = 2;
+
+    FourCApp.ListItems = {
+        /**
+         * Splits a list-shaped text into items.
+         * @param {string} text - The text.
+         * @returns {Array<Object>|null} Items { marker, text }, or null if the text is not a list.
+         */
+        parse: function(text) {
+            const items = [];
+            let current = null;
+            let indent = null;
+
+            (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(function(rawLine) {
+                const line = rawLine.replace(/\s+$/, '');
+                const match = LIST_ITEM_PATTERN.exec(line);
+
+                if (match && (indent === null || match[1].length <= indent)) {
+                    indent = match[1].length;
+                    current = { marker: match[2], text: match[3] };
+                    items.push(current);
+                } else if (current && line && /^\s/.test(line)) {
+                    // Indented line or nested item continues the current item
+                    current.text += '\n' + line.substring(Math.min(indent, line.search(/\S/)));
+                } else {
+                    // Introduction, closing remarks and blank lines are not items
+                    current = null;
+                }
+            });
+
+            return items.length >= MIN_ITEMS ? items : null;
+        },
+
+        /**
+         * Joins items back into list text. Numbered items are renumbered.
+         * @param {Array<Object>} items - Items { marker, text }.
+         * @param {number} [startNumber] - The number of the first numbered item (default 1).
+         * @returns {string} The list text.
+         */
+        format: function(items, startNumber) {
+            let number = startNumber || 1;
+            let separator = null;
+
+            return items.map(function(item) {
+                const numbered = NUMBER_MARKER_PATTERN.exec(item.marker);
+                if (numbered && separator === null)
+                    separator = numbered[1];
+
+                const marker = numbered ? (number++) + separator : item.marker;
+                return marker + ' ' + item.text.trim();
+            }).join('\n');
+        },
+
+        /**
+         * Finds the number that continues a numbered list at the end of a text.
+         * @param {string} text - The text.
+         * @returns {number} The next number, or 1 if the text does not end with a numbered list.
+         */
+        nextNumber: function(text) {
+            const lines = (text || '').replace(/\r\n?/g, '\n').replace(/\s+$/, '').split('\n');
+
+            for (let i = lines.length - 1; i >= 0; i--) {
+                const match = /^(\d+)[.)]\s/.exec(lines[i]);
+                if (match)
+                    return parseInt(match[1], 10) + 1;
+                if (!/^\s/.test(lines[i]))
+                    break;
+            }
+
+            return 1;
+        }
+    };
+
+})();
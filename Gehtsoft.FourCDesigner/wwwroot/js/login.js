@@ -7,6 +7,7 @@
 
     // Configuration
     const SESSION_STORAGE_KEY = 'sessionId';
+    const ACCOUNT_STORAGE_KEY = 'sessionUser';
     const API_BASE_URL = '$(external-prefix)/api/user';
     const HOME_PAGE = '$(external-prefix)/index.html';
 
@@ -18,11 +19,14 @@
     const errorMessage = document.getElementById('error-message');
 
     /**
-     * Saves the session ID to local storage.
+     * Saves the session ID and the account it belongs to to local storage.
+     * The plan library of the page is kept per account.
      * @param {string} sessionId - The session ID to save.
+     * @param {string} email - The email of the signed-in account.
      */
-    function saveSession(sessionId) {
+    function saveSession(sessionId, email) {
         localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+        localStorage.setItem(ACCOUNT_STORAGE_KEY, email.toLowerCase());
         console.log('Login: Session saved to storage');
     }
 
@@ -187,7 +191,7 @@
             const data = await response.json();
 
             if (data.sessionId) {
-                saveSession(data.sessionId);
+                saveSession(data.sessionId, email);
                 redirectToHome();
             } else {
                 showError('Invalid response from server');
@@ -0,0 +1,326 @@
+/**
+ * Markdown - rendering of Markdown text (AI results, lesson plan fields) to HTML
+ *
+ * The text is escaped before any markup is added, so HTML in the text is shown
+ * as text and only the elements produced here reach the page. Supported are
+ * headings, paragraphs, bulleted and numbered lists (nested by indentation),
+ * block quotes, fenced code blocks, tables, horizontal rules, and inline bold,
+ * italic, strikethrough, code spans and links. Single line breaks are kept,
+ * as the AI and the users break lines on purpose.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/;
+    const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+    const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+    const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+    const LIST_ITEM_PATTERN = /^(\s*)([-*+•]|(\d{1,9})[.)])\s+(.*)$/;
+    const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+    // "#" becomes <h4>, so the headings of the text stay below the headings of the page
+    const HEADING_OFFSET = 3;
+
+    // Marks a part of the text already converted to HTML
+    const PLACEHOLDER = '\u0000';
+
+    /**
+     * Escapes the HTML special characters of a text.
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Gets the indentation of a line; a tab counts as four spaces.
+     * @param {string} line - The line.
+     * @returns {number} The number of leading spaces.
+     */
+    function indentOf(line) {
+        const match = /^[ \t]*/.exec(line);
+        return match[0].replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Renders the inline elements of a text; line breaks become <br>.
+     * @param {string} text - The text.
+     * @returns {string} The HTML.
+     */
+    function renderInline(text) {
+        const parts = [];
+
+        function keep(html) {
+            parts.push(html);
+            return PLACEHOLDER + (parts.length - 1) + PLACEHOLDER;
+        }
+
+        // Code spans and links are taken out first, so their text is not formatted
+        let result = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function(match, ticks, code) {
+            return keep('<code>' + escapeHtml(code.trim()) + '</code>');
+        });
+
+        result = result.replace(/\[([^\]]+)\]\(\s*([^\s)]+)\s*\)/g, function(match, label, url) {
+            if (!SAFE_URL_PATTERN.test(url))
+                return match;
+            return keep('<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener noreferrer">' +
+                renderInline(label) + '</a>');
+        });
+
+        result = escapeHtml(result)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/(^|[^*])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\n/g, '<br>');
+
+        return result.replace(new RegExp(PLACEHOLDER + '(\\d+)' + PLACEHOLDER, 'g'), function(match, index) {
+            return parts[parseInt(index, 10)];
+        });
+    }
+
+    /**
+     * Checks whether a line starts a table, i.e. the next line separates the header.
+     * @param {Array<string>} lines - The lines.
+     * @param {number} index - The index of the line.
+     * @returns {boolean} True if a table starts at the line.
+     */
+    function isTableStart(lines, index) {
+        return lines[index].indexOf('|') !== -1 &&
+            index + 1 < lines.length &&
+            lines[index + 1].indexOf('-') !== -1 &&
+            TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+    }
+
+    /**
+     * Checks whether a line starts a block other than a paragraph.
+     * @param {Array<string>} lines - The lines.
+     * @param {number} index - The index of the line.
+     * @returns {boolean} True if the line starts a block.
+     */
+    function isBlockStart(lines, index) {
+        const line = lines[index];
+        return HEADING_PATTERN.test(line) ||
+            FENCE_PATTERN.test(line) ||
+            RULE_PATTERN.test(line) ||
+            QUOTE_PATTERN.test(line) ||
+            LIST_ITEM_PATTERN.test(line) ||
+            isTableStart(lines, index);
+    }
+
+    /**
+     * Splits a table row into cells.
+     * @param {string} line - The row.
+     * @returns {Array<string>} The cell texts.
+     */
+    function splitRow(line) {
+        const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+        return cells.map(function(cell) {
+            return cell.trim().replace(/\\\|/g, '|');
+        });
+    }
+
+    /**
+     * Renders a table.
+     * @param {Array<string>} lines - The lines.
+     * @param {number} start - The index of the header row.
+     * @returns {Object} { html, next } with the index of the line after the table.
+     */
+    function renderTable(lines, start) {
+        const header = splitRow(lines[start]);
+        const aligns = splitRow(lines[start + 1]).map(function(cell) {
+            const left = cell.charAt(0) === ':';
+            const right = cell.charAt(cell.length - 1) === ':';
+            if (left && right) return ' class="text-center"';
+            if (right) return ' class="text-end"';
+            return '';
+        });
+
+        function renderRow(cells, tag) {
+            let html = '<tr>';
+            for (let i = 0; i < header.length; i++)
+                html += '<' + tag + (aligns[i] || '') + '>' + renderInline(cells[i] || '') + '</' + tag + '>';
+            return html + '</tr>';
+        }
+
+        let html = '<table class="table table-sm table-bordered"><thead>' + renderRow(header, 'th') + '</thead><tbody>';
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].indexOf('|') !== -1) {
+            html += renderRow(splitRow(lines[i]), 'td');
+            i++;
+        }
+
+        return { html: html + '</tbody></table>', next: i };
+    }
+
+    /**
+     * Renders a list and the lists nested in it.
+     * @param {Array<string>} lines - The lines.
+     * @param {number} start - The index of the first item.
+     * @returns {Object} { html, next } with the index of the line after the list.
+     */
+    function renderList(lines, start) {
+        const first = LIST_ITEM_PATTERN.exec(lines[start]);
+        const indent = indentOf(lines[start]);
+        const ordered = first[3] !== undefined;
+        const items = [];
+        let current = null;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const match = LIST_ITEM_PATTERN.exec(line);
+
+            if (match && indentOf(line) <= indent) {
+                // A list of the other kind ends this one
+                if ((match[3] !== undefined) !== ordered)
+                    break;
+                current = { text: match[4], children: [] };
+                items.push(current);
+                i++;
+            } else if (!line.trim()) {
+                // A blank line ends the list unless the list goes on after it
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim())
+                    next++;
+                if (next >= lines.length)
+                    break;
+                const nextMatch = LIST_ITEM_PATTERN.exec(lines[next]);
+                const continues = indentOf(lines[next]) > indent ||
+                    (nextMatch && (nextMatch[3] !== undefined) === ordered);
+                if (!continues)
+                    break;
+                if (indentOf(lines[next]) > indent)
+                    current.children.push('');
+                i++;
+            } else if (indentOf(line) > indent) {
+                current.children.push(line);
+                i++;
+            } else if (current.children.length === 0 && !isBlockStart(lines, i)) {
+                // A line that is not indented continues the text of the item
+                current.text += '\n' + line.trim();
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        let html = ordered
+            ? '<ol' + (parseInt(first[3], 10) !== 1 ? ' start="' + parseInt(first[3], 10) + '"' : '') + '>'
+            : '<ul>';
+
+        items.forEach(function(item) {
+            html += '<li>' + renderInline(item.text.trim());
+            if (item.children.length > 0) {
+                const childIndent = Math.min.apply(null, item.children.filter(function(child) {
+                    return child.trim();
+                }).map(indentOf));
+                html += renderBlocks(item.children.map(function(child) {
+                    return child.replace(/\t/g, '    ').substring(childIndent);
+                }));
+            }
+            html += '</li>';
+        });
+
+        return { html: html + (ordered ? '</ol>' : '</ul>'), next: i };
+    }
+
+    /**
+     * Renders lines of Markdown text as blocks.
+     * @param {Array<string>} lines - The lines.
+     * @returns {string} The HTML.
+     */
+    function renderBlocks(lines) {
+        let html = '';
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                i++;
+            } else if ((match = FENCE_PATTERN.exec(line))) {
+                const code = [];
+                i++;
+                while (i < lines.length && lines[i].trim().indexOf(match[1]) !== 0) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html += '<pre><code>' + escapeHtml(code.join('\n')) + '</code></pre>';
+            } else if ((match = HEADING_PATTERN.exec(line))) {
+                const level = Math.min(match[1].length + HEADING_OFFSET, 6);
+                html += '<h' + level + '>' + renderInline(match[2]) + '</h' + level + '>';
+                i++;
+            } else if (RULE_PATTERN.test(line)) {
+                html += '<hr>';
+                i++;
+            } else if (QUOTE_PATTERN.test(line)) {
+                const quote = [];
+                while (i < lines.length && (match = QUOTE_PATTERN.exec(lines[i]))) {
+                    quote.push(match[1]);
+                    i++;
+                }
+                html += '<blockquote>' + renderBlocks(quote) + '</blockquote>';
+            } else if (LIST_ITEM_PATTERN.test(line)) {
+                const list = renderList(lines, i);
+                html += list.html;
+                i = list.next;
+            } else if (isTableStart(lines, i)) {
+                const table = renderTable(lines, i);
+                html += table.html;
+                i = table.next;
+            } else {
+                const paragraph = [line.trim()];
+                i++;
+                while (i < lines.length && lines[i].trim() && !isBlockStart(lines, i)) {
+                    paragraph.push(lines[i].trim());
+                    i++;
+                }
+                html += '<p>' + renderInline(paragraph.join('\n')) + '</p>';
+            }
+        }
+
+        return html;
+    }
+
+    FourCApp.Markdown = {
+        /**
+         * Renders Markdown text to HTML. Any HTML in the text is escaped.
+         * @param {string} text - The Markdown text.
+         * @returns {string} The HTML.
+         */
+        render: function(text) {
+            return renderBlocks((text || '').replace(/\r\n?/g, '\n').split('\n'));
+        },
+
+        /**
+         * Shows Markdown text in an element, or a placeholder text if the text is empty.
+         * @param {HTMLElement} element - The element.
+         * @param {string} text - The Markdown text.
+         * @param {string} [emptyText] - The text shown when the text is empty.
+         */
+        renderInto: function(element, text, emptyText) {
+            if (!element) return;
+
+            if (text && text.trim()) {
+                element.innerHTML = FourCApp.Markdown.render(text);
+            } else {
+                element.textContent = emptyText || '';
+            }
+        }
+    };
+
+})();
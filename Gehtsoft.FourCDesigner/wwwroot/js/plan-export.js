@@ -0,0 +1,359 @@
+/**
+ * Lesson Plan Export - export of lesson plans to files and import from files
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const FILE_FORMAT = 'fourc-lesson-plan';
+    const EMPTY_FIELD_TEXT = 'Not yet defined';
+    const DOCX_EXPORT_URL = '$(external-prefix)/api/plan/export/docx';
+    const SESSION_STORAGE_KEY = 'sessionId';
+
+    // Document layout, in the order of the print view
+    const SECTIONS = [
+        {
+            key: 'overview',
+            title: 'Lesson Overview',
+            fields: [
+                { path: 'context', label: 'Lesson Context' },
+                { path: 'topic', label: 'Topic' },
+                { path: 'audience', label: 'Target Audience' },
+                { path: 'learningOutcomes', label: 'Learning Outcomes' }
+            ]
+        },
+        {
+            key: 'connections',
+            title: 'Connection',
+            description: 'Learners make connections with what they already know and with each other.',
+            fields: [
+                { path: 'connections.timing', label: 'Time Allocated', timing: true },
+                { path: 'connections.goal', label: 'Connection Goal' },
+                { path: 'connections.activities', label: 'Activities' },
+                { path: 'connections.materialsToPrepare', label: 'Materials to Prepare' }
+            ]
+        },
+        {
+            key: 'concepts',
+            title: 'Concepts',
+            description: 'Learners take in information in a multi-sensory way.',
+            fields: [
+                { path: 'concepts.timing', label: 'Time Allocated', timing: true },
+                { path: 'concepts.needToKnow', label: 'Need to Know' },
+                { path: 'concepts.goodToKnow', label: 'Good to Know' },
+                { path: 'concepts.theses', label: 'Theses to Deliver' },
+                { path: 'concepts.structure', label: 'Delivery Structure' },
+                { path: 'concepts.activities', label: 'Activities' },
+                { path: 'concepts.materialsToPrepare', label: 'Materials to Prepare' }
+            ]
+        },
+        {
+            key: 'concretePractice',
+            title: 'Concrete Practice',
+            description: 'Learners practice a skill or repeat a procedure being learned.',
+            fields: [
+                { path: 'concretePractice.timing', label: 'Time Allocated', timing: true },
+                { path: 'concretePractice.desiredOutput', label: 'Desired Output' },
+                { path: 'concretePractice.focusArea', label: 'Focus Area' },
+                { path: 'concretePractice.activities', label: 'Activities' },
+                { path: 'concretePractice.details', label: 'Details' },
+                { path: 'concretePractice.materialsToPrepare', label: 'Materials to Prepare' }
+            ]
+        },
+        {
+            key: 'conclusions',
+            title: 'Conclusion',
+            description: 'Learners summarize what they have learned and celebrate the learning.',
+            fields: [
+                { path: 'conclusions.timing', label: 'Time Allocated', timing: true },
+                { path: 'conclusions.goal', label: 'Conclusion Goal' },
+                { path: 'conclusions.activities', label: 'Activities' },
+                { path: 'conclusions.materialsToPrepare', label: 'Materials to Prepare' }
+            ]
+        }
+    ];
+
+    // List item: indentation, marker (bullet or number) and text
+    const LIST_ITEM_PATTERN = /^(\s*)([-*+\u2022\u25aa\u25e6]|\d+[.)])\s+(.*)$/;
+
+    /**
+     * Converts a plan name to a safe file name.
+     * @param {string} name - The plan name.
+     * @param {string} extension - The file extension without the dot.
+     * @returns {string} The file name.
+     */
+    function toFileName(name, extension) {
+        const base = (name || 'lesson-plan')
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .replace(/\s+/g, '-')
+            .substring(0, 100) || 'lesson-plan';
+        return base + '.' + extension;
+    }
+
+    /**
+     * Reads a nested value by dotted path.
+     * @param {Object} obj - The source object.
+     * @param {string} path - The dotted path.
+     * @returns {*} The value or undefined.
+     */
+    function getValue(obj, path) {
+        return path.split('.').reduce(function(current, key) {
+            return current && typeof current === 'object' ? current[key] : undefined;
+        }, obj);
+    }
+
+    /**
+     * Calculates the total duration of a lesson.
+     * @param {Object} data - The lesson data.
+     * @returns {number} The total duration in minutes.
+     */
+    function calculateTotalDuration(data) {
+        return SECTIONS.reduce(function(total, section) {
+            const timing = data[section.key] ? parseInt(data[section.key].timing, 10) : 0;
+            return total + (timing || 0);
+        }, 0);
+    }
+
+    /**
+     * Escapes text that Markdown would otherwise read as formatting
+     * at the start of a line (headings, quotes, rules).
+     * @param {string} line - The line of text.
+     * @returns {string} The escaped line.
+     */
+    function escapeLineStart(line) {
+        return line.replace(/^(\s*)([#>]|[-*_]{3,}\s*$)/, '$1\\$2');
+    }
+
+    /**
+     * Converts field text to Markdown. Bulleted and numbered lists keep their
+     * structure; other lines become paragraphs.
+     * @param {string} text - The field text.
+     * @returns {string} The Markdown text.
+     */
+    function textToMarkdown(text) {
+        const blocks = [];
+        let list = null;
+
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(function(rawLine) {
+            const line = rawLine.replace(/\s+$/, '').replace(/\t/g, '    ');
+
+            if (line === '') {
+                list = null;
+                return;
+            }
+
+            const match = LIST_ITEM_PATTERN.exec(line);
+            if (match) {
+                const marker = /^\d/.test(match[2]) ? match[2].replace(')', '.') : '-';
+                if (!list) {
+                    list = [];
+                    blocks.push(list);
+                }
+                list.push(match[1] + marker + ' ' + escapeLineStart(match[3]));
+            } else if (list && /^\s/.test(line)) {
+                // Indented line continues the previous list item
+                list.push(line);
+            } else {
+                list = null;
+                blocks.push([escapeLineStart(line.trim())]);
+            }
+        });
+
+        return blocks.map(function(block) {
+            return block.join('\n');
+        }).join('\n\n');
+    }
+
+    FourCApp.PlanExport = {
+        SECTIONS: SECTIONS,
+
+        /**
+         * Offers content to the user as a file download.
+         * @param {string} fileName - The file name.
+         * @param {string|Blob} content - The file content.
+         * @param {string} mimeType - The MIME type (ignored for Blob content).
+         */
+        download: function(fileName, content, mimeType) {
+            const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 1000);
+        },
+
+        /**
+         * Builds the JSON export file of a plan.
+         * @param {string} name - The plan name.
+         * @param {Object} data - The lesson data.
+         * @param {Array<Object>} annotations - Optional field annotations of the plan.
+         * @returns {Object} { fileName, content }
+         */
+        toJson: function(name, data, annotations) {
+            const plan = FourCApp.PlanSchema.migrate(data || {});
+            const file = {
+                format: FILE_FORMAT,
+                schemaVersion: FourCApp.PlanSchema.VERSION,
+                name: name,
+                exportedAt: new Date().toISOString(),
+                plan: plan,
+                annotations: annotations || []
+            };
+
+            return {
+                fileName: toFileName(name, 'json'),
+                content: JSON.stringify(file, null, 2)
+            };
+        },
+
+        /**
+         * Builds the Markdown document of a plan, in the order of the print view.
+         * @param {string} name - The plan name.
+         * @param {Object} data - The lesson data.
+         * @param {Object} options - { emptyFields: 'omit' or 'mark' }.
+         * @returns {Object} { fileName, content }
+         */
+        toMarkdown: function(name, data, options) {
+            const markEmpty = options && options.emptyFields === 'mark';
+            const lessonData = data || {};
+            const lines = [];
+
+            lines.push('# ' + escapeLineStart(name || '4C Lesson Plan'), '');
+            lines.push('_4C Lesson Plan, ' + new Date().toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            }) + '_', '');
+
+            SECTIONS.forEach(function(section) {
+                lines.push('## ' + section.title, '');
+                if (section.description)
+                    lines.push('_' + section.description + '_', '');
+
+                section.fields.forEach(function(field) {
+                    const value = getValue(lessonData, field.path);
+
+                    if (field.timing) {
+                        lines.push('**' + field.label + ':** ' + (parseInt(value, 10) || 0) + ' minutes', '');
+                        return;
+                    }
+
+                    const text = typeof value === 'string' ? value.trim() : '';
+                    if (!text && !markEmpty)
+                        return;
+
+                    lines.push('### ' + field.label, '');
+                    lines.push(text ? textToMarkdown(text) : '_' + EMPTY_FIELD_TEXT + '_', '');
+                });
+            });
+
+            lines.push('## Summary', '');
+            lines.push('**Total Duration:** ' + calculateTotalDuration(lessonData) + ' minutes', '');
+            lines.push('---', '');
+            lines.push('Created with 4C Instructional Designer');
+
+            return {
+                fileName: toFileName(name, 'md'),
+                content: lines.join('\n') + '\n'
+            };
+        },
+
+        /**
+         * Renders the Word document of a plan on the server.
+         * @param {string} name - The plan name.
+         * @param {Object} data - The lesson data.
+         * @returns {Promise<Object>} { fileName, content } where content is a Blob.
+         * @throws {Error} If the server cannot render the document.
+         */
+        toDocx: async function(name, data) {
+            let response;
+            try {
+                response = await fetch(DOCX_EXPORT_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-fourc-session': localStorage.getItem(SESSION_STORAGE_KEY) || ''
+                    },
+                    body: JSON.stringify({ name: name || '', plan: data || {} })
+                });
+            } catch (error) {
+                throw new Error('The server is unreachable. Please check your connection and try again.');
+            }
+
+            if (response.status === 401)
+                throw new Error('Authentication required. Please log in.');
+            if (!response.ok)
+                throw new Error('The Word document could not be created. Please try again later.');
+
+            return {
+                fileName: toFileName(name, 'docx'),
+                content: await response.blob()
+            };
+        },
+
+        /**
+         * Reads a JSON export file. The plan is migrated to the current schema
+         * version and validated; invalid or unknown fields are left out and reported.
+         * @param {string} text - The file content.
+         * @returns {Object} { name, plan, annotations, rejected: Array<{ field, reason }>, migratedFrom }
+         * @throws {Error} If the file is not a lesson plan export.
+         */
+        fromJson: function(text) {
+            let file;
+            try {
+                file = JSON.parse(text);
+            } catch (error) {
+                throw new Error('The file is not valid JSON.');
+            }
+
+            if (!file || typeof file !== 'object' || file.format !== FILE_FORMAT)
+                throw new Error('The file is not a 4C lesson plan export.');
+
+            if (!file.plan || typeof file.plan !== 'object' || Array.isArray(file.plan))
+                throw new Error('The file does not contain a lesson plan.');
+
+            const fileVersion = typeof file.schemaVersion === 'number' ? file.schemaVersion : 0;
+            const plan = Object.assign({}, file.plan, { schemaVersion: fileVersion });
+
+            const migrated = FourCApp.PlanSchema.migrate(plan);
+            const result = FourCApp.PlanSchema.validate(migrated);
+
+            return {
+                name: typeof file.name === 'string' ? file.name : '',
+                plan: result.plan,
+                annotations: Array.isArray(file.annotations) ? file.annotations : [],
+                rejected: result.rejected,
+                migratedFrom: fileVersion < FourCApp.PlanSchema.VERSION ? fileVersion : null
+            };
+        },
+
+        /**
+         * Reads a file selected by the user as text.
+         * @param {File} file - The file.
+         * @returns {Promise<string>} The file content.
+         */
+        readFile: function(file) {
+            return new Promise(function(resolve, reject) {
+                const reader = new FileReader();
+                reader.onload = function() {
+                    resolve(reader.result);
+                };
+                reader.onerror = function() {
+                    reject(new Error('Failed to read the file.'));
+                };
+                reader.readAsText(file);
+            });
+        }
+    };
+
+})();
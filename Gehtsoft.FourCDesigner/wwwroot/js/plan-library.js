@@ -0,0 +1,865 @@
+/**
+ * Lesson Plan Library - storage of multiple lesson plans in localStorage
+ *
+ * Every plan has its own id. The library keeps:
+ * - an index of all plans (id, name, creation and modification time,
+ *   server version and whether the local copy is synchronized with the server)
+ * - the data of each plan under its own key
+ * - named snapshots of each plan
+ * - the AI assist results of each plan, so earlier results can be applied again
+ * - the field annotations of the latest whole-lesson review of each plan,
+ *   with their open/resolved/dismissed state; they are part of the plan, so
+ *   changing them marks the plan as unsynchronized
+ * - the id of the plan currently opened in the editor
+ *
+ * Each account signed in on the browser has its own library: the storage keys
+ * start with the email of the account (recorded by the login page). A library
+ * stored before the libraries were kept per account is moved into the library of
+ * the next account that signs in. Its plans may belong to another account, so
+ * they are marked as plans of an unknown owner, which are not synchronized with
+ * the server until they are claimed (see claim).
+ *
+ * Plan data is stored with its schema version and migrated on load (see plan-schema.js).
+ * When localStorage is full, the oldest AI results are removed to make room; if that is
+ * not enough, the write fails with a StorageFullError.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const INDEX_KEY = 'lessonPlans';
+    const PLAN_KEY_PREFIX = 'lessonPlan:';
+    const SNAPSHOTS_KEY_PREFIX = 'lessonPlanSnapshots:';
+    const AI_RESULTS_KEY_PREFIX = 'lessonPlanAiResults:';
+    const MAX_AI_RESULTS = 100;
+    const ANNOTATIONS_KEY_PREFIX = 'lessonPlanAnnotations:';
+    const CURRENT_PLAN_KEY = 'currentPlanId';
+    const LEGACY_STORAGE_KEY = 'lessonPlan';
+    const ACCOUNT_STORAGE_KEY = 'sessionUser';
+    const DEFAULT_PLAN_NAME = 'Untitled Lesson Plan';
+
+    /**
+     * Error raised when localStorage has no room left for the plan library.
+     * @param {string} message - The error message.
+     */
+    function StorageFullError(message) {
+        this.name = 'StorageFullError';
+        this.message = message;
+    }
+    StorageFullError.prototype = Object.create(Error.prototype);
+
+    // The account whose library this page works with
+    const account = localStorage.getItem(ACCOUNT_STORAGE_KEY) || '';
+
+    /**
+     * Gets the localStorage key of a library item of the account.
+     * Without an account the key is the one used before the libraries were kept per account.
+     * @param {string} key - The key of the item within the library.
+     * @returns {string} The storage key.
+     */
+    function getAccountKey(key) {
+        return account ? account + '/' + key : key;
+    }
+
+    /**
+     * Generates a new unique plan ID.
+     * @returns {string} The plan ID.
+     */
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function')
+            return window.crypto.randomUUID();
+
+        return 'plan-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 10);
+    }
+
+    /**
+     * Gets the localStorage key for the data of a plan.
+     * @param {string} id - The plan ID.
+     * @returns {string} The storage key.
+     */
+    function getPlanKey(id) {
+        return getAccountKey(PLAN_KEY_PREFIX + id);
+    }
+
+    /**
+     * Gets the localStorage key for the snapshots of a plan.
+     * @param {string} id - The plan ID.
+     * @returns {string} The storage key.
+     */
+    function getSnapshotsKey(id) {
+        return getAccountKey(SNAPSHOTS_KEY_PREFIX + id);
+    }
+
+    /**
+     * Reads the snapshots of a plan from localStorage.
+     * @param {string} id - The plan ID.
+     * @returns {Array<Object>} The snapshots, oldest first.
+     */
+    function readSnapshots(id) {
+        try {
+            const data = localStorage.getItem(getSnapshotsKey(id));
+            const snapshots = data ? JSON.parse(data) : [];
+            return Array.isArray(snapshots) ? snapshots : [];
+        } catch (error) {
+            console.error('PlanLibrary: Failed to read snapshots:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Gets the localStorage key for the AI results of a plan.
+     * @param {string} id - The plan ID.
+     * @returns {string} The storage key.
+     */
+    function getAiResultsKey(id) {
+        return getAccountKey(AI_RESULTS_KEY_PREFIX + id);
+    }
+
+    /**
+     * Reads the AI results of a plan from localStorage.
+     * @param {string} id - The plan ID.
+     * @returns {Array<Object>} The AI results, oldest first.
+     */
+    function readAiResults(id) {
+        try {
+            const data = localStorage.getItem(getAiResultsKey(id));
+            const results = data ? JSON.parse(data) : [];
+            return Array.isArray(results) ? results : [];
+        } catch (error) {
+            console.error('PlanLibrary: Failed to read AI results:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Gets the localStorage key for the field annotations of a plan.
+     * @param {string} id - The plan ID.
+     * @returns {string} The storage key.
+     */
+    function getAnnotationsKey(id) {
+        return getAccountKey(ANNOTATIONS_KEY_PREFIX + id);
+    }
+
+    /**
+     * Reads the field annotations of a plan from localStorage.
+     * @param {string} id - The plan ID.
+     * @returns {Array<Object>} The annotations.
+     */
+    function readAnnotations(id) {
+        try {
+            const data = localStorage.getItem(getAnnotationsKey(id));
+            const annotations = data ? JSON.parse(data) : [];
+            return Array.isArray(annotations) ? annotations : [];
+        } catch (error) {
+            console.error('PlanLibrary: Failed to read annotations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Writes the field annotations of a plan to localStorage.
+     * @param {string} id - The plan ID.
+     * @param {Array<Object>} annotations - The annotations.
+     */
+    function writeAnnotations(id, annotations) {
+        if (annotations.length === 0)
+            localStorage.removeItem(getAnnotationsKey(id));
+        else
+            writeItem(getAnnotationsKey(id), JSON.stringify(annotations));
+    }
+
+    /**
+     * Checks whether an error of localStorage.setItem means that the storage quota is exceeded.
+     * @param {Error} error - The error.
+     * @returns {boolean} True if the storage is full.
+     */
+    function isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    /**
+     * Removes the older half of the AI results of every plan to free storage.
+     * The AI results can be requested again, unlike plans and snapshots.
+     * @returns {boolean} True if any result was removed.
+     */
+    function pruneAiResults() {
+        let pruned = false;
+
+        readIndex().forEach(function(entry) {
+            const results = readAiResults(entry.id);
+            if (results.length === 0)
+                return;
+
+            const kept = results.slice(Math.ceil(results.length / 2));
+            if (kept.length === 0)
+                localStorage.removeItem(getAiResultsKey(entry.id));
+            else
+                localStorage.setItem(getAiResultsKey(entry.id), JSON.stringify(kept));
+            pruned = true;
+        });
+
+        return pruned;
+    }
+
+    /**
+     * Writes an item to localStorage. When the storage is full, the oldest
+     * AI results are removed until the item fits.
+     * @param {string} key - The storage key.
+     * @param {string} value - The value.
+     * @throws {StorageFullError} If the item does not fit even without AI results.
+     */
+    function writeItem(key, value) {
+        for (;;) {
+            try {
+                localStorage.setItem(key, value);
+                return;
+            } catch (error) {
+                if (!isQuotaError(error))
+                    throw error;
+            }
+
+            if (!pruneAiResults())
+                throw new StorageFullError('The browser storage is full. Delete old snapshots or plans to keep saving your changes.');
+
+            console.warn('PlanLibrary: Storage is full, the oldest AI results were removed');
+        }
+    }
+
+    /**
+     * Reads the plan index from localStorage.
+     * @returns {Array<Object>} The list of plan entries.
+     */
+    function readIndex() {
+        try {
+            const data = localStorage.getItem(getAccountKey(INDEX_KEY));
+            const index = data ? JSON.parse(data) : [];
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.error('PlanLibrary: Failed to read plan index:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Writes the plan index to localStorage.
+     * @param {Array<Object>} index - The list of plan entries.
+     */
+    function writeIndex(index) {
+        try {
+            writeItem(getAccountKey(INDEX_KEY), JSON.stringify(index));
+        } catch (error) {
+            console.error('PlanLibrary: Failed to write plan index:', error);
+            if (error instanceof StorageFullError)
+                throw error;
+        }
+    }
+
+    /**
+     * Finds an index entry by plan ID.
+     * @param {Array<Object>} index - The list of plan entries.
+     * @param {string} id - The plan ID.
+     * @returns {Object|null} The entry or null if not found.
+     */
+    function findEntry(index, id) {
+        for (let i = 0; i < index.length; i++) {
+            if (index[i].id === id)
+                return index[i];
+        }
+        return null;
+    }
+
+    /**
+     * Updates the modification time of a plan changed outside its lesson data
+     * and marks it as unsynchronized. A plan the user changes belongs to the account.
+     * @param {string} id - The plan ID.
+     */
+    function markChanged(id) {
+        const index = readIndex();
+        const entry = findEntry(index, id);
+        if (!entry)
+            return;
+
+        entry.updatedAt = new Date().toISOString();
+        entry.synced = false;
+        delete entry.ownerUnknown;
+        writeIndex(index);
+    }
+
+    /**
+     * Marks lesson data collected from the editor with the current schema version.
+     * @param {Object} data - The lesson data.
+     * @returns {Object} A copy of the data with the schema version.
+     */
+    function withSchemaVersion(data) {
+        return Object.assign({}, data, { schemaVersion: FourCApp.PlanSchema.VERSION });
+    }
+
+    /**
+     * Moves a library item stored under a key without an account to the key of the account.
+     * @param {string} key - The key of the item within the library.
+     */
+    function moveToAccount(key) {
+        const value = localStorage.getItem(key);
+        if (value === null)
+            return;
+
+        localStorage.setItem(getAccountKey(key), value);
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Moves the library stored before the libraries were kept per account into the
+     * library of the account, unless the account has a library already.
+     * The moved plans may belong to another account, so their owner is marked as unknown.
+     */
+    function migrateSharedLibrary() {
+        if (!account || localStorage.getItem(getAccountKey(INDEX_KEY)) !== null)
+            return;
+
+        try {
+            const data = localStorage.getItem(INDEX_KEY);
+            const index = data ? JSON.parse(data) : null;
+            if (!Array.isArray(index))
+                return;
+
+            index.forEach(function(entry) {
+                [PLAN_KEY_PREFIX, SNAPSHOTS_KEY_PREFIX, AI_RESULTS_KEY_PREFIX, ANNOTATIONS_KEY_PREFIX].forEach(function(prefix) {
+                    moveToAccount(prefix + entry.id);
+                });
+                entry.ownerUnknown = true;
+            });
+
+            writeIndex(index);
+            localStorage.removeItem(INDEX_KEY);
+            moveToAccount(CURRENT_PLAN_KEY);
+            console.log('PlanLibrary: Shared library moved to the library of', account);
+        } catch (error) {
+            console.error('PlanLibrary: Failed to move shared library:', error);
+        }
+    }
+
+    /**
+     * Moves the plan stored under the legacy single-plan key into the library.
+     * The plan was stored before the plans were kept per account, so its owner is unknown.
+     */
+    function migrateLegacyPlan() {
+        try {
+            const legacyData = localStorage.getItem(LEGACY_STORAGE_KEY);
+            if (!legacyData)
+                return;
+
+            const data = JSON.parse(legacyData);
+            const entry = FourCApp.PlanLibrary.create((data && data.topic) || DEFAULT_PLAN_NAME, data);
+
+            const index = readIndex();
+            findEntry(index, entry.id).ownerUnknown = true;
+            writeIndex(index);
+
+            if (!localStorage.getItem(getAccountKey(CURRENT_PLAN_KEY)))
+                localStorage.setItem(getAccountKey(CURRENT_PLAN_KEY), entry.id);
+
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+            console.log('PlanLibrary: Legacy lesson plan migrated to library as', entry.id);
+        } catch (error) {
+            console.error('PlanLibrary: Failed to migrate legacy lesson plan:', error);
+        }
+    }
+
+    FourCApp.PlanLibrary = {
+        DEFAULT_PLAN_NAME: DEFAULT_PLAN_NAME,
+        INDEX_KEY: getAccountKey(INDEX_KEY),
+        StorageFullError: StorageFullError,
+
+        /**
+         * The email of the account the library belongs to, or an empty string
+         * if no account was recorded at sign-in.
+         */
+        account: account,
+
+        /**
+         * Gets the localStorage key of an item kept per account,
+         * e.g. for items other modules keep with the library.
+         * @param {string} key - The key of the item within the library.
+         * @returns {string} The storage key.
+         */
+        getAccountKey: function(key) {
+            return getAccountKey(key);
+        },
+
+        /**
+         * Gets the localStorage key of the data of a plan,
+         * e.g. to recognize storage events caused by other tabs.
+         * @param {string} id - The plan ID.
+         * @returns {string} The storage key.
+         */
+        getDataKey: function(id) {
+            return getPlanKey(id);
+        },
+
+        /**
+         * Lists all plans, most recently modified first.
+         * @returns {Array<Object>} Copies of the plan entries.
+         */
+        list: function() {
+            return readIndex()
+                .map(function(entry) {
+                    return Object.assign({}, entry);
+                })
+                .sort(function(a, b) {
+                    return (b.updatedAt || '').localeCompare(a.updatedAt || '');
+                });
+        },
+
+        /**
+         * Gets a plan entry by ID.
+         * @param {string} id - The plan ID.
+         * @returns {Object|null} A copy of the entry or null if not found.
+         */
+        get: function(id) {
+            const entry = findEntry(readIndex(), id);
+            return entry ? Object.assign({}, entry) : null;
+        },
+
+        /**
+         * Creates a new plan.
+         * @param {string} name - The plan name.
+         * @param {Object} data - Optional initial lesson data.
+         * @returns {Object} The created entry.
+         */
+        create: function(name, data) {
+            const now = new Date().toISOString();
+            const entry = {
+                id: generateId(),
+                name: (name || '').trim() || DEFAULT_PLAN_NAME,
+                createdAt: now,
+                updatedAt: now,
+                version: 0,
+                synced: false
+            };
+
+            const index = readIndex();
+            index.push(entry);
+            writeIndex(index);
+
+            if (data)
+                writeItem(getPlanKey(entry.id), JSON.stringify(data));
+
+            return Object.assign({}, entry);
+        },
+
+        /**
+         * Renames a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} name - The new name.
+         * @returns {boolean} True if the plan was found and renamed.
+         */
+        rename: function(id, name) {
+            const index = readIndex();
+            const entry = findEntry(index, id);
+            if (!entry)
+                return false;
+
+            entry.name = (name || '').trim() || DEFAULT_PLAN_NAME;
+            entry.updatedAt = new Date().toISOString();
+            entry.synced = false;
+            delete entry.ownerUnknown;
+            writeIndex(index);
+            return true;
+        },
+
+        /**
+         * Creates a copy of a plan, including its data.
+         * @param {string} id - The ID of the plan to copy.
+         * @returns {Object|null} The entry of the copy or null if the source was not found.
+         */
+        duplicate: function(id) {
+            const source = findEntry(readIndex(), id);
+            if (!source)
+                return null;
+
+            return FourCApp.PlanLibrary.create(source.name + ' (copy)', FourCApp.PlanLibrary.loadData(id));
+        },
+
+        /**
+         * Deletes a plan and its data.
+         * @param {string} id - The plan ID.
+         * @returns {boolean} True if the plan was found and deleted.
+         */
+        remove: function(id) {
+            const index = readIndex();
+            const remaining = index.filter(function(entry) {
+                return entry.id !== id;
+            });
+
+            if (remaining.length === index.length)
+                return false;
+
+            writeIndex(remaining);
+            localStorage.removeItem(getPlanKey(id));
+            localStorage.removeItem(getSnapshotsKey(id));
+            localStorage.removeItem(getAiResultsKey(id));
+            localStorage.removeItem(getAnnotationsKey(id));
+
+            if (localStorage.getItem(getAccountKey(CURRENT_PLAN_KEY)) === id)
+                localStorage.removeItem(getAccountKey(CURRENT_PLAN_KEY));
+
+            return true;
+        },
+
+        /**
+         * Loads the lesson data of a plan.
+         * @param {string} id - The plan ID.
+         * @returns {Object|null} The lesson data or null if there is none.
+         */
+        loadData: function(id) {
+            if (!id)
+                return null;
+
+            let data;
+            try {
+                const stored = localStorage.getItem(getPlanKey(id));
+                data = stored ? JSON.parse(stored) : null;
+            } catch (error) {
+                console.error('PlanLibrary: Failed to load plan data:', error);
+                return null;
+            }
+
+            if (data && FourCApp.PlanSchema.needsMigration(data)) {
+                try {
+                    data = FourCApp.PlanSchema.migrate(data);
+                    writeItem(getPlanKey(id), JSON.stringify(data));
+                    console.log('PlanLibrary: Plan', id, 'migrated to schema version', FourCApp.PlanSchema.VERSION);
+                } catch (error) {
+                    console.error('PlanLibrary: Failed to migrate plan data:', error);
+                }
+            }
+
+            return data;
+        },
+
+        /**
+         * Saves the lesson data of a plan and updates its modification time.
+         * Saving unchanged data leaves the plan as it is, so a plan of an unknown
+         * owner is claimed only when the user changes it.
+         * @param {string} id - The plan ID.
+         * @param {Object} data - The lesson data.
+         */
+        saveData: function(id, data) {
+            const index = readIndex();
+            const entry = findEntry(index, id);
+            if (!entry) {
+                console.warn('PlanLibrary: Cannot save data of unknown plan:', id);
+                return;
+            }
+
+            const stored = JSON.stringify(withSchemaVersion(data));
+            if (localStorage.getItem(getPlanKey(id)) === stored)
+                return;
+
+            writeItem(getPlanKey(id), stored);
+            entry.updatedAt = new Date().toISOString();
+            entry.synced = false;
+            delete entry.ownerUnknown;
+            writeIndex(index);
+        },
+
+        /**
+         * Adds or replaces a plan received from the server.
+         * @param {Object} entry - The plan entry (id, name, createdAt, updatedAt, version).
+         * @param {Object} data - The lesson data.
+         */
+        store: function(entry, data) {
+            const index = readIndex();
+            const stored = {
+                id: entry.id,
+                name: entry.name || DEFAULT_PLAN_NAME,
+                createdAt: entry.createdAt,
+                updatedAt: entry.updatedAt,
+                version: entry.version,
+                synced: true
+            };
+
+            const existing = findEntry(index, entry.id);
+            if (existing) {
+                Object.assign(existing, stored);
+                delete existing.ownerUnknown;
+            } else {
+                index.push(stored);
+            }
+
+            writeItem(getPlanKey(entry.id), JSON.stringify(withSchemaVersion(data)));
+            writeIndex(index);
+        },
+
+        /**
+         * Marks a plan as synchronized with the server.
+         * The plan stays unsynchronized if it was modified after the given time.
+         * @param {string} id - The plan ID.
+         * @param {number} version - The version assigned by the server.
+         * @param {string} updatedAt - The modification time of the data sent to the server.
+         */
+        markSynced: function(id, version, updatedAt) {
+            const index = readIndex();
+            const entry = findEntry(index, id);
+            if (!entry)
+                return;
+
+            entry.version = version;
+            entry.synced = entry.updatedAt === updatedAt;
+            writeIndex(index);
+        },
+
+        /**
+         * Sets the server version the local changes of a plan are based on,
+         * after a newer server copy was merged into them. The plan stays unsynchronized.
+         * @param {string} id - The plan ID.
+         * @param {number} version - The server version.
+         */
+        rebase: function(id, version) {
+            const index = readIndex();
+            const entry = findEntry(index, id);
+            if (!entry)
+                return;
+
+            entry.version = version;
+            entry.synced = false;
+            writeIndex(index);
+        },
+
+        /**
+         * Marks a plan of an unknown owner as a plan of the account,
+         * e.g. because the server stores the plan for the account.
+         * @param {string} id - The plan ID.
+         */
+        claim: function(id) {
+            const index = readIndex();
+            const entry = findEntry(index, id);
+            if (!entry || !entry.ownerUnknown)
+                return;
+
+            delete entry.ownerUnknown;
+            writeIndex(index);
+        },
+
+        /**
+         * Removes the lesson data of a plan but keeps the plan itself.
+         * @param {string} id - The plan ID.
+         */
+        clearData: function(id) {
+            localStorage.removeItem(getPlanKey(id));
+        },
+
+        /**
+         * Lists the snapshots of a plan, newest first.
+         * @param {string} id - The plan ID.
+         * @returns {Array<Object>} The snapshots ({ id, name, createdAt, data }).
+         */
+        listSnapshots: function(id) {
+            return readSnapshots(id).reverse();
+        },
+
+        /**
+         * Gets a snapshot of a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} snapshotId - The snapshot ID.
+         * @returns {Object|null} The snapshot or null if not found.
+         */
+        getSnapshot: function(id, snapshotId) {
+            return findEntry(readSnapshots(id), snapshotId);
+        },
+
+        /**
+         * Stores a named snapshot of the lesson data of a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} name - The snapshot name.
+         * @param {Object} data - The lesson data.
+         * @returns {Object} The created snapshot.
+         */
+        createSnapshot: function(id, name, data) {
+            const snapshots = readSnapshots(id);
+            const snapshot = {
+                id: generateId(),
+                name: (name || '').trim() || new Date().toLocaleString(),
+                createdAt: new Date().toISOString(),
+                data: data
+            };
+
+            snapshots.push(snapshot);
+            writeItem(getSnapshotsKey(id), JSON.stringify(snapshots));
+            return snapshot;
+        },
+
+        /**
+         * Deletes a snapshot of a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} snapshotId - The snapshot ID.
+         */
+        deleteSnapshot: function(id, snapshotId) {
+            const snapshots = readSnapshots(id).filter(function(snapshot) {
+                return snapshot.id !== snapshotId;
+            });
+
+            if (snapshots.length === 0)
+                localStorage.removeItem(getSnapshotsKey(id));
+            else
+                localStorage.setItem(getSnapshotsKey(id), JSON.stringify(snapshots));
+        },
+
+        /**
+         * Lists the AI results of a plan, newest first.
+         * @param {string} id - The plan ID.
+         * @returns {Array<Object>} The results ({ id, operationId, fieldId, text, createdAt }).
+         */
+        listAiResults: function(id) {
+            return readAiResults(id).reverse();
+        },
+
+        /**
+         * Stores an AI result of a plan. Only the most recent results are kept.
+         * A result the same as an earlier one of the operation (e.g. served from a
+         * cache) replaces it, so the history shows it once, as the newest result.
+         * @param {string} id - The plan ID.
+         * @param {string} operationId - The AI assist operation.
+         * @param {string|null} fieldId - The field the result is for, or null for the whole lesson.
+         * @param {string} text - The result text.
+         * @returns {Object} The stored result.
+         */
+        addAiResult: function(id, operationId, fieldId, text) {
+            const results = readAiResults(id).filter(function(result) {
+                return result.operationId !== operationId || result.fieldId !== (fieldId || null) ||
+                    result.text !== text;
+            });
+            const result = {
+                id: generateId(),
+                operationId: operationId,
+                fieldId: fieldId || null,
+                text: text,
+                createdAt: new Date().toISOString()
+            };
+
+            results.push(result);
+            writeItem(getAiResultsKey(id), JSON.stringify(results.slice(-MAX_AI_RESULTS)));
+            return result;
+        },
+
+        /**
+         * Deletes an AI result of a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} resultId - The result ID.
+         */
+        deleteAiResult: function(id, resultId) {
+            const results = readAiResults(id).filter(function(result) {
+                return result.id !== resultId;
+            });
+
+            if (results.length === 0)
+                localStorage.removeItem(getAiResultsKey(id));
+            else
+                localStorage.setItem(getAiResultsKey(id), JSON.stringify(results));
+        },
+
+        /**
+         * Lists the field annotations of a plan.
+         * @param {string} id - The plan ID.
+         * @returns {Array<Object>} The annotations ({ id, field, severity, comment, status, createdAt }).
+         */
+        listAnnotations: function(id) {
+            return readAnnotations(id);
+        },
+
+        /**
+         * Replaces the field annotations of a plan with the feedback of a new review.
+         * @param {string} id - The plan ID.
+         * @param {Array<Object>} feedback - The field feedback ({ field, severity, comment }).
+         * @returns {Array<Object>} The stored annotations, all open.
+         */
+        setAnnotations: function(id, feedback) {
+            const createdAt = new Date().toISOString();
+            const annotations = feedback.map(function(item) {
+                return {
+                    id: generateId(),
+                    field: item.field,
+                    severity: item.severity,
+                    comment: item.comment,
+                    status: 'open',
+                    createdAt: createdAt
+                };
+            });
+
+            writeAnnotations(id, annotations);
+            markChanged(id);
+            return annotations;
+        },
+
+        /**
+         * Replaces the field annotations of a plan with annotations received from
+         * the server or read from an export file, keeping their state.
+         * @param {string} id - The plan ID.
+         * @param {Array<Object>} annotations - The annotations ({ id, field, severity, comment, status, createdAt }).
+         */
+        putAnnotations: function(id, annotations) {
+            writeAnnotations(id, (Array.isArray(annotations) ? annotations : []).filter(function(annotation) {
+                return annotation && typeof annotation.id === 'string' && typeof annotation.field === 'string' &&
+                    typeof annotation.comment === 'string';
+            }));
+        },
+
+        /**
+         * Changes the state of a field annotation of a plan.
+         * @param {string} id - The plan ID.
+         * @param {string} annotationId - The annotation ID.
+         * @param {string} status - The new state ('open', 'resolved' or 'dismissed').
+         */
+        setAnnotationStatus: function(id, annotationId, status) {
+            const annotations = readAnnotations(id);
+            const annotation = findEntry(annotations, annotationId);
+            if (!annotation)
+                return;
+
+            annotation.status = status;
+            writeItem(getAnnotationsKey(id), JSON.stringify(annotations));
+            markChanged(id);
+        },
+
+        /**
+         * Gets the ID of the plan currently opened in the editor.
+         * @returns {string|null} The plan ID or null if no plan is selected.
+         */
+        getCurrentId: function() {
+            const id = localStorage.getItem(getAccountKey(CURRENT_PLAN_KEY));
+            return id && findEntry(readIndex(), id) ? id : null;
+        },
+
+        /**
+         * Sets the plan currently opened in the editor.
+         * @param {string} id - The plan ID.
+         */
+        setCurrentId: function(id) {
+            localStorage.setItem(getAccountKey(CURRENT_PLAN_KEY), id);
+        },
+
+        /**
+         * Gets the current plan ID, selecting the most recent plan or creating
+         * a new one when no plan is selected yet.
+         * @returns {string} The current plan ID.
+         */
+        ensureCurrent: function() {
+            let id = FourCApp.PlanLibrary.getCurrentId();
+            if (id)
+                return id;
+
+            const plans = FourCApp.PlanLibrary.list();
+            id = plans.length > 0 ? plans[0].id : FourCApp.PlanLibrary.create(DEFAULT_PLAN_NAME).id;
+            FourCApp.PlanLibrary.setCurrentId(id);
+            return id;
+        }
+    };
+
+    migrateSharedLibrary();
+    migrateLegacyPlan();
+
+})();
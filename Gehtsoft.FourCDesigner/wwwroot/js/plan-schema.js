@@ -0,0 +1,216 @@
+/**
+ * Lesson Plan Schema - versioning, migration and validation of lesson plan data
+ *
+ * VERSION must match LessonPlan.CurrentSchemaVersion in the server model.
+ * When the plan structure changes, increase VERSION and add a migration
+ * from the previous version to MIGRATIONS.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    const VERSION = 2;
+
+    // Field paths and their value types
+    const FIELDS = {
+        'context': 'string',
+        'language': 'string',
+        'topic': 'string',
+        'audience': 'string',
+        'learningOutcomes': 'string',
+        'connections.timing': 'number',
+        'connections.goal': 'string',
+        'connections.activities': 'string',
+        'connections.materialsToPrepare': 'string',
+        'concepts.timing': 'number',
+        'concepts.needToKnow': 'string',
+        'concepts.goodToKnow': 'string',
+        'concepts.theses': 'string',
+        'concepts.structure': 'string',
+        'concepts.activities': 'string',
+        'concepts.materialsToPrepare': 'string',
+        'concretePractice.timing': 'number',
+        'concretePractice.desiredOutput': 'string',
+        'concretePractice.focusArea': 'string',
+        'concretePractice.activities': 'string',
+        'concretePractice.details': 'string',
+        'concretePractice.materialsToPrepare': 'string',
+        'conclusions.timing': 'number',
+        'conclusions.goal': 'string',
+        'conclusions.activities': 'string',
+        'conclusions.materialsToPrepare': 'string'
+    };
+
+    const SECTIONS = ['connections', 'concepts', 'concretePractice', 'conclusions'];
+
+    /**
+     * Migrations indexed by the version they migrate from.
+     * Each migration receives a copy of the data and returns the data of the next version.
+     */
+    const MIGRATIONS = {
+        // Version 0: plans saved before versioning. Timings could be stored as strings.
+        0: function(data) {
+            SECTIONS.forEach(function(section) {
+                const value = data[section];
+                if (value && typeof value.timing === 'string' && /^\s*\d+\s*$/.test(value.timing))
+                    value.timing = parseInt(value.timing, 10);
+            });
+            return data;
+        },
+
+        // Version 1: plans without a lesson language. All of them were written in English.
+        1: function(data) {
+            if (typeof data.language !== 'string' || !data.language)
+                data.language = 'en';
+            return data;
+        }
+    };
+
+    /**
+     * Checks whether a value is a plain object.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True if the value is a plain object.
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Reads a nested value by dotted path.
+     * @param {Object} obj - The source object.
+     * @param {string} path - The dotted path.
+     * @returns {*} The value or undefined.
+     */
+    function getValue(obj, path) {
+        return path.split('.').reduce(function(current, key) {
+            return isObject(current) ? current[key] : undefined;
+        }, obj);
+    }
+
+    /**
+     * Writes a nested value by dotted path, creating intermediate objects.
+     * @param {Object} obj - The target object.
+     * @param {string} path - The dotted path.
+     * @param {*} value - The value.
+     */
+    function setValue(obj, path, value) {
+        const keys = path.split('.');
+        let current = obj;
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!isObject(current[keys[i]]))
+                current[keys[i]] = {};
+            current = current[keys[i]];
+        }
+        current[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Lists the paths of all values in an object that are not objects themselves.
+     * @param {Object} obj - The object.
+     * @param {string} prefix - The path prefix.
+     * @returns {Array<string>} The paths.
+     */
+    function listPaths(obj, prefix) {
+        let paths = [];
+        Object.keys(obj).forEach(function(key) {
+            const path = prefix ? prefix + '.' + key : key;
+            if (isObject(obj[key]))
+                paths = paths.concat(listPaths(obj[key], path));
+            else
+                paths.push(path);
+        });
+        return paths;
+    }
+
+    /**
+     * Gets the schema version of plan data. Data without a version is version 0.
+     * @param {Object} data - The plan data.
+     * @returns {number} The schema version.
+     */
+    function getVersion(data) {
+        return isObject(data) && typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+    }
+
+    FourCApp.PlanSchema = {
+        VERSION: VERSION,
+        FIELDS: FIELDS,
+
+        /**
+         * Gets the schema version of plan data. Data without a version is version 0.
+         * @param {Object} data - The plan data.
+         * @returns {number} The schema version.
+         */
+        getVersion: getVersion,
+
+        /**
+         * Checks whether plan data needs a migration.
+         * @param {Object} data - The plan data.
+         * @returns {boolean} True if the data is older than the current schema.
+         */
+        needsMigration: function(data) {
+            return getVersion(data) < VERSION;
+        },
+
+        /**
+         * Migrates plan data to the current schema version.
+         * @param {Object} data - The plan data.
+         * @returns {Object} A migrated copy of the data.
+         * @throws {Error} If the data was created by a newer version of the application.
+         */
+        migrate: function(data) {
+            let version = getVersion(data);
+            if (version > VERSION)
+                throw new Error('The plan was created by a newer version of the application (schema version ' + version + ').');
+
+            let result = JSON.parse(JSON.stringify(data || {}));
+            while (version < VERSION) {
+                result = MIGRATIONS[version](result);
+                version++;
+            }
+
+            result.schemaVersion = VERSION;
+            return result;
+        },
+
+        /**
+         * Validates plan data of the current schema version.
+         * Valid fields are copied into the result, everything else is reported as rejected.
+         * @param {Object} data - The plan data.
+         * @returns {Object} { plan, rejected: Array<{ field, reason }> }
+         */
+        validate: function(data) {
+            const plan = { schemaVersion: VERSION };
+            const rejected = [];
+
+            if (!isObject(data))
+                return { plan: plan, rejected: [{ field: '(plan)', reason: 'Plan data must be an object' }] };
+
+            Object.keys(FIELDS).forEach(function(path) {
+                const value = getValue(data, path);
+                if (value === undefined || value === null)
+                    return;
+
+                if (FIELDS[path] === 'number') {
+                    if (typeof value === 'number' && Number.isInteger(value) && value >= 0)
+                        setValue(plan, path, value);
+                    else
+                        rejected.push({ field: path, reason: 'Expected a non-negative whole number of minutes' });
+                } else if (typeof value === 'string') {
+                    setValue(plan, path, value);
+                } else {
+                    rejected.push({ field: path, reason: 'Expected text' });
+                }
+            });
+
+            listPaths(data, '').forEach(function(path) {
+                if (path !== 'schemaVersion' && !FIELDS.hasOwnProperty(path))
+                    rejected.push({ field: path, reason: 'Unknown field' });
+            });
+
+            return { plan: plan, rejected: rejected };
+        }
+    };
+
+})();
@@ -0,0 +1,371 @@
+/**
+ * Lesson Plan Sync - synchronization of the plan library with the server
+ *
+ * The local plan library stays the working copy (write-through cache):
+ * - every local change is pushed to the server as soon as possible
+ * - changes made while offline stay marked as unsynchronized and are pushed later
+ * - plans created or changed on other machines are pulled from the server
+ *
+ * Every push names the server version the local changes are based on. If the
+ * plan was changed on the server in the meantime, the server rejects the push
+ * (409 Conflict); the server copy is then kept as a conflict and the editor
+ * merges it with the local copy before the plan is pushed again.
+ *
+ * Only the library of the signed-in account is synchronized with its server
+ * account: if another account signs in on the browser while the page is open,
+ * synchronization stops. Plans of an unknown owner (see PlanLibrary.claim) are
+ * neither pushed nor removed; they are claimed when the server of the account stores them.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const API_BASE_URL = '$(external-prefix)/api/plan';
+    const SESSION_STORAGE_KEY = 'sessionId';
+    const ACCOUNT_STORAGE_KEY = 'sessionUser';
+    const PENDING_DELETES_KEY = 'lessonPlansPendingDelete';
+
+    const inFlightPushes = {};
+    const repeatedPushes = {};
+    const conflicts = {};
+
+    /**
+     * Error raised when a server request fails.
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status (0 if the server is unreachable).
+     */
+    function SyncError(message, status) {
+        this.name = 'SyncError';
+        this.message = message;
+        this.status = status;
+    }
+    SyncError.prototype = Object.create(Error.prototype);
+
+    /**
+     * Sends a request to the plan storage API.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The path relative to the API base URL.
+     * @param {Object} body - Optional request body.
+     * @param {boolean} keepalive - True to let the request outlive the page.
+     * @returns {Promise<Object>} The parsed response.
+     */
+    async function apiRequest(method, path, body, keepalive) {
+        const sessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!sessionId)
+            throw new SyncError('No session', 401);
+
+        // The session must be the one of the account the library belongs to
+        const account = FourCApp.PlanLibrary.account;
+        if (!account || localStorage.getItem(ACCOUNT_STORAGE_KEY) !== account)
+            throw new SyncError('The session belongs to another account', 401);
+
+        const options = {
+            method: method,
+            headers: {
+                'X-fourc-session': sessionId
+            },
+            keepalive: keepalive === true
+        };
+
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(API_BASE_URL + path, options);
+        } catch (error) {
+            throw new SyncError('Server is unreachable', 0);
+        }
+
+        if (!response.ok)
+            throw new SyncError('Request failed with status ' + response.status, response.status);
+
+        return response.json();
+    }
+
+    /**
+     * Converts a server timestamp to an ISO string. Server timestamps are UTC.
+     * @param {string} value - The server timestamp.
+     * @returns {string} The ISO timestamp.
+     */
+    function toIsoTime(value) {
+        if (!value)
+            return new Date().toISOString();
+
+        const hasZone = /(Z|[+-]\d\d:\d\d)$/.test(value);
+        const date = new Date(hasZone ? value : value + 'Z');
+        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    /**
+     * Reads the IDs of plans deleted locally but not yet on the server.
+     * @returns {Array<string>} The plan IDs.
+     */
+    function readPendingDeletes() {
+        try {
+            const data = localStorage.getItem(FourCApp.PlanLibrary.getAccountKey(PENDING_DELETES_KEY));
+            const ids = data ? JSON.parse(data) : [];
+            return Array.isArray(ids) ? ids : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Writes the IDs of plans deleted locally but not yet on the server.
+     * @param {Array<string>} ids - The plan IDs.
+     */
+    function writePendingDeletes(ids) {
+        const key = FourCApp.PlanLibrary.getAccountKey(PENDING_DELETES_KEY);
+        if (ids.length === 0)
+            localStorage.removeItem(key);
+        else
+            localStorage.setItem(key, JSON.stringify(ids));
+    }
+
+    /**
+     * Deletes a plan on the server. A plan that is already gone counts as deleted.
+     * @param {string} id - The plan ID.
+     * @returns {Promise<boolean>} True if the plan no longer exists on the server.
+     */
+    async function deleteOnServer(id) {
+        try {
+            await apiRequest('DELETE', '/' + encodeURIComponent(id));
+            return true;
+        } catch (error) {
+            return error.status === 404;
+        }
+    }
+
+    /**
+     * Downloads a plan from the server and keeps it as a conflict with the local copy.
+     * @param {string} id - The plan ID.
+     */
+    async function pullConflict(id) {
+        const result = await apiRequest('GET', '/' + encodeURIComponent(id));
+        conflicts[id] = {
+            name: result.name,
+            version: result.version,
+            plan: result.plan
+        };
+    }
+
+    /**
+     * Downloads a plan from the server and stores it in the library.
+     * The annotations stored with the plan on the server are kept apart from its lesson data.
+     * @param {string} id - The plan ID.
+     */
+    async function pullPlan(id) {
+        const result = await apiRequest('GET', '/' + encodeURIComponent(id));
+        const data = Object.assign({}, result.plan);
+        const annotations = data.annotations;
+        delete data.annotations;
+
+        delete conflicts[id];
+        FourCApp.PlanLibrary.store({
+            id: result.planId,
+            name: result.name,
+            createdAt: toIsoTime(result.createdAt),
+            updatedAt: toIsoTime(result.modifiedAt),
+            version: result.version
+        }, data);
+        FourCApp.PlanLibrary.putAnnotations(result.planId, annotations);
+    }
+
+    /**
+     * Uploads a plan to the server, together with its annotations.
+     * @param {string} id - The plan ID.
+     * @param {boolean} keepalive - True to let the upload outlive the page.
+     * @returns {Promise<boolean>} True if the plan was stored on the server.
+     */
+    async function pushPlan(id, keepalive) {
+        const entry = FourCApp.PlanLibrary.get(id);
+        if (!entry || entry.ownerUnknown || conflicts[id])
+            return false;
+
+        const data = Object.assign({}, FourCApp.PlanLibrary.loadData(id), {
+            annotations: FourCApp.PlanLibrary.listAnnotations(id)
+        });
+
+        try {
+            const result = await apiRequest('PUT', '/' + encodeURIComponent(id), {
+                name: entry.name,
+                plan: data,
+                baseVersion: entry.version || 0
+            }, keepalive);
+            FourCApp.PlanLibrary.markSynced(id, result.version, entry.updatedAt);
+            return true;
+        } catch (error) {
+            if (error.status === 409) {
+                try {
+                    await pullConflict(id);
+                } catch (pullError) {
+                    console.warn('PlanSync: Failed to download conflicting plan', id, '-', pullError.message);
+                }
+                return false;
+            }
+            console.warn('PlanSync: Failed to push plan', id, '-', error.message);
+            return false;
+        }
+    }
+
+    FourCApp.PlanSync = {
+        /**
+         * Pushes the local copy of a plan to the server. Pushes of the same plan
+         * are serialized; a push requested while another one is running is
+         * repeated once the running push finishes.
+         *
+         * The keepalive option is meant for the flush on page unload only:
+         * browsers limit keepalive bodies to 64 KB, and the page is about to go
+         * away, so such a push is sent at once instead of waiting for a running one.
+         * @param {string} id - The plan ID.
+         * @param {Object} options - Optional settings: { keepalive: boolean }.
+         * @returns {Promise<boolean>} True if the plan was stored on the server.
+         */
+        push: function(id, options) {
+            if (options && options.keepalive)
+                return pushPlan(id, true);
+
+            if (inFlightPushes[id]) {
+                repeatedPushes[id] = true;
+                return inFlightPushes[id];
+            }
+
+            inFlightPushes[id] = pushPlan(id).then(function(result) {
+                delete inFlightPushes[id];
+                if (repeatedPushes[id]) {
+                    delete repeatedPushes[id];
+                    return FourCApp.PlanSync.push(id);
+                }
+                return result;
+            });
+
+            return inFlightPushes[id];
+        },
+
+        /**
+         * Checks whether a push of a plan is in progress.
+         * @param {string} id - The plan ID.
+         * @returns {boolean} True if the plan is being pushed to the server.
+         */
+        isPending: function(id) {
+            return !!inFlightPushes[id];
+        },
+
+        /**
+         * Gets the server copy of a plan whose push was rejected because
+         * the plan was changed on the server since the local copy was based on it.
+         * @param {string} id - The plan ID.
+         * @returns {Object|null} The server copy { name, version, plan }, or null if there is no conflict.
+         */
+        getConflict: function(id) {
+            return conflicts[id] || null;
+        },
+
+        /**
+         * Marks a conflict as resolved once the server copy was merged into the local copy.
+         * The local copy is then based on the server version and can be pushed again.
+         * @param {string} id - The plan ID.
+         * @param {number} version - The server version that was merged.
+         */
+        resolveConflict: function(id, version) {
+            const conflict = conflicts[id];
+            if (!conflict || conflict.version !== version)
+                return;
+
+            delete conflicts[id];
+            FourCApp.PlanLibrary.rebase(id, version);
+        },
+
+        /**
+         * Deletes a plan on the server. If the server cannot be reached,
+         * the deletion is repeated on the next synchronization.
+         * @param {string} id - The plan ID.
+         * @returns {Promise<boolean>} True if the plan was deleted on the server.
+         */
+        remove: async function(id) {
+            if (await deleteOnServer(id))
+                return true;
+
+            const pending = readPendingDeletes();
+            if (pending.indexOf(id) < 0) {
+                pending.push(id);
+                writePendingDeletes(pending);
+            }
+            return false;
+        },
+
+        /**
+         * Synchronizes the local plan library with the server.
+         * @returns {Promise<Array<string>>} IDs of local plans that were added,
+         * replaced or removed because of changes made on the server.
+         */
+        synchronize: async function() {
+            const changed = [];
+
+            let pending = readPendingDeletes();
+            for (const id of pending.slice()) {
+                if (await deleteOnServer(id))
+                    pending = pending.filter(function(pendingId) { return pendingId !== id; });
+            }
+            writePendingDeletes(pending);
+
+            let serverPlans;
+            try {
+                serverPlans = await apiRequest('GET', '');
+            } catch (error) {
+                console.warn('PlanSync: Synchronization skipped -', error.message);
+                return changed;
+            }
+
+            const serverIds = {};
+
+            for (const serverPlan of serverPlans) {
+                serverIds[serverPlan.planId] = true;
+
+                if (pending.indexOf(serverPlan.planId) >= 0)
+                    continue;
+
+                // The account stores the plan, so a local copy of an unknown owner is its own
+                FourCApp.PlanLibrary.claim(serverPlan.planId);
+
+                const local = FourCApp.PlanLibrary.get(serverPlan.planId);
+                try {
+                    if (!local) {
+                        await pullPlan(serverPlan.planId);
+                        changed.push(serverPlan.planId);
+                    } else if (local.synced !== true) {
+                        // The server rejects the push if it holds a newer version
+                        await FourCApp.PlanSync.push(local.id);
+                    } else if ((local.version || 0) < serverPlan.version) {
+                        await pullPlan(serverPlan.planId);
+                        changed.push(serverPlan.planId);
+                    }
+                } catch (error) {
+                    console.warn('PlanSync: Failed to synchronize plan', serverPlan.planId, '-', error.message);
+                }
+            }
+
+            for (const local of FourCApp.PlanLibrary.list()) {
+                if (serverIds[local.id] || local.ownerUnknown)
+                    continue;
+
+                if (local.synced === true && local.version > 0) {
+                    // The plan was stored on the server before and deleted from another machine
+                    FourCApp.PlanLibrary.remove(local.id);
+                    changed.push(local.id);
+                } else if (FourCApp.PlanLibrary.loadData(local.id)) {
+                    await FourCApp.PlanSync.push(local.id);
+                }
+            }
+
+            return changed;
+        }
+    };
+
+})();
@@ -9,18 +9,25 @@
  // ============================================
  // CONSTANTS
  // ============================================
- const STORAGE_KEY = 'lessonPlan';
-
  const SECTION_FIELDS = {
-  overview: ['context', 'topic', 'audience', 'learningOutcomes'],
+  overview: ['context', 'language', 'topic', 'audience', 'learningOutcomes'],
   connections: ['connections.timing', 'connections.goal', 'connections.activities', 'connections.materialsToPrepare'],
   concepts: ['concepts.timing', 'concepts.needToKnow', 'concepts.goodToKnow', 'concepts.theses', 'concepts.structure', 'concepts.activities', 'concepts.materialsToPrepare'],
   concretePractice: ['concretePractice.timing', 'concretePractice.desiredOutput', 'concretePractice.focusArea', 'concretePractice.activities', 'concretePractice.details', 'concretePractice.materialsToPrepare'],
   conclusions: ['conclusions.timing', 'conclusions.goal', 'conclusions.activities', 'conclusions.materialsToPrepare']
  };
 
+ const SECTION_TITLES = {
+  overview: 'Lesson Overview',
+  connections: 'Connection',
+  concepts: 'Concepts',
+  concretePractice: 'Concrete Practice',
+  conclusions: 'Conclusion'
+ };
+
  const FIELD_TO_ID_MAP = {
   'context': 'context',
+  'language': 'language',
   'topic': 'topic',
   'audience': 'audience',
   'learningOutcomes': 'learningOutcomes',
@@ -47,6 +54,9 @@
   'conclusions.materialsToPrepare': 'concl_materials'
  };
 
+ // Language of the plans that don't specify one (see LessonLanguage on the server)
+ const DEFAULT_LANGUAGE = 'en';
+
  // ============================================
  // UTILITY FUNCTIONS
  // ============================================
@@ -233,12 +243,26 @@
  // STORAGE FUNCTIONS
  // ============================================
 
+ var currentPlanId = FourCApp.PlanLibrary.ensureCurrent();
+
  /**
-  * Saves lesson data to localStorage
+  * Saves lesson data of the current plan to localStorage and pushes it to the server
   * @param {Array<string>} fields - Optional array of field paths to save
+  * @param {Object} options - Optional push settings, see syncPlan
+  * @returns {Promise<boolean>} - Resolves to true if the plan was also stored on the server
   */
- function saveLessonData(fields) {
+ function saveLessonData(fields, options) {
+  if (autosaveTimer) {
+   clearTimeout(autosaveTimer);
+   autosaveTimer = null;
+  }
+
   try {
+   if (!mergeBeforeSave()) {
+    setSaveStatus('unsaved', 'Waiting for conflicts to be resolved');
+    return Promise.resolve(false);
+   }
+
    let dataToSave;
 
    if (!fields || fields.length === 0) {
@@ -249,709 +273,3434 @@
     dataToSave = mergeDeep(existingData, newData);
    }
 
-   localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToSave));
+   FourCApp.PlanLibrary.saveData(currentPlanId, dataToSave);
+   rememberBaseData();
+   isDirty = false;
+   setSaveStatus('saving', 'Saving\u2026');
   } catch (error) {
    console.error('Failed to save lesson data:', error);
+   if (error instanceof FourCApp.PlanLibrary.StorageFullError) {
+    setSaveStatus('error', 'Browser storage is full');
+    showNotification(error.message, 'error');
+   } else {
+    setSaveStatus('error', 'Failed to save changes');
+   }
+   return Promise.resolve(false);
   }
+
+  const planId = currentPlanId;
+  return syncPlan(planId, options).then(function(pushed) {
+   if (!pushed && planId === currentPlanId && FourCApp.PlanSync.getConflict(planId)) {
+    handleSyncConflict();
+    return false;
+   }
+   if (!isDirty) {
+    const time = formatSaveTime(new Date());
+    if (pushed) {
+     setSaveStatus('saved', 'Saved at ' + time);
+    } else {
+     setSaveStatus('offline', 'Saved locally at ' + time + ', not on server yet');
+    }
+   }
+   return pushed;
+  });
  }
 
  /**
-  * Loads lesson data from localStorage
+  * Loads lesson data of the current plan from localStorage
   * @returns {Object|null} - Lesson data object or null
   */
  function loadLessonData() {
-  try {
-   const data = localStorage.getItem(STORAGE_KEY);
-   return data ? JSON.parse(data) : null;
-  } catch (error) {
-   console.error('Failed to load lesson data:', error);
-   return null;
-  }
+  return FourCApp.PlanLibrary.loadData(currentPlanId);
  }
 
  /**
-  * Clears lesson data from localStorage
+  * Clears lesson data of the current plan from localStorage
   */
  function clearLessonData() {
   try {
-   localStorage.removeItem(STORAGE_KEY);
+   FourCApp.PlanLibrary.clearData(currentPlanId);
   } catch (error) {
    console.error('Failed to clear lesson data:', error);
   }
  }
 
- // ============================================
- // DATA APPLICATION FUNCTIONS
- // ============================================
+ /**
+  * Pushes a plan to the server in the background
+  * @param {string} planId - The plan ID
+  * @param {Object} options - Optional settings: { keepalive: true } for the flush on page unload
+  * @returns {Promise<boolean>} - Resolves to true if the plan was stored on the server
+  */
+ function syncPlan(planId, options) {
+  return FourCApp.PlanSync.push(planId, options).then(function(pushed) {
+   renderPlanLibrary();
+   return pushed;
+  });
+ }
 
  /**
-  * Applies loaded data to form fields
-  * @param {Object} data - Lesson data object
-  * @param {Array<string>} fields - Optional array of field paths to apply
+  * Synchronizes the plan library with the server and reloads the
+  * current plan if it was changed or deleted on another machine
   */
- function applyLessonData(data, fields) {
-  if (!data) return;
+ function synchronizePlans() {
+  FourCApp.PlanSync.synchronize().then(function(changedIds) {
+   const current = FourCApp.PlanLibrary.get(currentPlanId);
 
-  if (!fields || fields.length === 0) {
-   fields = getAllFieldPaths(data);
-  } else {
-   fields = expandFieldsToCollect(fields);
-  }
+   if (!current) {
+    openPlan(FourCApp.PlanLibrary.ensureCurrent());
+    return;
+   }
 
-  fields.forEach(function(fieldPath) {
-   const value = getNestedValue(data, fieldPath);
-   if (value !== undefined) {
-    setFieldValue(fieldPath, value);
+   // Replace the empty plan created on the first visit with the plans from the server
+   if (!current.version && !loadLessonData() && FourCApp.PlanLibrary.list().length > 1) {
+    FourCApp.PlanLibrary.remove(currentPlanId);
+    openPlan(FourCApp.PlanLibrary.ensureCurrent());
+    return;
+   }
+
+   if (changedIds.indexOf(currentPlanId) >= 0) {
+    handleStoredPlanChange('server');
    }
+   handleSyncConflict();
+
+   updateCurrentPlanName();
+   renderPlanLibrary();
   });
  }
 
  // ============================================
- // UI UPDATE FUNCTIONS
+ // AUTOSAVE AND SAVE STATUS
  // ============================================
 
+ const AUTOSAVE_DELAY = 1500;
+
+ var isDirty = false;
+ var autosaveTimer = null;
+
  /**
-  * Updates the review section with current data
+  * Shows the save status in the sidebar
+  * @param {string} state - Status state ('unsaved', 'saving', 'saved', 'offline', 'error' or '' to hide)
+  * @param {string} text - Status text
   */
- function updateReviewDisplay() {
-  const data = collectLessonData();
+ function setSaveStatus(state, text) {
+  const element = document.getElementById('save-status');
+  if (!element) return;
 
-  document.getElementById('review-context').textContent = data.context || 'Not yet defined';
-  document.getElementById('review-topic').textContent = data.topic || 'Not yet defined';
-  document.getElementById('review-audience').textContent = data.audience || 'Not yet defined';
-  document.getElementById('review-learningOutcomes').textContent = data.learningOutcomes || 'Not yet defined';
-
-  if (data.connections) {
-   document.getElementById('review-conn-timing').textContent = data.connections.timing + ' min';
-   document.getElementById('review-conn-goal').textContent = data.connections.goal || 'Not yet defined';
-   document.getElementById('review-conn-activities').textContent = data.connections.activities || 'Not yet defined';
-   document.getElementById('review-conn-materials').textContent = data.connections.materialsToPrepare || 'Not yet defined';
-  }
+  element.className = 'save-status' + (state ? ' save-status-' + state : '');
+  element.textContent = text || '';
+ }
 
-  if (data.concepts) {
-   document.getElementById('review-concepts-timing').textContent = data.concepts.timing + ' min';
-   document.getElementById('review-concepts-needToKnow').textContent = data.concepts.needToKnow || 'Not yet defined';
-   document.getElementById('review-concepts-goodToKnow').textContent = data.concepts.goodToKnow || 'Not yet defined';
-   document.getElementById('review-concepts-theses').textContent = data.concepts.theses || 'Not yet defined';
-   document.getElementById('review-concepts-structure').textContent = data.concepts.structure || 'Not yet defined';
-   document.getElementById('review-concepts-activities').textContent = data.concepts.activities || 'Not yet defined';
-   document.getElementById('review-concepts-materials').textContent = data.concepts.materialsToPrepare || 'Not yet defined';
-  }
+ /**
+  * Formats the time of a save for the status indicator
+  * @param {Date} date - The time of the save
+  * @returns {string} - Hours and minutes
+  */
+ function formatSaveTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+ }
 
-  if (data.concretePractice) {
-   document.getElementById('review-practice-timing').textContent = data.concretePractice.timing + ' min';
-   document.getElementById('review-practice-desiredOutput').textContent = data.concretePractice.desiredOutput || 'Not yet defined';
-   document.getElementById('review-practice-focusArea').textContent = data.concretePractice.focusArea || 'Not yet defined';
-   document.getElementById('review-practice-activities').textContent = data.concretePractice.activities || 'Not yet defined';
-   document.getElementById('review-practice-details').textContent = data.concretePractice.details || 'Not yet defined';
-   document.getElementById('review-practice-materials').textContent = data.concretePractice.materialsToPrepare || 'Not yet defined';
-  }
+ /**
+  * Marks the plan as changed and schedules an autosave
+  */
+ function markDirty() {
+  isDirty = true;
+  setSaveStatus('unsaved', 'Unsaved changes');
 
-  if (data.conclusions) {
-   document.getElementById('review-concl-timing').textContent = data.conclusions.timing + ' min';
-   document.getElementById('review-concl-goal').textContent = data.conclusions.goal || 'Not yet defined';
-   document.getElementById('review-concl-activities').textContent = data.conclusions.activities || 'Not yet defined';
-   document.getElementById('review-concl-materials').textContent = data.conclusions.materialsToPrepare || 'Not yet defined';
+  if (autosaveTimer) {
+   clearTimeout(autosaveTimer);
   }
+  autosaveTimer = setTimeout(function() {
+   autosaveTimer = null;
+   saveLessonData();
+  }, AUTOSAVE_DELAY);
  }
 
  /**
-  * Gets the currently active section name
-  * @returns {string|null} - Section name or null
+  * Checks whether there are changes not yet stored locally or on the server
+  * @returns {boolean} - True if leaving the page may lose work
   */
- function getCurrentSection() {
-  const activeNav = document.querySelector('.plan-nav-item.active');
-  if (!activeNav) return null;
-
-  const sectionName = activeNav.getAttribute('data-section');
-  const sectionMap = {
-   'overview': 'overview',
-   'connection': 'connections',
-   'concepts': 'concepts',
-   'practice': 'concretePractice',
-   'conclusion': 'conclusions'
-  };
-
-  return sectionMap[sectionName] || null;
+ function hasUnsavedWork() {
+  return isDirty || FourCApp.PlanSync.isPending(currentPlanId);
  }
 
- // ============================================
- // NOTIFICATION SYSTEM
- // ============================================
-
  /**
-  * Shows a floating notification in the bottom-right corner
-  * @param {string} message - The message to display
-  * @param {string} type - The notification type ('success', 'error', 'info')
+  * Initialize change tracking on all plan fields
   */
- function showNotification(message, type) {
-  type = type || 'success';
-
-  const notification = document.createElement('div');
-  notification.className = 'floating-notification floating-notification-' + type;
-  notification.textContent = message;
-
-  document.body.appendChild(notification);
-
-  setTimeout(function() {
-   notification.classList.add('show');
-  }, 10);
-
-  setTimeout(function() {
-   notification.classList.remove('show');
-   setTimeout(function() {
-    document.body.removeChild(notification);
-   }, 300);
-  }, 1000);
+ function initializeAutosave() {
+  Object.keys(FIELD_TO_ID_MAP).forEach(function(fieldPath) {
+   const element = document.getElementById(FIELD_TO_ID_MAP[fieldPath]);
+   if (element) {
+    element.addEventListener('input', markDirty);
+   }
+  });
  }
 
  // ============================================
- // AI ASSIST OPERATIONS
+ // CONCURRENT EDITS
  // ============================================
 
+ const MERGE_SOURCE_TEXT = {
+  tab: 'another tab',
+  server: 'another device'
+ };
+
+ var baseLessonData = null;
+ var baseStoredData = null;
+ var pendingMerge = null;
+ var mergeModalInstance = null;
+
  /**
-  * Calls the plan assistance API
-  * @param {string} operationId - The operation identifier
-  * @returns {Promise<string>} - Result text from AI
+  * Remembers the stored plan data the current form content is based on.
+  * Changes made by other tabs or devices are detected against it.
   */
- function callPlanApi(operationId) {
-  return new Promise(function(resolve, reject) {
-   // Get session ID from localStorage (server will validate if needed)
-   const sessionId = localStorage.getItem('sessionId') || '';
+ function rememberBaseData() {
+  baseLessonData = collectLessonData();
+  baseStoredData = JSON.stringify(loadLessonData());
+ }
 
-   // Collect current lesson plan data
-   const lessonPlan = collectLessonData();
+ /**
+  * Checks whether the stored plan data was changed by another tab or device
+  * @returns {boolean} - True if the stored data differs from the data the form is based on
+  */
+ function isChangedElsewhere() {
+  return baseStoredData !== null && JSON.stringify(loadLessonData()) !== baseStoredData;
+ }
 
-   // Prepare request payload
-   const requestData = {
-    operationId: operationId,
-    plan: lessonPlan
-   };
+ /**
+  * Compares two field values the way they appear in the form
+  * @param {*} a - First value
+  * @param {*} b - Second value
+  * @returns {boolean} - True if the values are the same
+  */
+ function isSameValue(a, b) {
+  return String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+ }
 
-   // Make API call
-   fetch('$(external-prefix)/api/plan/assistance', {
-    method: 'POST',
-    headers: {
-     'Content-Type': 'application/json',
-     'X-fourc-session': sessionId
-    },
-    body: JSON.stringify(requestData)
-   })
-   .then(function(response) {
-    if (!response.ok) {
-     // Provide user-friendly error messages based on status code
-     var errorMessage;
-     switch (response.status) {
-      case 401:
-       errorMessage = 'Authentication required. Please log in.';
-       break;
-      case 403:
-       errorMessage = 'Access denied. You do not have permission to perform this action.';
-       break;
-      case 429:
-       errorMessage = 'Too many requests. Please wait a moment and try again.';
-       break;
-      case 500:
-       errorMessage = 'Server error. Please try again later.';
-       break;
-      case 503:
-       errorMessage = 'Service temporarily unavailable. Please try again later.';
-       break;
-      default:
-       errorMessage = 'Request failed. Please try again.';
-     }
+ /**
+  * Combines the form content with stored data changed elsewhere, field by field.
+  * A field changed on one side only takes that change; a field changed
+  * differently on both sides is a conflict.
+  * @param {Object} storedData - The stored plan data
+  * @param {Object} baseData - Optional data both sides started from, the form's base data by default
+  * @returns {Object} - { data, remoteData, conflicts: Array<{ fieldPath, local, remote }> }
+  */
+ function findConcurrentChanges(storedData, baseData) {
+  const baseSource = baseData || baseLessonData;
+  const data = {};
+  const remoteData = {};
+  const conflicts = [];
+
+  Object.keys(FIELD_TO_ID_MAP).forEach(function(fieldPath) {
+   const base = getNestedValue(baseSource, fieldPath);
+   const local = getFieldValue(fieldPath);
+   let remote = getNestedValue(storedData, fieldPath);
+   if (remote === undefined || remote === null) {
+    remote = base;
+   }
 
-     // Try to get more specific error from response
-     return response.json().then(function(data) {
-      throw new Error(data.error || errorMessage);
-     }).catch(function(jsonError) {
-      // If JSON parsing fails, use the default message
-      throw new Error(errorMessage);
-     });
-    }
-    return response.json();
-   })
-   .then(function(result) {
-    if (result.successful) {
-     resolve(result.output);
+   let value = local;
+   if (!isSameValue(local, remote) && !isSameValue(remote, base)) {
+    if (isSameValue(local, base)) {
+     value = remote;
     } else {
-     reject(new Error(result.errorCode + ': ' + result.output));
+     conflicts.push({ fieldPath: fieldPath, local: local, remote: remote });
     }
-   })
-   .catch(function(error) {
-    reject(error);
-   });
-  });
- }
+   }
 
- // Review operations
- function reviewContext() {
-  return callPlanApi('review_context');
- }
+   setNestedValue(data, fieldPath, value);
+   setNestedValue(remoteData, fieldPath, remote);
+  });
 
- function reviewTopic() {
-  return callPlanApi('review_topic');
+  return { data: data, remoteData: remoteData, conflicts: conflicts };
  }
 
- function reviewAudience() {
-  return callPlanApi('review_audience');
+ /**
+  * Puts combined data into the form. The stored data becomes the new base,
+  * so the local changes kept in the combination are still seen as local changes.
+  * @param {Object} merge - Result of findConcurrentChanges
+  * @param {string} storedJson - The stored data the combination is based on
+  * @param {string} label - History label of the change
+  */
+ function applyCombinedData(merge, storedJson, label) {
+  resetToDefaults();
+  applyLessonData(merge.data);
+  baseLessonData = merge.remoteData;
+  baseStoredData = storedJson;
+  recordChange(label);
+  updateReviewDisplay();
  }
 
- function reviewOutcomes() {
-  return callPlanApi('review_outcomes');
- }
+ /**
+  * Handles plan data of the current plan changed by another tab or device
+  * @param {string} source - 'tab' or 'server'
+  */
+ function handleStoredPlanChange(source) {
+  if (!isChangedElsewhere()) return;
+
+  const storedData = loadLessonData() || {};
+  const storedJson = JSON.stringify(loadLessonData());
+  const sourceText = MERGE_SOURCE_TEXT[source] || MERGE_SOURCE_TEXT.tab;
+
+  if (!isDirty && !pendingMerge) {
+   resetToDefaults();
+   applyLessonData(storedData);
+   rememberBaseData();
+   recordChange('changes from ' + sourceText);
+   updateReviewDisplay();
+   showNotification('This plan was updated in ' + sourceText, 'info');
+   return;
+  }
 
- function reviewConnGoal() {
-  return callPlanApi('review_conn_goal');
- }
+  const merge = findConcurrentChanges(storedData);
+  if (merge.conflicts.length > 0) {
+   showMergeDialog(merge, storedJson, sourceText);
+   return;
+  }
 
- function reviewConnActivities() {
-  return callPlanApi('review_conn_activities');
+  applyCombinedData(merge, storedJson, 'changes from ' + sourceText);
+  markDirty();
+  showNotification('Changes from ' + sourceText + ' were combined with yours', 'info');
  }
 
- function reviewConnMaterials() {
-  return callPlanApi('review_conn_materials');
- }
+ /**
+  * Combines changes made elsewhere into the form before saving
+  * @returns {boolean} - True if saving can continue, false if the user has to resolve conflicts
+  */
+ function mergeBeforeSave() {
+  if (pendingMerge) return false;
+  if (!isChangedElsewhere()) return true;
+
+  const storedJson = JSON.stringify(loadLessonData());
+  const merge = findConcurrentChanges(loadLessonData() || {});
+  if (merge.conflicts.length > 0) {
+   showMergeDialog(merge, storedJson, MERGE_SOURCE_TEXT.tab);
+   return false;
+  }
 
- function reviewConceptsNeedToKnow() {
-  return callPlanApi('review_concepts_needToKnow');
+  applyCombinedData(merge, storedJson, 'changes from ' + MERGE_SOURCE_TEXT.tab);
+  return true;
  }
 
- function reviewConceptsGoodToKnow() {
-  return callPlanApi('review_concepts_goodToKnow');
- }
+ /**
+  * Merges the server copy of the current plan into the form after the server
+  * rejected a push because the plan was changed on another device.
+  * The version both copies started from is not kept locally, so a field
+  * filled on one side only takes that value and any other difference is a conflict.
+  */
+ function handleSyncConflict() {
+  const conflict = FourCApp.PlanSync.getConflict(currentPlanId);
+  if (!conflict || pendingMerge) return;
+
+  const storedJson = JSON.stringify(loadLessonData());
+  const merge = findConcurrentChanges(conflict.plan || {}, {});
+  if (merge.conflicts.length > 0) {
+   setSaveStatus('unsaved', 'Waiting for conflicts to be resolved');
+   showMergeDialog(merge, storedJson, MERGE_SOURCE_TEXT.server, conflict.version);
+   return;
+  }
 
- function reviewConceptsTheses() {
-  return callPlanApi('review_concepts_theses');
+  applyCombinedData(merge, storedJson, 'changes from ' + MERGE_SOURCE_TEXT.server);
+  FourCApp.PlanSync.resolveConflict(currentPlanId, conflict.version);
+  saveLessonData();
+  showNotification('Changes from ' + MERGE_SOURCE_TEXT.server + ' were combined with yours', 'info');
  }
 
- function reviewConceptsStructure() {
-  return callPlanApi('review_concepts_structure');
+ /**
+  * Creates one choice of a conflicting field
+  * @param {string} name - Radio group name
+  * @param {string} value - Choice value ('local', 'remote' or 'both')
+  * @param {string} title - Choice title
+  * @param {string} text - Field text of the choice
+  * @param {boolean} checked - True if the choice is selected
+  * @returns {HTMLElement} - Choice element
+  */
+ function createMergeChoice(name, value, title, text, checked) {
+  const choice = document.createElement('label');
+  choice.className = 'merge-choice';
+
+  const header = document.createElement('span');
+  header.className = 'merge-choice-header';
+
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.className = 'form-check-input me-2';
+  radio.name = name;
+  radio.value = value;
+  radio.checked = checked;
+  header.appendChild(radio);
+  header.appendChild(document.createTextNode(title));
+  choice.appendChild(header);
+
+  const content = document.createElement('span');
+  content.className = 'merge-choice-text';
+  content.textContent = isSameValue(text, '') ? '(empty)' : String(text);
+  choice.appendChild(content);
+
+  return choice;
  }
 
- function reviewConceptsActivities() {
-  return callPlanApi('review_concepts_activities');
- }
+ /**
+  * Shows the dialog for choosing between conflicting versions of fields
+  * @param {Object} merge - Result of findConcurrentChanges
+  * @param {string} storedJson - The stored data the merge is based on
+  * @param {string} sourceText - Where the other changes come from
+  * @param {number} serverVersion - Optional server version of the other changes, if they come from a rejected push
+  */
+ function showMergeDialog(merge, storedJson, sourceText, serverVersion) {
+  const modal = document.getElementById('merge-modal');
+  const list = document.getElementById('merge-field-list');
+  if (!modal || !list) return;
+
+  pendingMerge = { merge: merge, storedJson: storedJson, sourceText: sourceText, serverVersion: serverVersion };
+
+  document.getElementById('merge-source').textContent = sourceText;
+  list.innerHTML = '';
+
+  merge.conflicts.forEach(function(conflict, index) {
+   const item = document.createElement('div');
+   item.className = 'merge-field';
+
+   const title = document.createElement('h6');
+   title.textContent = getFieldLabel(conflict.fieldPath);
+   item.appendChild(title);
+
+   const choices = document.createElement('div');
+   choices.className = 'merge-choices';
+   const name = 'merge-choice-' + index;
+   choices.appendChild(createMergeChoice(name, 'local', 'This tab', conflict.local, true));
+   choices.appendChild(createMergeChoice(name, 'remote', 'Other version', conflict.remote, false));
+   if (typeof conflict.local === 'string') {
+    choices.appendChild(createMergeChoice(name, 'both', 'Keep both', conflict.local + '\n\n' + conflict.remote, false));
+   }
+   item.appendChild(choices);
 
- function reviewConceptsMaterials() {
-  return callPlanApi('review_concepts_materials');
- }
+   list.appendChild(item);
+  });
 
- function reviewPracticeOutput() {
-  return callPlanApi('review_practice_output');
+  if (!mergeModalInstance) {
+   mergeModalInstance = new bootstrap.Modal(modal);
+  }
+  mergeModalInstance.show();
  }
 
- function reviewPracticeFocus() {
-  return callPlanApi('review_practice_focus');
+ /**
+  * Closes the merge dialog without applying it (the plan it belongs to is gone)
+  */
+ function discardPendingMerge() {
+  pendingMerge = null;
+  if (mergeModalInstance) {
+   mergeModalInstance.hide();
+  }
  }
 
- function reviewPracticeActivities() {
-  return callPlanApi('review_practice_activities');
+ /**
+  * Selects the same choice for all conflicting fields
+  * @param {string} value - Choice value ('local' or 'remote')
+  */
+ function selectAllMergeChoices(value) {
+  document.querySelectorAll('#merge-field-list input[type="radio"][value="' + value + '"]').forEach(function(radio) {
+   radio.checked = true;
+  });
  }
 
- function reviewPracticeDetails() {
-  return callPlanApi('review_practice_details');
- }
+ /**
+  * Applies the choices of the merge dialog and saves the result
+  */
+ function applyMergeChoices() {
+  if (!pendingMerge) return;
+
+  const pending = pendingMerge;
+  const merge = pending.merge;
+  merge.conflicts.forEach(function(conflict, index) {
+   const selected = document.querySelector('input[name="merge-choice-' + index + '"]:checked');
+   const choice = selected ? selected.value : 'local';
+   let value = conflict.local;
+   if (choice === 'remote') {
+    value = conflict.remote;
+   } else if (choice === 'both') {
+    value = conflict.local + '\n\n' + conflict.remote;
+   }
+   setNestedValue(merge.data, conflict.fieldPath, value);
+  });
 
- function reviewPracticeMaterials() {
-  return callPlanApi('review_practice_materials');
- }
+  pendingMerge = null;
+  if (mergeModalInstance) {
+   mergeModalInstance.hide();
+  }
 
- function reviewConclGoal() {
-  return callPlanApi('review_concl_goal');
- }
+  applyCombinedData(merge, pending.storedJson, 'merge with ' + pending.sourceText);
+  if (pending.serverVersion !== undefined) {
+   FourCApp.PlanSync.resolveConflict(currentPlanId, pending.serverVersion);
+  }
 
- function reviewConclActivities() {
-  return callPlanApi('review_concl_activities');
+  // The stored data may have changed again while the dialog was open
+  if (isChangedElsewhere()) {
+   handleStoredPlanChange('tab');
+  } else {
+   saveLessonData();
+  }
  }
 
- function reviewConclMaterials() {
-  return callPlanApi('review_concl_materials');
- }
+ /**
+  * Initialize detection of edits made in other tabs
+  */
+ function initializeConcurrentEditing() {
+  window.addEventListener('storage', function(e) {
+   if (e.key === FourCApp.PlanLibrary.getDataKey(currentPlanId)) {
+    handleStoredPlanChange('tab');
+   } else if (e.key === FourCApp.PlanLibrary.INDEX_KEY) {
+    if (!FourCApp.PlanLibrary.get(currentPlanId)) {
+     discardPendingMerge();
+     openPlan(FourCApp.PlanLibrary.ensureCurrent());
+     showNotification('The plan was deleted in another tab', 'info');
+     return;
+    }
+    updateCurrentPlanName();
+    renderPlanLibrary();
+   }
+  });
 
- function reviewWholeLesson() {
-  return callPlanApi('review_whole_lesson');
- }
+  const applyButton = document.getElementById('merge-apply-button');
+  if (applyButton) {
+   applyButton.addEventListener('click', applyMergeChoices);
+  }
 
- // Suggest operations
- function suggestContext() {
-  return callPlanApi('suggest_context');
- }
+  const keepLocalButton = document.getElementById('merge-keep-local-button');
+  if (keepLocalButton) {
+   keepLocalButton.addEventListener('click', function() {
+    selectAllMergeChoices('local');
+   });
+  }
 
- function suggestTopic() {
-  return callPlanApi('suggest_topic');
+  const keepRemoteButton = document.getElementById('merge-keep-remote-button');
+  if (keepRemoteButton) {
+   keepRemoteButton.addEventListener('click', function() {
+    selectAllMergeChoices('remote');
+   });
+  }
  }
 
- function suggestAudience() {
-  return callPlanApi('suggest_audience');
- }
+ // ============================================
+ // UNDO / REDO HISTORY
+ // ============================================
 
- function suggestOutcomes() {
-  return callPlanApi('suggest_outcomes');
- }
+ const HISTORY_LIMIT = 100;
+ const TYPING_COALESCE_DELAY = 1000;
 
- function suggestConnGoal() {
-  return callPlanApi('suggest_conn_goal');
- }
+ var historyByPlan = {};
 
- function suggestConnActivities() {
-  return callPlanApi('suggest_conn_activities');
+ /**
+  * Starts a new history for the current plan, using the form content as the initial state
+  */
+ function resetHistory() {
+  historyByPlan[currentPlanId] = {
+   undo: [],
+   redo: [],
+   current: collectLessonData(),
+   typingField: null,
+   typingTime: 0
+  };
+  updateHistoryButtons();
  }
 
- function suggestConnMaterials() {
-  return callPlanApi('suggest_conn_materials');
+ /**
+  * Gets the history of the current plan, creating it if needed
+  * @returns {Object} - History with undo and redo stacks
+  */
+ function getHistory() {
+  if (!historyByPlan[currentPlanId]) {
+   resetHistory();
+  }
+  return historyByPlan[currentPlanId];
  }
 
- function suggestConceptsNeedToKnow() {
-  return callPlanApi('suggest_concepts_needToKnow');
- }
+ /**
+  * Records the current form content as a new history state.
+  * Consecutive typing in the same field is merged into one step.
+  * @param {string} label - Description of the change (e.g. 'typing', 'AI replace')
+  * @param {string} fieldId - Optional ID of the changed field
+  */
+ function recordChange(label, fieldId) {
+  const history = getHistory();
+  const now = Date.now();
+  const isTyping = label === 'typing';
+  const coalesce = isTyping && history.typingField === fieldId && now - history.typingTime < TYPING_COALESCE_DELAY;
+
+  if (!coalesce) {
+   history.undo.push({ state: history.current, label: label });
+   if (history.undo.length > HISTORY_LIMIT) {
+    history.undo.shift();
+   }
+  }
 
- function suggestConceptsGoodToKnow() {
-  return callPlanApi('suggest_concepts_goodToKnow');
+  history.redo = [];
+  history.current = collectLessonData();
+  history.typingField = isTyping ? fieldId : null;
+  history.typingTime = now;
+  updateHistoryButtons();
  }
 
- function suggestConceptsTheses() {
-  return callPlanApi('suggest_concepts_theses');
+ /**
+  * Puts a history state into the form and schedules saving it
+  * @param {Object} state - Lesson data
+  */
+ function applyHistoryState(state) {
+  resetToDefaults();
+  applyLessonData(state);
+  markDirty();
+  updateReviewDisplay();
  }
 
- function suggestConceptsStructure() {
-  return callPlanApi('suggest_concepts_structure');
+ /**
+  * Reverts the last change of the current plan
+  * @returns {boolean} - True if a change was reverted
+  */
+ function undo() {
+  const history = getHistory();
+  const entry = history.undo.pop();
+  if (!entry) return false;
+
+  history.redo.push({ state: history.current, label: entry.label });
+  history.current = entry.state;
+  history.typingField = null;
+  applyHistoryState(entry.state);
+  updateHistoryButtons();
+  showNotification('Undone: ' + entry.label, 'info');
+  return true;
  }
 
- function suggestConceptsActivities() {
-  return callPlanApi('suggest_concepts_activities');
+ /**
+  * Re-applies the last reverted change of the current plan
+  * @returns {boolean} - True if a change was re-applied
+  */
+ function redo() {
+  const history = getHistory();
+  const entry = history.redo.pop();
+  if (!entry) return false;
+
+  history.undo.push({ state: history.current, label: entry.label });
+  history.current = entry.state;
+  history.typingField = null;
+  applyHistoryState(entry.state);
+  updateHistoryButtons();
+  showNotification('Redone: ' + entry.label, 'info');
+  return true;
  }
 
- function suggestConceptsMaterials() {
-  return callPlanApi('suggest_concepts_materials');
- }
+ /**
+  * Enables or disables the undo and redo buttons
+  */
+ function updateHistoryButtons() {
+  const history = historyByPlan[currentPlanId];
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
 
- function suggestPracticeOutput() {
-  return callPlanApi('suggest_practice_output');
+  if (undoButton) {
+   undoButton.disabled = !history || history.undo.length === 0;
+  }
+  if (redoButton) {
+   redoButton.disabled = !history || history.redo.length === 0;
+  }
  }
 
- function suggestPracticeFocus() {
-  return callPlanApi('suggest_practice_focus');
- }
+ /**
+  * Checks whether a keyboard shortcut on an element belongs to the plan history.
+  * Other editable elements (chat, panels, wizard inputs) keep their own undo.
+  * @param {Element} target - The element the key event was sent to
+  * @returns {boolean} - True for plan fields and for elements that cannot be edited
+  */
+ function isHistoryShortcutTarget(target) {
+  if (!target || !target.closest) return true;
 
- function suggestPracticeActivities() {
-  return callPlanApi('suggest_practice_activities');
- }
+  const isPlanField = Object.keys(FIELD_TO_ID_MAP).some(function(fieldPath) {
+   return FIELD_TO_ID_MAP[fieldPath] === target.id;
+  });
+  if (isPlanField) return true;
 
- function suggestPracticeDetails() {
-  return callPlanApi('suggest_practice_details');
+  return !target.isContentEditable && !target.closest('input, textarea, select');
  }
 
- function suggestPracticeMaterials() {
-  return callPlanApi('suggest_practice_materials');
- }
+ /**
+  * Initialize history tracking, undo/redo buttons and keyboard shortcuts
+  */
+ function initializeHistory() {
+  Object.keys(FIELD_TO_ID_MAP).forEach(function(fieldPath) {
+   const element = document.getElementById(FIELD_TO_ID_MAP[fieldPath]);
+   if (element) {
+    element.addEventListener('input', function() {
+     recordChange('typing', element.id);
+    });
+   }
+  });
+
+  const undoButton = document.getElementById('undo-button');
+  if (undoButton) {
+   undoButton.addEventListener('click', undo);
+  }
+
+  const redoButton = document.getElementById('redo-button');
+  if (redoButton) {
+   redoButton.addEventListener('click', redo);
+  }
+
+  document.addEventListener('keydown', function(e) {
+   if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+
+   // Leave shortcuts alone while a dialog is open
+   if (document.querySelector('.modal.show')) return;
+   if (!isHistoryShortcutTarget(e.target)) return;
+
+   e.preventDefault();
+   if (e.shiftKey) {
+    redo();
+   } else {
+    undo();
+   }
+  });
+
+  resetHistory();
+ }
+
+ // ============================================
+ // DATA APPLICATION FUNCTIONS
+ // ============================================
+
+ /**
+  * Applies loaded data to form fields
+  * @param {Object} data - Lesson data object
+  * @param {Array<string>} fields - Optional array of field paths to apply
+  */
+ function applyLessonData(data, fields) {
+  if (!data) return;
+
+  if (!fields || fields.length === 0) {
+   fields = getAllFieldPaths(data).filter(function(fieldPath) {
+    return FIELD_TO_ID_MAP.hasOwnProperty(fieldPath);
+   });
+  } else {
+   fields = expandFieldsToCollect(fields);
+  }
+
+  fields.forEach(function(fieldPath) {
+   const value = getNestedValue(data, fieldPath);
+   if (value !== undefined) {
+    setFieldValue(fieldPath, value);
+   }
+  });
+ }
+
+ // ============================================
+ // UI UPDATE FUNCTIONS
+ // ============================================
+
+ /**
+  * Shows the text of a field in the review section, rendered as Markdown
+  * @param {string} elementId - The ID of the review element
+  * @param {string} text - The text of the field
+  */
+ function setReviewMarkdown(elementId, text) {
+  FourCApp.Markdown.renderInto(document.getElementById(elementId), text, 'Not yet defined');
+ }
+
+ /**
+  * Gets the name of a lesson language from the options of the language selector
+  * @param {string} code - The language code
+  * @returns {string} - The name of the language, or the code if it is not an option
+  */
+ function getLanguageName(code) {
+  const select = document.getElementById('language');
+  const value = code || DEFAULT_LANGUAGE;
+  const option = Array.prototype.find.call(select.options, function(item) {
+   return item.value === value;
+  });
+  return option ? option.textContent : value;
+ }
+
+ /**
+  * Updates the review section with current data
+  */
+ function updateReviewDisplay() {
+  const data = collectLessonData();
+
+  setReviewMarkdown('review-context', data.context);
+  document.getElementById('review-language').textContent = getLanguageName(data.language);
+  setReviewMarkdown('review-topic', data.topic);
+  setReviewMarkdown('review-audience', data.audience);
+  setReviewMarkdown('review-learningOutcomes', data.learningOutcomes);
+
+  if (data.connections) {
+   document.getElementById('review-conn-timing').textContent = data.connections.timing + ' min';
+   setReviewMarkdown('review-conn-goal', data.connections.goal);
+   setReviewMarkdown('review-conn-activities', data.connections.activities);
+   setReviewMarkdown('review-conn-materials', data.connections.materialsToPrepare);
+  }
+
+  if (data.concepts) {
+   document.getElementById('review-concepts-timing').textContent = data.concepts.timing + ' min';
+   setReviewMarkdown('review-concepts-needToKnow', data.concepts.needToKnow);
+   setReviewMarkdown('review-concepts-goodToKnow', data.concepts.goodToKnow);
+   setReviewMarkdown('review-concepts-theses', data.concepts.theses);
+   setReviewMarkdown('review-concepts-structure', data.concepts.structure);
+   setReviewMarkdown('review-concepts-activities', data.concepts.activities);
+   setReviewMarkdown('review-concepts-materials', data.concepts.materialsToPrepare);
+  }
+
+  if (data.concretePractice) {
+   document.getElementById('review-practice-timing').textContent = data.concretePractice.timing + ' min';
+   setReviewMarkdown('review-practice-desiredOutput', data.concretePractice.desiredOutput);
+   setReviewMarkdown('review-practice-focusArea', data.concretePractice.focusArea);
+   setReviewMarkdown('review-practice-activities', data.concretePractice.activities);
+   setReviewMarkdown('review-practice-details', data.concretePractice.details);
+   setReviewMarkdown('review-practice-materials', data.concretePractice.materialsToPrepare);
+  }
+
+  if (data.conclusions) {
+   document.getElementById('review-concl-timing').textContent = data.conclusions.timing + ' min';
+   setReviewMarkdown('review-concl-goal', data.conclusions.goal);
+   setReviewMarkdown('review-concl-activities', data.conclusions.activities);
+   setReviewMarkdown('review-concl-materials', data.conclusions.materialsToPrepare);
+  }
+ }
+
+ /**
+  * Gets the currently active section name
+  * @returns {string|null} - Section name or null
+  */
+ function getCurrentSection() {
+  const activeNav = document.querySelector('.plan-nav-item.active');
+  if (!activeNav) return null;
+
+  const sectionName = activeNav.getAttribute('data-section');
+  const sectionMap = {
+   'overview': 'overview',
+   'connection': 'connections',
+   'concepts': 'concepts',
+   'practice': 'concretePractice',
+   'conclusion': 'conclusions'
+  };
+
+  return sectionMap[sectionName] || null;
+ }
+
+ // ============================================
+ // NOTIFICATION SYSTEM
+ // ============================================
+
+ /**
+  * Shows a floating notification in the bottom-right corner
+  * @param {string} message - The message to display
+  * @param {string} type - The notification type ('success', 'error', 'info')
+  * @param {Object} action - Optional action button ({ label, handler }); keeps the notification longer
+  */
+ function showNotification(message, type, action) {
+  type = type || 'success';
+
+  const notification = document.createElement('div');
+  notification.className = 'floating-notification floating-notification-' + type;
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  notification.appendChild(text);
+
+  let removed = false;
+  function removeNotification() {
+   if (removed) return;
+   removed = true;
+   notification.classList.remove('show');
+   setTimeout(function() {
+    if (notification.parentNode) {
+     notification.parentNode.removeChild(notification);
+    }
+   }, 300);
+  }
+
+  if (action) {
+   const button = document.createElement('button');
+   button.type = 'button';
+   button.className = 'floating-notification-action';
+   button.textContent = action.label;
+   button.addEventListener('click', function() {
+    removeNotification();
+    action.handler();
+   });
+   notification.appendChild(button);
+  }
+
+  document.body.appendChild(notification);
+
+  setTimeout(function() {
+   notification.classList.add('show');
+  }, 10);
+
+  setTimeout(removeNotification, action ? 6000 : 1000);
+ }
+
+ // ============================================
+ // AI RESULT CACHE
+ // ============================================
+
+ // The server caches the results too; this copy saves the round trip
+ const AI_RESULT_CACHE_SIZE = 50;
+ const aiResultCache = new Map();
+
+ /**
+  * Gets the cache key of an operation on a lesson plan
+  * @param {string} operationId - The operation identifier
+  * @param {Object} plan - The lesson data sent to the server
+  * @returns {string} - The cache key
+  */
+ function getAiResultCacheKey(operationId, plan) {
+  return operationId + '\n' + JSON.stringify(plan);
+ }
+
+ /**
+  * Stores a result in the cache, dropping the oldest result when the cache is full
+  * @param {string} key - The cache key
+  * @param {string} text - The result text from AI
+  */
+ function cacheAiResult(key, text) {
+  // A Map keeps the insertion order, so the first key is the oldest one
+  aiResultCache.delete(key);
+  aiResultCache.set(key, text);
+  if (aiResultCache.size > AI_RESULT_CACHE_SIZE) {
+   aiResultCache.delete(aiResultCache.keys().next().value);
+  }
+ }
+
+ // ============================================
+ // AI ASSIST OPERATIONS
+ // ============================================
+
+ /**
+  * Returns a user-friendly error message for a failed API response
+  * @param {number} status - The HTTP status code
+  * @returns {string} - Error message
+  */
+ function getApiErrorMessage(status) {
+  switch (status) {
+   case 401:
+    return 'Authentication required. Please log in.';
+   case 403:
+    return 'Access denied. You do not have permission to perform this action.';
+   case 429:
+    return 'Too many requests. Please wait a moment and try again.';
+   case 500:
+    return 'Server error. Please try again later.';
+   case 503:
+    return 'Service temporarily unavailable. Please try again later.';
+   default:
+    return 'Request failed. Please try again.';
+  }
+ }
+
+ /**
+  * Creates the error of a failed API call
+  * @param {number} status - The HTTP status code
+  * @param {string} [message] - The error message; by default the message for the status code
+  * @param {Headers} [headers] - The response headers
+  * @returns {Error} - The error, with the status code in its status property and
+  *   the waiting time asked for by the Retry-After header in its retryAfter property
+  */
+ function createApiError(status, message, headers) {
+  const error = new Error(message || getApiErrorMessage(status));
+  error.status = status;
+
+  const retryAfter = headers ? FourCApp.AiQueue.parseRetryAfter(headers.get('Retry-After')) : null;
+  if (retryAfter !== null) {
+   error.retryAfter = retryAfter;
+  }
+  return error;
+ }
+
+ /**
+  * Calls the plan assistance API; a result of the same operation on the same
+  * lesson data is taken from the cache
+  * @param {string} operationId - The operation identifier
+  * @param {function(string)} [onChunk] - When given, the response is streamed
+  *   and each part of the text is passed to this callback as it arrives
+  * @param {AbortSignal} [signal] - Signal that aborts the request
+  * @param {Object} [plan] - The lesson data to send; by default the current form content
+  * @param {boolean} [bypassCache] - Whether to ask the AI again instead of using a cached result
+  * @returns {Promise<string>} - Result text from AI
+  */
+ function callPlanApi(operationId, onChunk, signal, plan, bypassCache) {
+  const lessonPlan = plan || collectLessonData();
+  const cacheKey = getAiResultCacheKey(operationId, lessonPlan);
+
+  if (!bypassCache && aiResultCache.has(cacheKey)) {
+   return Promise.resolve(aiResultCache.get(cacheKey));
+  }
+
+  const request = onChunk
+   ? streamPlanApi(operationId, lessonPlan, onChunk, signal, bypassCache)
+   : postPlanApi(operationId, lessonPlan, signal, bypassCache);
+
+  return request.then(function(resultText) {
+   cacheAiResult(cacheKey, resultText);
+   return resultText;
+  });
+ }
+
+ /**
+  * Calls the plan assistance API and waits for the complete response
+  * @param {string} operationId - The operation identifier
+  * @param {Object} lessonPlan - The lesson data to send
+  * @param {AbortSignal} [signal] - Signal that aborts the request
+  * @param {boolean} [bypassCache] - Whether the server should ask the AI again instead of using a cached result
+  * @returns {Promise<string>} - Result text from AI
+  */
+ function postPlanApi(operationId, lessonPlan, signal, bypassCache) {
+  return new Promise(function(resolve, reject) {
+   // Get session ID from localStorage (server will validate if needed)
+   const sessionId = localStorage.getItem('sessionId') || '';
+
+   // Prepare request payload
+   const requestData = {
+    operationId: operationId,
+    plan: lessonPlan,
+    bypassCache: !!bypassCache
+   };
+
+   // Make API call
+   fetch('$(external-prefix)/api/plan/assistance', {
+    method: 'POST',
+    headers: {
+     'Content-Type': 'application/json',
+     'X-fourc-session': sessionId
+    },
+    body: JSON.stringify(requestData),
+    signal: signal
+   })
+   .then(function(response) {
+    if (!response.ok) {
+     // Provide user-friendly error messages based on status code
+     var errorMessage = getApiErrorMessage(response.status);
+
+     // Try to get more specific error from response
+     return response.json().then(function(data) {
+      throw createApiError(response.status, data.error || errorMessage, response.headers);
+     }).catch(function(jsonError) {
+      // If JSON parsing fails, use the default message
+      throw createApiError(response.status, errorMessage, response.headers);
+     });
+    }
+    return response.json();
+   })
+   .then(function(result) {
+    if (result.successful) {
+     resolve(result.output);
+    } else {
+     reject(new Error(result.errorCode + ': ' + result.output));
+    }
+   })
+   .catch(function(error) {
+    reject(error);
+   });
+  });
+ }
+
+ /**
+  * Reads a server-sent event stream and passes each event to the handler
+  * @param {Response} response - The fetch response
+  * @param {function(string, string)} onEvent - Called with the event name and data
+  * @returns {Promise} - Resolves when the stream ends
+  */
+ function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  var buffer = '';
+
+  function dispatchEvents() {
+   var boundary = buffer.indexOf('\n\n');
+   while (boundary !== -1) {
+    const block = buffer.substring(0, boundary);
+    buffer = buffer.substring(boundary + 2);
+
+    var eventName = 'message';
+    var data = '';
+    block.split('\n').forEach(function(line) {
+     if (line.indexOf('event:') === 0) {
+      eventName = line.substring(6).trim();
+     } else if (line.indexOf('data:') === 0) {
+      data += line.substring(5).trim();
+     }
+    });
+    onEvent(eventName, data);
+
+    boundary = buffer.indexOf('\n\n');
+   }
+  }
+
+  function read() {
+   return reader.read().then(function(chunk) {
+    if (chunk.done) {
+     buffer += decoder.decode();
+     dispatchEvents();
+     return;
+    }
+    buffer += decoder.decode(chunk.value, { stream: true });
+    dispatchEvents();
+    return read();
+   });
+  }
+
+  return read();
+ }
+
+ /**
+  * Calls the streaming plan assistance API
+  * @param {string} operationId - The operation identifier
+  * @param {Object} lessonPlan - The lesson data to send
+  * @param {function(string)} onChunk - Called with each part of the text as it arrives
+  * @param {AbortSignal} [signal] - Signal that aborts the request
+  * @param {boolean} [bypassCache] - Whether the server should ask the AI again instead of using a cached result
+  * @returns {Promise<string>} - Complete result text from AI
+  */
+ function streamPlanApi(operationId, lessonPlan, onChunk, signal, bypassCache) {
+  const sessionId = localStorage.getItem('sessionId') || '';
+  const requestData = {
+   operationId: operationId,
+   plan: lessonPlan,
+   bypassCache: !!bypassCache
+  };
+  var result = null;
+
+  return fetch('$(external-prefix)/api/plan/assistance/stream', {
+   method: 'POST',
+   headers: {
+    'Content-Type': 'application/json',
+    'X-fourc-session': sessionId
+   },
+   body: JSON.stringify(requestData),
+   signal: signal
+  })
+  .then(function(response) {
+   if (!response.ok) {
+    throw createApiError(response.status, null, response.headers);
+   }
+
+   return readEventStream(response, function(eventName, data) {
+    if (eventName === 'chunk') {
+     onChunk(JSON.parse(data).text);
+    } else if (eventName === 'result' || eventName === 'error') {
+     result = JSON.parse(data);
+    }
+   });
+  })
+  .then(function() {
+   // The result or error event is always last; without it the stream was cut off
+   if (!result) {
+    throw new Error('The response was interrupted. Please try again.');
+   }
+   if (!result.successful) {
+    throw new Error(result.errorCode + ': ' + result.output);
+   }
+   return result.output;
+  });
+ }
+
+ // ============================================
+ // AI REQUEST QUEUE
+ // ============================================
+
+ // Queue key of the operations for the whole lesson
+ const AI_QUEUE_LESSON = 'lesson';
+
+ /**
+  * Gets the queue key of an operation; operations of the same field share a key,
+  * so only one request per field is in flight
+  * @param {string} operationId - The operation identifier
+  * @returns {string} - The field element ID, or AI_QUEUE_LESSON for the whole lesson
+  */
+ function getAiQueueKey(operationId) {
+  const mapping = OPERATION_MAP[operationId];
+  return (mapping && mapping[0]) || AI_QUEUE_LESSON;
+ }
+
+ /**
+  * Runs an assistance call through the shared queue
+  * @param {string} operationId - The operation identifier
+  * @param {function(AbortSignal): Promise} call - Makes the call
+  * @param {AbortSignal} signal - Signal that aborts the call and the waiting for a retry
+  * @param {function(number)} [onWait] - Called with the seconds left before a retry
+  * @returns {Promise<string>} - Result text from AI
+  */
+ function queueAssistCall(operationId, call, signal, onWait) {
+  return FourCApp.AiQueue.run(getAiQueueKey(operationId), call, {
+   signal: signal,
+   onWait: onWait
+  });
+ }
+
+ /**
+  * Disables the assist buttons of the fields that have a request in progress
+  */
+ function updateAssistButtonsState() {
+  document.querySelectorAll('[data-action]').forEach(function(button) {
+   const action = button.getAttribute('data-action');
+   if (OPERATION_MAP[action]) {
+    button.disabled = FourCApp.AiQueue.isPending(getAiQueueKey(action));
+   }
+  });
+ }
+
+ /**
+  * Shows the countdown to the next retry in the loading div
+  * @param {number} seconds - Seconds left before the retry; 0 when the retry starts
+  */
+ function showRetryCountdown(seconds) {
+  const loadingDiv = document.getElementById('ai-assist-loading');
+  const textSpan = loadingDiv ? loadingDiv.querySelector('span:not(.visually-hidden)') : null;
+  if (!textSpan) return;
+
+  textSpan.textContent = seconds > 0
+   ? 'The server is busy. Retrying in ' + seconds + ' s...'
+   : 'The request is in progress...';
+ }
+
+ // ============================================
+ // AI ASSIST OPERATION MAPPING
+ // ============================================
+
+ /**
+  * Maps operation IDs to [fieldId, operationFunction] tuples;
+  * filled from the operation list of the server
+  */
+ const OPERATION_MAP = {};
+
+ // Operations that don't show their result in the assist modal
+ const OPERATION_HANDLERS = {
+  'review_lesson_fields': requestFieldReview,
+  'balance_timings': openTimingBalance
+ };
+
+ /**
+  * Loads the AI assistance operations from the server
+  * @returns {Promise<Array>} - Operations { operationId, type, field, label, description }
+  */
+ function loadOperations() {
+  const sessionId = localStorage.getItem('sessionId') || '';
+
+  return fetch('$(external-prefix)/api/plan/operations', {
+   headers: {
+    'X-fourc-session': sessionId
+   }
+  })
+  .then(function(response) {
+   if (!response.ok) {
+    throw createApiError(response.status, null, response.headers);
+   }
+   return response.json();
+  });
+ }
+
+ /**
+  * Finds the element the buttons of an operation are added to
+  * @param {string|null} fieldId - The field element ID, or null for the whole lesson
+  * @returns {HTMLElement|null} - The assist actions of the field or the review actions
+  */
+ function getOperationButtonContainer(fieldId) {
+  if (!fieldId) {
+   return document.querySelector('.review-actions');
+  }
+
+  const element = document.getElementById(fieldId);
+  const group = element ? element.closest('.form-group') : null;
+  return group ? group.querySelector('.assist-actions') : null;
+ }
+
+ /**
+  * Adds the operations to OPERATION_MAP and creates their buttons
+  * @param {Array} operations - Operations from loadOperations
+  */
+ function registerOperations(operations) {
+  var lessonButtons = 0;
+
+  operations.forEach(function(operation) {
+   const operationId = operation.operationId;
+   const fieldId = operation.field ? FIELD_TO_ID_MAP[operation.field] : null;
+   if (operation.field && !fieldId) {
+    console.warn('Unknown field of operation:', operationId, operation.field);
+    return;
+   }
+
+   OPERATION_MAP[operationId] = [fieldId, function(onChunk, signal, bypassCache) {
+    return callPlanApi(operationId, onChunk, signal, null, bypassCache);
+   }];
+
+   const container = getOperationButtonContainer(fieldId);
+   if (!container) return;
+
+   const button = document.createElement('button');
+   button.type = 'button';
+   if (fieldId) {
+    button.className = 'btn btn-sm btn-outline-secondary';
+   } else {
+    button.className = lessonButtons === 0 ? 'btn btn-primary btn-lg' : 'btn btn-outline-primary btn-lg';
+    lessonButtons++;
+   }
+   button.textContent = operation.label;
+   button.title = operation.description;
+   button.setAttribute('data-action', operationId);
+   button.addEventListener('click', function() {
+    if (OPERATION_HANDLERS[operationId]) {
+     OPERATION_HANDLERS[operationId]();
+    } else {
+     handleAssistButtonClick(operationId);
+    }
+   });
+
+   // The operation buttons come before the History button
+   container.insertBefore(button, container.querySelector('[data-ai-history]'));
+  });
+ }
+
+ // ============================================
+ // AI ASSIST MODAL MANAGEMENT
+ // ============================================
+
+ var currentModalInstance = null;
+ var currentFieldId = null;
+ var currentOperationId = null;
+ var currentResultText = null;
+ var currentAssistAbort = null;
+ var currentCompareHunks = null;
+ var currentSuggestionItems = null;
+
+ /**
+  * Shows the modal in loading state
+  * @returns {Object} - Bootstrap modal instance
+  */
+ function showLoadingModal() {
+  const modal = document.getElementById('ai-assist-modal');
+  const loadingDiv = document.getElementById('ai-assist-loading');
+  const resultDiv = document.getElementById('ai-assist-result');
+  const resultText = document.getElementById('ai-assist-result-text');
+  const actionButtons = document.getElementById('ai-assist-action-buttons');
+
+  // Reset loading div to show spinner and progress text
+  const spinner = loadingDiv.querySelector('.spinner-border');
+  const textSpan = loadingDiv.querySelector('span:not(.visually-hidden)');
+  if (spinner) {
+   spinner.style.display = '';
+  }
+  if (textSpan) {
+   textSpan.textContent = 'The request is in progress...';
+   textSpan.style.color = '';
+  }
+
+  // Clear previous result content to prevent flashing
+  if (resultText) {
+   resultText.innerHTML = '';
+  }
+
+  loadingDiv.style.display = 'block';
+  resultDiv.style.display = 'none';
+  actionButtons.style.display = 'none';
+  document.getElementById('ai-assist-cancel-btn').classList.remove('d-none');
+  document.getElementById('ai-assist-regenerate-btn').classList.add('d-none');
+  showResultTabs(false, false);
+
+  if (!currentModalInstance) {
+   currentModalInstance = new bootstrap.Modal(modal);
+  }
+  currentModalInstance.show();
+
+  return currentModalInstance;
+ }
+
+ /**
+  * Shows the part of the AI response received so far, while the rest is
+  * still streaming. Append/Replace stay hidden until the response is complete.
+  * @param {string} text - The text received so far
+  */
+ function showStreamingText(text) {
+  const loadingDiv = document.getElementById('ai-assist-loading');
+  const resultDiv = document.getElementById('ai-assist-result');
+  const resultText = document.getElementById('ai-assist-result-text');
+  const textSpan = loadingDiv.querySelector('span:not(.visually-hidden)');
+
+  if (textSpan) {
+   textSpan.textContent = 'Receiving the response...';
+  }
+
+  resultDiv.style.display = 'block';
+  resultText.innerHTML = FourCApp.Markdown.render(text);
+ }
+
+ /**
+  * Shows the modal in result state with AI response
+  * @param {string} text - The result text from AI
+  * @param {string} fieldId - The field ID to apply the result to
+  */
+ function showResultModal(text, fieldId) {
+  const loadingDiv = document.getElementById('ai-assist-loading');
+  const resultDiv = document.getElementById('ai-assist-result');
+  const resultText = document.getElementById('ai-assist-result-text');
+  const actionButtons = document.getElementById('ai-assist-action-buttons');
+  const closeBtn = document.getElementById('ai-assist-close-btn');
+
+  loadingDiv.style.display = 'none';
+  resultDiv.style.display = 'block';
+  resultText.innerHTML = FourCApp.Markdown.render(text);
+  document.getElementById('ai-assist-cancel-btn').classList.add('d-none');
+  document.getElementById('ai-assist-regenerate-btn').classList.remove('d-none');
+
+  if (fieldId) {
+   actionButtons.style.display = 'inline-block';
+   closeBtn.style.display = 'inline-block';
+   renderCompare(fieldId, text);
+   renderSuggestionItems(text);
+   showResultTabs(true, currentSuggestionItems !== null);
+  } else {
+   actionButtons.style.display = 'none';
+   closeBtn.style.display = 'inline-block';
+   currentSuggestionItems = null;
+   showResultTabs(false, false);
+  }
+
+  currentFieldId = fieldId;
+  currentResultText = text;
+ }
+
+ /**
+  * Shows or hides the Compare and Items tabs; the Result tab is always selected
+  * @param {boolean} compareVisible - Whether the Compare tab is available
+  * @param {boolean} itemsVisible - Whether the Items tab is available
+  */
+ function showResultTabs(compareVisible, itemsVisible) {
+  const tabs = document.getElementById('ai-assist-tabs');
+  const itemsTabItem = document.getElementById('ai-assist-items-tab-item');
+  const resultTab = document.getElementById('ai-assist-result-tab');
+
+  tabs.classList.toggle('d-none', !compareVisible && !itemsVisible);
+  itemsTabItem.classList.toggle('d-none', !itemsVisible);
+  bootstrap.Tab.getOrCreateInstance(resultTab).show();
+ }
+
+ /**
+  * Splits a list-shaped AI result into items that can be checked and edited
+  * @param {string} text - The result text from AI
+  */
+ function renderSuggestionItems(text) {
+  const list = document.getElementById('ai-assist-items-list');
+
+  currentSuggestionItems = FourCApp.ListItems.parse(text);
+  list.textContent = '';
+  if (!currentSuggestionItems) return;
+
+  currentSuggestionItems.forEach(function(item, index) {
+   item.checked = true;
+
+   const li = document.createElement('li');
+   li.className = 'list-group-item suggestion-item';
+
+   const checkbox = document.createElement('input');
+   checkbox.type = 'checkbox';
+   checkbox.className = 'form-check-input';
+   checkbox.checked = true;
+   checkbox.setAttribute('aria-label', 'Use item ' + (index + 1));
+   checkbox.addEventListener('change', function() {
+    item.checked = checkbox.checked;
+    li.classList.toggle('unchecked', !item.checked);
+    updateSuggestionItemButtons();
+   });
+
+   const editor = document.createElement('textarea');
+   editor.className = 'form-control form-control-sm';
+   editor.rows = item.text.split('\n').length;
+   editor.value = item.text;
+   editor.setAttribute('aria-label', 'Item ' + (index + 1));
+   editor.addEventListener('input', function() {
+    item.text = editor.value;
+    updateSuggestionItemButtons();
+   });
+
+   li.appendChild(checkbox);
+   li.appendChild(editor);
+   list.appendChild(li);
+  });
+
+  updateSuggestionItemButtons();
+ }
+
+ /**
+  * Returns the checked suggestion items that are not empty
+  * @returns {Array} The checked items
+  */
+ function getCheckedSuggestionItems() {
+  return (currentSuggestionItems || []).filter(function(item) {
+   return item.checked && item.text.trim();
+  });
+ }
+
+ /**
+  * Enables the item Append/Replace buttons only when items are checked
+  */
+ function updateSuggestionItemButtons() {
+  const disabled = getCheckedSuggestionItems().length === 0;
+  document.getElementById('ai-assist-append-items-btn').disabled = disabled;
+  document.getElementById('ai-assist-replace-items-btn').disabled = disabled;
+ }
+
+ /**
+  * Checks or unchecks all suggestion items
+  * @param {boolean} checked - Whether the items are checked
+  */
+ function setAllSuggestionItems(checked) {
+  const checkboxes = document.querySelectorAll('#ai-assist-items-list input[type="checkbox"]');
+
+  checkboxes.forEach(function(checkbox) {
+   checkbox.checked = checked;
+   checkbox.dispatchEvent(new Event('change'));
+  });
+ }
+
+ /**
+  * Appends the checked items to the field, continuing its numbered list if it ends with one
+  * @param {string} fieldId - The field element ID
+  */
+ function appendSuggestionItems(fieldId) {
+  const element = document.getElementById(fieldId);
+  const startNumber = FourCApp.ListItems.nextNumber(element ? element.value : '');
+  appendToField(fieldId, FourCApp.ListItems.format(getCheckedSuggestionItems(), startNumber));
+ }
+
+ /**
+  * Compares the current field text with the AI result
+  * @param {string} fieldId - The field element ID
+  * @param {string} text - The result text from AI
+  */
+ function renderCompare(fieldId, text) {
+  const element = document.getElementById(fieldId);
+  currentCompareHunks = FourCApp.TextDiff.diffHunks(element ? element.value : '', text);
+  renderCompareHunks();
+ }
+
+ /**
+  * Renders the compared text; every changed hunk has a checkbox to accept or reject it
+  */
+ function renderCompareHunks() {
+  const container = document.getElementById('ai-assist-compare-text');
+  const applyBtn = document.getElementById('ai-assist-apply-accepted-btn');
+  var changeCount = 0;
+
+  container.textContent = '';
+  currentCompareHunks.forEach(function(hunk) {
+   if (hunk.type === 'equal') {
+    container.appendChild(document.createTextNode(hunk.text));
+    return;
+   }
+
+   changeCount++;
+   const label = document.createElement('label');
+   label.className = 'compare-hunk' + (hunk.accepted ? '' : ' rejected');
+
+   const checkbox = document.createElement('input');
+   checkbox.type = 'checkbox';
+   checkbox.className = 'form-check-input';
+   checkbox.checked = hunk.accepted;
+   checkbox.setAttribute('aria-label', 'Accept this change');
+   checkbox.addEventListener('change', function() {
+    hunk.accepted = checkbox.checked;
+    label.classList.toggle('rejected', !hunk.accepted);
+   });
+   label.appendChild(checkbox);
+
+   if (hunk.oldText) {
+    const del = document.createElement('del');
+    del.className = 'diff-delete';
+    del.textContent = hunk.oldText;
+    label.appendChild(del);
+   }
+   if (hunk.newText) {
+    const ins = document.createElement('ins');
+    ins.className = 'diff-insert';
+    ins.textContent = hunk.newText;
+    label.appendChild(ins);
+   }
+
+   container.appendChild(label);
+  });
+
+  if (changeCount === 0) {
+   container.textContent = 'The AI result is the same as the current text.';
+  }
+  applyBtn.disabled = changeCount === 0;
+ }
+
+ /**
+  * Accepts or rejects all changed hunks
+  * @param {boolean} accepted - Whether the changes are accepted
+  */
+ function setAllCompareHunks(accepted) {
+  if (!currentCompareHunks) return;
+
+  currentCompareHunks.forEach(function(hunk) {
+   hunk.accepted = accepted;
+  });
+  renderCompareHunks();
+ }
+
+ /**
+  * Closes the modal
+  */
+ function closeModal() {
+  if (currentModalInstance) {
+   currentModalInstance.hide();
+  }
+
+  // Clear result content to prevent showing stale data on next open
+  const resultText = document.getElementById('ai-assist-result-text');
+  if (resultText) {
+   resultText.innerHTML = '';
+  }
+
+  currentFieldId = null;
+  currentResultText = null;
+  currentCompareHunks = null;
+  currentSuggestionItems = null;
+ }
+
+ // ============================================
+ // AI ASSIST FIELD MANIPULATION
+ // ============================================
+
+ /**
+  * Appends text to a field
+  * @param {string} fieldId - The field element ID
+  * @param {string} text - The text to append
+  */
+ function appendToField(fieldId, text) {
+  const element = document.getElementById(fieldId);
+  if (!element) {
+   console.error('Field not found:', fieldId);
+   return;
+  }
+
+  const currentValue = element.value || '';
+  const separator = currentValue && !currentValue.endsWith('\n') ? '\n\n' : '';
+  element.value = currentValue + separator + text;
+  recordChange('AI append', fieldId);
+  markDirty();
+
+  closeModal();
+  showNotification('Text appended successfully!', 'success', { label: 'Undo', handler: undo });
+ }
+
+ /**
+  * Replaces field content with text
+  * @param {string} fieldId - The field element ID
+  * @param {string} text - The text to set
+  */
+ function replaceField(fieldId, text) {
+  const element = document.getElementById(fieldId);
+  if (!element) {
+   console.error('Field not found:', fieldId);
+   return;
+  }
+
+  element.value = text;
+  recordChange('AI replace', fieldId);
+  markDirty();
+
+  closeModal();
+  showNotification('Text replaced successfully!', 'success', { label: 'Undo', handler: undo });
+ }
+
+ // ============================================
+ // AI ASSIST BUTTON HANDLERS
+ // ============================================
+
+ /**
+  * Shows error message in the loading div
+  * @param {string} errorMessage - The error message to display
+  */
+ function showErrorInLoadingDiv(errorMessage) {
+  const loadingDiv = document.getElementById('ai-assist-loading');
+  const spinner = loadingDiv.querySelector('.spinner-border');
+  const textSpan = loadingDiv.querySelector('span:not(.visually-hidden)');
+
+  if (spinner) {
+   spinner.style.display = 'none';
+  }
+  if (textSpan) {
+   textSpan.textContent = 'Error: ' + errorMessage;
+   textSpan.style.color = '#dc3545'; // Bootstrap danger color
+  }
+
+  // A partially streamed response is incomplete, so it is not shown
+  document.getElementById('ai-assist-result').style.display = 'none';
+  document.getElementById('ai-assist-cancel-btn').classList.add('d-none');
+ }
+
+ /**
+  * Aborts the AI assist request in progress, if any
+  */
+ function cancelAssistRequest() {
+  if (currentAssistAbort) {
+   currentAssistAbort.abort();
+   currentAssistAbort = null;
+  }
+ }
+
+ /**
+  * Main handler for AI assist button clicks
+  * @param {string} operationId - The operation identifier
+  * @param {boolean} [bypassCache] - Whether to ask the AI again instead of showing a cached result
+  */
+ function handleAssistButtonClick(operationId, bypassCache) {
+  const mapping = OPERATION_MAP[operationId];
+  if (!mapping) {
+   console.error('Unknown operation:', operationId);
+   return;
+  }
+
+  const fieldId = mapping[0];
+  const operationFunction = mapping[1];
+  currentOperationId = operationId;
+
+  // Only one request runs at a time; an earlier one is aborted
+  cancelAssistRequest();
+  const abortController = new AbortController();
+  currentAssistAbort = abortController;
+  var streamedText = '';
+
+  showLoadingModal();
+
+  queueAssistCall(operationId, function(signal) {
+   return operationFunction(function(chunk) {
+    streamedText += chunk;
+    showStreamingText(streamedText);
+   }, signal, bypassCache);
+  }, abortController.signal, showRetryCountdown)
+   .then(function(resultText) {
+    currentAssistAbort = null;
+    recordAiResult(operationId, fieldId, resultText);
+    showResultModal(resultText, fieldId);
+   })
+   .catch(function(error) {
+    if (abortController.signal.aborted) {
+     return;
+    }
+    currentAssistAbort = null;
+    console.error('Operation failed:', error);
+    showErrorInLoadingDiv(error.message);
+   });
+ }
+
+ /**
+  * Initialize AI assist buttons
+  */
+ function initializeAssistButtons() {
+  const appendBtn = document.getElementById('ai-assist-append-btn');
+  const replaceBtn = document.getElementById('ai-assist-replace-btn');
+  const cancelBtn = document.getElementById('ai-assist-cancel-btn');
+  const regenerateBtn = document.getElementById('ai-assist-regenerate-btn');
+  const applyAcceptedBtn = document.getElementById('ai-assist-apply-accepted-btn');
+  const acceptAllBtn = document.getElementById('ai-assist-accept-all-btn');
+  const rejectAllBtn = document.getElementById('ai-assist-reject-all-btn');
+  const appendItemsBtn = document.getElementById('ai-assist-append-items-btn');
+  const replaceItemsBtn = document.getElementById('ai-assist-replace-items-btn');
+  const checkAllBtn = document.getElementById('ai-assist-check-all-btn');
+  const uncheckAllBtn = document.getElementById('ai-assist-uncheck-all-btn');
+  const modal = document.getElementById('ai-assist-modal');
+
+  if (appendItemsBtn) {
+   appendItemsBtn.addEventListener('click', function() {
+    if (currentFieldId && currentSuggestionItems) {
+     appendSuggestionItems(currentFieldId);
+    }
+   });
+  }
+
+  if (replaceItemsBtn) {
+   replaceItemsBtn.addEventListener('click', function() {
+    if (currentFieldId && currentSuggestionItems) {
+     replaceField(currentFieldId, FourCApp.ListItems.format(getCheckedSuggestionItems()));
+    }
+   });
+  }
+
+  if (checkAllBtn) {
+   checkAllBtn.addEventListener('click', function() {
+    setAllSuggestionItems(true);
+   });
+  }
+
+  if (uncheckAllBtn) {
+   uncheckAllBtn.addEventListener('click', function() {
+    setAllSuggestionItems(false);
+   });
+  }
+
+  if (applyAcceptedBtn) {
+   applyAcceptedBtn.addEventListener('click', function() {
+    if (currentFieldId && currentCompareHunks) {
+     replaceField(currentFieldId, FourCApp.TextDiff.applyHunks(currentCompareHunks));
+    }
+   });
+  }
+
+  if (acceptAllBtn) {
+   acceptAllBtn.addEventListener('click', function() {
+    setAllCompareHunks(true);
+   });
+  }
+
+  if (rejectAllBtn) {
+   rejectAllBtn.addEventListener('click', function() {
+    setAllCompareHunks(false);
+   });
+  }
+
+  if (cancelBtn) {
+   cancelBtn.addEventListener('click', function() {
+    cancelAssistRequest();
+    closeModal();
+   });
+  }
+
+  if (regenerateBtn) {
+   regenerateBtn.addEventListener('click', function() {
+    if (currentOperationId) {
+     handleAssistButtonClick(currentOperationId, true);
+    }
+   });
+  }
+
+  // Closing the modal in any way stops the request, so the server stops generating
+  if (modal) {
+   modal.addEventListener('hidden.bs.modal', cancelAssistRequest);
+  }
+
+  if (appendBtn) {
+   appendBtn.addEventListener('click', function() {
+    if (currentFieldId && currentResultText) {
+     appendToField(currentFieldId, currentResultText);
+    }
+   });
+  }
+
+  if (replaceBtn) {
+   replaceBtn.addEventListener('click', function() {
+    if (currentFieldId && currentResultText) {
+     replaceField(currentFieldId, currentResultText);
+    }
+   });
+  }
+
+  FourCApp.AiQueue.onChange(updateAssistButtonsState);
+
+  loadOperations()
+   .then(function(operations) {
+    registerOperations(operations);
+    fillAiHistoryFilter();
+    updateAssistButtonsState();
+   })
+   .catch(function(error) {
+    console.error('Loading AI operations failed:', error);
+    showNotification('AI assistance is not available: ' + error.message, 'error');
+   });
+ }
+
+ // ============================================
+ // AI RESULT HISTORY
+ // ============================================
+
+ // Filter value of the results for the whole lesson (operations without a field)
+ const AI_HISTORY_LESSON = 'lesson';
+
+ var aiHistoryPanelInstance = null;
+
+ /**
+  * Gets the display name of the field an AI result is for
+  * @param {string|null} fieldId - The field element ID, or null for the whole lesson
+  * @returns {string} - Field label
+  */
+ function getAiResultFieldLabel(fieldId) {
+  if (!fieldId) {
+   return 'Entire lesson';
+  }
+  const label = document.querySelector('label[for="' + fieldId + '"]');
+  return label ? label.textContent : fieldId;
+ }
+
+ /**
+  * Stores an AI result in the history of the current plan
+  * @param {string} operationId - The operation identifier
+  * @param {string|null} fieldId - The field the result is for
+  * @param {string} text - The result text
+  */
+ function recordAiResult(operationId, fieldId, text) {
+  try {
+   FourCApp.PlanLibrary.addAiResult(currentPlanId, operationId, fieldId, text);
+  } catch (error) {
+   console.error('Failed to store AI result:', error);
+   showNotification(error.message, 'error');
+  }
+  renderAiHistory();
+ }
+
+ /**
+  * Fills the field filter of the history panel with all fields that have AI operations
+  */
+ function fillAiHistoryFilter() {
+  const select = document.getElementById('ai-history-filter');
+  if (!select) return;
+
+  select.innerHTML = '';
+  select.appendChild(new Option('All fields', ''));
+
+  const added = {};
+  Object.keys(OPERATION_MAP).forEach(function(operationId) {
+   const value = OPERATION_MAP[operationId][0] || AI_HISTORY_LESSON;
+   if (!added[value]) {
+    added[value] = true;
+    select.appendChild(new Option(getAiResultFieldLabel(OPERATION_MAP[operationId][0]), value));
+   }
+  });
+ }
+
+ /**
+  * Renders the AI results of the current plan in the history panel
+  */
+ function renderAiHistory() {
+  const list = document.getElementById('ai-history-list');
+  const filter = document.getElementById('ai-history-filter');
+  if (!list) return;
+
+  const filterValue = filter ? filter.value : '';
+  const results = FourCApp.PlanLibrary.listAiResults(currentPlanId).filter(function(result) {
+   return !filterValue || (result.fieldId || AI_HISTORY_LESSON) === filterValue;
+  });
+  list.innerHTML = '';
+
+  if (results.length === 0) {
+   const empty = document.createElement('div');
+   empty.className = 'list-group-item text-muted';
+   empty.textContent = 'No AI results yet.';
+   list.appendChild(empty);
+  }
+
+  results.forEach(function(result) {
+   const item = document.createElement('div');
+   item.className = 'list-group-item ai-history-item';
+
+   const header = document.createElement('div');
+   header.className = 'ai-history-header';
+
+   const type = document.createElement('span');
+   const isReview = result.operationId.indexOf('review_') === 0;
+   type.className = 'badge ' + (isReview ? 'text-bg-info' : 'text-bg-success');
+   type.textContent = isReview ? 'Review' : 'Suggest';
+
+   const field = document.createElement('span');
+   field.className = 'ai-history-field';
+   field.textContent = getAiResultFieldLabel(result.fieldId);
+
+   header.appendChild(type);
+   header.appendChild(field);
+
+   const meta = document.createElement('div');
+   meta.className = 'library-item-meta';
+   meta.textContent = formatPlanTimestamp(result.createdAt);
+
+   const text = document.createElement('div');
+   text.className = 'ai-history-text markdown';
+   text.innerHTML = FourCApp.Markdown.render(result.text);
+
+   const actions = document.createElement('div');
+   actions.className = 'library-item-actions';
+   if (result.fieldId && document.getElementById(result.fieldId)) {
+    actions.appendChild(createLibraryButton('Append', 'primary', function() {
+     appendToField(result.fieldId, result.text);
+    }));
+    actions.appendChild(createLibraryButton('Replace', 'success', function() {
+     replaceField(result.fieldId, result.text);
+    }));
+   }
+   actions.appendChild(createLibraryButton('Delete', 'danger', function() {
+    FourCApp.PlanLibrary.deleteAiResult(currentPlanId, result.id);
+    renderAiHistory();
+   }));
+
+   item.appendChild(header);
+   item.appendChild(meta);
+   item.appendChild(text);
+   item.appendChild(actions);
+   list.appendChild(item);
+  });
+ }
+
+ /**
+  * Opens the history panel
+  * @param {string} filterValue - Field ID, AI_HISTORY_LESSON or empty for all fields
+  */
+ function showAiHistory(filterValue) {
+  const panel = document.getElementById('ai-history-panel');
+  const filter = document.getElementById('ai-history-filter');
+  if (!panel) return;
+
+  if (filter) {
+   filter.value = filterValue;
+  }
+  renderAiHistory();
+
+  if (!aiHistoryPanelInstance) {
+   aiHistoryPanelInstance = new bootstrap.Offcanvas(panel);
+  }
+  aiHistoryPanelInstance.show();
+ }
+
+ /**
+  * Initialize AI result history handlers
+  */
+ function initializeAiHistory() {
+  fillAiHistoryFilter();
+
+  const filter = document.getElementById('ai-history-filter');
+  if (filter) {
+   filter.addEventListener('change', renderAiHistory);
+  }
+
+  document.querySelectorAll('[data-ai-history]').forEach(function(button) {
+   button.addEventListener('click', function() {
+    showAiHistory(button.getAttribute('data-ai-history'));
+   });
+  });
+
+  renderAiHistory();
+ }
+
+ // ============================================
+ // FIELD REVIEW ANNOTATIONS
+ // ============================================
+
+ const ANNOTATION_SEVERITIES = {
+  issue: { label: 'Issue', badge: 'text-bg-danger' },
+  suggestion: { label: 'Suggestion', badge: 'text-bg-warning' },
+  strength: { label: 'Strength', badge: 'text-bg-success' }
+ };
+
+ const ANNOTATION_STATUS_LABELS = {
+  resolved: 'Resolved',
+  dismissed: 'Dismissed'
+ };
+
+ /**
+  * Changes the state of an annotation of the current plan
+  * @param {string} annotationId - The annotation ID
+  * @param {string} status - The new state ('open', 'resolved' or 'dismissed')
+  */
+ function setAnnotationStatus(annotationId, status) {
+  FourCApp.PlanLibrary.setAnnotationStatus(currentPlanId, annotationId, status);
+  renderAnnotations();
+  syncPlan(currentPlanId);
+ }
+
+ /**
+  * Creates the element of one annotation
+  * @param {Object} annotation - The annotation
+  * @returns {HTMLElement} - The annotation element
+  */
+ function createAnnotationElement(annotation) {
+  const severity = ANNOTATION_SEVERITIES[annotation.severity] || ANNOTATION_SEVERITIES.suggestion;
+  const isOpen = annotation.status === 'open';
+
+  const item = document.createElement('div');
+  item.className = 'field-annotation field-annotation-' + annotation.severity + (isOpen ? '' : ' closed');
+
+  const header = document.createElement('div');
+  header.className = 'field-annotation-header';
+
+  const badge = document.createElement('span');
+  badge.className = 'badge ' + severity.badge;
+  badge.textContent = severity.label;
+  header.appendChild(badge);
+
+  if (!isOpen) {
+   const status = document.createElement('span');
+   status.className = 'field-annotation-status';
+   status.textContent = ANNOTATION_STATUS_LABELS[annotation.status] || annotation.status;
+   header.appendChild(status);
+  }
+
+  const comment = document.createElement('div');
+  comment.className = 'field-annotation-comment';
+  comment.textContent = annotation.comment;
+
+  const actions = document.createElement('div');
+  actions.className = 'library-item-actions';
+  if (isOpen) {
+   actions.appendChild(createLibraryButton('Resolve', 'success', function() {
+    setAnnotationStatus(annotation.id, 'resolved');
+   }));
+   actions.appendChild(createLibraryButton('Dismiss', 'secondary', function() {
+    setAnnotationStatus(annotation.id, 'dismissed');
+   }));
+  } else {
+   actions.appendChild(createLibraryButton('Reopen', 'secondary', function() {
+    setAnnotationStatus(annotation.id, 'open');
+   }));
+  }
+
+  item.appendChild(header);
+  item.appendChild(comment);
+  item.appendChild(actions);
+  return item;
+ }
+
+ /**
+  * Shows the annotations of the current plan beside the fields they are about
+  */
+ function renderAnnotations() {
+  document.querySelectorAll('.field-annotations').forEach(function(container) {
+   container.remove();
+  });
+
+  const annotations = FourCApp.PlanLibrary.listAnnotations(currentPlanId);
+  const byField = {};
+  annotations.forEach(function(annotation) {
+   (byField[annotation.field] = byField[annotation.field] || []).push(annotation);
+  });
+
+  Object.keys(byField).forEach(function(fieldPath) {
+   const element = document.getElementById(FIELD_TO_ID_MAP[fieldPath]);
+   const group = element ? element.closest('.form-group') : null;
+   if (!group) return;
+
+   const container = document.createElement('div');
+   container.className = 'field-annotations';
+   byField[fieldPath].forEach(function(annotation) {
+    container.appendChild(createAnnotationElement(annotation));
+   });
+   group.appendChild(container);
+  });
+
+  updateAnnotationSummary(annotations);
+ }
+
+ /**
+  * Shows the number of open annotations in the review section
+  * @param {Array} annotations - The annotations of the current plan
+  */
+ function updateAnnotationSummary(annotations) {
+  const summary = document.getElementById('field-review-summary');
+  if (!summary) return;
+
+  const open = annotations.filter(function(annotation) {
+   return annotation.status === 'open';
+  });
+
+  if (annotations.length === 0) {
+   summary.textContent = '';
+  } else if (open.length === 0) {
+   summary.textContent = 'All field comments of the last review are resolved or dismissed.';
+  } else {
+   summary.textContent = open.length + (open.length === 1 ? ' field comment is' : ' field comments are') +
+    ' open. They are shown beside the fields in their sections.';
+  }
+  summary.classList.toggle('d-none', annotations.length === 0);
+ }
+
+ /**
+  * Requests a review of the entire lesson with the feedback attached to individual fields.
+  * The annotations of the previous review are replaced.
+  */
+ function requestFieldReview() {
+  cancelAssistRequest();
+  const abortController = new AbortController();
+  currentAssistAbort = abortController;
+
+  showLoadingModal();
+
+  queueAssistCall('review_lesson_fields', function(signal) {
+   return callPlanApi('review_lesson_fields', null, signal);
+  }, abortController.signal, showRetryCountdown)
+   .then(function(resultText) {
+    currentAssistAbort = null;
+    const annotations = FourCApp.PlanLibrary.setAnnotations(currentPlanId, JSON.parse(resultText));
+    renderAnnotations();
+    closeModal();
+    syncPlan(currentPlanId);
+
+    if (annotations.length === 0) {
+     showNotification('The review has no comments on individual fields.', 'info');
+    } else {
+     showNotification(annotations.length + ' comments were added beside the fields.', 'success');
+    }
+   })
+   .catch(function(error) {
+    if (abortController.signal.aborted) {
+     return;
+    }
+    currentAssistAbort = null;
+    console.error('Field review failed:', error);
+    showErrorInLoadingDiv(error.message);
+   });
+ }
+
+ /**
+  * Initialize field review handlers
+  */
+ function initializeFieldReview() {
+  renderAnnotations();
+ }
+
+ // ============================================
+ // BATCH SUGGEST
+ // ============================================
+
+ const BATCH_STATUS_LABELS = {
+  waiting: { label: 'Waiting', badge: 'text-bg-secondary' },
+  requesting: { label: 'Requesting...', badge: 'text-bg-primary' },
+  throttled: { label: 'Server busy, retrying', badge: 'text-bg-warning' },
+  done: { label: 'Done', badge: 'text-bg-success' },
+  failed: { label: 'Failed', badge: 'text-bg-danger' },
+  cancelled: { label: 'Cancelled', badge: 'text-bg-secondary' }
+ };
+
+ var batchSuggestModalInstance = null;
+ var batchSuggestAbort = null;
+ var batchSuggestItems = null;
+
+ /**
+  * Finds the Suggest operation of a field
+  * @param {string} fieldId - The field element ID
+  * @returns {string|null} - The operation identifier, or null if the field has none
+  */
+ function findSuggestOperation(fieldId) {
+  const operationIds = Object.keys(OPERATION_MAP);
+  for (let i = 0; i < operationIds.length; i++) {
+   if (operationIds[i].indexOf('suggest_') === 0 && OPERATION_MAP[operationIds[i]][0] === fieldId) {
+    return operationIds[i];
+   }
+  }
+  return null;
+ }
+
+ /**
+  * Lists the empty fields of a section that have a Suggest operation.
+  * The fields are in the order of the section, so goals come before activities
+  * and activities before materials.
+  * @param {string} section - The section key (see SECTION_FIELDS)
+  * @returns {Array} - Batch items
+  */
+ function getEmptySuggestFields(section) {
+  const items = [];
+
+  (SECTION_FIELDS[section] || []).forEach(function(fieldPath) {
+   const fieldId = FIELD_TO_ID_MAP[fieldPath];
+   const element = document.getElementById(fieldId);
+   const operationId = findSuggestOperation(fieldId);
+
+   if (element && operationId && !element.value.trim()) {
+    items.push({
+     fieldPath: fieldPath,
+     fieldId: fieldId,
+     operationId: operationId,
+     status: 'waiting',
+     text: null,
+     error: null,
+     accepted: true
+    });
+   }
+  });
+
+  return items;
+ }
+
+ /**
+  * Requests the suggestion of one batch item; throttled requests are retried
+  * @param {Object} item - The batch item
+  * @param {Object} plan - The lesson data to send
+  * @param {AbortSignal} signal - Signal that aborts the request
+  * @returns {Promise<string>} - Result text from AI
+  */
+ function requestBatchSuggestion(item, plan, signal) {
+  item.status = 'requesting';
+  renderBatchSuggestList();
+
+  return queueAssistCall(item.operationId, function(callSignal) {
+   return callPlanApi(item.operationId, null, callSignal, plan);
+  }, signal, function(seconds) {
+   item.status = seconds > 0 ? 'throttled' : 'requesting';
+   item.retryIn = seconds;
+   renderBatchSuggestList();
+  });
+ }
+
+ /**
+  * Requests the suggestions of all batch items one after another.
+  * Each suggestion is added to the lesson data sent with the next requests,
+  * so later fields build on the earlier suggestions.
+  * @param {AbortSignal} signal - Signal that stops the batch
+  * @returns {Promise} - Resolves when all items are finished
+  */
+ function runBatchSuggest(signal) {
+  const plan = collectLessonData();
+
+  return batchSuggestItems.reduce(function(chain, item) {
+   return chain.then(function() {
+    if (signal.aborted) {
+     item.status = 'cancelled';
+     return;
+    }
+
+    return requestBatchSuggestion(item, plan, signal)
+     .then(function(text) {
+      item.status = 'done';
+      item.text = text;
+      setNestedValue(plan, item.fieldPath, text);
+     }, function(error) {
+      item.status = signal.aborted ? 'cancelled' : 'failed';
+      item.error = error.message;
+     })
+     .then(renderBatchSuggestList);
+   });
+  }, Promise.resolve());
+ }
+
+ /**
+  * Renders the progress and the results of the batch
+  */
+ function renderBatchSuggestList() {
+  const list = document.getElementById('batch-suggest-list');
+  if (!list || !batchSuggestItems) return;
+
+  list.innerHTML = '';
+  batchSuggestItems.forEach(function(item) {
+   const status = BATCH_STATUS_LABELS[item.status];
+
+   const li = document.createElement('li');
+   li.className = 'list-group-item batch-suggest-item';
+
+   const header = document.createElement('div');
+   header.className = 'batch-suggest-header';
+
+   if (item.status === 'done') {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.checked = item.accepted;
+    checkbox.disabled = batchSuggestAbort !== null;
+    checkbox.setAttribute('aria-label', 'Accept the suggestion for ' + getAiResultFieldLabel(item.fieldId));
+    checkbox.addEventListener('change', function() {
+     item.accepted = checkbox.checked;
+     updateBatchSuggestButtons();
+    });
+    header.appendChild(checkbox);
+   }
+
+   const label = document.createElement('span');
+   label.className = 'batch-suggest-field';
+   label.textContent = getAiResultFieldLabel(item.fieldId);
+
+   const badge = document.createElement('span');
+   badge.className = 'badge ' + status.badge;
+   badge.textContent = item.status === 'throttled'
+    ? status.label + ' in ' + item.retryIn + ' s'
+    : status.label;
+
+   header.appendChild(label);
+   header.appendChild(badge);
+   li.appendChild(header);
+
+   if (item.status === 'done') {
+    const text = document.createElement('div');
+    text.className = 'batch-suggest-text markdown';
+    text.innerHTML = FourCApp.Markdown.render(item.text);
+    li.appendChild(text);
+   } else if (item.status === 'failed') {
+    const error = document.createElement('div');
+    error.className = 'text-danger small';
+    error.textContent = item.error;
+    li.appendChild(error);
+   }
+
+   list.appendChild(li);
+  });
+ }
+
+ /**
+  * Shows the buttons of the running or the finished batch
+  */
+ function updateBatchSuggestButtons() {
+  const running = batchSuggestAbort !== null;
+  const acceptedCount = (batchSuggestItems || []).filter(function(item) {
+   return item.status === 'done' && item.accepted;
+  }).length;
+
+  document.getElementById('batch-suggest-cancel-btn').classList.toggle('d-none', !running);
+  document.getElementById('batch-suggest-close-btn').classList.toggle('d-none', running);
+
+  const applyBtn = document.getElementById('batch-suggest-apply-btn');
+  applyBtn.classList.toggle('d-none', running);
+  applyBtn.disabled = acceptedCount === 0;
+ }
+
+ /**
+  * Requests suggestions for all empty fields of a section
+  * @param {string} section - The section key (see SECTION_FIELDS)
+  */
+ function startBatchSuggest(section) {
+  const items = getEmptySuggestFields(section);
+  if (items.length === 0) {
+   showNotification('All fields in this section already have content.', 'info');
+   return;
+  }
+
+  const modal = document.getElementById('batch-suggest-modal');
+  const abortController = new AbortController();
+  batchSuggestAbort = abortController;
+  batchSuggestItems = items;
+
+  document.getElementById('batch-suggest-modal-label').textContent =
+   'Suggest All Empty Fields: ' + SECTION_TITLES[section];
+  renderBatchSuggestList();
+  updateBatchSuggestButtons();
+
+  if (!batchSuggestModalInstance) {
+   batchSuggestModalInstance = new bootstrap.Modal(modal);
+  }
+  batchSuggestModalInstance.show();
+
+  runBatchSuggest(abortController.signal).then(function() {
+   if (batchSuggestAbort === abortController) {
+    batchSuggestAbort = null;
+    renderBatchSuggestList();
+    updateBatchSuggestButtons();
+   }
+  });
+ }
+
+ /**
+  * Stops the running batch
+  */
+ function cancelBatchSuggest() {
+  if (batchSuggestAbort) {
+   batchSuggestAbort.abort();
+   batchSuggestAbort = null;
+  }
+ }
+
+ /**
+  * Puts the accepted suggestions into their fields as one undo step
+  */
+ function applyBatchSuggestions() {
+  const accepted = batchSuggestItems.filter(function(item) {
+   return item.status === 'done' && item.accepted;
+  });
+
+  accepted.forEach(function(item) {
+   document.getElementById(item.fieldId).value = item.text;
+  });
+
+  recordChange('AI batch suggest');
+  markDirty();
+  batchSuggestModalInstance.hide();
+  showNotification(accepted.length + ' suggestions applied.', 'success', { label: 'Undo', handler: undo });
+ }
+
+ /**
+  * Initialize batch suggest handlers
+  */
+ function initializeBatchSuggest() {
+  const modal = document.getElementById('batch-suggest-modal');
+  const cancelBtn = document.getElementById('batch-suggest-cancel-btn');
+  const applyBtn = document.getElementById('batch-suggest-apply-btn');
+
+  document.querySelectorAll('[data-batch-suggest]').forEach(function(button) {
+   button.addEventListener('click', function() {
+    startBatchSuggest(button.getAttribute('data-batch-suggest'));
+   });
+  });
+
+  if (cancelBtn) {
+   cancelBtn.addEventListener('click', function() {
+    cancelBatchSuggest();
+    batchSuggestModalInstance.hide();
+   });
+  }
+
+  if (applyBtn) {
+   applyBtn.addEventListener('click', applyBatchSuggestions);
+  }
+
+  if (modal) {
+   modal.addEventListener('hidden.bs.modal', function() {
+    cancelBatchSuggest();
+    batchSuggestItems = null;
+   });
+  }
+ }
+
+ // ============================================
+ // LESSON DRAFT WIZARD
+ // ============================================
+
+ // Phases drafted by the wizard, in the order they are reviewed
+ const DRAFT_PHASES = ['connections', 'concepts', 'concretePractice', 'conclusions'];
+
+ // Limits of the lesson duration (see LessonPlanDraft on the server)
+ const DRAFT_MIN_DURATION = 20;
+ const DRAFT_MAX_DURATION = 480;
+
+ // Number of fields a draft fills in (see PlanAiController on the server)
+ const DRAFT_FIELD_COUNT = 17;
+
+ var draftWizardModalInstance = null;
+ var draftWizardAbort = null;
+ var draftWizardDraft = null;
+ var draftWizardPhases = null;
+ var draftWizardPhaseIndex = 0;
+ var draftWizardLastRequest = null;
+
+ /**
+  * Requests a draft of the whole lesson; the server streams each field as soon as it is drafted
+  * @param {Object} plan - The lesson data with the overview the draft is made for
+  * @param {number} duration - The duration of the lesson in minutes
+  * @param {boolean} bypassCache - Whether the server should ask the AI again instead of using cached results
+  * @param {function(Object)} onField - Called with each drafted field { field, value } as it arrives
+  * @param {AbortSignal} signal - Signal that aborts the request
+  * @returns {Promise<Object>} - The draft { successful, errorCode, errorMessage, plan, fields };
+  *   a failed draft has the fields drafted before the failure
+  */
+ function requestLessonDraft(plan, duration, bypassCache, onField, signal) {
+  const sessionId = localStorage.getItem('sessionId') || '';
+  var draft = null;
+
+  return fetch('$(external-prefix)/api/plan/draft/stream', {
+   method: 'POST',
+   headers: {
+    'Content-Type': 'application/json',
+    'X-fourc-session': sessionId
+   },
+   body: JSON.stringify({
+    plan: plan,
+    duration: duration,
+    bypassCache: bypassCache
+   }),
+   signal: signal
+  })
+  .then(function(response) {
+   if (!response.ok) {
+    throw createApiError(response.status, null, response.headers);
+   }
+
+   return readEventStream(response, function(eventName, data) {
+    if (eventName === 'field') {
+     onField(JSON.parse(data));
+    } else if (eventName === 'result' || eventName === 'error') {
+     draft = JSON.parse(data);
+    }
+   });
+  })
+  .then(function() {
+   // The result or error event is always last; without it the stream was cut off
+   if (!draft) {
+    throw new Error('The response was interrupted. Please try again.');
+   }
+   return draft;
+  });
+ }
+
+ /**
+  * Gets the total duration of the lesson in the form
+  * @returns {number} - The sum of the phase timings, within the limits of a draft
+  */
+ function getLessonDuration() {
+  const total = DRAFT_PHASES.reduce(function(sum, phase) {
+   return sum + (parseInt(getFieldValue(phase + '.timing'), 10) || 0);
+  }, 0);
+  return Math.min(Math.max(total, DRAFT_MIN_DURATION), DRAFT_MAX_DURATION);
+ }
+
+ /**
+  * Splits the draft into the phases to review; each phase lists its timing
+  * and its drafted fields, all accepted at first
+  * @param {Object} draft - The draft from requestLessonDraft
+  * @returns {Array} - Phases { phase, items } with items { fieldPath, fieldId, text, timing, accepted }
+  */
+ function getDraftPhases(draft) {
+  const phases = [];
+
+  DRAFT_PHASES.forEach(function(phase) {
+   const fields = draft.fields.filter(function(field) {
+    return field.field.indexOf(phase + '.') === 0;
+   });
+   if (fields.length === 0) return;
+
+   const items = [{
+    fieldPath: phase + '.timing',
+    fieldId: FIELD_TO_ID_MAP[phase + '.timing'],
+    text: String(draft.plan[phase].timing),
+    timing: true,
+    accepted: true
+   }];
+
+   fields.forEach(function(field) {
+    items.push({
+     fieldPath: field.field,
+     fieldId: FIELD_TO_ID_MAP[field.field],
+     text: field.value,
+     timing: false,
+     accepted: true
+    });
+   });
+
+   phases.push({ phase: phase, items: items });
+  });
+
+  return phases;
+ }
+
+ /**
+  * Shows a step of the wizard
+  * @param {string} step - 'form', 'progress' or 'review'
+  */
+ function showDraftWizardStep(step) {
+  const isLastPhase = draftWizardPhases !== null && draftWizardPhaseIndex === draftWizardPhases.length - 1;
+
+  document.getElementById('draft-wizard-form').classList.toggle('d-none', step !== 'form');
+  document.getElementById('draft-wizard-progress').classList.toggle('d-none', step !== 'progress');
+  document.getElementById('draft-wizard-review').classList.toggle('d-none', step !== 'review');
+
+  document.getElementById('draft-wizard-cancel-btn').classList.toggle('d-none', step !== 'progress');
+  document.getElementById('draft-wizard-close-btn').classList.toggle('d-none', step === 'progress');
+  document.getElementById('draft-wizard-start-btn').classList.toggle('d-none', step !== 'form');
+  document.getElementById('draft-wizard-back-btn').classList.toggle('d-none', step !== 'review');
+  document.getElementById('draft-wizard-next-btn').classList.toggle('d-none', step !== 'review' || isLastPhase);
+  document.getElementById('draft-wizard-apply-btn').classList.toggle('d-none', step !== 'review' || !isLastPhase);
+
+  if (step === 'review') {
+   renderDraftPhase();
+  }
+ }
+
+ /**
+  * Shows or hides the error of the wizard
+  * @param {string|null} message - The error message, or null to hide the error
+  */
+ function showDraftWizardError(message) {
+  const error = document.getElementById('draft-wizard-error');
+  error.textContent = message || '';
+  error.classList.toggle('d-none', !message);
+ }
+
+ /**
+  * Renders the fields of the phase being reviewed
+  */
+ function renderDraftPhase() {
+  const phase = draftWizardPhases[draftWizardPhaseIndex];
+  const list = document.getElementById('draft-wizard-list');
+
+  document.getElementById('draft-wizard-phase-title').textContent = SECTION_TITLES[phase.phase];
+  document.getElementById('draft-wizard-step').textContent =
+   'Phase ' + (draftWizardPhaseIndex + 1) + ' of ' + draftWizardPhases.length;
+
+  list.innerHTML = '';
+  phase.items.forEach(function(item) {
+   const li = document.createElement('li');
+   li.className = 'list-group-item batch-suggest-item';
+
+   const header = document.createElement('div');
+   header.className = 'batch-suggest-header';
+
+   const checkbox = document.createElement('input');
+   checkbox.type = 'checkbox';
+   checkbox.className = 'form-check-input';
+   checkbox.checked = item.accepted;
+   checkbox.setAttribute('aria-label', 'Accept the draft of ' + getAiResultFieldLabel(item.fieldId));
+   checkbox.addEventListener('change', function() {
+    item.accepted = checkbox.checked;
+    updateDraftApplyButton();
+   });
+
+   const label = document.createElement('span');
+   label.className = 'batch-suggest-field';
+   label.textContent = getAiResultFieldLabel(item.fieldId);
+
+   header.appendChild(checkbox);
+   header.appendChild(label);
+   li.appendChild(header);
+
+   const text = document.createElement('div');
+   text.className = 'batch-suggest-text markdown';
+   if (item.timing) {
+    text.textContent = item.text + ' minutes';
+   } else {
+    text.innerHTML = FourCApp.Markdown.render(item.text);
+   }
+   li.appendChild(text);
 
- function suggestConclGoal() {
-  return callPlanApi('suggest_concl_goal');
+   list.appendChild(li);
+  });
+
+  updateDraftApplyButton();
+ }
+
+ /**
+  * Enables the Apply button when at least one field of the draft is accepted
+  */
+ function updateDraftApplyButton() {
+  const accepted = getAcceptedDraftItems();
+  document.getElementById('draft-wizard-apply-btn').disabled = accepted.length === 0;
+ }
+
+ /**
+  * Lists the accepted fields of all phases of the draft
+  * @returns {Array} - The accepted items
+  */
+ function getAcceptedDraftItems() {
+  const accepted = [];
+  (draftWizardPhases || []).forEach(function(phase) {
+   phase.items.forEach(function(item) {
+    if (item.accepted) {
+     accepted.push(item);
+    }
+   });
+  });
+  return accepted;
+ }
+
+ /**
+  * Opens the wizard with the overview and the duration of the current plan
+  */
+ function openDraftWizard() {
+  const modal = document.getElementById('draft-wizard-modal');
+
+  document.getElementById('draft-topic').value = getFieldValue('topic');
+  document.getElementById('draft-audience').value = getFieldValue('audience');
+  document.getElementById('draft-outcomes').value = getFieldValue('learningOutcomes');
+  document.getElementById('draft-duration').value = getLessonDuration();
+  document.getElementById('draft-topic').classList.remove('is-invalid');
+  document.getElementById('draft-duration').classList.remove('is-invalid');
+
+  draftWizardDraft = null;
+  draftWizardPhases = null;
+  draftWizardPhaseIndex = 0;
+  showDraftWizardError(null);
+  showDraftWizardStep('form');
+
+  if (!draftWizardModalInstance) {
+   draftWizardModalInstance = new bootstrap.Modal(modal);
+  }
+  draftWizardModalInstance.show();
  }
 
- function suggestConclActivities() {
-  return callPlanApi('suggest_concl_activities');
+ /**
+  * Validates the wizard form and requests the draft
+  */
+ function startLessonDraft() {
+  const topicInput = document.getElementById('draft-topic');
+  const durationInput = document.getElementById('draft-duration');
+  const duration = parseInt(durationInput.value, 10);
+
+  topicInput.classList.toggle('is-invalid', !topicInput.value.trim());
+  durationInput.classList.toggle('is-invalid',
+   isNaN(duration) || duration < DRAFT_MIN_DURATION || duration > DRAFT_MAX_DURATION);
+  if (topicInput.classList.contains('is-invalid') || durationInput.classList.contains('is-invalid')) {
+   showDraftWizardError('Enter the topic and a duration from ' + DRAFT_MIN_DURATION +
+    ' to ' + DRAFT_MAX_DURATION + ' minutes.');
+   return;
+  }
+
+  const plan = collectLessonData(['overview']);
+  plan.topic = topicInput.value.trim();
+  plan.audience = document.getElementById('draft-audience').value;
+  plan.learningOutcomes = document.getElementById('draft-outcomes').value;
+
+  // Drafting the same lesson again asks for a new draft instead of the cached one
+  const requestKey = JSON.stringify({ plan: plan, duration: duration });
+  const bypassCache = requestKey === draftWizardLastRequest;
+  draftWizardLastRequest = requestKey;
+
+  const abortController = new AbortController();
+  const progressText = document.getElementById('draft-wizard-progress-text');
+  draftWizardAbort = abortController;
+  progressText.textContent = 'Drafting the lesson. This can take a few minutes...';
+  showDraftWizardError(null);
+  showDraftWizardStep('progress');
+
+  FourCApp.AiQueue.run(AI_QUEUE_LESSON, function(signal) {
+   var draftedFields = 0;
+   return requestLessonDraft(plan, duration, bypassCache, function() {
+    draftedFields++;
+    progressText.textContent = 'Drafting the lesson: ' + draftedFields + ' of ' +
+     DRAFT_FIELD_COUNT + ' fields drafted...';
+   }, signal);
+  }, {
+   signal: abortController.signal,
+   onWait: function(seconds) {
+    progressText.textContent = seconds > 0
+     ? 'The server is busy. Retrying in ' + seconds + ' s...'
+     : 'Drafting the lesson. This can take a few minutes...';
+   }
+  })
+   .then(function(draft) {
+    draftWizardAbort = null;
+    draftWizardDraft = draft;
+    draftWizardPhases = getDraftPhases(draft);
+    draftWizardPhaseIndex = 0;
+
+    if (draftWizardPhases.length === 0) {
+     draftWizardLastRequest = null;
+     showDraftWizardError('The lesson could not be drafted: ' + (draft.errorMessage || draft.errorCode));
+     showDraftWizardStep('form');
+     return;
+    }
+
+    if (!draft.successful) {
+     showDraftWizardError('The draft stopped before all fields were drafted (' +
+      (draft.errorMessage || draft.errorCode) + '). You can review and apply the fields drafted so far.');
+    }
+    showDraftWizardStep('review');
+   })
+   .catch(function(error) {
+    if (abortController.signal.aborted) {
+     return;
+    }
+    draftWizardAbort = null;
+    draftWizardLastRequest = null;
+    console.error('Lesson draft failed:', error);
+    showDraftWizardError('The lesson could not be drafted: ' + error.message);
+    showDraftWizardStep('form');
+   });
  }
 
- function suggestConclMaterials() {
-  return callPlanApi('suggest_concl_materials');
+ /**
+  * Stops the draft in progress, if any
+  */
+ function cancelLessonDraft() {
+  if (draftWizardAbort) {
+   draftWizardAbort.abort();
+   draftWizardAbort = null;
+  }
  }
 
- // ============================================
- // AI ASSIST OPERATION MAPPING
- // ============================================
+ /**
+  * Moves to the previous or the next phase of the review;
+  * going back from the first phase returns to the form
+  * @param {number} delta - -1 for the previous phase, 1 for the next one
+  */
+ function moveDraftPhase(delta) {
+  const index = draftWizardPhaseIndex + delta;
+
+  if (index < 0) {
+   showDraftWizardStep('form');
+   return;
+  }
+
+  draftWizardPhaseIndex = Math.min(index, draftWizardPhases.length - 1);
+  showDraftWizardStep('review');
+ }
 
  /**
-  * Maps operation IDs to [fieldId, operationFunction] tuples
-  */
- const OPERATION_MAP = {
-  'review_context': ['context', reviewContext],
-  'suggest_context': ['context', suggestContext],
-  'review_topic': ['topic', reviewTopic],
-  'suggest_topic': ['topic', suggestTopic],
-  'review_audience': ['audience', reviewAudience],
-  'suggest_audience': ['audience', suggestAudience],
-  'review_outcomes': ['learningOutcomes', reviewOutcomes],
-  'suggest_outcomes': ['learningOutcomes', suggestOutcomes],
-  'review_conn_goal': ['conn_goal', reviewConnGoal],
-  'suggest_conn_goal': ['conn_goal', suggestConnGoal],
-  'review_conn_activities': ['conn_activities', reviewConnActivities],
-  'suggest_conn_activities': ['conn_activities', suggestConnActivities],
-  'review_conn_materials': ['conn_materials', reviewConnMaterials],
-  'suggest_conn_materials': ['conn_materials', suggestConnMaterials],
-  'review_concepts_needToKnow': ['concepts_needToKnow', reviewConceptsNeedToKnow],
-  'suggest_concepts_needToKnow': ['concepts_needToKnow', suggestConceptsNeedToKnow],
-  'review_concepts_goodToKnow': ['concepts_goodToKnow', reviewConceptsGoodToKnow],
-  'suggest_concepts_goodToKnow': ['concepts_goodToKnow', suggestConceptsGoodToKnow],
-  'review_concepts_theses': ['concepts_theses', reviewConceptsTheses],
-  'suggest_concepts_theses': ['concepts_theses', suggestConceptsTheses],
-  'review_concepts_structure': ['concepts_structure', reviewConceptsStructure],
-  'suggest_concepts_structure': ['concepts_structure', suggestConceptsStructure],
-  'review_concepts_activities': ['concepts_activities', reviewConceptsActivities],
-  'suggest_concepts_activities': ['concepts_activities', suggestConceptsActivities],
-  'review_concepts_materials': ['concepts_materials', reviewConceptsMaterials],
-  'suggest_concepts_materials': ['concepts_materials', suggestConceptsMaterials],
-  'review_practice_output': ['practice_desiredOutput', reviewPracticeOutput],
-  'suggest_practice_output': ['practice_desiredOutput', suggestPracticeOutput],
-  'review_practice_focus': ['practice_focusArea', reviewPracticeFocus],
-  'suggest_practice_focus': ['practice_focusArea', suggestPracticeFocus],
-  'review_practice_activities': ['practice_activities', reviewPracticeActivities],
-  'suggest_practice_activities': ['practice_activities', suggestPracticeActivities],
-  'review_practice_details': ['practice_details', reviewPracticeDetails],
-  'suggest_practice_details': ['practice_details', suggestPracticeDetails],
-  'review_practice_materials': ['practice_materials', reviewPracticeMaterials],
-  'suggest_practice_materials': ['practice_materials', suggestPracticeMaterials],
-  'review_concl_goal': ['concl_goal', reviewConclGoal],
-  'suggest_concl_goal': ['concl_goal', suggestConclGoal],
-  'review_concl_activities': ['concl_activities', reviewConclActivities],
-  'suggest_concl_activities': ['concl_activities', suggestConclActivities],
-  'review_concl_materials': ['concl_materials', reviewConclMaterials],
-  'suggest_concl_materials': ['concl_materials', suggestConclMaterials],
-  'review_whole_lesson': [null, reviewWholeLesson]
- };
+  * Puts the overview and the accepted fields of the draft into the plan as one undo step
+  */
+ function applyLessonDraft() {
+  const accepted = getAcceptedDraftItems();
 
- // ============================================
- // AI ASSIST MODAL MANAGEMENT
- // ============================================
+  document.getElementById('topic').value = draftWizardDraft.plan.topic;
+  document.getElementById('audience').value = draftWizardDraft.plan.audience;
+  document.getElementById('learningOutcomes').value = draftWizardDraft.plan.learningOutcomes;
 
- var currentModalInstance = null;
- var currentFieldId = null;
- var currentResultText = null;
+  accepted.forEach(function(item) {
+   document.getElementById(item.fieldId).value = item.text;
+  });
+
+  recordChange('AI lesson draft');
+  markDirty();
+  draftWizardModalInstance.hide();
+  showNotification(accepted.length + ' drafted fields applied.', 'success', { label: 'Undo', handler: undo });
+ }
 
  /**
-  * Shows the modal in loading state
-  * @returns {Object} - Bootstrap modal instance
+  * Initialize lesson draft wizard handlers
   */
- function showLoadingModal() {
-  const modal = document.getElementById('ai-assist-modal');
-  const loadingDiv = document.getElementById('ai-assist-loading');
-  const resultDiv = document.getElementById('ai-assist-result');
-  const resultText = document.getElementById('ai-assist-result-text');
-  const actionButtons = document.getElementById('ai-assist-action-buttons');
+ function initializeDraftWizard() {
+  const modal = document.getElementById('draft-wizard-modal');
+  const openBtn = document.getElementById('draft-wizard-button');
+  const startBtn = document.getElementById('draft-wizard-start-btn');
+  const cancelBtn = document.getElementById('draft-wizard-cancel-btn');
+  const backBtn = document.getElementById('draft-wizard-back-btn');
+  const nextBtn = document.getElementById('draft-wizard-next-btn');
+  const applyBtn = document.getElementById('draft-wizard-apply-btn');
+
+  if (openBtn) {
+   openBtn.addEventListener('click', openDraftWizard);
+  }
 
-  // Reset loading div to show spinner and progress text
-  const spinner = loadingDiv.querySelector('.spinner-border');
-  const textSpan = loadingDiv.querySelector('span:not(.visually-hidden)');
-  if (spinner) {
-   spinner.style.display = '';
+  if (startBtn) {
+   startBtn.addEventListener('click', startLessonDraft);
   }
-  if (textSpan) {
-   textSpan.textContent = 'The request is in progress...';
-   textSpan.style.color = '';
+
+  if (cancelBtn) {
+   cancelBtn.addEventListener('click', function() {
+    cancelLessonDraft();
+    draftWizardLastRequest = null;
+    showDraftWizardStep('form');
+   });
   }
 
-  // Clear previous result content to prevent flashing
-  if (resultText) {
-   resultText.innerHTML = '';
+  if (backBtn) {
+   backBtn.addEventListener('click', function() {
+    moveDraftPhase(-1);
+   });
   }
 
-  loadingDiv.style.display = 'block';
-  resultDiv.style.display = 'none';
-  actionButtons.style.display = 'none';
+  if (nextBtn) {
+   nextBtn.addEventListener('click', function() {
+    moveDraftPhase(1);
+   });
+  }
 
-  if (!currentModalInstance) {
-   currentModalInstance = new bootstrap.Modal(modal);
+  if (applyBtn) {
+   applyBtn.addEventListener('click', applyLessonDraft);
   }
-  currentModalInstance.show();
 
-  return currentModalInstance;
+  if (modal) {
+   modal.addEventListener('hidden.bs.modal', function() {
+    cancelLessonDraft();
+    draftWizardDraft = null;
+    draftWizardPhases = null;
+   });
+  }
  }
 
+ // ============================================
+ // TIMING BALANCE
+ // ============================================
+
+ var timingBalanceModalInstance = null;
+ var timingBalanceAbort = null;
+ var timingBalanceTimings = null;
+ var timingBalanceLastRequest = null;
+
  /**
-  * Formats text with basic markdown-style formatting to HTML
-  * @param {string} text - The text to format
-  * @returns {string} - Formatted HTML
+  * Requests the split of the lesson duration between the phases
+  * @param {Object} plan - The lesson data
+  * @param {number} duration - The target duration of the lesson in minutes
+  * @param {boolean} bypassCache - Whether the server should ask the AI again instead of using a cached result
+  * @param {AbortSignal} signal - Signal that aborts the request
+  * @returns {Promise<Array>} - Timings { phase, minutes, rationale } of the four phases in their order
   */
- function formatTextToHtml(text) {
-  // Escape HTML to prevent injection
-  var escaped = text
-   .replace(/&/g, '&amp;')
-   .replace(/</g, '&lt;')
-   .replace(/>/g, '&gt;')
-   .replace(/"/g, '&quot;')
-   .replace(/'/g, '&#039;');
+ function requestTimingBalance(plan, duration, bypassCache, signal) {
+  const sessionId = localStorage.getItem('sessionId') || '';
+
+  return fetch('$(external-prefix)/api/plan/timings', {
+   method: 'POST',
+   headers: {
+    'Content-Type': 'application/json',
+    'X-fourc-session': sessionId
+   },
+   body: JSON.stringify({
+    plan: plan,
+    duration: duration,
+    bypassCache: bypassCache
+   }),
+   signal: signal
+  })
+  .then(function(response) {
+   return response.json().catch(function() {
+    return null;
+   }).then(function(data) {
+    if (response.ok && data && data.successful) {
+     return JSON.parse(data.output);
+    }
+    throw createApiError(response.status, data && data.output, response.headers);
+   });
+  });
+ }
 
-  // Format headings: # text -> larger bold text with line break
-  escaped = escaped.replace(/^#\s+(.+)$/gm, '<span style="font-size: 1.2em;"><b>$1</b></span><br>');
+ /**
+  * Shows or hides the progress of the request
+  * @param {boolean} inProgress - Whether a request is in progress
+  */
+ function showTimingBalanceProgress(inProgress) {
+  document.getElementById('timing-balance-progress').classList.toggle('d-none', !inProgress);
+  document.getElementById('timing-balance-cancel-btn').classList.toggle('d-none', !inProgress);
+  document.getElementById('timing-balance-close-btn').classList.toggle('d-none', inProgress);
+  document.getElementById('timing-balance-suggest-btn').disabled = inProgress;
+  document.getElementById('timing-balance-duration').disabled = inProgress;
+  document.getElementById('timing-balance-apply-btn').disabled = inProgress || timingBalanceTimings === null;
+ }
 
-  // Format bold: **text** -> <b>text</b>
-  escaped = escaped.replace(/\*\*([^\*]+)\*\*/g, '<b>$1</b>');
+ /**
+  * Shows or hides the error of the timing balance
+  * @param {string|null} message - The error message, or null to hide the error
+  */
+ function showTimingBalanceError(message) {
+  const error = document.getElementById('timing-balance-error');
+  error.textContent = message || '';
+  error.classList.toggle('d-none', !message);
+ }
 
-  // Convert newlines to <br>
-  escaped = escaped.replace(/\n/g, '<br>');
+ /**
+  * Renders the current and the suggested timings of the phases
+  */
+ function renderTimingBalance() {
+  const result = document.getElementById('timing-balance-result');
+  const rows = document.getElementById('timing-balance-rows');
+  var currentTotal = 0;
+  var suggestedTotal = 0;
+
+  rows.innerHTML = '';
+  result.classList.toggle('d-none', timingBalanceTimings === null);
+  if (timingBalanceTimings === null) return;
+
+  timingBalanceTimings.forEach(function(timing) {
+   const current = parseInt(getFieldValue(timing.phase + '.timing'), 10) || 0;
+   currentTotal += current;
+   suggestedTotal += timing.minutes;
+
+   const row = document.createElement('tr');
+
+   const phase = document.createElement('th');
+   phase.scope = 'row';
+   phase.textContent = SECTION_TITLES[timing.phase];
+   row.appendChild(phase);
+
+   const currentCell = document.createElement('td');
+   currentCell.className = 'timing-balance-minutes';
+   currentCell.textContent = current;
+   row.appendChild(currentCell);
+
+   const suggestedCell = document.createElement('td');
+   suggestedCell.className = 'timing-balance-minutes fw-semibold';
+   suggestedCell.textContent = timing.minutes;
+   row.appendChild(suggestedCell);
+
+   const rationale = document.createElement('td');
+   rationale.className = 'timing-balance-rationale markdown';
+   rationale.innerHTML = FourCApp.Markdown.render(timing.rationale);
+   row.appendChild(rationale);
+
+   rows.appendChild(row);
+  });
 
-  return escaped;
+  document.getElementById('timing-balance-current-total').textContent = currentTotal;
+  document.getElementById('timing-balance-suggested-total').textContent = suggestedTotal;
  }
 
  /**
-  * Shows the modal in result state with AI response
-  * @param {string} text - The result text from AI
-  * @param {string} fieldId - The field ID to apply the result to
+  * Opens the timing balance with the current duration of the lesson as the target
   */
- function showResultModal(text, fieldId) {
-  const loadingDiv = document.getElementById('ai-assist-loading');
-  const resultDiv = document.getElementById('ai-assist-result');
-  const resultText = document.getElementById('ai-assist-result-text');
-  const actionButtons = document.getElementById('ai-assist-action-buttons');
-  const closeBtn = document.getElementById('ai-assist-close-btn');
+ function openTimingBalance() {
+  const modal = document.getElementById('timing-balance-modal');
 
-  loadingDiv.style.display = 'none';
-  resultDiv.style.display = 'block';
-  resultText.innerHTML = formatTextToHtml(text);
+  document.getElementById('timing-balance-duration').value = getLessonDuration();
+  document.getElementById('timing-balance-duration').classList.remove('is-invalid');
 
-  if (fieldId) {
-   actionButtons.style.display = 'inline-block';
-   closeBtn.style.display = 'inline-block';
-  } else {
-   actionButtons.style.display = 'none';
-   closeBtn.style.display = 'inline-block';
-  }
+  timingBalanceTimings = null;
+  showTimingBalanceError(null);
+  showTimingBalanceProgress(false);
+  renderTimingBalance();
 
-  currentFieldId = fieldId;
-  currentResultText = text;
+  if (!timingBalanceModalInstance) {
+   timingBalanceModalInstance = new bootstrap.Modal(modal);
+  }
+  timingBalanceModalInstance.show();
  }
 
  /**
-  * Closes the modal
+  * Validates the target duration and requests the suggested timings
   */
- function closeModal() {
-  if (currentModalInstance) {
-   currentModalInstance.hide();
-  }
-
-  // Clear result content to prevent showing stale data on next open
-  const resultText = document.getElementById('ai-assist-result-text');
-  if (resultText) {
-   resultText.innerHTML = '';
+ function suggestTimings() {
+  const durationInput = document.getElementById('timing-balance-duration');
+  const duration = parseInt(durationInput.value, 10);
+
+  durationInput.classList.toggle('is-invalid',
+   isNaN(duration) || duration < DRAFT_MIN_DURATION || duration > DRAFT_MAX_DURATION);
+  if (durationInput.classList.contains('is-invalid')) {
+   showTimingBalanceError('Enter a duration from ' + DRAFT_MIN_DURATION + ' to ' + DRAFT_MAX_DURATION + ' minutes.');
+   return;
   }
 
-  currentFieldId = null;
-  currentResultText = null;
+  const plan = collectLessonData();
+
+  // Asking again for the same lesson asks for a new suggestion instead of the cached one
+  const requestKey = JSON.stringify({ plan: plan, duration: duration });
+  const bypassCache = requestKey === timingBalanceLastRequest;
+  timingBalanceLastRequest = requestKey;
+
+  const abortController = new AbortController();
+  timingBalanceAbort = abortController;
+  timingBalanceTimings = null;
+  showTimingBalanceError(null);
+  renderTimingBalance();
+  showTimingBalanceProgress(true);
+
+  FourCApp.AiQueue.run(AI_QUEUE_LESSON, function(signal) {
+   return requestTimingBalance(plan, duration, bypassCache, signal);
+  }, {
+   signal: abortController.signal,
+   onWait: function(seconds) {
+    document.getElementById('timing-balance-progress-text').textContent = seconds > 0
+     ? 'The server is busy. Retrying in ' + seconds + ' s...'
+     : 'The request is in progress...';
+   }
+  })
+   .then(function(timings) {
+    timingBalanceAbort = null;
+    timingBalanceTimings = timings;
+    renderTimingBalance();
+    showTimingBalanceProgress(false);
+   })
+   .catch(function(error) {
+    if (abortController.signal.aborted) {
+     return;
+    }
+    timingBalanceAbort = null;
+    timingBalanceLastRequest = null;
+    console.error('Timing balance failed:', error);
+    showTimingBalanceError('The timings could not be suggested: ' + error.message);
+    showTimingBalanceProgress(false);
+   });
  }
 
- // ============================================
- // AI ASSIST FIELD MANIPULATION
- // ============================================
-
  /**
-  * Appends text to a field
-  * @param {string} fieldId - The field element ID
-  * @param {string} text - The text to append
+  * Stops the request in progress, if any
   */
- function appendToField(fieldId, text) {
-  const element = document.getElementById(fieldId);
-  if (!element) {
-   console.error('Field not found:', fieldId);
-   return;
+ function cancelTimingBalance() {
+  if (timingBalanceAbort) {
+   timingBalanceAbort.abort();
+   timingBalanceAbort = null;
   }
+ }
 
-  const currentValue = element.value || '';
-  const separator = currentValue && !currentValue.endsWith('\n') ? '\n\n' : '';
-  element.value = currentValue + separator + text;
+ /**
+  * Puts the suggested timings into the four timing fields as one undo step
+  */
+ function applyTimingBalance() {
+  timingBalanceTimings.forEach(function(timing) {
+   setFieldValue(timing.phase + '.timing', timing.minutes);
+  });
 
-  closeModal();
-  showNotification('Text appended successfully!', 'success');
+  recordChange('AI timing balance');
+  markDirty();
+  timingBalanceModalInstance.hide();
+  showNotification('The suggested phase timings were applied.', 'success', { label: 'Undo', handler: undo });
  }
 
  /**
-  * Replaces field content with text
-  * @param {string} fieldId - The field element ID
-  * @param {string} text - The text to set
+  * Initialize timing balance handlers
   */
- function replaceField(fieldId, text) {
-  const element = document.getElementById(fieldId);
-  if (!element) {
-   console.error('Field not found:', fieldId);
-   return;
+ function initializeTimingBalance() {
+  const modal = document.getElementById('timing-balance-modal');
+  const suggestBtn = document.getElementById('timing-balance-suggest-btn');
+  const cancelBtn = document.getElementById('timing-balance-cancel-btn');
+  const applyBtn = document.getElementById('timing-balance-apply-btn');
+
+  if (suggestBtn) {
+   suggestBtn.addEventListener('click', suggestTimings);
   }
 
-  element.value = text;
+  if (cancelBtn) {
+   cancelBtn.addEventListener('click', function() {
+    cancelTimingBalance();
+    timingBalanceLastRequest = null;
+    showTimingBalanceProgress(false);
+   });
+  }
 
-  closeModal();
-  showNotification('Text replaced successfully!', 'success');
+  if (applyBtn) {
+   applyBtn.addEventListener('click', applyTimingBalance);
+  }
+
+  if (modal) {
+   modal.addEventListener('hidden.bs.modal', function() {
+    cancelTimingBalance();
+    timingBalanceTimings = null;
+   });
+  }
  }
 
  // ============================================
- // AI ASSIST BUTTON HANDLERS
+ // AI CHAT
  // ============================================
 
+ // Number of messages the server accepts in one conversation
+ const CHAT_MAX_MESSAGES = 50;
+
+ // Queue key of the chat requests
+ const CHAT_QUEUE_KEY = 'chat';
+
+ var chatPanelInstance = null;
+ var chatMessages = [];
+ var chatAbort = null;
+ var chatRetryIn = 0;
+
  /**
-  * Shows error message in the loading div
-  * @param {string} errorMessage - The error message to display
+  * Calls the plan chat API with the current form content
+  * @param {Array} messages - The conversation, ending with the question of the user
+  * @param {AbortSignal} [signal] - Signal that aborts the request
+  * @returns {Promise<string>} - The answer of the AI
   */
- function showErrorInLoadingDiv(errorMessage) {
-  const loadingDiv = document.getElementById('ai-assist-loading');
-  const spinner = loadingDiv.querySelector('.spinner-border');
-  const textSpan = loadingDiv.querySelector('span:not(.visually-hidden)');
+ function callChatApi(messages, signal) {
+  const sessionId = localStorage.getItem('sessionId') || '';
+
+  return fetch('$(external-prefix)/api/plan/chat', {
+   method: 'POST',
+   headers: {
+    'Content-Type': 'application/json',
+    'X-fourc-session': sessionId
+   },
+   body: JSON.stringify({
+    plan: collectLessonData(),
+    messages: messages
+   }),
+   signal: signal
+  })
+  .then(function(response) {
+   if (!response.ok) {
+    return response.json().catch(function() {
+     return {};
+    }).then(function(data) {
+     throw createApiError(response.status, data.output || data.error, response.headers);
+    });
+   }
+   return response.json();
+  })
+  .then(function(result) {
+   if (!result.successful) {
+    throw new Error(result.errorCode + ': ' + result.output);
+   }
+   return result.output;
+  });
+ }
 
-  if (spinner) {
-   spinner.style.display = 'none';
+ /**
+  * Creates the controls that put an answer of the AI into a chosen field
+  * @param {string} text - The answer text
+  * @returns {HTMLElement} - The controls
+  */
+ function createChatInsertControls(text) {
+  const controls = document.createElement('div');
+  controls.className = 'ai-chat-insert';
+
+  const select = document.createElement('select');
+  select.className = 'form-select form-select-sm';
+  select.setAttribute('aria-label', 'Field to insert the answer into');
+  Object.keys(FIELD_TO_ID_MAP).forEach(function(fieldPath) {
+   // Timing fields are numbers and the language is a choice, an answer can't be put into them
+   if (/\.timing$/.test(fieldPath) || fieldPath === 'language') return;
+   const fieldId = FIELD_TO_ID_MAP[fieldPath];
+   select.appendChild(new Option(getAiResultFieldLabel(fieldId), fieldId));
+  });
+
+  controls.appendChild(select);
+  controls.appendChild(createLibraryButton('Append', 'primary', function() {
+   appendToField(select.value, text);
+  }));
+  controls.appendChild(createLibraryButton('Replace', 'success', function() {
+   replaceField(select.value, text);
+  }));
+  return controls;
+ }
+
+ /**
+  * Renders the conversation in the chat panel
+  */
+ function renderChatMessages() {
+  const list = document.getElementById('ai-chat-messages');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  if (chatMessages.length === 0) {
+   const empty = document.createElement('div');
+   empty.className = 'text-muted small';
+   empty.textContent = 'No messages yet.';
+   list.appendChild(empty);
   }
-  if (textSpan) {
-   textSpan.textContent = 'Error: ' + errorMessage;
-   textSpan.style.color = '#dc3545'; // Bootstrap danger color
+
+  chatMessages.forEach(function(message) {
+   const item = document.createElement('div');
+   item.className = 'ai-chat-message ai-chat-' + message.role;
+
+   const text = document.createElement('div');
+   text.className = 'ai-chat-text';
+   if (message.role === 'assistant') {
+    text.classList.add('markdown');
+    text.innerHTML = FourCApp.Markdown.render(message.content);
+   } else {
+    text.textContent = message.content;
+   }
+   item.appendChild(text);
+
+   if (message.role === 'assistant') {
+    item.appendChild(createChatInsertControls(message.content));
+   }
+   list.appendChild(item);
+  });
+
+  if (chatAbort) {
+   const pending = document.createElement('div');
+   pending.className = 'ai-chat-message ai-chat-assistant ai-chat-pending';
+   pending.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> ' +
+    (chatRetryIn > 0 ? 'The server is busy. Retrying in ' + chatRetryIn + ' s...' : 'Thinking...');
+   list.appendChild(pending);
   }
+
+  list.scrollTop = list.scrollHeight;
  }
 
  /**
-  * Main handler for AI assist button clicks
-  * @param {string} operationId - The operation identifier
+  * Updates the chat buttons for a request being in progress or not
   */
- function handleAssistButtonClick(operationId) {
-  const mapping = OPERATION_MAP[operationId];
-  if (!mapping) {
-   console.error('Unknown operation:', operationId);
-   return;
+ function updateChatButtons() {
+  const sendBtn = document.getElementById('ai-chat-send-btn');
+  const cancelBtn = document.getElementById('ai-chat-cancel-btn');
+  const clearBtn = document.getElementById('ai-chat-clear-btn');
+  const busy = chatAbort !== null;
+
+  if (sendBtn) sendBtn.disabled = busy;
+  if (clearBtn) clearBtn.disabled = busy || chatMessages.length === 0;
+  if (cancelBtn) cancelBtn.classList.toggle('d-none', !busy);
+ }
+
+ /**
+  * Sends the question in the chat input together with the conversation so far
+  */
+ function sendChatMessage() {
+  const input = document.getElementById('ai-chat-input');
+  if (!input || chatAbort) return;
+
+  const question = input.value.trim();
+  if (!question) return;
+
+  const abort = new AbortController();
+  chatAbort = abort;
+  chatMessages.push({ role: 'user', content: question });
+  input.value = '';
+  renderChatMessages();
+  updateChatButtons();
+
+  const messages = chatMessages.slice(-CHAT_MAX_MESSAGES);
+  FourCApp.AiQueue.run(CHAT_QUEUE_KEY, function(signal) {
+   return callChatApi(messages, signal);
+  }, {
+   signal: abort.signal,
+   onWait: function(seconds) {
+    if (chatAbort !== abort) return;
+    chatRetryIn = seconds;
+    renderChatMessages();
+   }
+  })
+  .then(function(answer) {
+   // The conversation was cleared or another plan was opened while waiting
+   if (chatAbort !== abort) return;
+   chatMessages.push({ role: 'assistant', content: answer });
+  })
+  .catch(function(error) {
+   if (chatAbort !== abort) return;
+
+   // Give the question back, so it can be sent again
+   chatMessages.pop();
+   if (!input.value) {
+    input.value = question;
+   }
+   if (error.name !== 'AbortError') {
+    showNotification(error.message, 'error');
+   }
+  })
+  .then(function() {
+   if (chatAbort !== abort) return;
+   chatAbort = null;
+   chatRetryIn = 0;
+   renderChatMessages();
+   updateChatButtons();
+  });
+ }
+
+ /**
+  * Stops the chat request in progress
+  */
+ function cancelChatRequest() {
+  if (chatAbort) {
+   chatAbort.abort();
   }
+ }
 
-  const fieldId = mapping[0];
-  const operationFunction = mapping[1];
+ /**
+  * Clears the conversation
+  */
+ function clearChat() {
+  cancelChatRequest();
+  chatAbort = null;
+  chatRetryIn = 0;
+  chatMessages = [];
+  renderChatMessages();
+  updateChatButtons();
+ }
 
-  showLoadingModal();
+ /**
+  * Opens the chat panel
+  */
+ function showChatPanel() {
+  const panel = document.getElementById('ai-chat-panel');
+  if (!panel) return;
 
-  operationFunction()
-   .then(function(resultText) {
-    showResultModal(resultText, fieldId);
-   })
-   .catch(function(error) {
-    console.error('Operation failed:', error);
-    showErrorInLoadingDiv(error.message);
-   });
+  if (aiHistoryPanelInstance) {
+   aiHistoryPanelInstance.hide();
+  }
+  if (!chatPanelInstance) {
+   chatPanelInstance = new bootstrap.Offcanvas(panel);
+  }
+  chatPanelInstance.show();
  }
 
  /**
-  * Initialize AI assist buttons
+  * Initialize AI chat handlers
   */
- function initializeAssistButtons() {
-  const appendBtn = document.getElementById('ai-assist-append-btn');
-  const replaceBtn = document.getElementById('ai-assist-replace-btn');
+ function initializeChat() {
+  const chatButton = document.getElementById('ai-chat-button');
+  const form = document.getElementById('ai-chat-form');
+  const input = document.getElementById('ai-chat-input');
+  const cancelBtn = document.getElementById('ai-chat-cancel-btn');
+  const clearBtn = document.getElementById('ai-chat-clear-btn');
+  const panel = document.getElementById('ai-chat-panel');
+
+  if (chatButton) {
+   chatButton.addEventListener('click', showChatPanel);
+  }
 
-  if (appendBtn) {
-   appendBtn.addEventListener('click', function() {
-    if (currentFieldId && currentResultText) {
-     appendToField(currentFieldId, currentResultText);
+  if (form) {
+   form.addEventListener('submit', function(e) {
+    e.preventDefault();
+    sendChatMessage();
+   });
+  }
+
+  // Enter sends the question, Shift+Enter starts a new line
+  if (input) {
+   input.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' && !e.shiftKey) {
+     e.preventDefault();
+     sendChatMessage();
     }
    });
   }
 
-  if (replaceBtn) {
-   replaceBtn.addEventListener('click', function() {
-    if (currentFieldId && currentResultText) {
-     replaceField(currentFieldId, currentResultText);
-    }
+  if (cancelBtn) {
+   cancelBtn.addEventListener('click', cancelChatRequest);
+  }
+
+  if (clearBtn) {
+   clearBtn.addEventListener('click', clearChat);
+  }
+
+  if (panel) {
+   panel.addEventListener('shown.bs.offcanvas', function() {
+    if (input) input.focus();
    });
   }
 
-  const assistButtons = document.querySelectorAll('[data-action]');
-  assistButtons.forEach(function(button) {
-   const action = button.getAttribute('data-action');
-   if (OPERATION_MAP[action]) {
-    button.addEventListener('click', function() {
-     handleAssistButtonClick(action);
-    });
-   }
-  });
+  renderChatMessages();
+  updateChatButtons();
  }
 
  // ============================================
@@ -963,6 +3712,7 @@
   */
  function resetToDefaults() {
   document.getElementById('context').value = '';
+  document.getElementById('language').value = DEFAULT_LANGUAGE;
   document.getElementById('topic').value = '';
   document.getElementById('audience').value = '';
   document.getElementById('learningOutcomes').value = '';
@@ -1000,9 +3750,12 @@
   const startOverButton = document.getElementById('start-over-button');
   if (startOverButton) {
    startOverButton.addEventListener('click', function() {
-    if (confirm('Are you sure you want to start over? All current data will be lost.')) {
+    if (confirm('Are you sure you want to start over? All fields of this plan will be cleared.')) {
      clearLessonData();
      resetToDefaults();
+     recordChange('start over');
+     markDirty();
+     showNotification('Lesson plan cleared', 'info', { label: 'Undo', handler: undo });
     }
    });
   }
@@ -1054,6 +3807,10 @@
 
     if (targetSection === 'review') {
      updateReviewDisplay();
+    } else if (targetSection === 'library') {
+     renderPlanLibrary();
+    } else if (targetSection === 'snapshots') {
+     renderSnapshots();
     }
    });
   });
@@ -1061,13 +3818,716 @@
   const quickNavButtons = document.querySelectorAll('[data-navigate]');
   quickNavButtons.forEach(function(button) {
    button.addEventListener('click', function() {
-    const targetSection = this.getAttribute('data-navigate');
-    const navItem = document.querySelector('.plan-nav-item[data-section="' + targetSection + '"]');
-    if (navItem) {
-     navItem.click();
+    navigateToSection(this.getAttribute('data-navigate'));
+   });
+  });
+ }
+
+ // ============================================
+ // PLAN LIBRARY
+ // ============================================
+
+ /**
+  * Shows the name of the current plan in the sidebar
+  */
+ function updateCurrentPlanName() {
+  const element = document.getElementById('current-plan-name');
+  if (!element) return;
+
+  const entry = FourCApp.PlanLibrary.get(currentPlanId);
+  element.textContent = entry ? entry.name : '';
+  element.title = element.textContent;
+ }
+
+ /**
+  * Formats an ISO timestamp for the library list
+  * @param {string} timestamp - ISO timestamp
+  * @returns {string} - Localized date and time
+  */
+ function formatPlanTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+ }
+
+ /**
+  * Creates a small button for a library list item
+  * @param {string} text - Button text
+  * @param {string} style - Bootstrap button style suffix
+  * @param {Function} handler - Click handler
+  * @returns {HTMLButtonElement} - The button
+  */
+ function createLibraryButton(text, style, handler) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm btn-outline-' + style;
+  button.textContent = text;
+  button.addEventListener('click', handler);
+  return button;
+ }
+
+ /**
+  * Renders the list of plans in the library section
+  */
+ function renderPlanLibrary() {
+  const list = document.getElementById('plan-library-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  FourCApp.PlanLibrary.list().forEach(function(entry) {
+   const isCurrent = entry.id === currentPlanId;
+
+   const item = document.createElement('div');
+   item.className = 'list-group-item library-item' + (isCurrent ? ' current' : '');
+
+   const info = document.createElement('div');
+   info.className = 'library-item-info';
+
+   const name = document.createElement('div');
+   name.className = 'library-item-name';
+   name.textContent = entry.name;
+   if (isCurrent) {
+    const badge = document.createElement('span');
+    badge.className = 'badge bg-primary ms-2';
+    badge.textContent = 'Current';
+    name.appendChild(badge);
+   }
+
+   const meta = document.createElement('div');
+   meta.className = 'library-item-meta';
+   meta.textContent = 'Last modified: ' + formatPlanTimestamp(entry.updatedAt) +
+    (entry.synced === true ? '' : ' (not saved to server yet)');
+
+   info.appendChild(name);
+   info.appendChild(meta);
+
+   const actions = document.createElement('div');
+   actions.className = 'library-item-actions';
+   if (!isCurrent) {
+    actions.appendChild(createLibraryButton('Open', 'primary', function() {
+     openPlan(entry.id);
+     navigateToSection('overview');
+    }));
+   }
+   actions.appendChild(createLibraryButton('Rename', 'secondary', function() {
+    renamePlan(entry.id);
+   }));
+   actions.appendChild(createLibraryButton('Duplicate', 'secondary', function() {
+    duplicatePlan(entry.id);
+   }));
+   actions.appendChild(createLibraryButton('Delete', 'danger', function() {
+    deletePlan(entry.id);
+   }));
+
+   item.appendChild(info);
+   item.appendChild(actions);
+   list.appendChild(item);
+  });
+ }
+
+ /**
+  * Opens a plan in the editor, saving the plan being edited first
+  * @param {string} planId - The ID of the plan to open
+  */
+ function openPlan(planId) {
+  if (pendingMerge) {
+   showNotification('Resolve the conflicting changes of this plan first', 'error');
+   return;
+  }
+
+  if (planId !== currentPlanId && FourCApp.PlanLibrary.get(currentPlanId)) {
+   saveLessonData();
+  }
+
+  currentPlanId = planId;
+  FourCApp.PlanLibrary.setCurrentId(planId);
+
+  resetToDefaults();
+  applyLessonData(loadLessonData());
+  rememberBaseData();
+  isDirty = false;
+  setSaveStatus('', '');
+  if (!historyByPlan[planId]) {
+   resetHistory();
+  }
+  updateHistoryButtons();
+  updateCurrentPlanName();
+  renderPlanLibrary();
+  renderSnapshots();
+  clearSnapshotDiff();
+  renderAiHistory();
+  renderAnnotations();
+  clearChat();
+  handleSyncConflict();
+ }
+
+ /**
+  * Creates a new empty plan and opens it
+  */
+ function createPlan() {
+  const name = prompt('Name of the new lesson plan:', FourCApp.PlanLibrary.DEFAULT_PLAN_NAME);
+  if (name === null) return;
+
+  const entry = FourCApp.PlanLibrary.create(name);
+  openPlan(entry.id);
+  saveLessonData();
+  navigateToSection('overview');
+ }
+
+ /**
+  * Asks for a new name and renames a plan
+  * @param {string} planId - The plan ID
+  */
+ function renamePlan(planId) {
+  const entry = FourCApp.PlanLibrary.get(planId);
+  if (!entry) return;
+
+  const name = prompt('New name of the lesson plan:', entry.name);
+  if (name === null) return;
+
+  FourCApp.PlanLibrary.rename(planId, name);
+  syncPlan(planId);
+  updateCurrentPlanName();
+  renderPlanLibrary();
+ }
+
+ /**
+  * Creates a copy of a plan
+  * @param {string} planId - The plan ID
+  */
+ function duplicatePlan(planId) {
+  if (planId === currentPlanId) {
+   saveLessonData();
+  }
+
+  const copy = FourCApp.PlanLibrary.duplicate(planId);
+  if (copy) {
+   syncPlan(copy.id);
+   showNotification('Lesson plan duplicated', 'success');
+  }
+  renderPlanLibrary();
+ }
+
+ /**
+  * Deletes a plan after confirmation. If the current plan is deleted,
+  * the most recent remaining plan (or a new empty one) is opened.
+  * @param {string} planId - The plan ID
+  */
+ function deletePlan(planId) {
+  const entry = FourCApp.PlanLibrary.get(planId);
+  if (!entry) return;
+
+  if (!confirm('Are you sure you want to delete "' + entry.name + '"? This cannot be undone.')) return;
+
+  FourCApp.PlanLibrary.remove(planId);
+  FourCApp.PlanSync.remove(planId);
+
+  if (planId === currentPlanId) {
+   openPlan(FourCApp.PlanLibrary.ensureCurrent());
+  } else {
+   renderPlanLibrary();
+  }
+ }
+
+ /**
+  * Switches the editor to the given section
+  * @param {string} section - The data-section name of the navigation item
+  */
+ function navigateToSection(section) {
+  const navItem = document.querySelector('.plan-nav-item[data-section="' + section + '"]');
+  if (navItem) {
+   navItem.click();
+  }
+ }
+
+ /**
+  * Initialize plan library handlers
+  */
+ function initializeLibrary() {
+  const newPlanButton = document.getElementById('new-plan-button');
+  if (newPlanButton) {
+   newPlanButton.addEventListener('click', createPlan);
+  }
+
+  updateCurrentPlanName();
+  renderPlanLibrary();
+ }
+
+ // ============================================
+ // SNAPSHOTS
+ // ============================================
+
+ const CURRENT_VERSION_ID = 'current';
+
+ /**
+  * Gets the label of a field as shown in the form
+  * @param {string} fieldPath - Field path
+  * @returns {string} - Field label
+  */
+ function getFieldLabel(fieldPath) {
+  const label = document.querySelector('label[for="' + FIELD_TO_ID_MAP[fieldPath] + '"]');
+  return label ? label.textContent : fieldPath;
+ }
+
+ /**
+  * Gets a version of the current plan for comparison
+  * @param {string} versionId - Snapshot ID or CURRENT_VERSION_ID
+  * @returns {Object|null} - Version ({ id, name, data }) or null if not found
+  */
+ function getPlanVersion(versionId) {
+  if (versionId === CURRENT_VERSION_ID) {
+   return { id: CURRENT_VERSION_ID, name: 'Current plan', data: collectLessonData() };
+  }
+
+  const snapshot = FourCApp.PlanLibrary.getSnapshot(currentPlanId, versionId);
+  return snapshot ? { id: snapshot.id, name: snapshot.name, data: snapshot.data } : null;
+ }
+
+ /**
+  * Fills a version selector with the current plan and its snapshots
+  * @param {HTMLSelectElement} select - The selector
+  * @param {Array<Object>} snapshots - Snapshots of the current plan
+  * @param {string} defaultId - Version selected when the previous selection is gone
+  */
+ function fillVersionSelect(select, snapshots, defaultId) {
+  const selected = select.value;
+  select.innerHTML = '';
+
+  const currentOption = document.createElement('option');
+  currentOption.value = CURRENT_VERSION_ID;
+  currentOption.textContent = 'Current plan';
+  select.appendChild(currentOption);
+
+  snapshots.forEach(function(snapshot) {
+   const option = document.createElement('option');
+   option.value = snapshot.id;
+   option.textContent = snapshot.name + ' (' + formatPlanTimestamp(snapshot.createdAt) + ')';
+   select.appendChild(option);
+  });
+
+  const ids = [CURRENT_VERSION_ID].concat(snapshots.map(function(snapshot) { return snapshot.id; }));
+  select.value = ids.indexOf(selected) >= 0 ? selected : defaultId;
+ }
+
+ /**
+  * Renders the snapshot list and the version selectors
+  */
+ function renderSnapshots() {
+  const list = document.getElementById('snapshot-list');
+  if (!list) return;
+
+  const snapshots = FourCApp.PlanLibrary.listSnapshots(currentPlanId);
+  list.innerHTML = '';
+
+  if (snapshots.length === 0) {
+   const empty = document.createElement('div');
+   empty.className = 'list-group-item text-muted';
+   empty.textContent = 'No snapshots of this plan yet.';
+   list.appendChild(empty);
+  }
+
+  snapshots.forEach(function(snapshot) {
+   const item = document.createElement('div');
+   item.className = 'list-group-item library-item';
+
+   const info = document.createElement('div');
+   info.className = 'library-item-info';
+
+   const name = document.createElement('div');
+   name.className = 'library-item-name';
+   name.textContent = snapshot.name;
+
+   const meta = document.createElement('div');
+   meta.className = 'library-item-meta';
+   meta.textContent = 'Taken: ' + formatPlanTimestamp(snapshot.createdAt);
+
+   info.appendChild(name);
+   info.appendChild(meta);
+
+   const actions = document.createElement('div');
+   actions.className = 'library-item-actions';
+   actions.appendChild(createLibraryButton('Restore', 'primary', function() {
+    restoreSnapshot(snapshot.id);
+   }));
+   actions.appendChild(createLibraryButton('Delete', 'danger', function() {
+    if (confirm('Delete snapshot "' + snapshot.name + '"?')) {
+     FourCApp.PlanLibrary.deleteSnapshot(currentPlanId, snapshot.id);
+     renderSnapshots();
     }
+   }));
+
+   item.appendChild(info);
+   item.appendChild(actions);
+   list.appendChild(item);
+  });
+
+  const leftSelect = document.getElementById('snapshot-compare-left');
+  const rightSelect = document.getElementById('snapshot-compare-right');
+  if (leftSelect && rightSelect) {
+   fillVersionSelect(leftSelect, snapshots, snapshots.length > 0 ? snapshots[0].id : CURRENT_VERSION_ID);
+   fillVersionSelect(rightSelect, snapshots, CURRENT_VERSION_ID);
+  }
+ }
+
+ /**
+  * Takes a named snapshot of the current plan
+  */
+ function takeSnapshot() {
+  const nameInput = document.getElementById('snapshot-name');
+  const name = nameInput ? nameInput.value : '';
+
+  saveLessonData();
+  try {
+   FourCApp.PlanLibrary.createSnapshot(currentPlanId, name, collectLessonData());
+  } catch (error) {
+   console.error('Failed to take snapshot:', error);
+   showNotification(error.message, 'error');
+   return;
+  }
+
+  if (nameInput) {
+   nameInput.value = '';
+  }
+  renderSnapshots();
+  showNotification('Snapshot saved', 'success');
+ }
+
+ /**
+  * Replaces the current plan content with a snapshot
+  * @param {string} snapshotId - The snapshot ID
+  */
+ function restoreSnapshot(snapshotId) {
+  const snapshot = FourCApp.PlanLibrary.getSnapshot(currentPlanId, snapshotId);
+  if (!snapshot) return;
+
+  if (!confirm('Replace the current plan with snapshot "' + snapshot.name + '"?')) return;
+
+  resetToDefaults();
+  applyLessonData(snapshot.data);
+  recordChange('restore snapshot');
+  markDirty();
+  clearSnapshotDiff();
+  showNotification('Snapshot restored', 'success', { label: 'Undo', handler: undo });
+ }
+
+ /**
+  * Replaces one field of the current plan with its value from another version
+  * @param {string} fieldPath - Field path
+  * @param {Object} version - The version to take the value from
+  */
+ function restoreSnapshotField(fieldPath, version) {
+  setFieldValue(fieldPath, getNestedValue(version.data, fieldPath));
+  recordChange('restore field');
+  markDirty();
+  compareSnapshots();
+  showNotification(getFieldLabel(fieldPath) + ' restored from "' + version.name + '"', 'success', { label: 'Undo', handler: undo });
+ }
+
+ /**
+  * Converts a field value to text for comparison
+  * @param {*} value - Field value
+  * @returns {string} - Text
+  */
+ function fieldValueToText(value) {
+  return value === undefined || value === null ? '' : String(value);
+ }
+
+ /**
+  * Creates one side of a field comparison
+  * @param {Array<Object>} ops - Word diff operations
+  * @param {string} side - 'old' or 'new'
+  * @param {string} fieldPath - Field path
+  * @param {Object} version - The version shown on this side
+  * @returns {HTMLElement} - The column element
+  */
+ function createDiffSide(ops, side, fieldPath, version) {
+  const column = document.createElement('div');
+  column.className = 'snapshot-diff-side';
+
+  const text = document.createElement('div');
+  text.className = 'snapshot-diff-text';
+  FourCApp.TextDiff.render(text, ops, side);
+  column.appendChild(text);
+
+  if (version.id !== CURRENT_VERSION_ID) {
+   const button = createLibraryButton('Restore this field', 'secondary', function() {
+    restoreSnapshotField(fieldPath, version);
+   });
+   button.classList.add('mt-2');
+   column.appendChild(button);
+  }
+
+  return column;
+ }
+
+ /**
+  * Removes the comparison result
+  */
+ function clearSnapshotDiff() {
+  const container = document.getElementById('snapshot-diff');
+  if (container) {
+   container.innerHTML = '';
+  }
+ }
+
+ /**
+  * Compares the two selected versions field by field, grouped by section
+  */
+ function compareSnapshots() {
+  const container = document.getElementById('snapshot-diff');
+  const leftSelect = document.getElementById('snapshot-compare-left');
+  const rightSelect = document.getElementById('snapshot-compare-right');
+  if (!container || !leftSelect || !rightSelect) return;
+
+  const left = getPlanVersion(leftSelect.value);
+  const right = getPlanVersion(rightSelect.value);
+  container.innerHTML = '';
+  if (!left || !right) return;
+
+  const header = document.createElement('div');
+  header.className = 'snapshot-diff-columns snapshot-diff-header';
+  [left, right].forEach(function(version) {
+   const title = document.createElement('div');
+   title.textContent = version.name;
+   header.appendChild(title);
+  });
+  container.appendChild(header);
+
+  let differences = 0;
+
+  Object.keys(SECTION_FIELDS).forEach(function(sectionName) {
+   const changedFields = SECTION_FIELDS[sectionName].filter(function(fieldPath) {
+    return fieldValueToText(getNestedValue(left.data, fieldPath)) !== fieldValueToText(getNestedValue(right.data, fieldPath));
+   });
+   if (changedFields.length === 0) return;
+
+   const sectionTitle = document.createElement('h5');
+   sectionTitle.className = 'snapshot-diff-section';
+   sectionTitle.textContent = SECTION_TITLES[sectionName];
+   container.appendChild(sectionTitle);
+
+   changedFields.forEach(function(fieldPath) {
+    const ops = FourCApp.TextDiff.diffWords(
+     fieldValueToText(getNestedValue(left.data, fieldPath)),
+     fieldValueToText(getNestedValue(right.data, fieldPath)));
+
+    const field = document.createElement('div');
+    field.className = 'snapshot-diff-field';
+
+    const label = document.createElement('div');
+    label.className = 'snapshot-diff-label';
+    label.textContent = getFieldLabel(fieldPath);
+    field.appendChild(label);
+
+    const columns = document.createElement('div');
+    columns.className = 'snapshot-diff-columns';
+    columns.appendChild(createDiffSide(ops, 'old', fieldPath, left));
+    columns.appendChild(createDiffSide(ops, 'new', fieldPath, right));
+    field.appendChild(columns);
+
+    container.appendChild(field);
+    differences++;
+   });
+  });
+
+  if (differences === 0) {
+   const same = document.createElement('div');
+   same.className = 'alert alert-info';
+   same.textContent = 'The selected versions are identical.';
+   container.appendChild(same);
+  }
+ }
+
+ /**
+  * Initialize snapshot handlers
+  */
+ function initializeSnapshots() {
+  const createButton = document.getElementById('create-snapshot-button');
+  if (createButton) {
+   createButton.addEventListener('click', takeSnapshot);
+  }
+
+  const compareButton = document.getElementById('snapshot-compare-button');
+  if (compareButton) {
+   compareButton.addEventListener('click', compareSnapshots);
+  }
+
+  renderSnapshots();
+ }
+
+ // ============================================
+ // FILE EXPORT AND IMPORT
+ // ============================================
+
+ const EXPORT_EMPTY_FIELDS_KEY = 'exportEmptyFields';
+
+ /**
+  * Shows the result of an import in the export section
+  * @param {string} type - Bootstrap alert type ('success', 'warning', 'danger')
+  * @param {string} message - Summary message
+  * @param {Array<string>} details - Optional list of details
+  */
+ function showImportReport(type, message, details) {
+  const report = document.getElementById('import-report');
+  if (!report) return;
+
+  report.className = 'alert alert-' + type + ' mt-3';
+  report.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.textContent = message;
+  report.appendChild(summary);
+
+  if (details && details.length > 0) {
+   const list = document.createElement('ul');
+   list.className = 'mb-0 mt-2';
+   details.forEach(function(detail) {
+    const item = document.createElement('li');
+    item.textContent = detail;
+    list.appendChild(item);
    });
+   report.appendChild(list);
+  }
+ }
+
+ /**
+  * Downloads the current plan as a JSON file
+  */
+ function exportPlanJson() {
+  saveLessonData();
+
+  const entry = FourCApp.PlanLibrary.get(currentPlanId);
+  const file = FourCApp.PlanExport.toJson(entry ? entry.name : '', loadLessonData(),
+   FourCApp.PlanLibrary.listAnnotations(currentPlanId));
+  FourCApp.PlanExport.download(file.fileName, file.content, 'application/json');
+ }
+
+ /**
+  * Gets how empty fields are exported to documents
+  * @returns {string} - 'omit' or 'mark'
+  */
+ function getEmptyFieldsSetting() {
+  return localStorage.getItem(EXPORT_EMPTY_FIELDS_KEY) === 'mark' ? 'mark' : 'omit';
+ }
+
+ /**
+  * Downloads the current plan as a Markdown document
+  */
+ function exportPlanMarkdown() {
+  saveLessonData();
+
+  const entry = FourCApp.PlanLibrary.get(currentPlanId);
+  const file = FourCApp.PlanExport.toMarkdown(entry ? entry.name : '', loadLessonData(), {
+   emptyFields: getEmptyFieldsSetting()
   });
+  FourCApp.PlanExport.download(file.fileName, file.content, 'text/markdown');
+ }
+
+ /**
+  * Downloads the current plan as a Word document rendered by the server
+  */
+ function exportPlanWord() {
+  const button = document.getElementById('export-word-button');
+  saveLessonData();
+
+  const entry = FourCApp.PlanLibrary.get(currentPlanId);
+  if (button) button.disabled = true;
+
+  FourCApp.PlanExport.toDocx(entry ? entry.name : '', loadLessonData())
+   .then(function(file) {
+    FourCApp.PlanExport.download(file.fileName, file.content);
+   })
+   .catch(function(error) {
+    showNotification(error.message, 'error');
+   })
+   .finally(function() {
+    if (button) button.disabled = false;
+   });
+ }
+
+ /**
+  * Imports a JSON file as a new plan and opens it
+  * @param {File} file - The selected file
+  */
+ function importPlanJson(file) {
+  FourCApp.PlanExport.readFile(file)
+   .then(function(text) {
+    const result = FourCApp.PlanExport.fromJson(text);
+    const name = result.name || file.name.replace(/\.json$/i, '');
+    const entry = FourCApp.PlanLibrary.create(name, result.plan);
+    FourCApp.PlanLibrary.putAnnotations(entry.id, result.annotations);
+
+    openPlan(entry.id);
+    saveLessonData();
+
+    let message = 'The plan was imported as "' + entry.name + '".';
+    if (result.migratedFrom !== null) {
+     message += ' It was upgraded from schema version ' + result.migratedFrom + ' to ' + FourCApp.PlanSchema.VERSION + '.';
+    }
+
+    if (result.rejected.length > 0) {
+     showImportReport('warning', message + ' The following fields were rejected:',
+      result.rejected.map(function(item) {
+       return getFieldLabel(item.field) + ': ' + item.reason;
+      }));
+    } else {
+     showImportReport('success', message);
+    }
+   })
+   .catch(function(error) {
+    showImportReport('danger', 'Import failed: ' + error.message);
+   });
+ }
+
+ /**
+  * Initialize export and import handlers
+  */
+ function initializeFileExport() {
+  const printLink = document.getElementById('print-view-link');
+  if (printLink) {
+   printLink.addEventListener('click', function() {
+    // The print view reads the plan from localStorage, so save pending edits first
+    saveLessonData();
+    printLink.href = '$(external-prefix)/print.html?plan=' + encodeURIComponent(currentPlanId);
+   });
+  }
+
+  const exportButton = document.getElementById('export-json-button');
+  if (exportButton) {
+   exportButton.addEventListener('click', exportPlanJson);
+  }
+
+  const wordButton = document.getElementById('export-word-button');
+  if (wordButton) {
+   wordButton.addEventListener('click', exportPlanWord);
+  }
+
+  const markdownButton = document.getElementById('export-markdown-button');
+  if (markdownButton) {
+   markdownButton.addEventListener('click', exportPlanMarkdown);
+  }
+
+  const emptyFieldsSelect = document.getElementById('export-empty-fields');
+  if (emptyFieldsSelect) {
+   emptyFieldsSelect.value = getEmptyFieldsSetting();
+   emptyFieldsSelect.addEventListener('change', function() {
+    localStorage.setItem(EXPORT_EMPTY_FIELDS_KEY, emptyFieldsSelect.value);
+   });
+  }
+
+  const importButton = document.getElementById('import-json-button');
+  const importInput = document.getElementById('import-json-file');
+  if (importButton && importInput) {
+   importButton.addEventListener('click', function() {
+    importInput.click();
+   });
+   importInput.addEventListener('change', function() {
+    if (importInput.files.length > 0) {
+     importPlanJson(importInput.files[0]);
+    }
+    importInput.value = '';
+   });
+  }
  }
 
  // ============================================
@@ -1079,20 +4539,53 @@
   if (savedData) {
    applyLessonData(savedData);
   }
+  rememberBaseData();
 
   initializeAccordion();
   initializeButtons();
   initializeAssistButtons();
+  initializeAiHistory();
+  initializeFieldReview();
+  initializeBatchSuggest();
+  initializeDraftWizard();
+  initializeTimingBalance();
+  initializeChat();
+  initializeLibrary();
+  initializeAutosave();
+  initializeHistory();
+  initializeSnapshots();
+  initializeFileExport();
+  initializeConcurrentEditing();
+  synchronizePlans();
  });
 
- window.addEventListener('beforeunload', function() {
-  saveLessonData();
+ window.addEventListener('online', function() {
+  synchronizePlans();
+ });
+
+ window.addEventListener('beforeunload', function(e) {
+  const unsavedWork = hasUnsavedWork();
+  saveLessonData(null, { keepalive: true });
+
+  if (unsavedWork) {
+   e.preventDefault();
+   e.returnValue = '';
+  }
  });
 
  // ============================================
  // PUBLIC API (for future use)
  // ============================================
  window.LessonPlanManager = {
+  getCurrentPlanId: function() {
+   return currentPlanId;
+  },
+  open: openPlan,
+  undo: undo,
+  redo: redo,
+  snapshot: function(name) {
+   return FourCApp.PlanLibrary.createSnapshot(currentPlanId, name, collectLessonData());
+  },
   save: saveLessonData,
   load: loadLessonData,
   clear: clearLessonData,
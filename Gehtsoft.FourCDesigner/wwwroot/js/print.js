@@ -1,32 +1,68 @@
 /**
  * Print Page - Load and Display Lesson Plan
- * Loads lesson plan data from localStorage and displays it in print format
+ * Loads a lesson plan from localStorage and displays it in print format.
+ *
+ * URL parameters:
+ * - plan: ID of the plan to print (the current plan if not specified)
+ * - layout: "full" (facilitator guide), "agenda" (one-page agenda) or "materials" (checklist)
  */
 
 (function() {
     "use strict";
 
     // ============================================
-    // CONSTANTS
+    // CONFIGURATION
     // ============================================
-    const STORAGE_KEY = "lessonPlan";
+
+    var LAYOUT_TITLES = {
+        full: "4C Lesson Plan",
+        agenda: "Lesson Agenda",
+        materials: "Materials Checklist"
+    };
+
+    var DEFAULT_LAYOUT = "full";
+
+    var PHASES = [
+        { key: "connections", title: "Connection" },
+        { key: "concepts", title: "Concepts" },
+        { key: "concretePractice", title: "Concrete Practice" },
+        { key: "conclusions", title: "Conclusion" }
+    ];
+
+    var LIST_MARKER_PATTERN = /^\s*([-*+•▪◦]|\d+[.)])\s+/;
 
     // ============================================
     // UTILITY FUNCTIONS
     // ============================================
 
     /**
-     * Loads lesson data from localStorage
+     * Gets a parameter of the page URL
+     * @param {string} name - The parameter name
+     * @returns {string|null} - The parameter value or null
+     */
+    function getUrlParameter(name) {
+        return new URLSearchParams(window.location.search).get(name);
+    }
+
+    /**
+     * Gets the ID of the plan to print
+     * @returns {string|null} - The plan ID or null if the requested plan does not exist
+     */
+    function getPlanId() {
+        var planId = getUrlParameter("plan");
+        if (!planId)
+            return FourCApp.PlanLibrary.getCurrentId();
+
+        return FourCApp.PlanLibrary.get(planId) ? planId : null;
+    }
+
+    /**
+     * Loads lesson data of a plan from localStorage
+     * @param {string} planId - The plan ID
      * @returns {Object|null} - Lesson data object or null
      */
-    function loadLessonData() {
-        try {
-            var data = localStorage.getItem(STORAGE_KEY);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error("Failed to load lesson data:", error);
-            return null;
-        }
+    function loadLessonData(planId) {
+        return planId ? FourCApp.PlanLibrary.loadData(planId) : null;
     }
 
     /**
@@ -52,6 +88,28 @@
             element.textContent = formatText(content);
     }
 
+    /**
+     * Sets the text of a field as rendered Markdown by element ID
+     * @param {string} elementId - The element ID
+     * @param {string} content - The Markdown text of the field
+     */
+    function setMarkdownContent(elementId, content) {
+        FourCApp.Markdown.renderInto(document.getElementById(elementId), content, formatText(content));
+    }
+
+    /**
+     * Gets the timing of a phase in minutes
+     * @param {Object} data - Lesson data object
+     * @param {string} phaseKey - The phase key
+     * @returns {number} - The timing in minutes
+     */
+    function getPhaseTiming(data, phaseKey) {
+        if (!data[phaseKey] || !data[phaseKey].timing)
+            return 0;
+
+        return parseInt(data[phaseKey].timing, 10) || 0;
+    }
+
     /**
      * Calculates total duration of the lesson
      * @param {Object} data - Lesson data object
@@ -60,19 +118,29 @@
     function calculateTotalDuration(data) {
         var total = 0;
 
-        if (data.connections && data.connections.timing)
-            total += parseInt(data.connections.timing, 10) || 0;
-
-        if (data.concepts && data.concepts.timing)
-            total += parseInt(data.concepts.timing, 10) || 0;
+        PHASES.forEach(function(phase) {
+            total += getPhaseTiming(data, phase.key);
+        });
 
-        if (data.concretePractice && data.concretePractice.timing)
-            total += parseInt(data.concretePractice.timing, 10) || 0;
+        return total;
+    }
 
-        if (data.conclusions && data.conclusions.timing)
-            total += parseInt(data.conclusions.timing, 10) || 0;
+    /**
+     * Splits text into non-empty lines without list markers
+     * @param {string} text - The text to split
+     * @returns {Array<string>} - The lines
+     */
+    function splitListItems(text) {
+        if (!text)
+            return [];
 
-        return total;
+        return text.split(/\r?\n/)
+            .map(function(line) {
+                return line.replace(LIST_MARKER_PATTERN, "").trim();
+            })
+            .filter(function(line) {
+                return line !== "";
+            });
     }
 
     // ============================================
@@ -82,14 +150,19 @@
     /**
      * Populates the print view with lesson data
      * @param {Object} data - Lesson data object
+     * @param {string} planName - The plan name
      */
-    function populatePrintView(data) {
+    function populatePrintView(data, planName) {
         if (!data) {
             console.warn("No lesson data found");
             return;
         }
 
-        // Set current date
+        // Set plan name and current date
+        var nameElement = document.getElementById("print-plan-name");
+        if (nameElement)
+            nameElement.textContent = planName || "";
+
         var currentDate = new Date();
         var dateString = currentDate.toLocaleDateString("en-US", {
             year: "numeric",
@@ -99,49 +172,50 @@
         setElementContent("print-date", dateString);
 
         // Overview section
-        setElementContent("print-topic", data.topic);
-        setElementContent("print-audience", data.audience);
-        setElementContent("print-learningOutcomes", data.learningOutcomes);
+        setMarkdownContent("print-context", data.context);
+        setMarkdownContent("print-topic", data.topic);
+        setMarkdownContent("print-audience", data.audience);
+        setMarkdownContent("print-learningOutcomes", data.learningOutcomes);
 
         // Connections section
         if (data.connections) {
             var connTiming = data.connections.timing || 0;
             setElementContent("print-conn-timing", connTiming + " minutes");
-            setElementContent("print-conn-goal", data.connections.goal);
-            setElementContent("print-conn-activities", data.connections.activities);
-            setElementContent("print-conn-materials", data.connections.materialsToPrepare);
+            setMarkdownContent("print-conn-goal", data.connections.goal);
+            setMarkdownContent("print-conn-activities", data.connections.activities);
+            setMarkdownContent("print-conn-materials", data.connections.materialsToPrepare);
         }
 
         // Concepts section
         if (data.concepts) {
             var conceptsTiming = data.concepts.timing || 0;
             setElementContent("print-concepts-timing", conceptsTiming + " minutes");
-            setElementContent("print-concepts-needToKnow", data.concepts.needToKnow);
-            setElementContent("print-concepts-goodToKnow", data.concepts.goodToKnow);
-            setElementContent("print-concepts-theses", data.concepts.theses);
-            setElementContent("print-concepts-structure", data.concepts.structure);
-            setElementContent("print-concepts-activities", data.concepts.activities);
-            setElementContent("print-concepts-materials", data.concepts.materialsToPrepare);
+            setMarkdownContent("print-concepts-needToKnow", data.concepts.needToKnow);
+            setMarkdownContent("print-concepts-goodToKnow", data.concepts.goodToKnow);
+            setMarkdownContent("print-concepts-theses", data.concepts.theses);
+            setMarkdownContent("print-concepts-structure", data.concepts.structure);
+            setMarkdownContent("print-concepts-activities", data.concepts.activities);
+            setMarkdownContent("print-concepts-materials", data.concepts.materialsToPrepare);
         }
 
         // Concrete Practice section
         if (data.concretePractice) {
             var practiceTiming = data.concretePractice.timing || 0;
             setElementContent("print-practice-timing", practiceTiming + " minutes");
-            setElementContent("print-practice-desiredOutput", data.concretePractice.desiredOutput);
-            setElementContent("print-practice-focusArea", data.concretePractice.focusArea);
-            setElementContent("print-practice-activities", data.concretePractice.activities);
-            setElementContent("print-practice-details", data.concretePractice.details);
-            setElementContent("print-practice-materials", data.concretePractice.materialsToPrepare);
+            setMarkdownContent("print-practice-desiredOutput", data.concretePractice.desiredOutput);
+            setMarkdownContent("print-practice-focusArea", data.concretePractice.focusArea);
+            setMarkdownContent("print-practice-activities", data.concretePractice.activities);
+            setMarkdownContent("print-practice-details", data.concretePractice.details);
+            setMarkdownContent("print-practice-materials", data.concretePractice.materialsToPrepare);
         }
 
         // Conclusions section
         if (data.conclusions) {
             var conclusionsTiming = data.conclusions.timing || 0;
             setElementContent("print-concl-timing", conclusionsTiming + " minutes");
-            setElementContent("print-concl-goal", data.conclusions.goal);
-            setElementContent("print-concl-activities", data.conclusions.activities);
-            setElementContent("print-concl-materials", data.conclusions.materialsToPrepare);
+            setMarkdownContent("print-concl-goal", data.conclusions.goal);
+            setMarkdownContent("print-concl-activities", data.conclusions.activities);
+            setMarkdownContent("print-concl-materials", data.conclusions.materialsToPrepare);
         }
 
         // Calculate and display total duration
@@ -149,6 +223,230 @@
         setElementContent("print-total-duration", totalDuration + " minutes");
     }
 
+    /**
+     * Populates the one-page agenda with lesson data
+     * @param {Object} data - Lesson data object
+     */
+    function populateAgenda(data) {
+        setElementContent("print-agenda-topic", data.topic);
+        setElementContent("print-agenda-audience", data.audience);
+
+        var rows = document.getElementById("print-agenda-rows");
+        if (!rows)
+            return;
+
+        rows.innerHTML = "";
+        var start = 0;
+
+        PHASES.forEach(function(phase) {
+            var timing = getPhaseTiming(data, phase.key);
+            var row = document.createElement("tr");
+            row.setAttribute("data-section", phase.key);
+
+            var timeCell = document.createElement("td");
+            timeCell.textContent = start + "–" + (start + timing) + " min";
+            row.appendChild(timeCell);
+
+            var phaseCell = document.createElement("th");
+            phaseCell.setAttribute("scope", "row");
+            phaseCell.textContent = phase.title;
+            row.appendChild(phaseCell);
+
+            var durationCell = document.createElement("td");
+            durationCell.textContent = timing + " minutes";
+            row.appendChild(durationCell);
+
+            var activitiesCell = document.createElement("td");
+            activitiesCell.className = "agenda-activities markdown";
+            var activities = data[phase.key] ? data[phase.key].activities : "";
+            FourCApp.Markdown.renderInto(activitiesCell, activities, formatText(activities));
+            row.appendChild(activitiesCell);
+
+            rows.appendChild(row);
+            start += timing;
+        });
+
+        setElementContent("print-agenda-total", calculateTotalDuration(data) + " minutes");
+    }
+
+    /**
+     * Populates the materials checklist with lesson data
+     * @param {Object} data - Lesson data object
+     */
+    function populateMaterials(data) {
+        var container = document.getElementById("print-materials-list");
+        if (!container)
+            return;
+
+        container.innerHTML = "";
+
+        PHASES.forEach(function(phase) {
+            var items = splitListItems(data[phase.key] ? data[phase.key].materialsToPrepare : "");
+
+            var section = document.createElement("section");
+            section.className = "print-section";
+            section.setAttribute("data-section", phase.key);
+
+            var title = document.createElement("h2");
+            title.textContent = phase.title;
+            section.appendChild(title);
+
+            if (items.length === 0) {
+                var empty = document.createElement("p");
+                empty.className = "section-description";
+                empty.textContent = "No materials to prepare.";
+                section.appendChild(empty);
+            } else {
+                var list = document.createElement("ul");
+                list.className = "materials-checklist";
+                items.forEach(function(item) {
+                    var listItem = document.createElement("li");
+                    listItem.textContent = item;
+                    list.appendChild(listItem);
+                });
+                section.appendChild(list);
+            }
+
+            container.appendChild(section);
+        });
+    }
+
+    // ============================================
+    // LAYOUT AND SELECTION
+    // ============================================
+
+    /**
+     * Shows a layout and hides the others
+     * @param {string} layout - The layout name
+     */
+    function setLayout(layout) {
+        if (!LAYOUT_TITLES.hasOwnProperty(layout))
+            layout = DEFAULT_LAYOUT;
+
+        document.querySelectorAll(".print-layout").forEach(function(element) {
+            element.classList.toggle("print-hidden", element.id !== "print-layout-" + layout);
+        });
+
+        var title = document.getElementById("print-title");
+        if (title)
+            title.textContent = LAYOUT_TITLES[layout];
+
+        var select = document.getElementById("print-layout");
+        if (select)
+            select.value = layout;
+
+        var url = new URL(window.location.href);
+        url.searchParams.set("layout", layout);
+        window.history.replaceState(null, "", url.toString());
+    }
+
+    /**
+     * Checks whether a section is selected for printing
+     * @param {string} sectionKey - The section key
+     * @returns {boolean} - True if the section is selected
+     */
+    function isSectionSelected(sectionKey) {
+        var checkbox = document.querySelector("#print-selection input[data-section=\"" + sectionKey + "\"]");
+        return !checkbox || checkbox.checked;
+    }
+
+    /**
+     * Hides sections and fields that are not selected for printing
+     */
+    function applySelection() {
+        var layout = document.getElementById("print-layout");
+        var isFullLayout = !layout || layout.value === "full";
+
+        document.querySelectorAll("#print-selection input[data-section]").forEach(function(checkbox) {
+            var sectionKey = checkbox.getAttribute("data-section");
+            document.querySelectorAll(".print-layout [data-section=\"" + sectionKey + "\"]").forEach(function(element) {
+                element.classList.toggle("print-hidden", !checkbox.checked);
+            });
+        });
+
+        document.querySelectorAll("#print-selection input[data-field]").forEach(function(checkbox) {
+            var field = document.querySelector(".print-field[data-field=\"" + checkbox.getAttribute("data-field") + "\"]");
+            if (field)
+                field.classList.toggle("print-hidden", !checkbox.checked);
+
+            // Fields can only be chosen in the full facilitator guide
+            checkbox.disabled = !isFullLayout || !isSectionSelected(checkbox.getAttribute("data-parent"));
+        });
+    }
+
+    /**
+     * Creates a checkbox with a label
+     * @param {string} id - The checkbox ID
+     * @param {string} text - The label text
+     * @returns {Object} - { container, checkbox }
+     */
+    function createCheckbox(id, text) {
+        var container = document.createElement("div");
+        container.className = "form-check";
+
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.className = "form-check-input";
+        checkbox.id = id;
+        checkbox.checked = true;
+        checkbox.addEventListener("change", applySelection);
+        container.appendChild(checkbox);
+
+        var label = document.createElement("label");
+        label.className = "form-check-label";
+        label.htmlFor = id;
+        label.textContent = text;
+        container.appendChild(label);
+
+        return { container: container, checkbox: checkbox };
+    }
+
+    /**
+     * Builds the panel for choosing sections and fields from the full layout
+     */
+    function initializeSelectionPanel() {
+        var panel = document.getElementById("print-selection");
+        if (!panel)
+            return;
+
+        document.querySelectorAll("#print-layout-full .print-section[data-section]").forEach(function(section) {
+            var sectionKey = section.getAttribute("data-section");
+
+            var group = document.createElement("div");
+            group.className = "print-selection-group";
+
+            var sectionCheckbox = createCheckbox("include-" + sectionKey, section.querySelector("h2").textContent);
+            sectionCheckbox.checkbox.setAttribute("data-section", sectionKey);
+            sectionCheckbox.container.classList.add("print-selection-section");
+            group.appendChild(sectionCheckbox.container);
+
+            section.querySelectorAll(".print-field[data-field]").forEach(function(field) {
+                var fieldPath = field.getAttribute("data-field");
+                var fieldCheckbox = createCheckbox("include-" + fieldPath.replace(".", "-"), field.querySelector("h3").textContent);
+                fieldCheckbox.checkbox.setAttribute("data-field", fieldPath);
+                fieldCheckbox.checkbox.setAttribute("data-parent", sectionKey);
+                group.appendChild(fieldCheckbox.container);
+            });
+
+            panel.appendChild(group);
+        });
+    }
+
+    /**
+     * Initialize layout selector
+     */
+    function initializeLayoutSelector() {
+        var select = document.getElementById("print-layout");
+        if (select) {
+            select.addEventListener("change", function() {
+                setLayout(select.value);
+                applySelection();
+            });
+        }
+
+        setLayout(getUrlParameter("layout") || DEFAULT_LAYOUT);
+    }
+
     // ============================================
     // PRINT FUNCTION
     // ============================================
@@ -177,15 +475,23 @@
     // ============================================
 
     document.addEventListener("DOMContentLoaded", function() {
-        var lessonData = loadLessonData();
+        var planId = getPlanId();
+        var lessonData = loadLessonData(planId);
 
         if (!lessonData) {
             alert("No lesson plan data found. Please create a lesson plan first.");
-            window.location.href = "/plan.html";
+            window.location.href = "$(external-prefix)/plan.html";
             return;
         }
 
-        populatePrintView(lessonData);
+        var entry = FourCApp.PlanLibrary.get(planId);
+
+        populatePrintView(lessonData, entry ? entry.name : "");
+        populateAgenda(lessonData);
+        populateMaterials(lessonData);
+        initializeSelectionPanel();
+        initializeLayoutSelector();
+        applySelection();
         initializePrintButton();
     });
 
@@ -13,6 +13,7 @@
 
     // Configuration
     const SESSION_STORAGE_KEY = 'sessionId';
+    const ACCOUNT_STORAGE_KEY = 'sessionUser';
     const VALIDATION_INTERVAL = 60000; // 60 seconds
     const API_BASE_URL = '$(external-prefix)/api/user';
     const LOGIN_PAGE = '$(external-prefix)/login.html';
@@ -36,10 +37,11 @@
     }
 
     /**
-     * Removes the session ID from local storage.
+     * Removes the session ID and its account from local storage.
      */
     function clearSession() {
         localStorage.removeItem(SESSION_STORAGE_KEY);
+        localStorage.removeItem(ACCOUNT_STORAGE_KEY);
         console.log('Session guard: Session cleared from storage');
     }
 
@@ -96,6 +98,15 @@
             return;
         }
 
+        // Sessions started before the account was recorded need a new login,
+        // because the plan library is kept per account
+        if (!localStorage.getItem(ACCOUNT_STORAGE_KEY)) {
+            console.log('Session guard: No account recorded for the session, redirecting to login');
+            clearSession();
+            redirectToLogin();
+            return;
+        }
+
         const isValid = await validateSession(sessionId);
 
         if (!isValid) {
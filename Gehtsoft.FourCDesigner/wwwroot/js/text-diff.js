@@ -0,0 +1,197 @@
+/**
+ * Text Diff - word-level comparison of two texts
+ *
+ * Texts are split into words and whitespace, and the longest common
+ * subsequence of the two token lists is used to find inserted and
+ * deleted words. Neighbouring insertions and deletions can be grouped
+ * into hunks that are accepted or rejected one by one.
+ */
+
+window.FourCApp = window.FourCApp || {};
+
+(function() {
+    'use strict';
+
+    /**
+     * Splits a text into word and whitespace tokens.
+     * @param {string} text - The text to split.
+     * @returns {Array<string>} The tokens.
+     */
+    function tokenize(text) {
+        return text ? text.match(/\s+|[^\s]+/g) : [];
+    }
+
+    /**
+     * Appends an operation, merging it with the previous one of the same type.
+     * @param {Array<Object>} ops - The operation list.
+     * @param {string} type - The operation type ('equal', 'insert', 'delete').
+     * @param {string} text - The text of the operation.
+     */
+    function pushOp(ops, type, text) {
+        if (!text)
+            return;
+
+        const last = ops[ops.length - 1];
+        if (last && last.type === type)
+            last.text += text;
+        else
+            ops.push({ type: type, text: text });
+    }
+
+    /**
+     * Computes the operations turning one token list into another.
+     * @param {Array<string>} a - The old tokens.
+     * @param {Array<string>} b - The new tokens.
+     * @returns {Array<Object>} The operations.
+     */
+    function diffTokens(a, b) {
+        const ops = [];
+
+        // Common prefix and suffix do not need the LCS table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start])
+            start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        pushOp(ops, 'equal', a.slice(0, start).join(''));
+
+        const n = endA - start;
+        const m = endB - start;
+
+        // lcs[i][j] is the LCS length of a[start + i..endA) and b[start + j..endB)
+        const lcs = [];
+        for (let i = 0; i <= n; i++)
+            lcs.push(new Uint32Array(m + 1));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                if (a[start + i] === b[start + j])
+                    lcs[i][j] = lcs[i + 1][j + 1] + 1;
+                else
+                    lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                pushOp(ops, 'equal', a[start + i]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                pushOp(ops, 'delete', a[start + i]);
+                i++;
+            } else {
+                pushOp(ops, 'insert', b[start + j]);
+                j++;
+            }
+        }
+
+        pushOp(ops, 'equal', a.slice(endA).join(''));
+        return ops;
+    }
+
+    /**
+     * Groups diff operations into hunks. Deletions and insertions separated
+     * only by whitespace belong to the same hunk.
+     * @param {Array<Object>} ops - The diff operations.
+     * @returns {Array<Object>} The hunks.
+     */
+    function groupHunks(ops) {
+        const hunks = [];
+        let change = null;
+
+        ops.forEach(function(op, index) {
+            const next = ops[index + 1];
+            const joinsChanges = op.type === 'equal' && change && next && /^\s+$/.test(op.text);
+
+            if (op.type === 'equal' && !joinsChanges) {
+                change = null;
+                hunks.push({ type: 'equal', text: op.text });
+                return;
+            }
+
+            if (!change) {
+                change = { type: 'change', oldText: '', newText: '', accepted: true };
+                hunks.push(change);
+            }
+
+            if (op.type !== 'insert')
+                change.oldText += op.text;
+            if (op.type !== 'delete')
+                change.newText += op.text;
+        });
+
+        return hunks;
+    }
+
+    FourCApp.TextDiff = {
+        /**
+         * Compares two texts word by word.
+         * @param {string} oldText - The old text.
+         * @param {string} newText - The new text.
+         * @returns {Array<Object>} Operations ({ type: 'equal'|'insert'|'delete', text }).
+         */
+        diffWords: function(oldText, newText) {
+            return diffTokens(tokenize(oldText || ''), tokenize(newText || ''));
+        },
+
+        /**
+         * Compares two texts word by word and groups the changes into hunks.
+         * @param {string} oldText - The old text.
+         * @param {string} newText - The new text.
+         * @returns {Array<Object>} Hunks: { type: 'equal', text } or
+         *   { type: 'change', oldText, newText, accepted }. Changes start accepted.
+         */
+        diffHunks: function(oldText, newText) {
+            return groupHunks(FourCApp.TextDiff.diffWords(oldText, newText));
+        },
+
+        /**
+         * Builds the text with the accepted changes of a hunk list applied.
+         * @param {Array<Object>} hunks - The hunks (see diffHunks).
+         * @returns {string} The text.
+         */
+        applyHunks: function(hunks) {
+            return hunks.map(function(hunk) {
+                if (hunk.type === 'equal')
+                    return hunk.text;
+                return hunk.accepted ? hunk.newText : hunk.oldText;
+            }).join('');
+        },
+
+        /**
+         * Renders one side of a diff into an element.
+         * The old side shows deleted words, the new side shows inserted words.
+         * @param {HTMLElement} container - The element to render into.
+         * @param {Array<Object>} ops - The diff operations.
+         * @param {string} side - 'old' or 'new'.
+         */
+        render: function(container, ops, side) {
+            const hiddenType = side === 'old' ? 'insert' : 'delete';
+
+            container.textContent = '';
+            ops.forEach(function(op) {
+                if (op.type === hiddenType)
+                    return;
+
+                if (op.type === 'equal') {
+                    container.appendChild(document.createTextNode(op.text));
+                } else {
+                    const span = document.createElement(op.type === 'insert' ? 'ins' : 'del');
+                    span.className = 'diff-' + op.type;
+                    span.textContent = op.text;
+                    container.appendChild(span);
+                }
+            });
+        }
+    };
+
+})();